@@ -0,0 +1,22 @@
+module.exports = {
+  root: true,
+  env: { browser: true, es2020: true },
+  extends: [
+    'eslint:recommended',
+    'plugin:react/recommended',
+    'plugin:react/jsx-runtime',
+    'plugin:react-hooks/recommended',
+  ],
+  ignorePatterns: ['dist', '.eslintrc.cjs'],
+  parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
+  settings: { react: { version: '18.3' } },
+  plugins: ['react-refresh'],
+  rules: {
+    'react/prop-types': 'off',
+    'react-refresh/only-export-components': [
+      'warn',
+      // Context modules export their provider and its hook
+      { allowConstantExport: true, allowExportNames: ['useClimate', 'useIndices'] },
+    ],
+  },
+}
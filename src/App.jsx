@@ -1,37 +1,59 @@
-import { useEffect, useRef, useState, useCallback } from 'react';
+import { useEffect, useState, useCallback } from 'react';
 import { ClimateProvider, useClimate } from './context/ClimateContext';
 import { IndicesProvider } from './context/IndicesContext';
 import { SA_BOUNDS } from './utils/constants';
+import { getColorVisionFilter } from './utils/palettes';
 
 // Components
 import Map from './components/Map/Map';
 import ClimateLayer from './components/Map/ClimateLayer';
+import DrillDownBreadcrumb from './components/Map/DrillDownBreadcrumb';
 import Legend from './components/Legend/Legend';
 import InfoPanel from './components/InfoPanel/InfoPanel';
 import ScenarioSelector from './components/Controls/ScenarioSelector';
 import PeriodSelector from './components/Controls/PeriodSelector';
 import IndexSelector from './components/Controls/IndexSelector';
-import ComparisonToggle from './components/Controls/ComparisonToggle';
-import ComparisonScenarioSelector from './components/Controls/ComparisonScenarioSelector';
+import GeographyLevelSelector from './components/Controls/GeographyLevelSelector';
+import EnsembleStatisticSelector from './components/Controls/EnsembleStatisticSelector';
+import ValueModeSelector from './components/Controls/ValueModeSelector';
+import ComparisonPaneConfig from './components/Controls/ComparisonPaneConfig';
+import ComparisonLayoutSelector from './components/Controls/ComparisonLayoutSelector';
 import ComparisonView from './components/Compare/ComparisonView';
+import MatrixView from './components/Compare/MatrixView';
+import MatrixToggle from './components/Controls/MatrixToggle';
+import RobustnessToggle from './components/Controls/RobustnessToggle';
+import RobustnessView from './components/Robustness/RobustnessView';
+import CompositeBuilder from './components/Controls/CompositeBuilder';
+import CompositeView from './components/Composite/CompositeView';
+import ThresholdBuilder from './components/Controls/ThresholdBuilder';
+import ThresholdSummary from './components/Threshold/ThresholdSummary';
 import MunicipalitySearch from './components/Controls/MunicipalitySearch';
+import PaletteSelector from './components/Controls/PaletteSelector';
 import DataAttribution from './components/Common/DataAttribution';
+import ColorVisionFilters from './components/Common/ColorVisionFilters';
+import UrlStateSync from './components/Common/UrlStateSync';
+import PeriodAnimator from './components/Animation/PeriodAnimator';
+import MapExport from './components/Export/MapExport';
+import DataTable from './components/DataTable/DataTable';
 
 /**
  * Main application layout
  */
 function AppContent() {
-  const { comparisonMode, fetchClimateData, scenario, period, index } = useClimate();
+  const { comparisonMode, matrixMode, robustnessMode, compositeMode, thresholdResult, fetchClimateData, scenario, period, index, cvdSimulation } = useClimate();
   const [mapInstance, setMapInstance] = useState(null);
   const [comparisonMaps, setComparisonMaps] = useState(null);
   const [searchHighlightedMunicipalityId, setSearchHighlightedMunicipalityId] = useState(null);
+  // Hover shared between the map and the data table
+  const [mapHoveredMunicipalityId, setMapHoveredMunicipalityId] = useState(null);
+  const [tableHoveredMunicipalityId, setTableHoveredMunicipalityId] = useState(null);
 
   // Fetch initial climate data on mount and when config changes
   useEffect(() => {
     fetchClimateData();
   }, [scenario, period, index, fetchClimateData]);
 
-  // Callback to receive comparison map instances
+  // Callback to receive comparison or matrix map instances (array of Leaflet maps)
   const handleComparisonMapsReady = useCallback((maps) => {
     setComparisonMaps(maps);
   }, []);
@@ -41,14 +63,11 @@ function AppContent() {
     // Update search highlight
     setSearchHighlightedMunicipalityId(municipality?.id || null);
 
-    // In comparison mode, zoom both maps
-    if (comparisonMode && comparisonMaps) {
-      const { mapA, mapB } = comparisonMaps;
-
+    // In comparison or matrix mode, zoom every map
+    if ((comparisonMode || matrixMode) && comparisonMaps) {
       // If no municipality (cleared search), zoom back to SA bounds
       if (!municipality) {
-        mapA.fitBounds(SA_BOUNDS, { duration: 0.6 });
-        mapB.fitBounds(SA_BOUNDS, { duration: 0.6 });
+        comparisonMaps.forEach(map => map.fitBounds(SA_BOUNDS, { duration: 0.6 }));
         return;
       }
 
@@ -64,8 +83,7 @@ function AppContent() {
           [maxy, maxx],
         ];
 
-        mapA.fitBounds(bounds, { padding: [32, 32], duration: 0.6 });
-        mapB.fitBounds(bounds, { padding: [32, 32], duration: 0.6 });
+        comparisonMaps.forEach(map => map.fitBounds(bounds, { padding: [32, 32], duration: 0.6 }));
       }
       return;
     }
@@ -132,43 +150,99 @@ function AppContent() {
             <div className="border-t border-gray-200 pt-3">
               <ScenarioSelector />
             </div>
+            <div className="border-t border-gray-200 pt-3">
+              <PeriodSelector />
+            </div>
+            <div className="border-t border-gray-200 pt-3">
+              <IndexSelector />
+            </div>
+            {!comparisonMode && !matrixMode && !robustnessMode && !compositeMode && (
+              <>
+                <div className="border-t border-gray-200 pt-3 space-y-3">
+                  {!thresholdResult && <GeographyLevelSelector />}
+                  <EnsembleStatisticSelector />
+                  <ValueModeSelector />
+                </div>
+                <div className="border-t border-gray-200 pt-3">
+                  <ThresholdBuilder />
+                </div>
+              </>
+            )}
+            <div className="border-t border-gray-200 pt-3">
+              <ComparisonPaneConfig />
+            </div>
             {comparisonMode && (
               <div className="border-t border-gray-200 pt-3">
-                <ComparisonScenarioSelector />
+                <ComparisonLayoutSelector />
               </div>
             )}
             <div className="border-t border-gray-200 pt-3">
-              <PeriodSelector />
+              <MatrixToggle />
             </div>
             <div className="border-t border-gray-200 pt-3">
-              <IndexSelector />
+              <RobustnessToggle />
             </div>
             <div className="border-t border-gray-200 pt-3">
-              <ComparisonToggle />
+              <CompositeBuilder />
+            </div>
+            <div className="border-t border-gray-200 pt-3">
+              <PaletteSelector />
             </div>
           </div>
           {/* Data Attribution Footer */}
           <DataAttribution variant="full" />
         </aside>
 
-        {/* Map Container */}
-        <main className="flex-1 relative">
-          {comparisonMode ? (
+        {/* Map Container (filtered when simulating colour vision deficiencies) */}
+        <main className="flex-1 relative" style={{ filter: getColorVisionFilter(cvdSimulation) }}>
+          {matrixMode ? (
+            <MatrixView
+              onMapsReady={handleComparisonMapsReady}
+              searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+            />
+          ) : comparisonMode ? (
             <ComparisonView
               onMapsReady={handleComparisonMapsReady}
               searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
             />
+          ) : robustnessMode ? (
+            <RobustnessView
+              onMapReady={setMapInstance}
+              searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+            />
+          ) : compositeMode ? (
+            <CompositeView
+              onMapReady={setMapInstance}
+              searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+            />
           ) : (
             <>
               <Map onMapReady={setMapInstance}>
-                <ClimateLayer searchHighlightedMunicipalityId={searchHighlightedMunicipalityId} />
+                <ClimateLayer
+                  searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+                  highlightedMunicipalityId={tableHoveredMunicipalityId}
+                  onHoverChange={setMapHoveredMunicipalityId}
+                />
               </Map>
-              <Legend />
+              <DrillDownBreadcrumb map={mapInstance} />
+              {thresholdResult ? <ThresholdSummary map={mapInstance} /> : <Legend />}
               <InfoPanel />
+              <PeriodAnimator map={mapInstance} />
+              <MapExport map={mapInstance} />
+              <DataTable
+                map={mapInstance}
+                highlightedMunicipalityId={mapHoveredMunicipalityId}
+                onHoverChange={setTableHoveredMunicipalityId}
+              />
             </>
           )}
         </main>
       </div>
+
+      <ColorVisionFilters />
+
+      {/* Shareable view state in the URL (extent of the first map in comparison/matrix) */}
+      <UrlStateSync map={comparisonMode || matrixMode ? comparisonMaps?.[0] : mapInstance} />
     </div>
   );
 }
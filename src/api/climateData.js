@@ -1,4 +1,7 @@
 import apiClient from './client';
+import { addEnsembleFixture } from './fixtures/ensembleFixture';
+import { addBaselineFixture } from './fixtures/baselineFixture';
+import { USE_ENSEMBLE_FIXTURE, USE_BASELINE_FIXTURE } from '../utils/constants';
 
 /**
  * Get all climate data for a municipality
@@ -28,10 +31,109 @@ export const getClimateDataByScenarioPeriod = async (municipalityId, scenario, p
  * @param {string} period - Time period
  * @param {string} index - Climate index code (e.g., 'cdd', 'prcptot')
  * @returns {Promise} GeoJSON FeatureCollection with 213 municipality polygons
+ *   (with synthetic ensemble statistics when VITE_ENSEMBLE_FIXTURE is on, and synthetic
+ *   baseline values when VITE_BASELINE_FIXTURE is on)
  */
 export const getClimateGeoJSON = async (scenario, period, index) => {
   const response = await apiClient.get(`/climate-data/geojson/${scenario}/${period}/${index}`);
-  return response.data;
+  const geojson = USE_ENSEMBLE_FIXTURE ? addEnsembleFixture(response.data) : response.data;
+  return USE_BASELINE_FIXTURE ? addBaselineFixture(geojson) : geojson;
+};
+
+// In-memory cache of GeoJSON requests, keyed by scenario/period/index, least recently used first
+// Stores promises so concurrent callers share one request
+const geojsonCache = new Map();
+
+// Layers kept in the cache: every scenario × period of two indices (scale lock in the
+// comparison view), so the views loading them all at once do not evict their own layers
+const GEOJSON_CACHE_SIZE = 24;
+
+/**
+ * Get GeoJSON data with an in-memory cache
+ * Used where many scenario/period combinations are needed at once (matrix view, prefetching).
+ * The least recently used layers are dropped beyond GEOJSON_CACHE_SIZE.
+ * @param {string} scenario - SSP scenario
+ * @param {string} period - Time period
+ * @param {string} index - Climate index code
+ * @returns {Promise} GeoJSON FeatureCollection
+ */
+export const getClimateGeoJSONCached = (scenario, period, index) => {
+  const key = `${scenario}/${period}/${index}`;
+  let request = geojsonCache.get(key);
+
+  if (request) {
+    // Move to the most recently used end
+    geojsonCache.delete(key);
+  } else {
+    request = getClimateGeoJSON(scenario, period, index).catch((error) => {
+      // Do not cache failures so they can be retried
+      if (geojsonCache.get(key) === request) geojsonCache.delete(key);
+      throw error;
+    });
+  }
+  geojsonCache.set(key, request);
+
+  while (geojsonCache.size > GEOJSON_CACHE_SIZE) {
+    geojsonCache.delete(geojsonCache.keys().next().value);
+  }
+
+  return request;
+};
+
+/**
+ * Get GeoJSON data for every scenario/period combination of an index
+ * @param {string} index - Climate index code
+ * @param {Array<string>} scenarios - SSP scenario codes
+ * @param {Array<string>} periods - Time period codes
+ * @param {Function} onProgress - Optional callback (loaded, total) as requests complete
+ * @returns {Promise<Array>} Array of {scenario, period, geojson}
+ */
+export const getClimateGeoJSONForIndex = async (index, scenarios, periods, onProgress) => {
+  const combinations = scenarios.flatMap(scenario =>
+    periods.map(period => ({ scenario, period }))
+  );
+  let loaded = 0;
+
+  return Promise.all(
+    combinations.map(async ({ scenario, period }) => {
+      const geojson = await getClimateGeoJSONCached(scenario, period, index);
+      loaded += 1;
+      if (onProgress) onProgress(loaded, combinations.length);
+      return { scenario, period, geojson };
+    })
+  );
+};
+
+/**
+ * Get GeoJSON data for every scenario/period combination of an index, where a failed
+ * combination does not fail the others (see getClimateGeoJSONForIndex)
+ * @param {string} index - Climate index code
+ * @param {Array<string>} scenarios - SSP scenario codes
+ * @param {Array<string>} periods - Time period codes
+ * @param {Function} onProgress - Optional callback (loaded, total) as requests complete or fail
+ * @returns {Promise<Array>} Array of {scenario, period, geojson, error}: geojson is null and
+ *   error the request error for failed combinations
+ */
+export const getClimateGeoJSONForIndexSettled = async (index, scenarios, periods, onProgress) => {
+  const combinations = scenarios.flatMap(scenario =>
+    periods.map(period => ({ scenario, period }))
+  );
+  let loaded = 0;
+
+  const results = await Promise.allSettled(
+    combinations.map(({ scenario, period }) => (
+      getClimateGeoJSONCached(scenario, period, index).finally(() => {
+        loaded += 1;
+        if (onProgress) onProgress(loaded, combinations.length);
+      })
+    ))
+  );
+
+  return results.map((result, i) => ({
+    ...combinations[i],
+    geojson: result.status === 'fulfilled' ? result.value : null,
+    error: result.status === 'rejected' ? result.reason : null,
+  }));
 };
 
 /**
@@ -52,18 +154,6 @@ export const getPeriods = async () => {
   return response.data;
 };
 
-/**
- * Get climate data aggregated at district level
- * @param {string} districtCode - District code (e.g., "DC1")
- * @param {string} scenario - SSP scenario
- * @param {string} period - Time period
- * @returns {Promise} Aggregated district climate data
- */
-export const getDistrictClimateData = async (districtCode, scenario, period) => {
-  const response = await apiClient.get(`/climate-data/district/${districtCode}/${scenario}/${period}`);
-  return response.data;
-};
-
 /**
  * Get cache statistics
  * @returns {Promise} Cache stats (hits, misses, size)
@@ -0,0 +1,52 @@
+import { seededRandom } from './fixtureUtils';
+
+/**
+ * Baseline Values Fixture
+ * Synthetic 1995-2014 climatology (`baseline_value`, docs/BASELINE_VALUES.md) for GeoJSON
+ * responses that do not have it yet, so the absolute-value views can be built and tested
+ * before the API exposes it. Enabled with VITE_BASELINE_FIXTURE=true.
+ *
+ * Values are deterministic per municipality and index, and like a real climatology the same
+ * for every scenario and period: a magnitude per index (10-1000 in the index unit) varied by
+ * up to ±50% per municipality. They are NOT real observations or model output, and projected
+ * values can fall below zero where a large change meets a small synthetic baseline.
+ */
+
+/**
+ * Synthetic baseline value of a municipality and index
+ * @param {number|string} id - Municipality id
+ * @param {string} indexCode - Index code
+ * @returns {number} Baseline value (2 decimals)
+ */
+const getFixtureBaseline = (id, indexCode) => {
+  const magnitude = 10 ** (1 + 2 * seededRandom(indexCode));
+  const baseline = magnitude * (0.5 + seededRandom(`${id}/${indexCode}`));
+  return Math.round(baseline * 100) / 100;
+};
+
+/**
+ * Add a synthetic baseline value to features that have none
+ * @param {Object} geojson - GeoJSON FeatureCollection from the climate-data GeoJSON endpoint
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export const addBaselineFixture = (geojson) => {
+  if (!geojson?.features) return geojson;
+
+  return {
+    ...geojson,
+    features: geojson.features.map(feature => {
+      const props = feature.properties;
+      if (props.value === null || props.value === undefined || props.baseline_value !== undefined) {
+        return feature;
+      }
+
+      return {
+        ...feature,
+        properties: {
+          ...props,
+          baseline_value: getFixtureBaseline(props.id, props.index_code),
+        },
+      };
+    }),
+  };
+};
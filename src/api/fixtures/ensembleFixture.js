@@ -0,0 +1,68 @@
+import { seededRandom } from './fixtureUtils';
+
+/**
+ * Ensemble Statistics Fixture
+ * Synthetic model-spread properties (docs/ENSEMBLE_STATISTICS.md) for GeoJSON responses that
+ * do not have them yet, so the uncertainty views can be built and tested before the API
+ * exposes ensemble statistics. Enabled with VITE_ENSEMBLE_FIXTURE=true.
+ *
+ * Values are deterministic per municipality/scenario/period/index: the spread grows with the
+ * size of the anomaly, and model agreement follows from the mean relative to the spread.
+ * They are NOT real model output.
+ */
+
+const FIXTURE_MODEL_COUNT = 26;
+
+// z-score of the 90th percentile of a normal distribution
+const Z90 = 1.2816;
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ * @param {number} x
+ * @returns {number}
+ */
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t
+    * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Add synthetic ensemble statistics to features that have none
+ * @param {Object} geojson - GeoJSON FeatureCollection from the climate-data GeoJSON endpoint
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export const addEnsembleFixture = (geojson) => {
+  if (!geojson?.features) return geojson;
+
+  return {
+    ...geojson,
+    features: geojson.features.map(feature => {
+      const props = feature.properties;
+      if (props.value === null || props.value === undefined || props.value_p10 !== undefined) {
+        return feature;
+      }
+
+      const seed = `${props.id}/${props.scenario}/${props.period}/${props.index_code}`;
+      const mean = props.value;
+      // Model standard deviation: 40-140% of the anomaly, never zero
+      const sd = Math.max(Math.abs(mean) * (0.4 + seededRandom(`${seed}/sd`)), 0.05);
+      // Slightly skewed ensembles, so median and mean differ
+      const median = mean + sd * 0.2 * (seededRandom(`${seed}/skew`) - 0.5);
+      const agreement = normalCdf(Math.abs(mean) / sd);
+
+      return {
+        ...feature,
+        properties: {
+          ...props,
+          value_p10: median - Z90 * sd,
+          value_p50: median,
+          value_p90: median + Z90 * sd,
+          model_count: FIXTURE_MODEL_COUNT,
+          model_agreement: Math.round(agreement * FIXTURE_MODEL_COUNT) / FIXTURE_MODEL_COUNT,
+        },
+      };
+    }),
+  };
+};
@@ -0,0 +1,21 @@
+/**
+ * Fixture Utilities
+ * Helpers shared by the synthetic data fixtures (ensemble statistics, baseline values).
+ */
+
+/**
+ * Deterministic pseudo-random number in [0, 1) from a string (FNV-1a hash)
+ * @param {string} seed
+ * @returns {number}
+ *
+ * @example
+ * seededRandom('172/cdd') // same number on every call
+ */
+export const seededRandom = (seed) => {
+  let hash = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+};
@@ -0,0 +1,267 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { getClimateGeoJSONForIndex } from '../../api/climateData';
+import { getColorScale, extractValuesFromGeoJSON } from '../../utils/colorMapping';
+import { selectEnsembleStatistic } from '../../utils/ensemble';
+import { selectValueMode, getValueModeCaption, getValueUnit } from '../../utils/baseline';
+import { renderAnimationFrame, encodeGif, recordWebM } from '../../utils/animationExport';
+import { downloadBlob, buildFilename } from '../../utils/download';
+import { PERIODS, ANIMATION_CONFIG, DATA_CITATION, formatScenario, formatPeriod } from '../../utils/constants';
+
+/**
+ * PeriodAnimator - Play/pause/step the main map through PERIODS
+ * Uses ClimateContext (scenario, period, index, setPeriod, setColorDomain)
+ *
+ * When opened, every period of the current scenario/index is fetched (cached),
+ * which prefetches the frames and lets the colour domain span all of them so
+ * colours are comparable between frames. Playback waits for the next frame's data.
+ * Frames show the ensemble statistic and value mode of the map, also when exported
+ * as an animated GIF or a WebM video.
+ */
+const PeriodAnimator = ({ map }) => {
+  const {
+    scenario,
+    period,
+    index,
+    ensembleStatistic,
+    valueMode,
+    setPeriod,
+    setColorDomain,
+    getColorScaleOptions,
+  } = useClimate();
+  const { getIndexByCode } = useIndices();
+
+  const [open, setOpen] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [frames, setFrames] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+
+  const indexMetadata = getIndexByCode(index);
+  const frameIndex = Math.max(0, PERIODS.findIndex(p => p.value === period));
+  const nextPeriod = PERIODS[(frameIndex + 1) % PERIODS.length].value;
+
+  // Fetch all frames for the current scenario/index while open
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+
+    (async () => {
+      setLoading(true);
+      setError(null);
+      setFrames({});
+
+      try {
+        const results = await getClimateGeoJSONForIndex(index, [scenario], PERIODS.map(p => p.value));
+        if (!cancelled) {
+          const byPeriod = {};
+          results.forEach(({ period: framePeriod, geojson }) => {
+            byPeriod[framePeriod] = geojson;
+          });
+          setFrames(byPeriod);
+        }
+      } catch (err) {
+        console.error('Error fetching animation frames:', err);
+        if (!cancelled) setError(err.message || 'Failed to fetch animation frames');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [open, scenario, index]);
+
+  // Frames as the map shows them (same selection as geojsonData in ClimateContext)
+  const shownFrames = useMemo(() => Object.fromEntries(
+    Object.entries(frames).map(([framePeriod, geojson]) => [
+      framePeriod,
+      selectValueMode(selectEnsembleStatistic(geojson, ensembleStatistic), valueMode),
+    ])
+  ), [frames, ensembleStatistic, valueMode]);
+
+  // Colour domain across all frames
+  const domain = useMemo(() => {
+    const values = Object.values(shownFrames).flatMap(geojson => extractValuesFromGeoJSON(geojson));
+    if (values.length === 0) return null;
+    return [Math.min(...values), Math.max(...values)];
+  }, [shownFrames]);
+
+  // Fix the map's colour domain while the animator is open
+  useEffect(() => {
+    if (!open) return undefined;
+    setColorDomain(domain);
+    return () => setColorDomain(null);
+  }, [open, domain, setColorDomain]);
+
+  // Advance one frame per interval while playing (only once the next frame is loaded)
+  useEffect(() => {
+    if (!playing || !frames[nextPeriod]) return undefined;
+
+    const timer = setTimeout(() => {
+      setPeriod(nextPeriod);
+    }, ANIMATION_CONFIG.intervalMs);
+
+    return () => clearTimeout(timer);
+  }, [playing, frames, nextPeriod, setPeriod]);
+
+  const step = (offset) => {
+    setPlaying(false);
+    const target = (frameIndex + offset + PERIODS.length) % PERIODS.length;
+    setPeriod(PERIODS[target].value);
+  };
+
+  const handleClose = () => {
+    setPlaying(false);
+    setOpen(false);
+  };
+
+  /**
+   * Render every frame with the shared colour scale and encode it
+   */
+  const handleExport = async (format) => {
+    if (!map || !indexMetadata || !domain) return;
+
+    setPlaying(false);
+    setExporting(format);
+    setError(null);
+
+    try {
+      // Same options as the map, so a locked or custom range is exported as shown
+      // (scales fitted to the data span every frame)
+      const values = Object.values(shownFrames).flatMap(geojson => extractValuesFromGeoJSON(geojson));
+      const colorScale = getColorScale(indexMetadata, values, getColorScaleOptions(index, valueMode));
+      const canvases = PERIODS.map(p => renderAnimationFrame({
+        map,
+        geojson: shownFrames[p.value],
+        colorScale,
+        titleLines: [
+          `${indexMetadata.code?.toUpperCase()} - ${indexMetadata.name}`,
+          `${formatScenario(scenario).fullLabel} · ${formatPeriod(p.value).label} · ${getValueModeCaption(valueMode)}`,
+        ],
+        unit: getValueUnit(valueMode, indexMetadata.unit),
+        attribution: DATA_CITATION.short,
+      }));
+
+      const blob = format === 'gif'
+        ? encodeGif(canvases, ANIMATION_CONFIG.intervalMs)
+        : await recordWebM(canvases, ANIMATION_CONFIG.intervalMs);
+
+      downloadBlob(blob, buildFilename([index, scenario, 'periods'], format));
+    } catch (err) {
+      console.error('Error exporting animation:', err);
+      setError(err.message || 'Failed to export animation');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="absolute bottom-8 left-4 z-1000 bg-white rounded-lg shadow-sm border border-gray-300 px-3 py-2 text-xs font-medium text-gray-700 hover:bg-gray-50"
+      >
+        ▶ Animate periods
+      </button>
+    );
+  }
+
+  const framesReady = PERIODS.every(p => frames[p.value]);
+
+  return (
+    <div className="absolute bottom-8 left-4 z-1000 bg-white rounded-lg shadow-sm border border-gray-300 p-3 w-[260px]">
+      {/* Header */}
+      <div className="flex items-start justify-between mb-2">
+        <div>
+          <h3 className="text-xs font-semibold text-gray-700">Period Animation</h3>
+          <p className="text-[10px] text-gray-500">
+            {formatScenario(scenario).label} · {index?.toUpperCase()} · fixed colour scale
+          </p>
+        </div>
+        <button
+          onClick={handleClose}
+          className="text-gray-400 hover:text-gray-600 transition-colors ml-2"
+          aria-label="Close"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Period slider */}
+      <input
+        type="range"
+        min={0}
+        max={PERIODS.length - 1}
+        step={1}
+        value={frameIndex}
+        onChange={(e) => {
+          setPlaying(false);
+          setPeriod(PERIODS[Number(e.target.value)].value);
+        }}
+        className="w-full"
+        aria-label="Time period"
+      />
+      <div className="flex justify-between text-[9px] text-gray-500 mb-2">
+        {PERIODS.map(p => (
+          <span key={p.value} className={p.value === period ? 'font-bold text-gray-800' : ''}>
+            {formatPeriod(p.value).shortLabel}
+          </span>
+        ))}
+      </div>
+
+      {/* Playback controls */}
+      <div className="flex items-center justify-center gap-2 mb-2">
+        <button
+          onClick={() => step(-1)}
+          className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-xs"
+          aria-label="Previous period"
+        >
+          ⏮
+        </button>
+        <button
+          onClick={() => setPlaying(!playing)}
+          disabled={loading}
+          className="px-3 py-1 rounded bg-primary-500 hover:bg-primary-600 text-white text-xs font-medium disabled:opacity-50"
+        >
+          {playing ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <button
+          onClick={() => step(1)}
+          className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-xs"
+          aria-label="Next period"
+        >
+          ⏭
+        </button>
+      </div>
+
+      {loading && (
+        <p className="text-[10px] italic text-gray-500 mb-1">Loading frames…</p>
+      )}
+      {error && (
+        <p className="text-[10px] mb-1" style={{ color: '#dc2626' }}>{error}</p>
+      )}
+
+      {/* Export */}
+      <div className="flex items-center gap-1.5 pt-2 border-t border-gray-200">
+        <span className="text-[10px] text-gray-600">Export:</span>
+        {['gif', 'webm'].map(format => (
+          <button
+            key={format}
+            onClick={() => handleExport(format)}
+            disabled={!framesReady || !map || exporting !== null}
+            className="px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium uppercase disabled:opacity-50"
+          >
+            {exporting === format ? 'Exporting…' : format}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PeriodAnimator;
@@ -0,0 +1,32 @@
+import { CVD_SIMULATIONS } from '../../utils/palettes';
+
+/**
+ * ColorVisionFilters - Hidden SVG filter definitions for colour vision deficiency simulation
+ * Apply with `filter: url(#cvd-<type>)` (see getColorVisionFilter in utils/palettes.js)
+ * Filters run in linear RGB, the space the CVD_SIMULATIONS matrices are defined in
+ */
+const ColorVisionFilters = () => {
+  return (
+    <svg width="0" height="0" style={{ position: 'absolute' }} aria-hidden="true" focusable="false">
+      <defs>
+        {CVD_SIMULATIONS.filter(s => s.matrix).map(simulation => {
+          const m = simulation.matrix;
+          const values = [
+            m[0], m[1], m[2], 0, 0,
+            m[3], m[4], m[5], 0, 0,
+            m[6], m[7], m[8], 0, 0,
+            0, 0, 0, 1, 0,
+          ].join(' ');
+
+          return (
+            <filter key={simulation.value} id={`cvd-${simulation.value}`} colorInterpolationFilters="linearRGB">
+              <feColorMatrix type="matrix" values={values} />
+            </filter>
+          );
+        })}
+      </defs>
+    </svg>
+  );
+};
+
+export default ColorVisionFilters;
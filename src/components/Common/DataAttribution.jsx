@@ -1,15 +1,16 @@
+import { DATA_CITATION } from '../../utils/constants';
+
 /**
  * DataAttribution - Displays data source information and downscaling details
  * Prominently shows that climate projections are downscaled from NEX-GDDP-CMIP6
+ * (text from DATA_CITATION, as printed on exports)
  */
 const DataAttribution = ({ variant = 'full' }) => {
   if (variant === 'compact') {
     return (
       <div className="bg-gray-50 border-t border-gray-200 px-3 py-1.5 flex items-center justify-between text-[10px]">
         <div className="flex items-center gap-2">
-          <span className="text-gray-600">
-            Data: <strong>NASA NEX-GDDP-CMIP6</strong> (Downscaled ~25 km)
-          </span>
+          <span className="text-gray-600">{DATA_CITATION.short}</span>
         </div>
       </div>
     );
@@ -29,9 +30,7 @@ const DataAttribution = ({ variant = 'full' }) => {
             Climate Projections Data Source
           </h4>
           <p className="text-[11px] text-gray-700 leading-relaxed">
-            <strong className="text-blue-700">Downscaled climate projections</strong> from{' '}
-            <strong>NASA NEX-GDDP-CMIP6</strong> dataset, bias-corrected and statistically
-            downscaled to <strong>~25 km resolution</strong>.
+            {DATA_CITATION.description}
           </p>
         </div>
       </div>
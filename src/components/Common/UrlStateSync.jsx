@@ -0,0 +1,187 @@
+import { useEffect, useRef, useState } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { extractMetadataFromGeoJSON, extractMunicipalityFromFeature } from '../../utils/colorMapping';
+import { PALETTES } from '../../utils/palettes';
+import { DEFAULT_VIEW_STATE, parseViewState, serializeViewState } from '../../utils/urlState';
+
+/**
+ * Whether a Leaflet map is still mounted (map instances outlive view switches in App state)
+ */
+const isMapMounted = (map) => Boolean(map && map.getContainer()?.isConnected);
+
+/**
+ * UrlStateSync - Keeps the view state in the URL query string
+ * ClimateContext starts from the URL (see utils/urlState.js); this component
+ * - validates index codes once the indices have loaded
+ * - restores the selected municipality and map extent
+ * - pushes a history entry when settings change (browser back/forward restore them)
+ *   and replaces the current entry when the map is panned or zoomed
+ *
+ * @param {Object} props
+ * @param {Object} props.map - Leaflet map of the active view (first map in comparison/matrix)
+ */
+const UrlStateSync = ({ map }) => {
+  const {
+    scenario,
+    period,
+    index,
+    setIndex,
+    geographyLevel,
+    drillFocus,
+    ensembleStatistic,
+    valueMode,
+    geojsonData,
+    selectedMunicipality,
+    setSelectedMunicipality,
+    comparisonMode,
+    comparisonConfig,
+    updateComparisonConfig,
+    comparisonLayout,
+    differenceType,
+    matrixMode,
+    robustnessMode,
+    paletteId,
+    customPalettes,
+    classification,
+    scaleLock,
+    applyViewState,
+  } = useClimate();
+  const { indices, loading: indicesLoading } = useIndices();
+
+  // Municipality and map extent from the URL, applied once their data/map are available
+  const [pendingMunicipalityId, setPendingMunicipalityId] = useState(
+    () => parseViewState(window.location.search).municipalityId
+  );
+  const pendingMapViewRef = useRef(parseViewState(window.location.search).mapView);
+  const mapViewRef = useRef(null);
+  const initialisedRef = useRef(false);
+
+  const settingsQuery = serializeViewState({
+    scenario,
+    period,
+    index,
+    geographyLevel,
+    drillFocus,
+    ensembleStatistic,
+    valueMode,
+    municipalityId: selectedMunicipality?.id ?? pendingMunicipalityId,
+    comparisonMode,
+    comparisonConfig,
+    comparisonLayout,
+    differenceType,
+    matrixMode,
+    robustnessMode,
+    paletteId,
+    classification,
+    scaleLock,
+  }, { includeMapView: false });
+
+  // Reject index codes the API does not know (URL edited by hand, index removed)
+  useEffect(() => {
+    if (indicesLoading || indices.length === 0) return;
+
+    const indexCodes = indices.map(idx => idx.code);
+    const validIndex = indexCodes.includes(index) ? index : DEFAULT_VIEW_STATE.index;
+
+    if (validIndex !== index) {
+      console.warn('Unknown index in URL, using default:', index);
+      setIndex(validIndex);
+    }
+    if (!indexCodes.includes(comparisonConfig.index)) {
+      updateComparisonConfig({ index: validIndex });
+    }
+  }, [indices, indicesLoading, index, comparisonConfig.index, setIndex, updateComparisonConfig]);
+
+  // Restore the selected municipality once the matching GeoJSON has loaded
+  useEffect(() => {
+    if (!pendingMunicipalityId || !geojsonData) return;
+
+    const metadata = extractMetadataFromGeoJSON(geojsonData);
+    if (
+      metadata?.scenario !== scenario ||
+      metadata?.period !== period ||
+      metadata?.indexCode?.toLowerCase() !== index
+    ) {
+      return;
+    }
+
+    const feature = geojsonData.features.find(f => f.properties.id === pendingMunicipalityId);
+    if (feature) {
+      setSelectedMunicipality(extractMunicipalityFromFeature(feature));
+    }
+    setPendingMunicipalityId(null);
+  }, [pendingMunicipalityId, geojsonData, scenario, period, index, setSelectedMunicipality]);
+
+  // Restore the map extent and track it as the user pans/zooms
+  useEffect(() => {
+    if (!isMapMounted(map)) return undefined;
+
+    if (pendingMapViewRef.current) {
+      const { lat, lng, zoom } = pendingMapViewRef.current;
+      map.setView([lat, lng], zoom, { animate: false });
+      pendingMapViewRef.current = null;
+    }
+
+    const handleMoveEnd = () => {
+      const center = map.getCenter();
+      mapViewRef.current = { lat: center.lat, lng: center.lng, zoom: map.getZoom() };
+      window.history.replaceState(
+        window.history.state,
+        '',
+        serializeViewState({ ...parseViewState(window.location.search), mapView: mapViewRef.current })
+      );
+    };
+
+    map.on('moveend', handleMoveEnd);
+    return () => map.off('moveend', handleMoveEnd);
+  }, [map]);
+
+  // Write settings to the URL: one history entry per change
+  // (the settings query plus the map extent, which changes without a history entry)
+  useEffect(() => {
+    const url = serializeViewState({
+      ...parseViewState(settingsQuery),
+      mapView: mapViewRef.current ?? pendingMapViewRef.current,
+    });
+
+    if (!initialisedRef.current) {
+      initialisedRef.current = true;
+      window.history.replaceState(window.history.state, '', url);
+      return;
+    }
+
+    const currentSettings = serializeViewState(parseViewState(window.location.search), { includeMapView: false });
+    if (currentSettings !== settingsQuery) {
+      window.history.pushState(null, '', url);
+    }
+  }, [settingsQuery]);
+
+  // Browser back/forward: apply the state in the URL
+  useEffect(() => {
+    const handlePopState = () => {
+      const view = parseViewState(window.location.search, {
+        indexCodes: indices.length > 0 ? indices.map(idx => idx.code) : null,
+        paletteIds: [...Object.keys(PALETTES), ...customPalettes.map(p => p.id)],
+      });
+
+      applyViewState(view);
+
+      if (view.municipalityId !== selectedMunicipality?.id) {
+        setSelectedMunicipality(null);
+        setPendingMunicipalityId(view.municipalityId);
+      }
+
+      if (view.mapView && isMapMounted(map)) {
+        map.setView([view.mapView.lat, view.mapView.lng], view.mapView.zoom);
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [indices, customPalettes, applyViewState, selectedMunicipality, setSelectedMunicipality, map]);
+
+  return null;
+};
+
+export default UrlStateSync;
@@ -1,5 +1,5 @@
-import { useEffect, useState, useMemo, useRef } from 'react';
-import { MapContainer, TileLayer, GeoJSON, useMap } from 'react-leaflet';
+import { useEffect, useState, useMemo, useRef, useCallback } from 'react';
+import { MapContainer, TileLayer, GeoJSON, Pane, useMap } from 'react-leaflet';
 import { useClimate } from '../../context/ClimateContext';
 import { useIndices } from '../../context/IndicesContext';
 import { getClimateGeoJSON } from '../../api/climateData';
@@ -10,16 +10,21 @@ import {
   generateLegendItems,
   getInterpretationLabels,
   calculateStatistics,
+  calculateDifference,
+  computeDifferenceGeoJSON,
 } from '../../utils/colorMapping';
 import SectorTags from '../Common/SectorTags';
-import { MAP_CONFIG, SCENARIOS, formatScenario, formatPeriod, DEFAULT_STYLE, HOVER_STYLE } from '../../utils/constants';
+import ScaleControls from '../Legend/ScaleControls';
+import ClassificationControls from '../Legend/ClassificationControls';
+import MapExport from '../Export/MapExport';
+import { MAP_CONFIG, formatScenario, formatComparisonPane, DEFAULT_STYLE, HOVER_STYLE } from '../../utils/constants';
 import 'leaflet/dist/leaflet.css';
 
 /**
- * ComparisonView - Side-by-side scenario comparison
- * Uses ClimateContext for comparisonMode and comparisonScenario
+ * ComparisonView - Side-by-side, swipe or difference (B - A) comparison of two panes
+ * Pane A uses the main scenario/period/index, pane B uses comparisonConfig,
+ * so panes can differ by scenario, period or index
  * Leverages existing Map, ClimateLayer, Legend components
- * Synchronizes period and index between both maps
  */
 const ComparisonView = ({ onMapsReady, searchHighlightedMunicipalityId = null }) => {
   const {
@@ -27,9 +32,10 @@ const ComparisonView = ({ onMapsReady, searchHighlightedMunicipalityId = null })
     period,
     index,
     comparisonMode,
-    setComparisonMode,
-    comparisonScenario,
-    setComparisonScenario,
+    comparisonConfig,
+    comparisonLayout,
+    differenceType,
+    getColorScaleOptions,
   } = useClimate();
 
   const { getIndexByCode } = useIndices();
@@ -37,99 +43,232 @@ const ComparisonView = ({ onMapsReady, searchHighlightedMunicipalityId = null })
   // Map instances for synchronization
   const [mapA, setMapA] = useState(null);
   const [mapB, setMapB] = useState(null);
+  const [differenceMap, setDifferenceMap] = useState(null);
+  const [swipeMap, setSwipeMap] = useState(null);
 
   // Selected municipality for comparison
   const [selectedMunicipality, setSelectedMunicipality] = useState(null);
+  // Pane ('a' or 'b') the municipality was clicked on, in the swipe layout
+  const [activePane, setActivePane] = useState(null);
 
-  // Refs to track ongoing fetches and prevent duplicates
-  const fetchingA = useRef(false);
-  const fetchingB = useRef(false);
-
-  // Notify parent when both maps are ready
+  // Notify parent when the maps of the active layout are ready
   useEffect(() => {
-    if (mapA && mapB && onMapsReady) {
-      onMapsReady({ mapA, mapB });
+    if (!onMapsReady) return;
+
+    if (comparisonLayout === 'difference') {
+      if (differenceMap) onMapsReady([differenceMap]);
+    } else if (comparisonLayout === 'swipe') {
+      if (swipeMap) onMapsReady([swipeMap]);
+    } else if (mapA && mapB) {
+      onMapsReady([mapA, mapB]);
     }
-  }, [mapA, mapB, onMapsReady]);
+  }, [comparisonLayout, mapA, mapB, differenceMap, swipeMap, onMapsReady]);
 
-  // Fetch GeoJSON for both scenarios
+  // Fetch GeoJSON for both panes
   const [geojsonA, setGeojsonA] = useState(null);
   const [geojsonB, setGeojsonB] = useState(null);
   const [loadingA, setLoadingA] = useState(false);
   const [loadingB, setLoadingB] = useState(false);
 
-  // Fetch data for scenario A (left/primary)
+  // Fetch data for pane A (left/primary); a newer configuration cancels the older request
   useEffect(() => {
     if (!comparisonMode) return;
 
-    const fetchDataA = async () => {
-      // Prevent duplicate fetches
-      if (fetchingA.current) {
-        console.log('Scenario A fetch already in progress, skipping...');
-        return;
-      }
+    let cancelled = false;
 
-      fetchingA.current = true;
+    (async () => {
       setLoadingA(true);
-
       try {
         const data = await getClimateGeoJSON(scenario, period, index);
-        setGeojsonA(data);
+        if (!cancelled) setGeojsonA(data);
       } catch (error) {
-        console.error('Error fetching scenario A data:', error);
+        console.error('Error fetching pane A data:', error);
       } finally {
-        setLoadingA(false);
-        fetchingA.current = false;
+        if (!cancelled) setLoadingA(false);
       }
-    };
+    })();
 
-    fetchDataA();
+    return () => { cancelled = true; };
   }, [comparisonMode, scenario, period, index]);
 
-  // Fetch data for scenario B (right/comparison)
+  // Fetch data for pane B (right/comparison)
   useEffect(() => {
     if (!comparisonMode) return;
 
-    const fetchDataB = async () => {
-      // Prevent duplicate fetches
-      if (fetchingB.current) {
-        console.log('Scenario B fetch already in progress, skipping...');
-        return;
-      }
+    let cancelled = false;
 
-      fetchingB.current = true;
+    (async () => {
       setLoadingB(true);
-
       try {
-        const data = await getClimateGeoJSON(comparisonScenario, period, index);
-        setGeojsonB(data);
+        const { scenario: scenarioB, period: periodB, index: indexB } = comparisonConfig;
+        const data = await getClimateGeoJSON(scenarioB, periodB, indexB);
+        if (!cancelled) setGeojsonB(data);
       } catch (error) {
-        console.error('Error fetching scenario B data:', error);
+        console.error('Error fetching pane B data:', error);
       } finally {
-        setLoadingB(false);
-        fetchingB.current = false;
+        if (!cancelled) setLoadingB(false);
       }
-    };
+    })();
 
-    fetchDataB();
-  }, [comparisonMode, comparisonScenario, period, index]);
+    return () => { cancelled = true; };
+  }, [comparisonMode, comparisonConfig]);
 
   const indexMetadata = useMemo(() => {
     return getIndexByCode(index);
   }, [index, getIndexByCode]);
 
+  const indexMetadataB = useMemo(() => {
+    return getIndexByCode(comparisonConfig.index);
+  }, [comparisonConfig.index, getIndexByCode]);
+
+  const paneA = { scenario, period, index };
+  const paneB = comparisonConfig;
+
+  // Values are only directly comparable (difference, shared legend) for the same index
+  const sameIndex = index === comparisonConfig.index;
+
+  // Both panes combined, so side-by-side maps of the same index share one colour scale
+  const mergedGeojson = useMemo(() => {
+    if (!sameIndex || !geojsonA || !geojsonB) return null;
+    return {
+      type: 'FeatureCollection',
+      features: [...geojsonA.features, ...geojsonB.features],
+    };
+  }, [sameIndex, geojsonA, geojsonB]);
+
+  const sharedColorScale = useMemo(() => {
+    if (!mergedGeojson || !indexMetadata) return null;
+    return getColorScale(indexMetadata, extractValuesFromGeoJSON(mergedGeojson), getColorScaleOptions(index));
+  }, [mergedGeojson, indexMetadata, index, getColorScaleOptions]);
+
+  // Pane scales for image export (the layers compute the same scales)
+  const colorScaleA = useMemo(() => {
+    if (sharedColorScale) return sharedColorScale;
+    if (!geojsonA || !indexMetadata) return null;
+    return getColorScale(indexMetadata, extractValuesFromGeoJSON(geojsonA), getColorScaleOptions(indexMetadata.code));
+  }, [sharedColorScale, geojsonA, indexMetadata, getColorScaleOptions]);
+
+  const colorScaleB = useMemo(() => {
+    if (sharedColorScale) return sharedColorScale;
+    if (!geojsonB || !indexMetadataB) return null;
+    return getColorScale(indexMetadataB, extractValuesFromGeoJSON(geojsonB), getColorScaleOptions(indexMetadataB.code));
+  }, [sharedColorScale, geojsonB, indexMetadataB, getColorScaleOptions]);
+
   if (!comparisonMode) {
     return null;
   }
 
+  // Swipe layouts export both panes side by side at the swipe map's extent
+  const exportPanes = [
+    {
+      map: comparisonLayout === 'swipe' ? swipeMap : mapA,
+      geojson: geojsonA,
+      colorScale: colorScaleA,
+      indexMetadata,
+      label: `A: ${formatComparisonPane(paneA)}`,
+    },
+    {
+      map: comparisonLayout === 'swipe' ? swipeMap : mapB,
+      geojson: geojsonB,
+      colorScale: colorScaleB,
+      indexMetadata: indexMetadataB,
+      label: `B: ${formatComparisonPane(paneB)}`,
+    },
+  ];
+  const exportTitleLines = [
+    sameIndex && indexMetadata
+      ? `${indexMetadata.code?.toUpperCase()} - ${indexMetadata.name}`
+      : `${index.toUpperCase()} vs ${comparisonConfig.index.toUpperCase()}`,
+    'Anomalies vs 1995-2014 baseline',
+  ];
+
+  if (comparisonLayout === 'swipe') {
+    return (
+      <div className="w-full h-full relative">
+        <SwipeMap
+          geojsonA={geojsonA}
+          geojsonB={geojsonB}
+          loading={loadingA || loadingB}
+          indexMetadataA={indexMetadata}
+          indexMetadataB={indexMetadataB}
+          paneA={paneA}
+          paneB={paneB}
+          onMunicipalityClick={(municipality, pane) => {
+            setSelectedMunicipality(municipality);
+            setActivePane(pane);
+          }}
+          selectedMunicipalityId={selectedMunicipality?.id}
+          searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+          setMapInstance={setSwipeMap}
+        />
+
+        {selectedMunicipality && geojsonA && geojsonB && (
+          <ComparisonInfoPanel
+            municipality={selectedMunicipality}
+            geojsonA={geojsonA}
+            geojsonB={geojsonB}
+            indexMetadataA={indexMetadata}
+            indexMetadataB={indexMetadataB}
+            paneA={paneA}
+            paneB={paneB}
+            activePane={activePane}
+            belowPaneLabel
+            onClose={() => setSelectedMunicipality(null)}
+          />
+        )}
+
+        <MapExport
+          panes={exportPanes}
+          titleLines={exportTitleLines}
+          filenameParts={[index, 'vs', comparisonConfig.index, 'swipe']}
+        />
+      </div>
+    );
+  }
+
+  if (comparisonLayout === 'difference' && sameIndex) {
+    return (
+      <div className="w-full h-full relative">
+        <DifferenceMap
+          geojsonA={geojsonA}
+          geojsonB={geojsonB}
+          loading={loadingA || loadingB}
+          indexMetadata={indexMetadata}
+          paneA={paneA}
+          paneB={paneB}
+          differenceType={differenceType}
+          onMunicipalityClick={setSelectedMunicipality}
+          selectedMunicipalityId={selectedMunicipality?.id}
+          searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+          map={differenceMap}
+          setMapInstance={setDifferenceMap}
+        />
+
+        {selectedMunicipality && geojsonA && geojsonB && (
+          <ComparisonInfoPanel
+            municipality={selectedMunicipality}
+            geojsonA={geojsonA}
+            geojsonB={geojsonB}
+            indexMetadataA={indexMetadata}
+            indexMetadataB={indexMetadataB}
+            paneA={paneA}
+            paneB={paneB}
+            onClose={() => setSelectedMunicipality(null)}
+          />
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="w-full h-full flex">
-      {/* Left Map - Scenario A */}
+      {/* Left Map - Pane A */}
       <div className="flex-1 relative border-r-2 border-gray-300">
-        {/* Scenario A Label */}
+        {/* Pane A Label */}
         <div className="absolute top-4 left-16 z-1000 bg-white rounded-lg shadow-md px-3 py-2">
           <div className="flex items-center gap-2">
-            <h3 className="text-sm font-bold text-gray-800">Scenario A</h3>
+            <h3 className="text-sm font-bold text-gray-800">Pane A</h3>
+            <span className="text-[11px] text-gray-600">{formatComparisonPane(paneA)}</span>
             {loadingA && (
               <svg
                 className="animate-spin h-4 w-4 text-primary-500"
@@ -177,19 +316,26 @@ const ComparisonView = ({ onMapsReady, searchHighlightedMunicipalityId = null })
               onMunicipalityClick={setSelectedMunicipality}
               selectedMunicipalityId={selectedMunicipality?.id}
               searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+              sharedColorScale={sharedColorScale}
             />
           )}
           <MapInitializer setMapInstance={setMapA} />
           <MapSync otherMap={mapB} />
         </MapContainer>
+
+        {/* Pane legend when indices differ */}
+        {!sameIndex && indexMetadata && geojsonA && (
+          <PaneLegend indexMetadata={indexMetadata} geojsonData={geojsonA} />
+        )}
       </div>
 
-      {/* Right Map - Scenario B */}
+      {/* Right Map - Pane B */}
       <div className="flex-1 relative">
-        {/* Scenario B Label */}
+        {/* Pane B Label */}
         <div className="absolute top-4 left-16 z-1000 bg-white rounded-lg shadow-md px-3 py-2">
           <div className="flex items-center gap-2">
-            <h3 className="text-sm font-bold text-gray-800">Scenario B</h3>
+            <h3 className="text-sm font-bold text-gray-800">Pane B</h3>
+            <span className="text-[11px] text-gray-600">{formatComparisonPane(paneB)}</span>
             {loadingB && (
               <svg
                 className="animate-spin h-4 w-4 text-primary-500"
@@ -233,24 +379,30 @@ const ComparisonView = ({ onMapsReady, searchHighlightedMunicipalityId = null })
           {geojsonB && (
             <ComparisonClimateLayer
               geojsonData={geojsonB}
-              indexMetadata={indexMetadata}
+              indexMetadata={indexMetadataB}
               onMunicipalityClick={setSelectedMunicipality}
               selectedMunicipalityId={selectedMunicipality?.id}
               searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+              sharedColorScale={sharedColorScale}
             />
           )}
           <MapInitializer setMapInstance={setMapB} />
           <MapSync otherMap={mapA} />
         </MapContainer>
+
+        {/* Pane legend when indices differ */}
+        {!sameIndex && indexMetadataB && geojsonB && (
+          <PaneLegend indexMetadata={indexMetadataB} geojsonData={geojsonB} />
+        )}
       </div>
 
-      {/* Unified Legend at Bottom Center */}
-      {indexMetadata && (geojsonA || geojsonB) && (
+      {/* Unified Legend at Bottom Center (same index in both panes) */}
+      {sameIndex && indexMetadata && (geojsonA || geojsonB) && (
         <UnifiedComparisonLegend
           indexMetadata={indexMetadata}
-          geojsonData={geojsonA || geojsonB}
-          scenarioA={scenario}
-          scenarioB={comparisonScenario}
+          geojsonData={mergedGeojson || geojsonA || geojsonB}
+          paneA={paneA}
+          paneB={paneB}
         />
       )}
 
@@ -260,12 +412,19 @@ const ComparisonView = ({ onMapsReady, searchHighlightedMunicipalityId = null })
           municipality={selectedMunicipality}
           geojsonA={geojsonA}
           geojsonB={geojsonB}
-          indexMetadata={indexMetadata}
-          scenarioA={scenario}
-          scenarioB={comparisonScenario}
+          indexMetadataA={indexMetadata}
+          indexMetadataB={indexMetadataB}
+          paneA={paneA}
+          paneB={paneB}
           onClose={() => setSelectedMunicipality(null)}
         />
       )}
+
+      <MapExport
+        panes={exportPanes}
+        titleLines={exportTitleLines}
+        filenameParts={[index, 'vs', comparisonConfig.index]}
+      />
     </div>
   );
 };
@@ -273,16 +432,28 @@ const ComparisonView = ({ onMapsReady, searchHighlightedMunicipalityId = null })
 /**
  * ComparisonClimateLayer - Renders GeoJSON for comparison view
  * Similar to ClimateLayer but accepts data/metadata as props
+ * An optional sharedColorScale replaces the scale derived from this layer's data,
+ * and an optional Leaflet pane name places the layer in its own pane (swipe layout)
  */
-const ComparisonClimateLayer = ({ geojsonData, indexMetadata, onMunicipalityClick, selectedMunicipalityId, searchHighlightedMunicipalityId = null }) => {
+const ComparisonClimateLayer = ({
+  geojsonData,
+  indexMetadata,
+  onMunicipalityClick,
+  selectedMunicipalityId,
+  searchHighlightedMunicipalityId = null,
+  sharedColorScale = null,
+  pane,
+}) => {
+  const { getColorScaleOptions } = useClimate();
   const [hoveredMunicipalityId, setHoveredMunicipalityId] = useState(null);
 
   // Create color scale from data
   const colorScale = useMemo(() => {
+    if (sharedColorScale) return sharedColorScale;
     if (!geojsonData || !indexMetadata) return null;
     const values = extractValuesFromGeoJSON(geojsonData);
-    return getColorScale(indexMetadata, values);
-  }, [geojsonData, indexMetadata]);
+    return getColorScale(indexMetadata, values, getColorScaleOptions(indexMetadata.code));
+  }, [geojsonData, indexMetadata, sharedColorScale, getColorScaleOptions]);
 
   // Style function for each municipality feature
   const styleFeature = (feature) => {
@@ -409,8 +580,9 @@ const ComparisonClimateLayer = ({ geojsonData, indexMetadata, onMunicipalityClic
   const key = useMemo(() => {
     if (!geojsonData) return 'empty';
     const firstFeature = geojsonData.features?.[0]?.properties;
-    return `${firstFeature?.scenario}-${firstFeature?.period}-${firstFeature?.index_code}-${selectedMunicipalityId || 'none'}-${searchHighlightedMunicipalityId || 'none'}`;
-  }, [geojsonData, selectedMunicipalityId, searchHighlightedMunicipalityId]);
+    const domain = colorScale ? colorScale.domain().join(',') : 'none';
+    return `${firstFeature?.scenario}-${firstFeature?.period}-${firstFeature?.index_code}-${domain}-${selectedMunicipalityId || 'none'}-${searchHighlightedMunicipalityId || 'none'}`;
+  }, [geojsonData, colorScale, selectedMunicipalityId, searchHighlightedMunicipalityId]);
 
   if (!geojsonData || !geojsonData.features || geojsonData.features.length === 0) {
     return null;
@@ -422,15 +594,17 @@ const ComparisonClimateLayer = ({ geojsonData, indexMetadata, onMunicipalityClic
       data={geojsonData}
       style={styleFeature}
       onEachFeature={onEachFeature}
+      {...(pane ? { pane } : {})}
     />
   );
 };
 
 /**
  * ComparisonInfoPanel - Shows side-by-side comparison for selected municipality
+ * Sits below the "Pane B" label of the swipe layout when belowPaneLabel is set
  */
-const ComparisonInfoPanel = ({ municipality, geojsonA, geojsonB, indexMetadata, scenarioA, scenarioB, onClose }) => {
-  // Find municipality data in both scenarios
+const ComparisonInfoPanel = ({ municipality, geojsonA, geojsonB, indexMetadataA, indexMetadataB, paneA, paneB, activePane = null, belowPaneLabel = false, onClose }) => {
+  // Find municipality data in both panes
   const dataA = useMemo(() => {
     if (!geojsonA || !municipality) return null;
     const feature = geojsonA.features?.find(f => f.properties.id === municipality.id);
@@ -447,11 +621,12 @@ const ComparisonInfoPanel = ({ municipality, geojsonA, geojsonB, indexMetadata,
 
   const valueA = dataA.value;
   const valueB = dataB.value;
-  const difference = valueB - valueA;
-  const percentChange = valueA !== 0 ? ((difference / Math.abs(valueA)) * 100) : 0;
+  const sameIndex = paneA.index === paneB.index;
+  const difference = calculateDifference(valueA, valueB, 'absolute') ?? 0;
+  const percentChange = calculateDifference(valueA, valueB, 'percent');
 
   return (
-    <div className="absolute top-4 right-4 bg-white rounded-lg shadow-lg border border-gray-300 p-4 z-1000 max-w-sm">
+    <div className={`absolute ${belowPaneLabel ? 'top-16' : 'top-4'} right-4 bg-white rounded-lg shadow-lg border border-gray-300 p-4 z-1000 max-w-sm`}>
       {/* Header */}
       <div className="flex items-start justify-between mb-3">
         <div>
@@ -471,62 +646,71 @@ const ComparisonInfoPanel = ({ municipality, geojsonA, geojsonB, indexMetadata,
         </button>
       </div>
 
-      {/* Index Name */}
+      {/* Index Name(s) */}
       <div className="mb-3 pb-3 border-b border-gray-200">
         <p className="text-xs font-semibold text-gray-700">
-          {indexMetadata?.code?.toUpperCase()} - {indexMetadata?.name}
+          {indexMetadataA?.code?.toUpperCase()} - {indexMetadataA?.name}
         </p>
+        {!sameIndex && (
+          <p className="text-xs font-semibold text-gray-700">
+            vs {indexMetadataB?.code?.toUpperCase()} - {indexMetadataB?.name}
+          </p>
+        )}
       </div>
 
       {/* Side-by-side Comparison */}
       <div className="grid grid-cols-2 gap-3 mb-3">
-        {/* Scenario A */}
-        <div className="bg-blue-50 rounded-lg p-3 border border-blue-200">
-          <div className="text-xs font-semibold text-blue-800 mb-1">Scenario A</div>
-          <div className="text-[10px] text-blue-600 mb-2">{formatScenario(scenarioA).fullLabel}</div>
+        {/* Pane A */}
+        <div className={`bg-blue-50 rounded-lg p-3 border border-blue-200 ${activePane === 'a' ? 'ring-2 ring-blue-500' : ''}`}>
+          <div className="text-xs font-semibold text-blue-800 mb-1">Pane A{activePane === 'a' ? ' (clicked)' : ''}</div>
+          <div className="text-[10px] text-blue-600 mb-2">{formatComparisonPane(paneA)}</div>
           <div className="text-lg font-bold text-blue-900">
             {valueA?.toFixed(3)}
           </div>
-          {indexMetadata?.unit && (
-            <div className="text-[10px] text-blue-600 mt-1">{indexMetadata.unit}</div>
+          {indexMetadataA?.unit && (
+            <div className="text-[10px] text-blue-600 mt-1">{indexMetadataA.unit}</div>
           )}
         </div>
 
-        {/* Scenario B */}
-        <div className="bg-purple-50 rounded-lg p-3 border border-purple-200">
-          <div className="text-xs font-semibold text-purple-800 mb-1">Scenario B</div>
-          <div className="text-[10px] text-purple-600 mb-2">{formatScenario(scenarioB).fullLabel}</div>
+        {/* Pane B */}
+        <div className={`bg-purple-50 rounded-lg p-3 border border-purple-200 ${activePane === 'b' ? 'ring-2 ring-purple-500' : ''}`}>
+          <div className="text-xs font-semibold text-purple-800 mb-1">Pane B{activePane === 'b' ? ' (clicked)' : ''}</div>
+          <div className="text-[10px] text-purple-600 mb-2">{formatComparisonPane(paneB)}</div>
           <div className="text-lg font-bold text-purple-900">
             {valueB?.toFixed(3)}
           </div>
-          {indexMetadata?.unit && (
-            <div className="text-[10px] text-purple-600 mt-1">{indexMetadata.unit}</div>
+          {indexMetadataB?.unit && (
+            <div className="text-[10px] text-purple-600 mt-1">{indexMetadataB.unit}</div>
           )}
         </div>
       </div>
 
-      {/* Difference */}
-      <div className="bg-gray-50 rounded-lg p-3 border border-gray-200">
-        <div className="flex items-center justify-between">
-          <div>
-            <div className="text-xs font-semibold text-gray-700">Difference (B - A)</div>
-            <div className={`text-base font-bold ${
-              difference > 0 ? 'text-red-600' : difference < 0 ? 'text-blue-600' : 'text-gray-600'
-            }`}>
-              {difference > 0 ? '+' : ''}{difference.toFixed(3)}
-              {indexMetadata?.unit && ` ${indexMetadata.unit}`}
+      {/* Difference (only meaningful for the same index) */}
+      {sameIndex && (
+        <div className="bg-gray-50 rounded-lg p-3 border border-gray-200">
+          <div className="flex items-center justify-between">
+            <div>
+              <div className="text-xs font-semibold text-gray-700">Difference (B - A)</div>
+              <div className={`text-base font-bold ${
+                difference > 0 ? 'text-red-600' : difference < 0 ? 'text-blue-600' : 'text-gray-600'
+              }`}>
+                {difference > 0 ? '+' : ''}{difference.toFixed(3)}
+                {indexMetadataA?.unit && ` ${indexMetadataA.unit}`}
+              </div>
             </div>
-          </div>
-          <div className="text-right">
-            <div className="text-xs text-gray-600">Change</div>
-            <div className={`text-sm font-semibold ${
-              percentChange > 0 ? 'text-red-600' : percentChange < 0 ? 'text-blue-600' : 'text-gray-600'
-            }`}>
-              {percentChange > 0 ? '+' : ''}{percentChange.toFixed(1)}%
+            <div className="text-right">
+              <div className="text-xs text-gray-600">Change</div>
+              <div className={`text-sm font-semibold ${
+                percentChange > 0 ? 'text-red-600' : percentChange < 0 ? 'text-blue-600' : 'text-gray-600'
+              }`}>
+                {percentChange !== null
+                  ? `${percentChange > 0 ? '+' : ''}${percentChange.toFixed(1)}%`
+                  : 'N/A'}
+              </div>
             </div>
           </div>
         </div>
-      </div>
+      )}
 
       {/* Municipality Details */}
       <div className="mt-3 pt-3 border-t border-gray-200">
@@ -545,25 +729,26 @@ const ComparisonInfoPanel = ({ municipality, geojsonA, geojsonB, indexMetadata,
 
 /**
  * UnifiedComparisonLegend - Single legend for both comparison maps
- * Positioned at bottom-center, shows both scenario names
+ * Positioned at bottom-center, shows both pane configurations
  */
-const UnifiedComparisonLegend = ({ indexMetadata, geojsonData, scenarioA, scenarioB }) => {
+const UnifiedComparisonLegend = ({ indexMetadata, geojsonData, paneA, paneB }) => {
+  const { getColorScaleOptions } = useClimate();
+
   // Extract values and create color scale
-  const { colorScale, values, stats } = useMemo(() => {
+  const { colorScale, stats } = useMemo(() => {
     if (!geojsonData || !indexMetadata) {
-      return { colorScale: null, values: [], stats: null };
+      return { colorScale: null, stats: null };
     }
 
     const vals = extractValuesFromGeoJSON(geojsonData);
-    const scale = getColorScale(indexMetadata, vals);
+    const scale = getColorScale(indexMetadata, vals, getColorScaleOptions(indexMetadata.code));
     const statistics = calculateStatistics(vals);
 
     return {
       colorScale: scale,
-      values: vals,
       stats: statistics,
     };
-  }, [geojsonData, indexMetadata]);
+  }, [geojsonData, indexMetadata, getColorScaleOptions]);
 
   // Generate legend items
   const legendItems = useMemo(() => {
@@ -586,15 +771,19 @@ const UnifiedComparisonLegend = ({ indexMetadata, geojsonData, scenarioA, scenar
       {/* Legend Header - Comparison Title */}
       <div className="mb-2">
         <h3 className="text-xs font-bold text-gray-800 text-center mb-1">
-          Comparing Scenarios
+          {paneA.scenario !== paneB.scenario && paneA.period === paneB.period
+            ? 'Comparing Scenarios'
+            : paneA.period !== paneB.period && paneA.scenario === paneB.scenario
+              ? 'Comparing Periods'
+              : 'Comparing Views'}
         </h3>
         <div className="flex items-center justify-center gap-2 mb-2 text-[10px]">
           <span className="px-2 py-0.5 bg-blue-100 text-blue-800 rounded font-medium">
-            A: {formatScenario(scenarioA).fullLabel}
+            A: {formatComparisonPane(paneA)}
           </span>
           <span className="text-gray-400">vs</span>
           <span className="px-2 py-0.5 bg-purple-100 text-purple-800 rounded font-medium">
-            B: {formatScenario(scenarioB).fullLabel}
+            B: {formatComparisonPane(paneB)}
           </span>
         </div>
 
@@ -690,12 +879,659 @@ const UnifiedComparisonLegend = ({ indexMetadata, geojsonData, scenarioA, scenar
           </div>
         </div>
       )}
+
+      {/* Classification, scale lock and custom range */}
+      <ClassificationControls />
+      <ScaleControls indexCode={indexMetadata.code} />
+    </div>
+  );
+};
+
+/**
+ * SwipeMap - Both panes stacked on one map with a draggable vertical divider
+ * Pane A is revealed left of the divider, pane B right of it. Each layer lives in its
+ * own Leaflet pane clipped at the divider, so clicks and popups come from the visible side.
+ * With the same index in both panes the layers share one colour scale.
+ */
+const SwipeMap = ({
+  geojsonA,
+  geojsonB,
+  loading,
+  indexMetadataA,
+  indexMetadataB,
+  paneA,
+  paneB,
+  onMunicipalityClick,
+  selectedMunicipalityId,
+  searchHighlightedMunicipalityId = null,
+  setMapInstance,
+}) => {
+  const { getColorScaleOptions } = useClimate();
+  const containerRef = useRef(null);
+  // Divider position as a fraction of the map width
+  const [position, setPosition] = useState(0.5);
+
+  const sameIndex = paneA.index === paneB.index;
+
+  // Both datasets combined, for the shared scale and legend statistics
+  const mergedGeojson = useMemo(() => {
+    if (!sameIndex || !geojsonA || !geojsonB) return null;
+    return {
+      type: 'FeatureCollection',
+      features: [...geojsonA.features, ...geojsonB.features],
+    };
+  }, [sameIndex, geojsonA, geojsonB]);
+
+  const sharedColorScale = useMemo(() => {
+    if (!mergedGeojson || !indexMetadataA) return null;
+    return getColorScale(
+      indexMetadataA,
+      extractValuesFromGeoJSON(mergedGeojson),
+      getColorScaleOptions(indexMetadataA.code)
+    );
+  }, [mergedGeojson, indexMetadataA, getColorScaleOptions]);
+
+  const handleClickA = useCallback((municipality) => onMunicipalityClick(municipality, 'a'), [onMunicipalityClick]);
+  const handleClickB = useCallback((municipality) => onMunicipalityClick(municipality, 'b'), [onMunicipalityClick]);
+
+  // Drag the divider with mouse, pen or touch
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+
+    const onMove = (event) => {
+      const rect = containerRef.current?.getBoundingClientRect();
+      if (!rect) return;
+      setPosition(Math.min(0.98, Math.max(0.02, (event.clientX - rect.left) / rect.width)));
+    };
+    const onUp = () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+    };
+
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+  };
+
+  // Keyboard support for the divider handle
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowLeft') setPosition(p => Math.max(0.02, p - 0.05));
+    if (e.key === 'ArrowRight') setPosition(p => Math.min(0.98, p + 0.05));
+  };
+
+  return (
+    <div ref={containerRef} className="w-full h-full relative">
+      {/* Pane labels */}
+      <div className="absolute top-4 left-16 z-1000 bg-white rounded-lg shadow-md px-3 py-2">
+        <div className="flex items-center gap-2">
+          <h3 className="text-sm font-bold text-gray-800">◀ Pane A</h3>
+          <span className="text-[11px] text-gray-600">{formatComparisonPane(paneA)}</span>
+          {loading && (
+            <svg
+              className="animate-spin h-4 w-4 text-primary-500"
+              xmlns="http://www.w3.org/2000/svg"
+              fill="none"
+              viewBox="0 0 24 24"
+            >
+              <circle
+                className="opacity-25"
+                cx="12"
+                cy="12"
+                r="10"
+                stroke="currentColor"
+                strokeWidth="4"
+              />
+              <path
+                className="opacity-75"
+                fill="currentColor"
+                d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+              />
+            </svg>
+          )}
+        </div>
+      </div>
+      <div className="absolute top-4 right-4 z-1000 bg-white rounded-lg shadow-md px-3 py-2">
+        <div className="flex items-center gap-2">
+          <span className="text-[11px] text-gray-600">{formatComparisonPane(paneB)}</span>
+          <h3 className="text-sm font-bold text-gray-800">Pane B ▶</h3>
+        </div>
+      </div>
+
+      <MapContainer
+        center={MAP_CONFIG.center}
+        zoom={MAP_CONFIG.zoom}
+        minZoom={MAP_CONFIG.minZoom}
+        maxZoom={MAP_CONFIG.maxZoom}
+        style={{ width: '100%', height: '100%' }}
+        zoomControl={true}
+        attributionControl={false}
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          maxZoom={19}
+        />
+        <Pane name="swipe-a" style={{ zIndex: 410 }}>
+          {geojsonA && (
+            <ComparisonClimateLayer
+              geojsonData={geojsonA}
+              indexMetadata={indexMetadataA}
+              onMunicipalityClick={handleClickA}
+              selectedMunicipalityId={selectedMunicipalityId}
+              searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+              sharedColorScale={sharedColorScale}
+              pane="swipe-a"
+            />
+          )}
+        </Pane>
+        <Pane name="swipe-b" style={{ zIndex: 420 }}>
+          {geojsonB && (
+            <ComparisonClimateLayer
+              geojsonData={geojsonB}
+              indexMetadata={indexMetadataB}
+              onMunicipalityClick={handleClickB}
+              selectedMunicipalityId={selectedMunicipalityId}
+              searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+              sharedColorScale={sharedColorScale}
+              pane="swipe-b"
+            />
+          )}
+        </Pane>
+        <SwipeClip position={position} />
+        <MapInitializer setMapInstance={setMapInstance} />
+      </MapContainer>
+
+      {/* Divider */}
+      <div
+        className="absolute top-0 bottom-0 z-1000 pointer-events-none"
+        style={{ left: `${position * 100}%`, width: 0 }}
+      >
+        <div className="absolute top-0 bottom-0 bg-white shadow" style={{ width: 3, left: -1.5 }} />
+        <div
+          role="slider"
+          tabIndex={0}
+          aria-label="Swipe divider"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(position * 100)}
+          onPointerDown={handlePointerDown}
+          onKeyDown={handleKeyDown}
+          className="absolute top-1/2 pointer-events-auto bg-white rounded-full shadow-md border border-gray-300 flex items-center justify-center text-gray-600 text-xs cursor-ew-resize select-none"
+          style={{ width: 32, height: 32, left: -16, marginTop: -16, touchAction: 'none' }}
+        >
+          ⇔
+        </div>
+      </div>
+
+      {/* Legends */}
+      {sameIndex && indexMetadataA && mergedGeojson && (
+        <UnifiedComparisonLegend
+          indexMetadata={indexMetadataA}
+          geojsonData={mergedGeojson}
+          paneA={paneA}
+          paneB={paneB}
+        />
+      )}
+      {!sameIndex && indexMetadataA && geojsonA && (
+        <PaneLegend indexMetadata={indexMetadataA} geojsonData={geojsonA} positionClass="bottom-4 left-4" />
+      )}
+      {!sameIndex && indexMetadataB && geojsonB && (
+        <PaneLegend indexMetadata={indexMetadataB} geojsonData={geojsonB} />
+      )}
+    </div>
+  );
+};
+
+/**
+ * SwipeClip - Clips the swipe panes at the divider
+ * Clip paths are in layer coordinates, so they are recomputed whenever the map moves
+ */
+const SwipeClip = ({ position }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    const updateClip = () => {
+      const paneA = map.getPane('swipe-a');
+      const paneB = map.getPane('swipe-b');
+      if (!paneA || !paneB) return;
+
+      const size = map.getSize();
+      const nw = map.containerPointToLayerPoint([0, 0]);
+      const se = map.containerPointToLayerPoint(size);
+      const clipX = nw.x + size.x * position;
+
+      paneA.style.clipPath = `polygon(${nw.x}px ${nw.y}px, ${clipX}px ${nw.y}px, ${clipX}px ${se.y}px, ${nw.x}px ${se.y}px)`;
+      paneB.style.clipPath = `polygon(${clipX}px ${nw.y}px, ${se.x}px ${nw.y}px, ${se.x}px ${se.y}px, ${clipX}px ${se.y}px)`;
+    };
+
+    updateClip();
+    // Panes may be created after this effect on first render
+    const frame = requestAnimationFrame(updateClip);
+    map.on('move zoomend resize', updateClip);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      map.off('move zoomend resize', updateClip);
+    };
+  }, [map, position]);
+
+  return null;
+};
+
+/**
+ * PaneLegend - Compact legend inside one pane
+ * Used when the two panes show different indices and cannot share a legend
+ */
+const PaneLegend = ({ indexMetadata, geojsonData, positionClass = 'bottom-4 right-4' }) => {
+  const { getColorScaleOptions } = useClimate();
+
+  const legendItems = useMemo(() => {
+    const values = extractValuesFromGeoJSON(geojsonData);
+    const scale = getColorScale(indexMetadata, values, getColorScaleOptions(indexMetadata.code));
+    return generateLegendItems(scale, 7, values);
+  }, [indexMetadata, geojsonData, getColorScaleOptions]);
+
+  const interpretationLabels = useMemo(() => {
+    if (!indexMetadata?.anomaly_direction) return null;
+    return getInterpretationLabels(indexMetadata.anomaly_direction);
+  }, [indexMetadata]);
+
+  return (
+    <div className={`absolute ${positionClass} bg-white rounded-lg shadow-md border border-gray-300 p-2 z-1000 max-w-[200px]`}>
+      <h4 className="text-[11px] font-semibold text-gray-700 mb-1">
+        {indexMetadata.code?.toUpperCase()} - {indexMetadata.name}
+      </h4>
+      {indexMetadata.unit && (
+        <p className="text-[10px] text-gray-500 mb-1">
+          Unit: {indexMetadata.unit}
+        </p>
+      )}
+      <div className="flex flex-col gap-0.5">
+        {legendItems.map((item, idx) => (
+          <div key={idx} className="flex items-center gap-1.5">
+            <div
+              className="w-5 h-2.5 rounded border border-gray-300"
+              style={{ backgroundColor: item.color }}
+            />
+            <span className="text-[10px] text-gray-600 font-mono">
+              {item.label}
+            </span>
+            {item.count !== undefined && (
+              <span className="text-[10px] text-gray-400 ml-auto pl-1">
+                ({item.count})
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+      {interpretationLabels && (
+        <p className="text-[10px] text-gray-500 mt-1">
+          +: {interpretationLabels.positive} · -: {interpretationLabels.negative}
+        </p>
+      )}
+      <ScaleControls indexCode={indexMetadata.code} />
+    </div>
+  );
+};
+
+/**
+ * DifferenceMap - Single choropleth of B - A for all municipalities
+ * Uses a diverging scale centred at zero built from the difference values,
+ * with the index's color_scheme so colours keep their "worse/better" meaning
+ */
+const DifferenceMap = ({
+  geojsonA,
+  geojsonB,
+  loading,
+  indexMetadata,
+  paneA,
+  paneB,
+  differenceType,
+  onMunicipalityClick,
+  selectedMunicipalityId,
+  searchHighlightedMunicipalityId = null,
+  map,
+  setMapInstance,
+}) => {
+  const { getColorScaleOptions } = useClimate();
+
+  // Compute B - A for every municipality
+  const differenceGeojson = useMemo(() => {
+    return computeDifferenceGeoJSON(geojsonA, geojsonB, differenceType);
+  }, [geojsonA, geojsonB, differenceType]);
+
+  // Differences have their own range: the scale lock and custom range apply to pane values only
+  const colorScale = useMemo(() => {
+    if (!differenceGeojson || !indexMetadata) return null;
+    const values = extractValuesFromGeoJSON(differenceGeojson);
+    return getColorScale(indexMetadata, values, { palette: getColorScaleOptions(indexMetadata.code).palette });
+  }, [differenceGeojson, indexMetadata, getColorScaleOptions]);
+
+  const unit = differenceType === 'percent' ? '%' : indexMetadata?.unit;
+
+  return (
+    <>
+      {/* Difference Label */}
+      <div className="absolute top-4 left-16 z-1000 bg-white rounded-lg shadow-md px-3 py-2">
+        <div className="flex items-center gap-2">
+          <h3 className="text-sm font-bold text-gray-800">
+            Difference (B − A){differenceType === 'percent' ? ' %' : ''}
+          </h3>
+          {loading && (
+            <svg
+              className="animate-spin h-4 w-4 text-primary-500"
+              xmlns="http://www.w3.org/2000/svg"
+              fill="none"
+              viewBox="0 0 24 24"
+            >
+              <circle
+                className="opacity-25"
+                cx="12"
+                cy="12"
+                r="10"
+                stroke="currentColor"
+                strokeWidth="4"
+              />
+              <path
+                className="opacity-75"
+                fill="currentColor"
+                d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+              />
+            </svg>
+          )}
+        </div>
+      </div>
+
+      <MapContainer
+        center={MAP_CONFIG.center}
+        zoom={MAP_CONFIG.zoom}
+        minZoom={MAP_CONFIG.minZoom}
+        maxZoom={MAP_CONFIG.maxZoom}
+        style={{ width: '100%', height: '100%' }}
+        zoomControl={true}
+        attributionControl={false}
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          maxZoom={19}
+        />
+        {differenceGeojson && (
+          <DifferenceLayer
+            geojsonData={differenceGeojson}
+            colorScale={colorScale}
+            indexMetadata={indexMetadata}
+            paneA={paneA}
+            paneB={paneB}
+            unit={unit}
+            differenceType={differenceType}
+            onMunicipalityClick={onMunicipalityClick}
+            selectedMunicipalityId={selectedMunicipalityId}
+            searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+          />
+        )}
+        <MapInitializer setMapInstance={setMapInstance} />
+      </MapContainer>
+
+      {indexMetadata && colorScale && differenceGeojson && (
+        <DifferenceLegend
+          indexMetadata={indexMetadata}
+          colorScale={colorScale}
+          geojsonData={differenceGeojson}
+          paneA={paneA}
+          paneB={paneB}
+          unit={unit}
+          differenceType={differenceType}
+        />
+      )}
+
+      <MapExport
+        panes={[{ map, geojson: differenceGeojson, colorScale, indexMetadata, unit, label: 'B − A' }]}
+        titleLines={[
+          `${indexMetadata?.code?.toUpperCase()} - ${indexMetadata?.name}: difference (B − A)${differenceType === 'percent' ? ' %' : ''}`,
+          `A: ${formatComparisonPane(paneA)}   B: ${formatComparisonPane(paneB)}`,
+        ]}
+        filenameParts={[indexMetadata?.code, 'difference', differenceType]}
+      />
+    </>
+  );
+};
+
+/**
+ * DifferenceLayer - Renders the B - A GeoJSON with a precomputed color scale
+ */
+const DifferenceLayer = ({
+  geojsonData,
+  colorScale,
+  indexMetadata,
+  paneA,
+  paneB,
+  unit,
+  differenceType,
+  onMunicipalityClick,
+  selectedMunicipalityId,
+  searchHighlightedMunicipalityId = null,
+}) => {
+  const formatValue = (value, decimals) => (
+    value !== null && value !== undefined ? value.toFixed(decimals) : 'N/A'
+  );
+
+  // Style function for each municipality feature
+  const styleFeature = (feature) => {
+    const municipalityId = feature.properties.id;
+    const fillColor = colorScale
+      ? getColorForValue(feature.properties.value, colorScale)
+      : DEFAULT_STYLE.fillColor;
+
+    if (searchHighlightedMunicipalityId && searchHighlightedMunicipalityId !== municipalityId) {
+      return {
+        ...DEFAULT_STYLE,
+        fillColor: '#e5e7eb',
+        fillOpacity: 0.4,
+        color: '#d1d5db',
+        weight: 1,
+      };
+    }
+
+    if (selectedMunicipalityId === municipalityId) {
+      return {
+        weight: 3,
+        color: '#2563eb',
+        fillOpacity: 0.7,
+        fillColor,
+      };
+    }
+
+    return {
+      ...DEFAULT_STYLE,
+      fillColor,
+    };
+  };
+
+  const onEachFeature = (feature, layer) => {
+    const props = feature.properties;
+    const sign = props.value > 0 ? '+' : '';
+
+    const popupContent = `
+      <div style="min-width: 200px;">
+        <h3 style="margin: 0 0 8px 0; font-size: 16px; font-weight: bold;">
+          ${props.municipality_name}
+        </h3>
+        <div style="font-size: 13px; color: #666;">
+          <p style="margin: 4px 0;"><strong>Code:</strong> ${props.municipality_code}</p>
+          <p style="margin: 4px 0;"><strong>Province:</strong> ${props.province}</p>
+          <hr style="margin: 8px 0; border: none; border-top: 1px solid #ddd;" />
+          <p style="margin: 4px 0;"><strong>Index:</strong> ${props.index_code?.toUpperCase()}</p>
+          <p style="margin: 4px 0;"><strong>A (${formatComparisonPane(paneA)}):</strong> ${formatValue(props.value_a, 3)}</p>
+          <p style="margin: 4px 0;"><strong>B (${formatComparisonPane(paneB)}):</strong> ${formatValue(props.value_b, 3)}</p>
+          <p style="margin: 8px 0 4px 0; font-size: 14px;">
+            <strong>${differenceType === 'percent' ? 'Change' : 'Difference'} (B − A):</strong>
+            <span style="color: ${getColorForValue(props.value, colorScale)}; font-weight: bold;">
+              ${props.value !== null && props.value !== undefined ? `${sign}${formatValue(props.value, differenceType === 'percent' ? 1 : 3)}` : 'N/A'}
+            </span>
+            ${unit ? ` ${unit}` : ''}
+          </p>
+          ${indexMetadata?.interpretation ? `
+            <p style="margin: 4px 0; font-size: 12px; font-style: italic; color: #555;">
+              ${indexMetadata.interpretation}
+            </p>
+          ` : ''}
+        </div>
+      </div>
+    `;
+
+    layer.bindPopup(popupContent);
+
+    layer.on({
+      mouseover: () => {
+        layer.setStyle(HOVER_STYLE);
+      },
+      mouseout: () => {
+        layer.setStyle(styleFeature(feature));
+      },
+      click: () => {
+        if (onMunicipalityClick) {
+          onMunicipalityClick({
+            id: props.id,
+            name: props.municipality_name,
+            code: props.municipality_code,
+            province: props.province,
+            districtCode: props.district_code,
+            districtName: props.district_name,
+            centroidLat: props.centroid_lat,
+            centroidLon: props.centroid_lon,
+            areaKm2: props.area_km2,
+          });
+        }
+      },
+    });
+  };
+
+  // Force re-render when data or selection changes
+  const key = useMemo(() => {
+    const firstFeature = geojsonData.features?.[0]?.properties;
+    return `${firstFeature?.scenario}-${firstFeature?.scenario_b}-${firstFeature?.period}-${firstFeature?.period_b}-${firstFeature?.index_code}-${differenceType}-${selectedMunicipalityId || 'none'}-${searchHighlightedMunicipalityId || 'none'}`;
+  }, [geojsonData, differenceType, selectedMunicipalityId, searchHighlightedMunicipalityId]);
+
+  if (!geojsonData.features || geojsonData.features.length === 0) {
+    return null;
+  }
+
+  return (
+    <GeoJSON
+      key={key}
+      data={geojsonData}
+      style={styleFeature}
+      onEachFeature={onEachFeature}
+    />
+  );
+};
+
+/**
+ * DifferenceLegend - Diverging legend for the B - A map
+ * States explicitly which scenario is subtracted from which
+ */
+const DifferenceLegend = ({ indexMetadata, colorScale, geojsonData, paneA, paneB, unit, differenceType }) => {
+  const stats = useMemo(() => {
+    return calculateStatistics(extractValuesFromGeoJSON(geojsonData));
+  }, [geojsonData]);
+
+  const legendItems = useMemo(() => generateLegendItems(colorScale, 7), [colorScale]);
+
+  const interpretationLabels = useMemo(() => {
+    if (!indexMetadata?.anomaly_direction) return null;
+    return getInterpretationLabels(indexMetadata.anomaly_direction);
+  }, [indexMetadata]);
+
+  return (
+    <div className="absolute bottom-4 right-4 bg-white rounded-lg shadow-md border border-gray-300 p-3 z-1000 max-w-[260px]">
+      <div className="mb-2">
+        <h3 className="text-xs font-bold text-gray-800 mb-1">
+          {differenceType === 'percent' ? 'Relative change (%)' : 'Difference'}: B − A
+        </h3>
+        <p className="text-[10px] text-gray-600 mb-1.5">
+          <span className="px-1.5 py-0.5 bg-purple-100 text-purple-800 rounded font-medium">
+            {formatComparisonPane(paneB)}
+          </span>
+          {' '}minus{' '}
+          <span className="px-1.5 py-0.5 bg-blue-100 text-blue-800 rounded font-medium">
+            {formatComparisonPane(paneA)}
+          </span>
+        </p>
+        <h4 className="text-xs font-semibold text-gray-700">
+          {indexMetadata.code?.toUpperCase()} - {indexMetadata.name}
+        </h4>
+        {unit && (
+          <p className="text-[11px] text-gray-500 mt-1">
+            Unit: {unit}
+          </p>
+        )}
+      </div>
+
+      {/* Color Scale */}
+      <div className="mb-2">
+        <div className="flex flex-col gap-0.5">
+          {legendItems.map((item, idx) => (
+            <div key={idx} className="flex items-center gap-1.5">
+              <div
+                className="w-6 h-3 rounded border border-gray-300"
+                style={{ backgroundColor: item.color }}
+              />
+              <span className="text-[10px] text-gray-600 font-mono">
+                {item.value > 0 ? '+' : ''}{item.label}
+              </span>
+            </div>
+          ))}
+          <div className="flex items-center gap-1.5">
+            <div className="w-6 h-3 rounded border border-gray-300" style={{ backgroundColor: '#cccccc' }} />
+            <span className="text-[10px] text-gray-600">No data</span>
+          </div>
+        </div>
+      </div>
+
+      {/* Interpretation Labels - B higher/lower than A */}
+      {interpretationLabels && (
+        <div className="mb-2 pt-2 border-t border-gray-200">
+          <div className="text-[11px] space-y-0.5">
+            <div className="flex items-center gap-1.5">
+              <div className="w-2.5 h-2.5 rounded-full bg-red-500" />
+              <span className="text-gray-600">
+                +: B {interpretationLabels.positive.toLowerCase()} than A
+              </span>
+            </div>
+            <div className="flex items-center gap-1.5">
+              <div className="w-2.5 h-2.5 rounded-full bg-blue-500" />
+              <span className="text-gray-600">
+                -: B {interpretationLabels.negative.toLowerCase()} than A
+              </span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Statistics */}
+      <div className="pt-2 border-t border-gray-200">
+        <div className="grid grid-cols-2 gap-x-2 gap-y-0.5 text-[10px]">
+          <div className="text-gray-500">
+            Min: <span className="font-mono text-gray-700">{stats.min.toFixed(2)}</span>
+          </div>
+          <div className="text-gray-500">
+            Max: <span className="font-mono text-gray-700">{stats.max.toFixed(2)}</span>
+          </div>
+          <div className="text-gray-500">
+            Mean: <span className="font-mono text-gray-700">{stats.mean.toFixed(2)}</span>
+          </div>
+          <div className="text-gray-500">
+            Median: <span className="font-mono text-gray-700">{stats.median.toFixed(2)}</span>
+          </div>
+        </div>
+      </div>
     </div>
   );
 };
 
 /**
  * MapInitializer - Captures the map instance and passes it to parent
+ * Clears the instance on unmount so stale maps are not synced or zoomed
  */
 const MapInitializer = ({ setMapInstance }) => {
   const map = useMap();
@@ -704,6 +1540,7 @@ const MapInitializer = ({ setMapInstance }) => {
     if (map) {
       setMapInstance(map);
     }
+    return () => setMapInstance(null);
   }, [map, setMapInstance]);
 
   return null;
@@ -0,0 +1,537 @@
+import { useEffect, useState, useMemo, useRef, useCallback } from 'react';
+import { MapContainer, TileLayer, GeoJSON, useMap } from 'react-leaflet';
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { getClimateGeoJSONForIndexSettled } from '../../api/climateData';
+import {
+  getColorScale,
+  getColorForValue,
+  extractValuesFromGeoJSON,
+  generateLegendItems,
+  getInterpretationLabels,
+} from '../../utils/colorMapping';
+import ScaleControls from '../Legend/ScaleControls';
+import { MAP_CONFIG, SCENARIOS, PERIODS, SA_BOUNDS, formatScenario, formatPeriod, DEFAULT_STYLE, HOVER_STYLE } from '../../utils/constants';
+import 'leaflet/dist/leaflet.css';
+
+/**
+ * MatrixView - Small multiples of the current index
+ * Rows are SCENARIOS, columns are PERIODS (4 × 3 mini maps)
+ * All cells share one colour domain, pan/zoom together and highlight the same municipality
+ * A cell whose data fails to load shows its error; the other cells still load
+ */
+const MatrixView = ({ onMapsReady, searchHighlightedMunicipalityId = null }) => {
+  const { index, matrixMode, getColorScaleOptions } = useClimate();
+  const { getIndexByCode } = useIndices();
+
+  // GeoJSON and load error per cell, keyed by `${scenario}|${period}`
+  const [cells, setCells] = useState({});
+  const [cellErrors, setCellErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState({ loaded: 0, total: 0 });
+  const [error, setError] = useState(null);
+
+  // Municipality highlighted in every cell
+  const [selectedMunicipality, setSelectedMunicipality] = useState(null);
+
+  // Map instances per cell, for synchronisation and search zoom
+  const [maps, setMaps] = useState({});
+
+  // Shared flag so a sync triggered by one map is not echoed back by the others
+  const isSyncingRef = useRef(false);
+
+  const indexMetadata = useMemo(() => {
+    return getIndexByCode(index);
+  }, [index, getIndexByCode]);
+
+  // Fetch all scenario/period combinations for the current index
+  useEffect(() => {
+    if (!matrixMode) return;
+
+    let cancelled = false;
+
+    (async () => {
+      setLoading(true);
+      setError(null);
+      // Cells of the previous index must not show under the new one while loading
+      setCells({});
+      setCellErrors({});
+      setProgress({ loaded: 0, total: SCENARIOS.length * PERIODS.length });
+
+      try {
+        const results = await getClimateGeoJSONForIndexSettled(
+          index,
+          SCENARIOS.map(s => s.value),
+          PERIODS.map(p => p.value),
+          (loaded, total) => {
+            if (!cancelled) setProgress({ loaded, total });
+          }
+        );
+
+        if (!cancelled) {
+          const byCell = {};
+          const errorsByCell = {};
+          results.forEach(({ scenario, period, geojson, error: cellError }) => {
+            const cellKey = `${scenario}|${period}`;
+            if (cellError) {
+              console.error(`Error fetching matrix cell ${cellKey}:`, cellError);
+              errorsByCell[cellKey] = cellError.message || 'Failed to fetch climate data';
+            } else {
+              byCell[cellKey] = geojson;
+            }
+          });
+          setCells(byCell);
+          setCellErrors(errorsByCell);
+        }
+      } catch (err) {
+        console.error('Error fetching matrix data:', err);
+        if (!cancelled) setError(err.message || 'Failed to fetch climate data');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [matrixMode, index]);
+
+  // One colour scale across all twelve cells (a custom range from the legend still applies)
+  const colorScale = useMemo(() => {
+    if (!indexMetadata) return null;
+    const allValues = Object.values(cells).flatMap(geojson => extractValuesFromGeoJSON(geojson));
+    if (allValues.length === 0) return null;
+    return getColorScale(indexMetadata, allValues, getColorScaleOptions(index));
+  }, [cells, indexMetadata, index, getColorScaleOptions]);
+
+  const registerMap = useCallback((cellKey, map) => {
+    setMaps(prev => {
+      if (prev[cellKey] === map) return prev;
+      const next = { ...prev };
+      if (map) {
+        next[cellKey] = map;
+      } else {
+        delete next[cellKey];
+      }
+      return next;
+    });
+  }, []);
+
+  const mapList = useMemo(() => Object.values(maps), [maps]);
+
+  // Maps each cell follows, one stable list per cell so MatrixMapSync only resubscribes when maps change
+  const otherMapsByCell = useMemo(() => Object.fromEntries(
+    SCENARIOS.flatMap(s => PERIODS.map(p => {
+      const cellKey = `${s.value}|${p.value}`;
+      return [cellKey, Object.entries(maps).filter(([key]) => key !== cellKey).map(([, map]) => map)];
+    }))
+  ), [maps]);
+
+  // Notify parent once every cell has a map
+  useEffect(() => {
+    if (onMapsReady && mapList.length === SCENARIOS.length * PERIODS.length) {
+      onMapsReady(mapList);
+    }
+  }, [mapList, onMapsReady]);
+
+  if (!matrixMode) {
+    return null;
+  }
+
+  return (
+    <div className="w-full h-full flex flex-col relative" style={{ background: '#f8fafc' }}>
+      {/* Title */}
+      <div className="px-3 py-2 flex items-center gap-2 border-b border-gray-200 bg-white">
+        <h3 className="text-sm font-bold text-gray-800">
+          {indexMetadata ? `${indexMetadata.code?.toUpperCase()} - ${indexMetadata.name}` : index?.toUpperCase()}
+        </h3>
+        <span className="text-[11px] text-gray-500">All scenarios × all periods</span>
+        {loading && (
+          <span className="text-[11px] text-gray-500">
+            Loading {progress.loaded}/{progress.total}…
+          </span>
+        )}
+        {error && (
+          <span className="text-[11px]" style={{ color: '#dc2626' }}>{error}</span>
+        )}
+        {Object.keys(cellErrors).length > 0 && (
+          <span className="text-[11px]" style={{ color: '#dc2626' }}>
+            {Object.keys(cellErrors).length} of {SCENARIOS.length * PERIODS.length} cells failed to load
+          </span>
+        )}
+      </div>
+
+      {/* Grid: header row + one row per scenario */}
+      <div
+        className="flex-1 grid gap-1 p-1 overflow-hidden"
+        style={{
+          gridTemplateColumns: `110px repeat(${PERIODS.length}, minmax(0, 1fr))`,
+          gridTemplateRows: `auto repeat(${SCENARIOS.length}, minmax(0, 1fr))`,
+        }}
+      >
+        <div />
+        {PERIODS.map(p => (
+          <div key={p.value} className="text-[11px] font-semibold text-gray-700 text-center py-1">
+            {formatPeriod(p.value).label}
+          </div>
+        ))}
+
+        {SCENARIOS.map(s => (
+          <MatrixRow
+            key={s.value}
+            scenario={s.value}
+            cells={cells}
+            cellErrors={cellErrors}
+            colorScale={colorScale}
+            indexMetadata={indexMetadata}
+            otherMapsByCell={otherMapsByCell}
+            registerMap={registerMap}
+            isSyncingRef={isSyncingRef}
+            selectedMunicipalityId={selectedMunicipality?.id}
+            onMunicipalityClick={setSelectedMunicipality}
+            searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+          />
+        ))}
+      </div>
+
+      {/* Shared legend */}
+      {indexMetadata && colorScale && (
+        <MatrixLegend indexMetadata={indexMetadata} colorScale={colorScale} />
+      )}
+
+      {/* Selected municipality across all cells */}
+      {selectedMunicipality && (
+        <MatrixInfoPanel
+          municipality={selectedMunicipality}
+          cells={cells}
+          indexMetadata={indexMetadata}
+          onClose={() => setSelectedMunicipality(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * MatrixRow - Scenario label followed by one mini map per period
+ */
+const MatrixRow = ({ scenario, cells, cellErrors, otherMapsByCell, ...cellProps }) => (
+  <>
+    <div className="flex flex-col justify-center pr-1">
+      <div className="text-[11px] font-semibold text-gray-700">{formatScenario(scenario).label}</div>
+      <div className="text-[10px] text-gray-500">{formatScenario(scenario).shortLabel}</div>
+    </div>
+    {PERIODS.map(p => {
+      const cellKey = `${scenario}|${p.value}`;
+      return (
+        <MatrixCell
+          key={cellKey}
+          cellKey={cellKey}
+          geojsonData={cells[cellKey]}
+          error={cellErrors[cellKey]}
+          otherMaps={otherMapsByCell[cellKey]}
+          {...cellProps}
+        />
+      );
+    })}
+  </>
+);
+
+/**
+ * MatrixCell - One mini map in the matrix
+ */
+const MatrixCell = ({
+  cellKey,
+  geojsonData,
+  error,
+  colorScale,
+  indexMetadata,
+  otherMaps,
+  registerMap,
+  isSyncingRef,
+  selectedMunicipalityId,
+  onMunicipalityClick,
+  searchHighlightedMunicipalityId,
+}) => {
+  const setMapInstance = useCallback((map) => registerMap(cellKey, map), [cellKey, registerMap]);
+
+  return (
+    <div className="relative rounded border border-gray-300 overflow-hidden bg-white min-h-0">
+      <MapContainer
+        center={MAP_CONFIG.center}
+        zoom={MAP_CONFIG.zoom}
+        minZoom={MAP_CONFIG.minZoom - 1}
+        maxZoom={MAP_CONFIG.maxZoom}
+        style={{ width: '100%', height: '100%' }}
+        zoomControl={false}
+        attributionControl={false}
+        zoomSnap={0.25}
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          maxZoom={19}
+        />
+        {geojsonData && (
+          <MatrixCellLayer
+            geojsonData={geojsonData}
+            colorScale={colorScale}
+            indexMetadata={indexMetadata}
+            selectedMunicipalityId={selectedMunicipalityId}
+            onMunicipalityClick={onMunicipalityClick}
+            searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+          />
+        )}
+        <MatrixMapInitializer setMapInstance={setMapInstance} />
+        <MatrixMapSync otherMaps={otherMaps} isSyncingRef={isSyncingRef} />
+      </MapContainer>
+      {error && (
+        <div className="absolute inset-x-1 top-1 z-1000 bg-white rounded shadow-sm px-1.5 py-0.5 text-[10px]" style={{ color: '#dc2626' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * MatrixCellLayer - Renders one cell's GeoJSON with the shared color scale
+ */
+const MatrixCellLayer = ({
+  geojsonData,
+  colorScale,
+  indexMetadata,
+  selectedMunicipalityId,
+  onMunicipalityClick,
+  searchHighlightedMunicipalityId = null,
+}) => {
+  // Style function for each municipality feature
+  const styleFeature = (feature) => {
+    const municipalityId = feature.properties.id;
+    const fillColor = colorScale
+      ? getColorForValue(feature.properties.value, colorScale)
+      : DEFAULT_STYLE.fillColor;
+
+    if (searchHighlightedMunicipalityId && searchHighlightedMunicipalityId !== municipalityId) {
+      return {
+        ...DEFAULT_STYLE,
+        fillColor: '#e5e7eb',
+        fillOpacity: 0.4,
+        color: '#d1d5db',
+        weight: 0.5,
+      };
+    }
+
+    if (selectedMunicipalityId === municipalityId) {
+      return {
+        weight: 2.5,
+        color: '#000',
+        fillOpacity: 0.9,
+        fillColor,
+      };
+    }
+
+    return {
+      ...DEFAULT_STYLE,
+      weight: 0.5,
+      fillColor,
+    };
+  };
+
+  const onEachFeature = (feature, layer) => {
+    const props = feature.properties;
+
+    layer.bindTooltip(`
+      <strong>${props.municipality_name}</strong><br/>
+      ${props.value !== null && props.value !== undefined ? props.value.toFixed(2) : 'N/A'}${indexMetadata?.unit ? ` ${indexMetadata.unit}` : ''}
+    `, { sticky: true });
+
+    layer.on({
+      mouseover: () => {
+        layer.setStyle({ ...HOVER_STYLE, weight: 2 });
+      },
+      mouseout: () => {
+        layer.setStyle(styleFeature(feature));
+      },
+      click: () => {
+        onMunicipalityClick({
+          id: props.id,
+          name: props.municipality_name,
+          code: props.municipality_code,
+          province: props.province,
+          districtName: props.district_name,
+        });
+      },
+    });
+  };
+
+  // Force re-render when data, scale or selection changes
+  const key = useMemo(() => {
+    const firstFeature = geojsonData.features?.[0]?.properties;
+    const domain = colorScale ? colorScale.domain().join(',') : 'none';
+    return `${firstFeature?.scenario}-${firstFeature?.period}-${firstFeature?.index_code}-${domain}-${selectedMunicipalityId || 'none'}-${searchHighlightedMunicipalityId || 'none'}`;
+  }, [geojsonData, colorScale, selectedMunicipalityId, searchHighlightedMunicipalityId]);
+
+  if (!geojsonData.features || geojsonData.features.length === 0) {
+    return null;
+  }
+
+  return (
+    <GeoJSON
+      key={key}
+      data={geojsonData}
+      style={styleFeature}
+      onEachFeature={onEachFeature}
+    />
+  );
+};
+
+/**
+ * MatrixLegend - Shared legend for all cells
+ */
+const MatrixLegend = ({ indexMetadata, colorScale }) => {
+  const legendItems = useMemo(() => generateLegendItems(colorScale, 7), [colorScale]);
+
+  const interpretationLabels = useMemo(() => {
+    if (!indexMetadata?.anomaly_direction) return null;
+    return getInterpretationLabels(indexMetadata.anomaly_direction);
+  }, [indexMetadata]);
+
+  return (
+    <div className="absolute bottom-3 left-3 bg-white rounded-lg shadow-md border border-gray-300 p-2 z-1000">
+      <div className="text-[10px] font-semibold text-gray-700 mb-1">
+        Shared scale{indexMetadata.unit ? ` (${indexMetadata.unit})` : ''}
+      </div>
+      <div className="flex items-end gap-0.5">
+        {legendItems.map((item, idx) => (
+          <div key={idx} className="flex flex-col items-center">
+            <div
+              className="w-8 h-3 border border-gray-300"
+              style={{ backgroundColor: item.color }}
+            />
+            <span className="text-[9px] text-gray-600 font-mono">{item.label}</span>
+          </div>
+        ))}
+      </div>
+      {interpretationLabels && (
+        <div className="text-[10px] text-gray-500 mt-1">
+          +: {interpretationLabels.positive} · -: {interpretationLabels.negative}
+        </div>
+      )}
+      {/* The matrix already spans every scenario and period, so only the custom range applies */}
+      <ScaleControls indexCode={indexMetadata.code} showLock={false} />
+    </div>
+  );
+};
+
+/**
+ * MatrixInfoPanel - Values of the selected municipality in every cell
+ */
+const MatrixInfoPanel = ({ municipality, cells, indexMetadata, onClose }) => {
+  const valueFor = (scenario, period) => {
+    const feature = cells[`${scenario}|${period}`]?.features?.find(f => f.properties.id === municipality.id);
+    const value = feature?.properties.value;
+    return value !== null && value !== undefined ? value.toFixed(2) : 'N/A';
+  };
+
+  return (
+    <div className="absolute top-12 right-3 bg-white rounded-lg shadow-lg border border-gray-300 p-3 z-1000 max-w-sm">
+      <div className="flex items-start justify-between mb-2">
+        <div>
+          <h3 className="text-sm font-bold text-gray-800">{municipality.name}</h3>
+          <p className="text-xs text-gray-600">
+            {municipality.code} • {municipality.province}
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600 transition-colors ml-2"
+          aria-label="Close"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <table className="text-[10px] w-full">
+        <thead>
+          <tr className="text-gray-600">
+            <th className="text-left font-semibold pr-2">
+              {indexMetadata?.code?.toUpperCase()}{indexMetadata?.unit ? ` (${indexMetadata.unit})` : ''}
+            </th>
+            {PERIODS.map(p => (
+              <th key={p.value} className="text-right font-semibold px-1">
+                {formatPeriod(p.value).shortLabel}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {SCENARIOS.map(s => (
+            <tr key={s.value} className="border-t border-gray-100">
+              <td className="text-gray-700 pr-2">{formatScenario(s.value).label}</td>
+              {PERIODS.map(p => (
+                <td key={p.value} className="text-right font-mono text-gray-800 px-1">
+                  {valueFor(s.value, p.value)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * MatrixMapInitializer - Captures a cell's map instance and fits South Africa
+ */
+const MatrixMapInitializer = ({ setMapInstance }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    map.fitBounds(SA_BOUNDS);
+    setMapInstance(map);
+    return () => setMapInstance(null);
+  }, [map, setMapInstance]);
+
+  return null;
+};
+
+/**
+ * MatrixMapSync - Synchronizes one cell's map movements to every other cell
+ * Like MapSync in ComparisonView, but the syncing flag is shared by the whole group
+ * so follower maps do not re-broadcast the movement
+ */
+const MatrixMapSync = ({ otherMaps, isSyncingRef }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!map || otherMaps.length === 0) return;
+
+    const syncMaps = () => {
+      if (isSyncingRef.current) return;
+
+      isSyncingRef.current = true;
+
+      try {
+        const center = map.getCenter();
+        const zoom = map.getZoom();
+        otherMaps.forEach(other => other.setView(center, zoom, { animate: false }));
+      } finally {
+        setTimeout(() => {
+          isSyncingRef.current = false;
+        }, 50);
+      }
+    };
+
+    map.on('moveend', syncMaps);
+
+    return () => {
+      map.off('moveend', syncMaps);
+    };
+  }, [map, otherMaps, isSyncingRef]);
+
+  return null;
+};
+
+export default MatrixView;
@@ -0,0 +1,245 @@
+import { useEffect, useMemo, useState } from 'react';
+import { GeoJSON } from 'react-leaflet';
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { getClimateGeoJSONForIndex } from '../../api/climateData';
+import { getColorForValue, generateLegendItems, extractValuesFromGeoJSON } from '../../utils/colorMapping';
+import { computeCompositeGeoJSON, getCompositeColorScale, NORMALISATION_METHODS } from '../../utils/composite';
+import { DEFAULT_STYLE, HOVER_STYLE, formatScenario, formatPeriod } from '../../utils/constants';
+import Map from '../Map/Map';
+
+/**
+ * CompositeView - Map of the composite risk score (CompositeBuilder) for the current scenario/period
+ * Fetches every component index, combines them (utils/composite.js) and shows the score
+ * with a legend listing the ten highest-scoring municipalities.
+ *
+ * @param {Object} props
+ * @param {Function} props.onMapReady - Receives the Leaflet map instance
+ * @param {number} props.searchHighlightedMunicipalityId - Municipality highlighted by search
+ */
+const CompositeView = ({ onMapReady, searchHighlightedMunicipalityId = null }) => {
+  const { scenario, period, compositeConfig } = useClimate();
+  const [layers, setLayers] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const codesKey = compositeConfig.components.map(c => c.code).join(',');
+
+  // Component layers for the current scenario/period (cached by the API layer)
+  useEffect(() => {
+    if (!codesKey) return undefined;
+
+    const codes = codesKey.split(',');
+    let cancelled = false;
+
+    (async () => {
+      setLoading(true);
+      setError(null);
+      // Without a layer for an added component, the composite of the others would show while loading
+      setLayers(prev => (codes.every(code => prev[code]) ? prev : {}));
+      try {
+        const results = await Promise.all(codes.map(async code => {
+          const [result] = await getClimateGeoJSONForIndex(code, [scenario], [period]);
+          return [code, result?.geojson];
+        }));
+        if (!cancelled) setLayers(Object.fromEntries(results));
+      } catch (err) {
+        console.error('Error fetching composite indices:', err);
+        if (!cancelled) setError(err.message || 'Failed to fetch indices');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [codesKey, scenario, period]);
+
+  const compositeGeojson = useMemo(() => (
+    computeCompositeGeoJSON(layers, compositeConfig.components, compositeConfig.method)
+  ), [layers, compositeConfig.components, compositeConfig.method]);
+
+  const colorScale = useMemo(() => (
+    getCompositeColorScale(extractValuesFromGeoJSON(compositeGeojson), compositeConfig.method)
+  ), [compositeGeojson, compositeConfig.method]);
+
+  const method = NORMALISATION_METHODS.find(m => m.value === compositeConfig.method);
+
+  return (
+    <>
+      {/* Title */}
+      <div className="absolute top-4 left-16 z-1000 bg-white rounded-lg shadow-md px-3 py-2">
+        <h3 className="text-sm font-bold text-gray-800">
+          {compositeConfig.label || 'Composite risk score'}
+        </h3>
+        <p className="text-[10px] text-gray-500">
+          {formatScenario(scenario).label} · {formatPeriod(period).shortLabel} · {method?.label}
+          {loading && ' · loading…'}
+        </p>
+        {error && (
+          <p className="text-[10px]" style={{ color: '#dc2626' }}>{error}</p>
+        )}
+      </div>
+
+      <Map onMapReady={onMapReady}>
+        {compositeGeojson && (
+          <CompositeLayer
+            geojsonData={compositeGeojson}
+            colorScale={colorScale}
+            unit={method?.unit}
+            searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+          />
+        )}
+      </Map>
+
+      {compositeGeojson && (
+        <CompositeLegend geojsonData={compositeGeojson} colorScale={colorScale} unit={method?.unit} />
+      )}
+      {!codesKey && (
+        <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 z-1000 bg-white rounded-lg shadow-md px-4 py-3 text-xs text-gray-600">
+          Add indices in the sidebar to build a composite score
+        </div>
+      )}
+    </>
+  );
+};
+
+/**
+ * CompositeLayer - Municipalities coloured by composite score, with per-index scores in the popup
+ */
+const CompositeLayer = ({ geojsonData, colorScale, unit, searchHighlightedMunicipalityId = null }) => {
+  const { getIndexByCode } = useIndices();
+
+  const formatValue = (value, decimals = 2) => (
+    value !== null && value !== undefined ? value.toFixed(decimals) : 'N/A'
+  );
+
+  const styleFeature = (feature) => {
+    if (searchHighlightedMunicipalityId && searchHighlightedMunicipalityId !== feature.properties.id) {
+      return {
+        ...DEFAULT_STYLE,
+        fillColor: '#e5e7eb',
+        fillOpacity: 0.4,
+        color: '#d1d5db',
+        weight: 1,
+      };
+    }
+
+    return {
+      ...DEFAULT_STYLE,
+      fillColor: getColorForValue(feature.properties.value, colorScale),
+    };
+  };
+
+  const onEachFeature = (feature, layer) => {
+    const props = feature.properties;
+    const rows = Object.entries(props.components || {}).map(([code, { value, score }]) => `
+      <tr>
+        <td style="padding: 1px 6px 1px 0; font-family: monospace;" title="${getIndexByCode(code)?.name || ''}">${code.toUpperCase()}</td>
+        <td style="padding: 1px 6px 1px 0; text-align: right;">${formatValue(value, 3)}</td>
+        <td style="padding: 1px 0; text-align: right; font-weight: bold;">${formatValue(score)}</td>
+      </tr>
+    `).join('');
+
+    layer.bindPopup(`
+      <div style="min-width: 200px;">
+        <h3 style="margin: 0 0 8px 0; font-size: 16px; font-weight: bold;">
+          ${props.municipality_name}
+        </h3>
+        <div style="font-size: 13px; color: #666;">
+          <p style="margin: 4px 0;"><strong>Code:</strong> ${props.municipality_code}</p>
+          <p style="margin: 4px 0;"><strong>Province:</strong> ${props.province}</p>
+          <p style="margin: 8px 0 4px 0; font-size: 14px;">
+            <strong>Composite score:</strong>
+            <span style="color: ${getColorForValue(props.value, colorScale)}; font-weight: bold;">
+              ${formatValue(props.value)}
+            </span>
+            ${unit ? ` ${unit}` : ''}
+          </p>
+          <hr style="margin: 8px 0; border: none; border-top: 1px solid #ddd;" />
+          <table style="font-size: 12px;">
+            <thead>
+              <tr><th style="text-align: left;">Index</th><th style="text-align: right;">Anomaly</th><th style="text-align: right;">Score</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>
+    `);
+
+    layer.on({
+      mouseover: () => {
+        layer.setStyle(HOVER_STYLE);
+      },
+      mouseout: () => {
+        layer.setStyle(styleFeature(feature));
+      },
+    });
+  };
+
+  // Force re-render when the score or highlight changes
+  const key = useMemo(() => {
+    const values = extractValuesFromGeoJSON(geojsonData);
+    const checksum = values.reduce((sum, v, i) => sum + (v ?? 0) * (i + 1), 0);
+    return `${geojsonData.features.length}-${checksum.toFixed(6)}-${searchHighlightedMunicipalityId || 'none'}`;
+  }, [geojsonData, searchHighlightedMunicipalityId]);
+
+  return (
+    <GeoJSON
+      key={key}
+      data={geojsonData}
+      style={styleFeature}
+      onEachFeature={onEachFeature}
+    />
+  );
+};
+
+/**
+ * CompositeLegend - Score ramp and the ten most at-risk municipalities
+ */
+const CompositeLegend = ({ geojsonData, colorScale, unit }) => {
+  const legendItems = useMemo(() => generateLegendItems(colorScale, 6), [colorScale]);
+
+  const topTen = useMemo(() => (
+    geojsonData.features
+      .filter(f => f.properties.value !== null)
+      .sort((a, b) => b.properties.value - a.properties.value)
+      .slice(0, 10)
+      .map(f => f.properties)
+  ), [geojsonData]);
+
+  return (
+    <div className="absolute bottom-4 right-4 bg-white rounded-lg shadow-md border border-gray-300 p-3 z-1000 max-w-[240px]">
+      <h3 className="text-xs font-bold text-gray-800 mb-1">
+        Composite score{unit ? ` (${unit})` : ''}
+      </h3>
+      <p className="text-[10px] text-gray-500 mb-1.5">Higher = more at risk</p>
+
+      <div className="flex flex-col gap-0.5 mb-2">
+        {[...legendItems].reverse().map((item, idx) => (
+          <div key={idx} className="flex items-center gap-1.5">
+            <div className="w-6 h-3 rounded border border-gray-300" style={{ backgroundColor: item.color }} />
+            <span className="text-[10px] text-gray-600 font-mono">{item.label}</span>
+          </div>
+        ))}
+        <div className="flex items-center gap-1.5">
+          <div className="w-6 h-3 rounded border border-gray-300" style={{ backgroundColor: '#cccccc' }} />
+          <span className="text-[10px] text-gray-600">No data</span>
+        </div>
+      </div>
+
+      <div className="pt-2 border-t border-gray-200">
+        <h4 className="text-[11px] font-semibold text-gray-700 mb-0.5">Top 10 most at risk</h4>
+        <ol className="text-[10px] text-gray-700 list-decimal list-inside">
+          {topTen.map(props => (
+            <li key={props.id} className="truncate">
+              {props.municipality_name}
+              <span className="text-gray-500 font-mono ml-1">{props.value.toFixed(2)}</span>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+export default CompositeView;
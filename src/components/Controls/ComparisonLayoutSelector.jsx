@@ -0,0 +1,89 @@
+import { useClimate } from '../../context/ClimateContext';
+
+// Comparison layouts
+const LAYOUT_OPTIONS = [
+  { value: 'side-by-side', label: 'Side by side', icon: '◧' },
+  { value: 'swipe', label: 'Swipe', icon: '⇔' },
+  { value: 'difference', label: 'Difference', icon: '±' },
+];
+
+// Difference types for the difference layout
+const DIFFERENCE_OPTIONS = [
+  { value: 'absolute', label: 'Absolute (B − A)' },
+  { value: 'percent', label: 'Percent ((B − A) / |A|)' },
+];
+
+/**
+ * ComparisonLayoutSelector - Switch between side-by-side maps, a swipe map and a single B − A difference map
+ * Only visible when comparison mode is active
+ * The difference layout needs both panes to show the same index
+ */
+const ComparisonLayoutSelector = () => {
+  const {
+    index,
+    comparisonConfig,
+    comparisonLayout,
+    setComparisonLayout,
+    differenceType,
+    setDifferenceType,
+  } = useClimate();
+
+  const differenceAvailable = index === comparisonConfig.index;
+  const activeLayout = !differenceAvailable && comparisonLayout === 'difference'
+    ? 'side-by-side'
+    : comparisonLayout;
+
+  return (
+    <div className="flex flex-col gap-1.5">
+      <span className="text-xs font-medium" style={{ color: '#475569' }}>
+        Comparison Layout
+      </span>
+      <div className="flex gap-1.5">
+        {LAYOUT_OPTIONS.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => setComparisonLayout(option.value)}
+            disabled={option.value === 'difference' && !differenceAvailable}
+            className={`flex-1 px-1.5 py-1.5 rounded-lg text-[11px] font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+              activeLayout === option.value
+                ? 'text-white shadow-sm'
+                : 'text-gray-700 hover:bg-gray-100'
+            }`}
+            style={activeLayout === option.value ? { background: '#60a5fa' } : { background: '#f1f5f9' }}
+          >
+            <span className="mr-1">{option.icon}</span>
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {!differenceAvailable && (
+        <p className="text-[10px] italic" style={{ color: '#64748b' }}>
+          Difference needs the same index in both panes
+        </p>
+      )}
+
+      {activeLayout === 'difference' && (
+        <>
+          <select
+            id="difference-type-select"
+            value={differenceType}
+            onChange={(e) => setDifferenceType(e.target.value)}
+            className="nice-select"
+          >
+            {DIFFERENCE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-[10px] italic" style={{ color: '#64748b' }}>
+            Pane B minus Pane A for every municipality
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonLayoutSelector;
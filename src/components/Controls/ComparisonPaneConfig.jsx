@@ -0,0 +1,210 @@
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { SCENARIOS, PERIODS, CATEGORIES, formatComparisonPane } from '../../utils/constants';
+
+// Quick presets: which dimension pane B varies from pane A
+const COMPARE_PRESETS = [
+  { value: 'scenario', label: 'Scenarios', icon: '🏭' },
+  { value: 'period', label: 'Periods', icon: '⏳' },
+  { value: 'index', label: 'Indices', icon: '📊' },
+];
+
+/**
+ * ComparisonPaneConfig - Toggle comparison mode and configure each pane
+ * Pane A follows the main scenario, period and index selectors;
+ * pane B has its own scenario, period and index (ClimateContext comparisonConfig)
+ */
+const ComparisonPaneConfig = () => {
+  const {
+    scenario,
+    period,
+    index,
+    comparisonMode,
+    setComparisonMode,
+    setMatrixMode,
+    setRobustnessMode,
+    setCompositeMode,
+    comparisonConfig,
+    setComparisonConfig,
+    updateComparisonConfig,
+  } = useClimate();
+  const { getByCategory } = useIndices();
+
+  const paneA = { scenario, period, index };
+
+  // Pane B equals pane A except for one dimension
+  const applyPreset = (dimension) => {
+    const next = { ...paneA };
+
+    if (dimension === 'scenario') {
+      next.scenario = SCENARIOS.find(s => s.value !== scenario)?.value || scenario;
+    } else if (dimension === 'period') {
+      // Default to the furthest period that differs from A
+      next.period = [...PERIODS].reverse().find(p => p.value !== period)?.value || period;
+    } else if (dimension === 'index') {
+      const allIndices = CATEGORIES.flatMap(c => getByCategory(c.value));
+      next.index = allIndices.find(idx => idx.code && idx.code !== index)?.code || index;
+    }
+
+    setComparisonConfig(next);
+  };
+
+  const handleToggle = () => {
+    if (!comparisonMode) {
+      // Entering comparison mode - default to comparing scenarios
+      applyPreset('scenario');
+      setMatrixMode(false);
+      setRobustnessMode(false);
+      setCompositeMode(false);
+    }
+    setComparisonMode(!comparisonMode);
+  };
+
+  // Which preset (if any) matches the current configuration
+  const activePreset = COMPARE_PRESETS.find(({ value }) =>
+    ['scenario', 'period', 'index'].every(dim =>
+      dim === value
+        ? comparisonConfig[dim] !== paneA[dim]
+        : comparisonConfig[dim] === paneA[dim]
+    )
+  )?.value;
+
+  return (
+    <div className="flex flex-col gap-2">
+      <button
+        onClick={handleToggle}
+        className={`px-4 py-3 rounded-lg font-medium transition-all shadow-sm ${
+          comparisonMode
+            ? 'bg-primary-500 text-white hover:bg-primary-600'
+            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+        }`}
+      >
+        <div className="flex items-center justify-center gap-2">
+          <svg
+            className="w-5 h-5"
+            fill="none"
+            stroke="currentColor"
+            viewBox="0 0 24 24"
+          >
+            {comparisonMode ? (
+              // Single view icon (to exit)
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M4 5a1 1 0 011-1h14a1 1 0 011 1v14a1 1 0 01-1 1H5a1 1 0 01-1-1V5z"
+              />
+            ) : (
+              // Split view icon (to enter)
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M9 4v16m6-16v16M3 8h18M3 16h18"
+              />
+            )}
+          </svg>
+          <span>
+            {comparisonMode ? 'Exit Comparison' : 'Compare Views'}
+          </span>
+        </div>
+      </button>
+
+      {comparisonMode && (
+        <>
+          {/* Presets */}
+          <div className="flex flex-col gap-1.5">
+            <span className="text-[10px] font-medium" style={{ color: '#64748b' }}>
+              Compare:
+            </span>
+            <div className="flex gap-1">
+              {COMPARE_PRESETS.map((preset) => (
+                <button
+                  key={preset.value}
+                  onClick={() => applyPreset(preset.value)}
+                  className={`flex-1 px-1.5 py-1 rounded text-[10px] font-medium transition-all ${
+                    activePreset === preset.value
+                      ? 'text-white shadow-sm'
+                      : 'text-gray-700 hover:bg-gray-100'
+                  }`}
+                  style={activePreset === preset.value ? { background: '#8b5cf6' } : { background: '#f1f5f9' }}
+                >
+                  <span className="mr-0.5">{preset.icon}</span>
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Pane A (main selectors) */}
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-2">
+            <div className="text-[11px] font-semibold text-blue-800">Pane A</div>
+            <div className="text-[10px] text-blue-700">{formatComparisonPane(paneA)}</div>
+            <div className="text-[9px] italic text-blue-600 mt-0.5">Set with the selectors above</div>
+          </div>
+
+          {/* Pane B (own configuration) */}
+          <div className="bg-purple-50 border border-purple-200 rounded-lg p-2 flex flex-col gap-1.5">
+            <div className="text-[11px] font-semibold text-purple-800">Pane B</div>
+
+            <label htmlFor="pane-b-scenario-select" className="text-[10px] font-medium" style={{ color: '#475569' }}>
+              Scenario
+            </label>
+            <select
+              id="pane-b-scenario-select"
+              value={comparisonConfig.scenario}
+              onChange={(e) => updateComparisonConfig({ scenario: e.target.value })}
+              className="nice-select"
+            >
+              {SCENARIOS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            <label htmlFor="pane-b-period-select" className="text-[10px] font-medium" style={{ color: '#475569' }}>
+              Time Period
+            </label>
+            <select
+              id="pane-b-period-select"
+              value={comparisonConfig.period}
+              onChange={(e) => updateComparisonConfig({ period: e.target.value })}
+              className="nice-select"
+            >
+              {PERIODS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            <label htmlFor="pane-b-index-select" className="text-[10px] font-medium" style={{ color: '#475569' }}>
+              Climate Index
+            </label>
+            <select
+              id="pane-b-index-select"
+              value={comparisonConfig.index}
+              onChange={(e) => updateComparisonConfig({ index: e.target.value })}
+              className="nice-select"
+            >
+              {CATEGORIES.map((category) => (
+                <optgroup key={category.value} label={category.label}>
+                  {getByCategory(category.value)
+                    .filter(idx => idx.code && idx.name)
+                    .map((idx) => (
+                      <option key={idx.code} value={idx.code}>
+                        {idx.code.toUpperCase()} - {idx.name}
+                      </option>
+                    ))}
+                </optgroup>
+              ))}
+            </select>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonPaneConfig;
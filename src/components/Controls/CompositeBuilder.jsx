@@ -0,0 +1,235 @@
+import { useMemo } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { NORMALISATION_METHODS, createComponent, getSectorPresets } from '../../utils/composite';
+
+/**
+ * CompositeBuilder - Build a multi-index risk score for the current scenario/period
+ * Pick indices with a weight and the direction in which each gets worse (defaults from
+ * anomaly_direction), and a normalisation method. Presets come from the sector tags;
+ * composites can be saved (localStorage) and reloaded in later sessions.
+ * Entering composite mode leaves comparison, matrix and robustness modes.
+ */
+const CompositeBuilder = () => {
+  const {
+    compositeMode,
+    setCompositeMode,
+    setComparisonMode,
+    setMatrixMode,
+    setRobustnessMode,
+    compositeConfig,
+    setCompositeConfig,
+    savedComposites,
+    saveComposite,
+    deleteComposite,
+  } = useClimate();
+  const { indices, getIndexByCode } = useIndices();
+
+  const presets = useMemo(() => getSectorPresets(indices), [indices]);
+
+  const handleToggle = () => {
+    if (!compositeMode) {
+      setComparisonMode(false);
+      setMatrixMode(false);
+      setRobustnessMode(false);
+
+      // Start from the first sector preset
+      if (compositeConfig.components.length === 0 && presets.length > 0) {
+        const { label, components, method } = presets[0];
+        setCompositeConfig({ label, components, method });
+      }
+    }
+    setCompositeMode(!compositeMode);
+  };
+
+  const updateComponent = (code, updates) => {
+    setCompositeConfig(prev => ({
+      ...prev,
+      components: prev.components.map(c => (c.code === code ? { ...c, ...updates } : c)),
+    }));
+  };
+
+  const removeComponent = (code) => {
+    setCompositeConfig(prev => ({ ...prev, components: prev.components.filter(c => c.code !== code) }));
+  };
+
+  const addComponent = (code) => {
+    const indexMetadata = getIndexByCode(code);
+    if (!indexMetadata) return;
+    setCompositeConfig(prev => ({ ...prev, components: [...prev.components, createComponent(indexMetadata)] }));
+  };
+
+  const loadComposite = (id) => {
+    const composite = [...presets, ...savedComposites].find(c => c.id === id);
+    if (!composite) return;
+    const { label, components, method } = composite;
+    // Saved composites keep their id so saving again replaces them
+    setCompositeConfig({ id: composite.id.startsWith('preset-') ? undefined : composite.id, label, components, method });
+  };
+
+  const handleSave = () => {
+    const id = compositeConfig.id || `composite-${Date.now()}`;
+    saveComposite({
+      id,
+      label: compositeConfig.label.trim() || 'Untitled composite',
+      components: compositeConfig.components,
+      method: compositeConfig.method,
+    });
+    setCompositeConfig(prev => ({ ...prev, id }));
+  };
+
+  const handleDelete = () => {
+    deleteComposite(compositeConfig.id);
+    setCompositeConfig(prev => ({ ...prev, id: undefined }));
+  };
+
+  const available = indices.filter(idx => !compositeConfig.components.some(c => c.code === idx.code));
+  const isSaved = savedComposites.some(c => c.id === compositeConfig.id);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <button
+        onClick={handleToggle}
+        className={`w-full px-4 py-3 rounded-lg font-medium transition-all shadow-sm ${
+          compositeMode
+            ? 'bg-primary-500 text-white hover:bg-primary-600'
+            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+        }`}
+      >
+        <div className="flex items-center justify-center gap-2">
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M4 6h16M4 12h10M4 18h6"
+            />
+          </svg>
+          <span>{compositeMode ? 'Exit Composite' : 'Composite Risk Score'}</span>
+        </div>
+      </button>
+
+      {compositeMode && (
+        <>
+          <select
+            value=""
+            onChange={(e) => loadComposite(e.target.value)}
+            className="nice-select"
+            aria-label="Load composite"
+          >
+            <option value="">Load preset or saved…</option>
+            <optgroup label="Sector presets">
+              {presets.map(p => (
+                <option key={p.id} value={p.id}>{p.label}</option>
+              ))}
+            </optgroup>
+            {savedComposites.length > 0 && (
+              <optgroup label="Saved">
+                {savedComposites.map(c => (
+                  <option key={c.id} value={c.id}>{c.label}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+
+          {/* Components: index, weight, direction of "worse" */}
+          <div className="flex flex-col gap-1">
+            <span className="text-xs font-medium" style={{ color: '#475569' }}>
+              Indices · weight · worse when
+            </span>
+            {compositeConfig.components.map(component => {
+              const indexMetadata = getIndexByCode(component.code);
+              return (
+                <div key={component.code} className="flex items-center gap-1">
+                  <span className="flex-1 text-[11px] font-mono text-gray-700 truncate" title={indexMetadata?.name}>
+                    {component.code.toUpperCase()}
+                  </span>
+                  <input
+                    type="number"
+                    min={0}
+                    max={10}
+                    step={0.5}
+                    value={component.weight}
+                    onChange={(e) => updateComponent(component.code, { weight: Math.max(0, Number(e.target.value) || 0) })}
+                    className="w-12 px-1 py-0.5 border border-gray-300 rounded text-[11px]"
+                    aria-label={`Weight of ${component.code.toUpperCase()}`}
+                  />
+                  <button
+                    onClick={() => updateComponent(component.code, { direction: -component.direction })}
+                    className="w-16 px-1 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium"
+                    title="Direction in which this index gets worse"
+                  >
+                    {component.direction > 0 ? '↑ higher' : '↓ lower'}
+                  </button>
+                  <button
+                    onClick={() => removeComponent(component.code)}
+                    className="text-gray-400 hover:text-gray-600 text-xs"
+                    aria-label={`Remove ${component.code.toUpperCase()}`}
+                  >
+                    ✕
+                  </button>
+                </div>
+              );
+            })}
+            <select
+              value=""
+              onChange={(e) => addComponent(e.target.value)}
+              className="nice-select"
+              aria-label="Add index"
+            >
+              <option value="">+ Add index…</option>
+              {available.map(idx => (
+                <option key={idx.code} value={idx.code}>
+                  {idx.code.toUpperCase()} - {idx.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <label htmlFor="composite-method" className="text-xs font-medium" style={{ color: '#475569' }}>
+            Normalisation
+          </label>
+          <select
+            id="composite-method"
+            value={compositeConfig.method}
+            onChange={(e) => setCompositeConfig(prev => ({ ...prev, method: e.target.value }))}
+            className="nice-select"
+          >
+            {NORMALISATION_METHODS.map(m => (
+              <option key={m.value} value={m.value}>{m.label}</option>
+            ))}
+          </select>
+
+          {/* Save for later sessions */}
+          <div className="flex items-center gap-1">
+            <input
+              type="text"
+              value={compositeConfig.label}
+              onChange={(e) => setCompositeConfig(prev => ({ ...prev, label: e.target.value }))}
+              placeholder="Composite name"
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-[11px]"
+              aria-label="Composite name"
+            />
+            <button
+              onClick={handleSave}
+              disabled={compositeConfig.components.length === 0}
+              className="px-2 py-1 rounded bg-primary-500 hover:bg-primary-600 text-white text-[10px] font-medium disabled:opacity-50"
+            >
+              Save
+            </button>
+            {isSaved && (
+              <button
+                onClick={handleDelete}
+                className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CompositeBuilder;
@@ -0,0 +1,44 @@
+import { useClimate } from '../../context/ClimateContext';
+import { ENSEMBLE_STATISTICS, LOW_CONFIDENCE_AGREEMENT, hasEnsembleStatistics } from '../../utils/ensemble';
+
+/**
+ * EnsembleStatisticSelector - Show the ensemble mean, P10, median or P90 on the map
+ * Only shown when the data carries ensemble statistics (see utils/ensemble.js)
+ */
+const EnsembleStatisticSelector = () => {
+  const { geojsonData, ensembleStatistic, setEnsembleStatistic } = useClimate();
+
+  if (!hasEnsembleStatistics(geojsonData)) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col gap-1.5">
+      <span className="text-xs font-medium" style={{ color: '#475569' }}>
+        Ensemble statistic
+      </span>
+      <div className="flex gap-1.5">
+        {ENSEMBLE_STATISTICS.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => setEnsembleStatistic(option.value)}
+            title={option.fullLabel}
+            className={`flex-1 px-1.5 py-1.5 rounded-lg text-[11px] font-medium transition-all ${
+              ensembleStatistic === option.value
+                ? 'text-white shadow-sm'
+                : 'text-gray-700 hover:bg-gray-100'
+            }`}
+            style={ensembleStatistic === option.value ? { background: '#60a5fa' } : { background: '#f1f5f9' }}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <p className="text-[10px] italic" style={{ color: '#64748b' }}>
+        Hatched: fewer than {Math.round(LOW_CONFIDENCE_AGREEMENT * 100)}% of models agree on the sign of change
+      </p>
+    </div>
+  );
+};
+
+export default EnsembleStatisticSelector;
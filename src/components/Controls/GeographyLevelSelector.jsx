@@ -0,0 +1,43 @@
+import { useClimate } from '../../context/ClimateContext';
+import { GEOGRAPHY_LEVELS } from '../../utils/constants';
+
+/**
+ * GeographyLevelSelector - Show the map by local municipality, district or province
+ * Districts and provinces are dissolved from the municipality polygons and coloured
+ * by the area-weighted mean of their municipalities (single map view only)
+ */
+const GeographyLevelSelector = () => {
+  const { geographyLevel, setGeographyLevel } = useClimate();
+
+  return (
+    <div className="flex flex-col gap-1.5">
+      <span className="text-xs font-medium" style={{ color: '#475569' }}>
+        Geography
+      </span>
+      <div className="flex gap-1.5">
+        {GEOGRAPHY_LEVELS.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => setGeographyLevel(option.value)}
+            title={option.label}
+            className={`flex-1 px-1.5 py-1.5 rounded-lg text-[11px] font-medium transition-all ${
+              geographyLevel === option.value
+                ? 'text-white shadow-sm'
+                : 'text-gray-700 hover:bg-gray-100'
+            }`}
+            style={geographyLevel === option.value ? { background: '#60a5fa' } : { background: '#f1f5f9' }}
+          >
+            {option.value === 'municipality' ? 'Local' : option.label}
+          </button>
+        ))}
+      </div>
+      {geographyLevel !== 'municipality' && (
+        <p className="text-[10px] italic" style={{ color: '#64748b' }}>
+          Area-weighted mean of member municipalities; hover for min/max/spread, click to drill down
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GeographyLevelSelector;
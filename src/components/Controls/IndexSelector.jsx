@@ -13,7 +13,7 @@ import SectorTags from '../Common/SectorTags';
  * Uses CATEGORIES constant for category grouping
  */
 const IndexSelector = () => {
-  const { index, setIndex } = useClimate();
+  const { index, setIndex, comparisonMode } = useClimate();
   const { getByCategory, getIndexByCode, loading } = useIndices();
   const [selectedCategory, setSelectedCategory] = useState('precipitation');
   const [selectedSector, setSelectedSector] = useState('All');
@@ -65,7 +65,7 @@ const IndexSelector = () => {
   return (
     <div className="flex flex-col gap-2">
       <label className="text-xs font-medium" style={{ color: '#475569' }}>
-        Climate Index
+        {comparisonMode ? 'Climate Index A (Main)' : 'Climate Index'}
       </label>
 
       {/* Sector Filter */}
@@ -0,0 +1,50 @@
+import { useClimate } from '../../context/ClimateContext';
+
+/**
+ * MatrixToggle - Toggle the small-multiples matrix (all scenarios × all periods)
+ * Uses ClimateContext matrixMode; leaves comparison, robustness and composite modes when entering the matrix
+ */
+const MatrixToggle = () => {
+  const { matrixMode, setMatrixMode, setComparisonMode, setRobustnessMode, setCompositeMode } = useClimate();
+
+  const handleToggle = () => {
+    if (!matrixMode) {
+      setComparisonMode(false);
+      setRobustnessMode(false);
+      setCompositeMode(false);
+    }
+    setMatrixMode(!matrixMode);
+  };
+
+  return (
+    <button
+      onClick={handleToggle}
+      className={`w-full px-4 py-3 rounded-lg font-medium transition-all shadow-sm ${
+        matrixMode
+          ? 'bg-primary-500 text-white hover:bg-primary-600'
+          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+      }`}
+    >
+      <div className="flex items-center justify-center gap-2">
+        <svg
+          className="w-5 h-5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M4 5h4v4H4V5zm6 0h4v4h-4V5zm6 0h4v4h-4V5zM4 11h4v4H4v-4zm6 0h4v4h-4v-4zm6 0h4v4h-4v-4zM4 17h4v2H4v-2zm6 0h4v2h-4v-2zm6 0h4v2h-4v-2z"
+          />
+        </svg>
+        <span>
+          {matrixMode ? 'Exit Matrix' : 'Scenario × Period Matrix'}
+        </span>
+      </div>
+    </button>
+  );
+};
+
+export default MatrixToggle;
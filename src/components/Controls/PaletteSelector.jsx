@@ -0,0 +1,255 @@
+import { useState } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+import { PALETTES, PALETTE_GROUPS, CVD_SIMULATIONS, resolvePaletteColors, simulateColorVision } from '../../utils/palettes';
+
+const MIN_STOPS = 2;
+const MAX_STOPS = 9;
+
+/**
+ * Gradient swatch for a list of colours
+ */
+const PaletteSwatch = ({ colors, height = 10 }) => (
+  <div
+    className="w-full rounded border border-gray-300"
+    style={{ height, background: `linear-gradient(to right, ${colors.join(', ')})` }}
+  />
+);
+
+/**
+ * PaletteSelector - Choose the colour palette and preview colour vision deficiencies
+ * Uses ClimateContext (paletteId, customPalettes, cvdSimulation)
+ *
+ * "Index default" keeps the API's color_scheme for each index. Other palettes replace it
+ * on every map (flipped for indices whose scheme is flipped, so each end keeps its meaning).
+ * The simulation select filters the map area as seen with protanopia, deuteranopia or tritanopia.
+ */
+const PaletteSelector = () => {
+  const {
+    paletteId,
+    setPaletteId,
+    customPalettes,
+    cvdSimulation,
+    setCvdSimulation,
+  } = useClimate();
+
+  const [editorOpen, setEditorOpen] = useState(false);
+
+  const selectedColors = resolvePaletteColors(paletteId, customPalettes) || PALETTES['RdBu_r'].colors;
+
+  return (
+    <div className="flex flex-col gap-1.5">
+      <label
+        htmlFor="palette-select"
+        className="text-xs font-medium"
+        style={{ color: '#475569' }}
+      >
+        Colour Palette
+      </label>
+      <select
+        id="palette-select"
+        value={paletteId || ''}
+        onChange={(e) => setPaletteId(e.target.value || null)}
+        className="nice-select"
+      >
+        <option value="">Index default (from API)</option>
+        {PALETTE_GROUPS.map(group => (
+          <optgroup key={group.value} label={group.label}>
+            {Object.entries(PALETTES)
+              .filter(([, palette]) => palette.group === group.value)
+              .map(([id, palette]) => (
+                <option key={id} value={id}>
+                  {palette.label}
+                </option>
+              ))}
+          </optgroup>
+        ))}
+        {customPalettes.length > 0 && (
+          <optgroup label="Custom">
+            {customPalettes.map(palette => (
+              <option key={palette.id} value={palette.id}>
+                {palette.label}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+
+      {paletteId && <PaletteSwatch colors={selectedColors} />}
+      {paletteId && PALETTES[paletteId]?.colorBlindSafe && (
+        <p className="text-[10px] italic" style={{ color: '#64748b' }}>
+          Colour-blind safe
+        </p>
+      )}
+
+      {/* Colour vision simulation */}
+      <label
+        htmlFor="cvd-select"
+        className="text-xs font-medium mt-1"
+        style={{ color: '#475569' }}
+      >
+        Simulate Colour Vision
+      </label>
+      <select
+        id="cvd-select"
+        value={cvdSimulation}
+        onChange={(e) => setCvdSimulation(e.target.value)}
+        className="nice-select"
+      >
+        {CVD_SIMULATIONS.map(simulation => (
+          <option key={simulation.value} value={simulation.value}>
+            {simulation.label}
+          </option>
+        ))}
+      </select>
+
+      <button
+        onClick={() => setEditorOpen(!editorOpen)}
+        className="text-[11px] text-left text-primary-600 hover:underline"
+      >
+        {editorOpen ? 'Close palette editor' : 'Create or edit custom palettes…'}
+      </button>
+
+      {editorOpen && <PaletteEditor />}
+    </div>
+  );
+};
+
+/**
+ * PaletteEditor - Create, edit and delete custom palettes (saved in localStorage)
+ * Shows the ramp as seen with each colour vision deficiency while editing
+ */
+const PaletteEditor = () => {
+  const { customPalettes, saveCustomPalette, deleteCustomPalette, setPaletteId } = useClimate();
+
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState('');
+  const [colors, setColors] = useState(['#2166ac', '#f7f7f7', '#b2182b']);
+
+  const updateStop = (i, color) => {
+    setColors(prev => prev.map((c, idx) => (idx === i ? color : c)));
+  };
+
+  const removeStop = (i) => {
+    setColors(prev => prev.filter((_, idx) => idx !== i));
+  };
+
+  const addStop = () => {
+    setColors(prev => [...prev, prev[prev.length - 1]]);
+  };
+
+  const startEditing = (palette) => {
+    setEditingId(palette.id);
+    setName(palette.label);
+    setColors(palette.colors);
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setName('');
+    setColors(['#2166ac', '#f7f7f7', '#b2182b']);
+  };
+
+  const handleSave = () => {
+    const id = editingId || `custom-${Date.now()}`;
+    saveCustomPalette({ id, label: name.trim() || 'Custom palette', colors });
+    setPaletteId(id);
+    resetForm();
+  };
+
+  return (
+    <div className="rounded-lg border border-gray-200 p-2 space-y-2 bg-gray-50">
+      {/* Saved palettes */}
+      {customPalettes.length > 0 && (
+        <div className="space-y-1">
+          {customPalettes.map(palette => (
+            <div key={palette.id} className="flex items-center gap-1.5 text-[11px]">
+              <div className="w-12 shrink-0">
+                <PaletteSwatch colors={palette.colors} height={8} />
+              </div>
+              <span className="flex-1 truncate text-gray-700">{palette.label}</span>
+              <button onClick={() => startEditing(palette)} className="text-primary-600 hover:underline">
+                Edit
+              </button>
+              <button onClick={() => deleteCustomPalette(palette.id)} className="text-gray-500 hover:underline">
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Form */}
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Palette name"
+        aria-label="Palette name"
+        className="w-full px-2 py-1 text-xs border border-gray-300 rounded"
+      />
+      <p className="text-[10px] text-gray-500">Negative anomalies → positive anomalies</p>
+      <div className="flex flex-wrap items-center gap-1">
+        {colors.map((color, i) => (
+          <div key={i} className="flex flex-col items-center">
+            <input
+              type="color"
+              value={color}
+              onChange={(e) => updateStop(i, e.target.value)}
+              aria-label={`Colour stop ${i + 1}`}
+              className="w-7 h-7 p-0 border border-gray-300 rounded cursor-pointer"
+            />
+            {colors.length > MIN_STOPS && (
+              <button
+                onClick={() => removeStop(i)}
+                className="text-[10px] text-gray-400 hover:text-gray-600"
+                aria-label={`Remove colour stop ${i + 1}`}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        {colors.length < MAX_STOPS && (
+          <button
+            onClick={addStop}
+            className="w-7 h-7 rounded border border-dashed border-gray-400 text-gray-500 hover:bg-gray-100 self-start"
+            aria-label="Add colour stop"
+          >
+            +
+          </button>
+        )}
+      </div>
+
+      {/* Preview with each colour vision deficiency */}
+      <div className="space-y-0.5">
+        {CVD_SIMULATIONS.map(simulation => (
+          <div key={simulation.value} className="flex items-center gap-1.5">
+            <span className="w-20 shrink-0 text-[9px] text-gray-500 truncate">
+              {simulation.label.split(' ')[0]}
+            </span>
+            <PaletteSwatch
+              colors={colors.map(c => simulateColorVision(c, simulation.value))}
+              height={8}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={handleSave}
+          className="px-2 py-1 rounded bg-primary-500 hover:bg-primary-600 text-white text-[11px] font-medium"
+        >
+          {editingId ? 'Save changes' : 'Save palette'}
+        </button>
+        {editingId && (
+          <button onClick={resetForm} className="text-[11px] text-gray-500 hover:underline">
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaletteSelector;
@@ -7,7 +7,7 @@ import { PERIODS } from '../../utils/constants';
  * Uses PERIODS constant (can be enhanced to fetch from API)
  */
 const PeriodSelector = () => {
-  const { period, setPeriod } = useClimate();
+  const { period, setPeriod, comparisonMode } = useClimate();
 
   const handleChange = (e) => {
     setPeriod(e.target.value);
@@ -20,7 +20,7 @@ const PeriodSelector = () => {
         className="text-xs font-medium"
         style={{ color: '#475569' }}
       >
-        Time Period
+        {comparisonMode ? 'Time Period A (Main)' : 'Time Period'}
       </label>
       <select
         id="period-select"
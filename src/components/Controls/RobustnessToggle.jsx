@@ -0,0 +1,59 @@
+import { useClimate } from '../../context/ClimateContext';
+
+/**
+ * RobustnessToggle - Toggle the scenario robustness map (do the SSPs agree on the sign of change?)
+ * Uses ClimateContext robustnessMode; leaves comparison, matrix and composite modes when entering it
+ */
+const RobustnessToggle = () => {
+  const {
+    robustnessMode,
+    setRobustnessMode,
+    setComparisonMode,
+    setMatrixMode,
+    setCompositeMode,
+    setSelectedMunicipality,
+  } = useClimate();
+
+  const handleToggle = () => {
+    if (!robustnessMode) {
+      setComparisonMode(false);
+      setMatrixMode(false);
+      setCompositeMode(false);
+    }
+    // The InfoPanel shows scenario agreement only for municipalities picked on the robustness map
+    setSelectedMunicipality(null);
+    setRobustnessMode(!robustnessMode);
+  };
+
+  return (
+    <button
+      onClick={handleToggle}
+      className={`w-full px-4 py-3 rounded-lg font-medium transition-all shadow-sm ${
+        robustnessMode
+          ? 'bg-primary-500 text-white hover:bg-primary-600'
+          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+      }`}
+    >
+      <div className="flex items-center justify-center gap-2">
+        <svg
+          className="w-5 h-5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.040A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
+          />
+        </svg>
+        <span>
+          {robustnessMode ? 'Exit Robustness' : 'Scenario Agreement'}
+        </span>
+      </div>
+    </button>
+  );
+};
+
+export default RobustnessToggle;
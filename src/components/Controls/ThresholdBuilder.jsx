@@ -0,0 +1,261 @@
+import { useEffect, useState } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { hasBaselineValues, getValueUnit } from '../../utils/baseline';
+import {
+  THRESHOLD_OPERATORS,
+  THRESHOLD_MEASURES,
+  createThresholdRule,
+  formatThresholdRule,
+} from '../../utils/threshold';
+
+/**
+ * ThresholdBuilder - Trigger threshold for the current index, e.g. "TXGE30 change > 20 days"
+ * Switches the single map to the municipalities exceeding it (ClimateLayer, ThresholdSummary),
+ * re-evaluated whenever the scenario or period changes. Rules can be saved (localStorage);
+ * loading one for another index switches to that index.
+ */
+const ThresholdBuilder = () => {
+  const {
+    index,
+    setIndex,
+    geojsonData,
+    thresholdMode,
+    setThresholdMode,
+    thresholdRule,
+    setThresholdRule,
+    thresholdResult,
+    savedThresholds,
+    saveThreshold,
+    deleteThreshold,
+    setSelectedMunicipality,
+  } = useClimate();
+  const { getIndexByCode } = useIndices();
+
+  const indexMetadata = getIndexByCode(index);
+
+  // Start a rule for the current index
+  useEffect(() => {
+    if (thresholdMode && !thresholdRule && indexMetadata) {
+      setThresholdRule({ label: '', ...createThresholdRule(indexMetadata) });
+    }
+  }, [thresholdMode, thresholdRule, indexMetadata, setThresholdRule]);
+
+  const handleToggle = () => {
+    setSelectedMunicipality(null);
+    setThresholdMode(!thresholdMode);
+  };
+
+  const updateRule = (updates) => {
+    setThresholdRule(prev => ({ ...prev, ...updates }));
+  };
+
+  // A saved rule's name described its old trigger: clear it so the new description shows
+  const updateTrigger = (updates) => {
+    setThresholdRule(prev => ({ ...prev, ...updates, label: prev.id ? '' : prev.label }));
+  };
+
+  const loadRule = (id) => {
+    const rule = savedThresholds.find(r => r.id === id);
+    if (!rule) return;
+    setThresholdRule(rule);
+    if (rule.code !== index) setIndex(rule.code);
+  };
+
+  const handleSave = () => {
+    const id = thresholdRule.id || `threshold-${Date.now()}`;
+    const rule = {
+      id,
+      label: thresholdRule.label.trim() || formatThresholdRule(thresholdRule, getIndexByCode(thresholdRule.code)?.unit),
+      code: thresholdRule.code,
+      measure: thresholdRule.measure,
+      operator: thresholdRule.operator,
+      value: thresholdRule.value,
+    };
+    saveThreshold(rule);
+    setThresholdRule(rule);
+  };
+
+  const handleDelete = () => {
+    deleteThreshold(thresholdRule.id);
+    setThresholdRule(prev => ({ ...prev, id: undefined }));
+  };
+
+  const isOtherIndex = thresholdRule && thresholdRule.code !== index;
+  const baselineAvailable = hasBaselineValues(geojsonData);
+  const isSaved = thresholdRule && savedThresholds.some(r => r.id === thresholdRule.id);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <button
+        onClick={handleToggle}
+        className={`w-full px-4 py-3 rounded-lg font-medium transition-all shadow-sm ${
+          thresholdMode
+            ? 'bg-primary-500 text-white hover:bg-primary-600'
+            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+        }`}
+      >
+        <div className="flex items-center justify-center gap-2">
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M3 21v-4m0 0V5a2 2 0 012-2h6.5l1 1H21l-3 6 3 6h-8.5l-1-1H5a2 2 0 00-2 2zm9-13.5V9"
+            />
+          </svg>
+          <span>{thresholdMode ? 'Exit Threshold Map' : 'Threshold Exceedance'}</span>
+        </div>
+      </button>
+
+      {thresholdMode && thresholdRule && (
+        <>
+          {savedThresholds.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => loadRule(e.target.value)}
+              className="nice-select"
+              aria-label="Load saved threshold"
+            >
+              <option value="">Load saved rule…</option>
+              {savedThresholds.map(r => (
+                <option key={r.id} value={r.id}>{r.label}</option>
+              ))}
+            </select>
+          )}
+
+          {isOtherIndex ? (
+            <div className="flex flex-col gap-1">
+              <p className="text-[10px] italic" style={{ color: '#64748b' }}>
+                This rule is for {thresholdRule.code.toUpperCase()}.
+              </p>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => setIndex(thresholdRule.code)}
+                  className="flex-1 px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium"
+                >
+                  Show {thresholdRule.code.toUpperCase()}
+                </button>
+                {indexMetadata && (
+                  <button
+                    onClick={() => setThresholdRule({ label: '', ...createThresholdRule(indexMetadata) })}
+                    className="flex-1 px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium"
+                  >
+                    New rule for {index.toUpperCase()}
+                  </button>
+                )}
+              </div>
+            </div>
+          ) : (
+            <>
+              {/* Remounted for another rule, which resets the value as typed */}
+              <RuleEditor
+                key={`${thresholdRule.id || 'new'}-${thresholdRule.code}`}
+                rule={thresholdRule}
+                unit={indexMetadata?.unit}
+                baselineAvailable={baselineAvailable}
+                evaluated={Boolean(thresholdResult)}
+                onChange={updateTrigger}
+              />
+
+              {/* Save for later sessions */}
+              <div className="flex items-center gap-1">
+                <input
+                  type="text"
+                  value={thresholdRule.label}
+                  onChange={(e) => updateRule({ label: e.target.value })}
+                  placeholder={formatThresholdRule(thresholdRule, indexMetadata?.unit)}
+                  className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-[11px]"
+                  aria-label="Threshold name"
+                />
+                <button
+                  onClick={handleSave}
+                  className="px-2 py-1 rounded bg-primary-500 hover:bg-primary-600 text-white text-[10px] font-medium"
+                >
+                  Save
+                </button>
+                {isSaved && (
+                  <button
+                    onClick={handleDelete}
+                    className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * RuleEditor - Measure, operator and trigger value of a threshold rule
+ * The value is kept as typed, so partial input such as "-" stays while the rule keeps the last number.
+ *
+ * @param {Object} props
+ * @param {Object} props.rule - Threshold rule {code, measure, operator, value}
+ * @param {string} props.unit - Index unit
+ * @param {boolean} props.baselineAvailable - Whether the data has baseline values
+ * @param {boolean} props.evaluated - Whether the rule could be evaluated
+ * @param {Function} props.onChange - Receives rule updates
+ */
+const RuleEditor = ({ rule, unit, baselineAvailable, evaluated, onChange }) => {
+  const [valueInput, setValueInput] = useState(String(rule.value));
+
+  return (
+    <div className="flex flex-col gap-1">
+      <span className="text-xs font-medium" style={{ color: '#475569' }}>
+        {rule.code.toUpperCase()} rule
+      </span>
+      <div className="flex items-center gap-1">
+        <select
+          value={rule.measure}
+          onChange={(e) => onChange({ measure: e.target.value })}
+          className="nice-select flex-1 min-w-0"
+          aria-label="Value tested"
+        >
+          {THRESHOLD_MEASURES.map(m => (
+            <option key={m.value} value={m.value} disabled={m.value !== 'anomaly' && !baselineAvailable}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={rule.operator}
+          onChange={(e) => onChange({ operator: e.target.value })}
+          className="nice-select w-14"
+          aria-label="Comparison"
+        >
+          {THRESHOLD_OPERATORS.map(o => (
+            <option key={o.value} value={o.value}>{o.label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          step="any"
+          value={valueInput}
+          onChange={(e) => {
+            setValueInput(e.target.value);
+            const value = parseFloat(e.target.value);
+            if (Number.isFinite(value)) onChange({ value });
+          }}
+          className="w-16 px-1 py-1 border border-gray-300 rounded text-[11px]"
+          aria-label="Threshold value"
+        />
+        <span className="text-[10px] text-gray-500 w-8 truncate">
+          {getValueUnit(rule.measure, unit)}
+        </span>
+      </div>
+      {!evaluated && rule.measure !== 'anomaly' && !baselineAvailable && (
+        <p className="text-[10px]" style={{ color: '#dc2626' }}>
+          This rule needs baseline values, which the data for {rule.code.toUpperCase()} does not have
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ThresholdBuilder;
@@ -0,0 +1,54 @@
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { VALUE_MODES, getMinPercentBaseline, hasBaselineValues, isAbsoluteValueMode } from '../../utils/baseline';
+
+/**
+ * ValueModeSelector - Show the change vs baseline (absolute or %), the projected value or the baseline climatology
+ * Only shown when the data carries baseline values (see utils/baseline.js)
+ */
+const ValueModeSelector = () => {
+  const { geojsonData, index, valueMode, setValueMode } = useClimate();
+  const { getIndexByCode } = useIndices();
+  const unit = getIndexByCode(index)?.unit;
+
+  if (!hasBaselineValues(geojsonData)) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col gap-1.5">
+      <span className="text-xs font-medium" style={{ color: '#475569' }}>
+        Values
+      </span>
+      <div className="flex gap-1.5">
+        {VALUE_MODES.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => setValueMode(option.value)}
+            title={option.fullLabel}
+            className={`flex-1 px-1.5 py-1.5 rounded-lg text-[11px] font-medium transition-all ${
+              valueMode === option.value
+                ? 'text-white shadow-sm'
+                : 'text-gray-700 hover:bg-gray-100'
+            }`}
+            style={valueMode === option.value ? { background: '#60a5fa' } : { background: '#f1f5f9' }}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {valueMode === 'percent' && (
+        <p className="text-[10px] italic" style={{ color: '#64748b' }}>
+          Change ÷ baseline; not shown where the baseline is {getMinPercentBaseline(index)}{unit ? ` ${unit}` : ''} or less
+        </p>
+      )}
+      {isAbsoluteValueMode(valueMode) && (
+        <p className="text-[10px] italic" style={{ color: '#64748b' }}>
+          Sequential colours fitted to the values shown; comparison and matrix views stay in change vs 1995-2014
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ValueModeSelector;
@@ -0,0 +1,254 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { extractMunicipalityFromFeature, extractMetadataFromGeoJSON } from '../../utils/colorMapping';
+import { buildTableRows, filterTableRows, sortTableRows } from '../../utils/dataTable';
+import { getValueUnit } from '../../utils/baseline';
+import { getWorseDirection } from '../../utils/composite';
+import { getFeatureBounds } from '../../utils/mapRenderer';
+
+const COLUMNS = [
+  { key: 'name', label: 'Municipality', align: 'text-left' },
+  { key: 'province', label: 'Province', align: 'text-left' },
+  { key: 'districtName', label: 'District', align: 'text-left' },
+  { key: 'value', label: 'Value', align: 'text-right' },
+  { key: 'rank', label: 'Rank', align: 'text-right' },
+  { key: 'percentile', label: 'Pctl', align: 'text-right' },
+];
+
+/**
+ * DataTable - Sortable, filterable table of every municipality in the current layer
+ * Columns: name, province, district, value, rank (1 = most affected, by the index's
+ * anomaly_direction) and percentile.
+ * Filters by province, district and value range. Hovering a row highlights its polygon
+ * (onHoverChange), and the row of the polygon hovered on the map is highlighted
+ * (highlightedMunicipalityId). Clicking a row selects the municipality and zooms to it.
+ *
+ * @param {Object} props
+ * @param {Object} props.map - Leaflet map to zoom on row click
+ * @param {number} props.highlightedMunicipalityId - Municipality hovered on the map
+ * @param {Function} props.onHoverChange - Called with the hovered row's municipality id (or null)
+ */
+const DataTable = ({ map = null, highlightedMunicipalityId = null, onHoverChange }) => {
+  const { geojsonData, index, selectedMunicipality, setSelectedMunicipality } = useClimate();
+  const { getIndexByCode } = useIndices();
+
+  const [open, setOpen] = useState(false);
+  const [sort, setSort] = useState({ key: 'rank', direction: 'asc' });
+  const [province, setProvince] = useState('');
+  const [districtCode, setDistrictCode] = useState('');
+  const [min, setMin] = useState('');
+  const [max, setMax] = useState('');
+  const rowRefs = useRef({});
+
+  const indexMetadata = getIndexByCode(index);
+  // '%' while the map shows relative change (utils/baseline.js)
+  const unit = getValueUnit(extractMetadataFromGeoJSON(geojsonData)?.valueMode, indexMetadata?.unit);
+
+  // Rank 1 is the lowest value for indices that get worse as they decrease (e.g. PRCPTOT)
+  const direction = getWorseDirection(indexMetadata?.anomaly_direction);
+  const rows = useMemo(() => buildTableRows(geojsonData, direction), [geojsonData, direction]);
+
+  const provinces = useMemo(() => (
+    [...new Set(rows.map(r => r.province).filter(Boolean))].sort()
+  ), [rows]);
+
+  const districts = useMemo(() => {
+    const byCode = new Map();
+    rows
+      .filter(r => r.districtCode && (!province || r.province === province))
+      .forEach(r => byCode.set(r.districtCode, r.districtName || r.districtCode));
+    return [...byCode].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [rows, province]);
+
+  const visibleRows = useMemo(() => {
+    const filtered = filterTableRows(rows, {
+      province,
+      districtCode,
+      min: min === '' ? null : Number(min),
+      max: max === '' ? null : Number(max),
+    });
+    return sortTableRows(filtered, sort.key, sort.direction);
+  }, [rows, province, districtCode, min, max, sort]);
+
+  // Bring the row of the polygon hovered or selected on the map into view
+  const focusedId = highlightedMunicipalityId ?? selectedMunicipality?.id;
+  useEffect(() => {
+    if (!open || focusedId === null || focusedId === undefined) return;
+    rowRefs.current[focusedId]?.scrollIntoView({ block: 'nearest' });
+  }, [open, focusedId]);
+
+  const handleSort = (key) => {
+    setSort(prev => (
+      prev.key === key
+        ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+        : { key, direction: key === 'value' || key === 'percentile' ? 'desc' : 'asc' }
+    ));
+  };
+
+  const handleProvinceChange = (value) => {
+    setProvince(value);
+    setDistrictCode('');
+  };
+
+  const handleRowClick = (row) => {
+    setSelectedMunicipality(extractMunicipalityFromFeature(row.feature));
+
+    const bounds = getFeatureBounds([row.feature]);
+    if (map && bounds) {
+      map.fitBounds(bounds, { padding: [32, 32], duration: 0.6 });
+    }
+  };
+
+  const clearFilters = () => {
+    setProvince('');
+    setDistrictCode('');
+    setMin('');
+    setMax('');
+  };
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        disabled={rows.length === 0}
+        className="absolute bottom-4 left-1/2 -translate-x-1/2 z-1000 bg-white rounded-lg shadow-sm border border-gray-300 px-3 py-2 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+      >
+        ▤ Data table
+      </button>
+    );
+  }
+
+  const hasFilters = province || districtCode || min !== '' || max !== '';
+
+  return (
+    <div className="absolute bottom-4 left-1/2 -translate-x-1/2 z-1000 bg-white rounded-lg shadow-sm border border-gray-300 p-3 w-[560px] max-w-[calc(100%-2rem)] h-[45%] flex flex-col">
+      {/* Header */}
+      <div className="flex items-start justify-between mb-2">
+        <div>
+          <h3 className="text-xs font-semibold text-gray-700">Municipalities</h3>
+          <p className="text-[10px] text-gray-500">
+            {index?.toUpperCase()}{unit ? ` (${unit})` : ''} ·{' '}
+            {visibleRows.length} of {rows.length} shown · rank 1 = most affected ({direction > 0 ? 'highest' : 'lowest'} value)
+          </p>
+        </div>
+        <button
+          onClick={() => setOpen(false)}
+          className="text-gray-400 hover:text-gray-600 transition-colors ml-2"
+          aria-label="Close"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="flex items-center gap-1.5 mb-2">
+        <select
+          value={province}
+          onChange={(e) => handleProvinceChange(e.target.value)}
+          className="nice-select flex-1 min-w-0"
+          aria-label="Province"
+        >
+          <option value="">All provinces</option>
+          {provinces.map(p => (
+            <option key={p} value={p}>{p}</option>
+          ))}
+        </select>
+        <select
+          value={districtCode}
+          onChange={(e) => setDistrictCode(e.target.value)}
+          className="nice-select flex-1 min-w-0"
+          aria-label="District"
+        >
+          <option value="">All districts</option>
+          {districts.map(([code, name]) => (
+            <option key={code} value={code}>{name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          value={min}
+          onChange={(e) => setMin(e.target.value)}
+          placeholder="Min"
+          className="w-16 px-1.5 py-1 border border-gray-300 rounded text-[10px]"
+          aria-label="Minimum value"
+        />
+        <input
+          type="number"
+          value={max}
+          onChange={(e) => setMax(e.target.value)}
+          placeholder="Max"
+          className="w-16 px-1.5 py-1 border border-gray-300 rounded text-[10px]"
+          aria-label="Maximum value"
+        />
+        {hasFilters && (
+          <button
+            onClick={clearFilters}
+            className="px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {/* Table */}
+      <div className="flex-1 overflow-y-auto" onMouseLeave={() => onHoverChange?.(null)}>
+        <table className="w-full text-[10px]">
+          <thead className="sticky top-0 bg-white">
+            <tr className="border-b border-gray-200">
+              {COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  className={`py-1 px-1 font-semibold text-gray-700 cursor-pointer select-none whitespace-nowrap ${column.align}`}
+                  onClick={() => handleSort(column.key)}
+                  aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  {column.label}
+                  {sort.key === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map(row => {
+              const isSelected = selectedMunicipality?.id === row.id;
+              const isHighlighted = highlightedMunicipalityId === row.id;
+
+              return (
+                <tr
+                  key={row.id}
+                  ref={(el) => { rowRefs.current[row.id] = el; }}
+                  onMouseEnter={() => onHoverChange?.(row.id)}
+                  onClick={() => handleRowClick(row)}
+                  className={`cursor-pointer border-b border-gray-100 ${
+                    isSelected ? 'bg-primary-50 font-semibold' : isHighlighted ? 'bg-gray-100' : 'hover:bg-gray-50'
+                  }`}
+                >
+                  <td className="py-0.5 px-1 text-gray-800 truncate max-w-[140px]" title={`${row.name} (${row.code})`}>
+                    {row.name}
+                  </td>
+                  <td className="py-0.5 px-1 text-gray-600 truncate max-w-[100px]">{row.province}</td>
+                  <td className="py-0.5 px-1 text-gray-600 truncate max-w-[120px]">{row.districtName}</td>
+                  <td className="py-0.5 px-1 text-right font-mono text-gray-800">
+                    {row.value !== null ? row.value.toFixed(2) : 'N/A'}
+                  </td>
+                  <td className="py-0.5 px-1 text-right font-mono text-gray-600">{row.rank ?? '–'}</td>
+                  <td className="py-0.5 px-1 text-right font-mono text-gray-600">
+                    {row.percentile !== null ? row.percentile.toFixed(0) : '–'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {visibleRows.length === 0 && (
+          <p className="text-[10px] italic text-gray-500 text-center py-3">No municipalities match the filters</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
@@ -0,0 +1,203 @@
+import { useMemo, useRef, useState } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { getMunicipalitiesByDistrict, getMunicipalitiesByProvince } from '../../api/municipalities';
+import { getClimateDataByMunicipality } from '../../api/climateData';
+import { buildClimateProfile } from '../../utils/climateProfile';
+import { getColorScale, extractValuesFromGeoJSON, extractMetadataFromGeoJSON, extractMunicipalityFromFeature } from '../../utils/colorMapping';
+import { buildMunicipalityReport, buildReportArchive } from '../../utils/reportExport';
+import { downloadBlob, buildFilename } from '../../utils/download';
+
+/**
+ * BatchReportExport - Generate the PDF profile of every municipality in a district or province
+ * Lists the municipalities with getMunicipalitiesByDistrict/getMunicipalitiesByProvince, builds
+ * each report for the map currently shown (same as InfoPanel's "Generate report") and
+ * downloads them as one ZIP. Shows progress and can be cancelled between reports.
+ */
+const BatchReportExport = () => {
+  const { geojsonData, selectedMunicipality, getColorScaleOptions } = useClimate();
+  const { indices, getIndexByCode } = useIndices();
+
+  const [scope, setScope] = useState('district');
+  const [area, setArea] = useState('');
+  // {done, total, name} while generating
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const cancelRef = useRef(false);
+
+  // Districts and provinces of the loaded layer
+  const areaOptions = useMemo(() => {
+    const districts = new Map();
+    const provinces = new Set();
+
+    (geojsonData?.features || []).forEach(({ properties }) => {
+      if (properties.district_code) {
+        districts.set(properties.district_code, properties.district_name || properties.district_code);
+      }
+      if (properties.province) provinces.add(properties.province);
+    });
+
+    return {
+      district: [...districts]
+        .map(([value, label]) => ({ value, label }))
+        .sort((a, b) => a.label.localeCompare(b.label)),
+      province: [...provinces].sort().map(value => ({ value, label: value })),
+    };
+  }, [geojsonData]);
+
+  // Default to the selected municipality's district/province
+  const defaultArea = scope === 'district' ? selectedMunicipality?.districtCode : selectedMunicipality?.province;
+  const selectedArea = area || defaultArea || areaOptions[scope][0]?.value || '';
+
+  const handleScopeChange = (value) => {
+    setScope(value);
+    setArea('');
+  };
+
+  const handleGenerate = async () => {
+    const metadata = extractMetadataFromGeoJSON(geojsonData);
+    const indexMetadata = getIndexByCode(metadata?.indexCode);
+    if (!indexMetadata || !selectedArea) return;
+
+    cancelRef.current = false;
+    setError(null);
+    setProgress({ done: 0, total: 0, name: null });
+
+    try {
+      const response = scope === 'district'
+        ? await getMunicipalitiesByDistrict(selectedArea)
+        : await getMunicipalitiesByProvince(selectedArea);
+      const listed = Array.isArray(response) ? response : (response?.data || []);
+
+      // Report from the map features, which carry the names, codes and geometry
+      const ids = new Set(listed.map(m => m.id));
+      const codes = new Set(listed.map(m => m.municipality_code || m.code));
+      const municipalities = geojsonData.features
+        .filter(({ properties }) => ids.has(properties.id) || codes.has(properties.municipality_code))
+        .map(extractMunicipalityFromFeature)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      if (municipalities.length === 0) {
+        throw new Error('No municipalities found for this area');
+      }
+
+      const colorScale = getColorScale(
+        indexMetadata,
+        extractValuesFromGeoJSON(geojsonData),
+        getColorScaleOptions(indexMetadata.code, metadata.valueMode)
+      );
+      const indexCodes = indices.map(idx => idx.code);
+      const reports = [];
+
+      for (const municipality of municipalities) {
+        if (cancelRef.current) return;
+        setProgress({ done: reports.length, total: municipalities.length, name: municipality.name });
+
+        const profile = buildClimateProfile(await getClimateDataByMunicipality(municipality.id), indexCodes);
+        // Let the progress render before the synchronous PDF work
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (cancelRef.current) return;
+
+        reports.push({
+          municipality,
+          doc: buildMunicipalityReport({
+            municipality,
+            geojson: geojsonData,
+            colorScale,
+            indexMetadata,
+            indices,
+            profile,
+            scenario: metadata.scenario,
+            period: metadata.period,
+          }),
+        });
+      }
+
+      const areaLabel = areaOptions[scope].find(o => o.value === selectedArea)?.label;
+      downloadBlob(
+        buildReportArchive(reports),
+        buildFilename([scope === 'district' ? selectedArea : null, areaLabel, 'climate-profiles'], 'zip')
+      );
+    } catch (err) {
+      console.error('Error generating batch reports:', err);
+      setError(err.message || 'Failed to generate reports');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleCancel = () => {
+    cancelRef.current = true;
+  };
+
+  return (
+    <div className="flex flex-col gap-1.5 pt-2 mt-1 border-t border-gray-200">
+      <label htmlFor="batch-area" className="text-xs font-medium" style={{ color: '#475569' }}>
+        Batch reports (PDF)
+      </label>
+      <div className="flex gap-1">
+        {['district', 'province'].map(value => (
+          <button
+            key={value}
+            onClick={() => handleScopeChange(value)}
+            disabled={progress !== null}
+            className={`flex-1 px-2 py-0.5 rounded text-[10px] font-medium capitalize ${
+              scope === value ? 'bg-primary-500 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+            }`}
+          >
+            {value}
+          </button>
+        ))}
+      </div>
+      <select
+        id="batch-area"
+        value={selectedArea}
+        onChange={(e) => setArea(e.target.value)}
+        disabled={progress !== null}
+        className="nice-select"
+      >
+        {areaOptions[scope].map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      {progress ? (
+        <>
+          <div className="h-1.5 rounded bg-gray-200 overflow-hidden">
+            <div
+              className="h-full bg-primary-500 transition-all"
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <span className="text-[10px] text-gray-600 truncate">
+              {progress.total
+                ? `${progress.done + 1} of ${progress.total}: ${progress.name}`
+                : 'Listing municipalities…'}
+            </span>
+            <button
+              onClick={handleCancel}
+              className="ml-2 px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </>
+      ) : (
+        <button
+          onClick={handleGenerate}
+          disabled={!geojsonData || !selectedArea}
+          className="px-2 py-1.5 rounded bg-gray-100 hover:bg-gray-200 text-[11px] font-medium disabled:opacity-50"
+        >
+          Download ZIP
+        </button>
+      )}
+
+      {error && (
+        <p className="text-[10px]" style={{ color: '#dc2626' }}>{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default BatchReportExport;
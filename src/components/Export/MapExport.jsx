@@ -0,0 +1,404 @@
+import { useMemo, useState } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { getColorScale, extractValuesFromGeoJSON, extractMetadataFromGeoJSON } from '../../utils/colorMapping';
+import { getValueModeCaption, getValueUnit } from '../../utils/baseline';
+import { THRESHOLD_COLORS, THRESHOLD_CATEGORIES, formatThresholdRule } from '../../utils/threshold';
+import { getClimateGeoJSONForIndex } from '../../api/climateData';
+import { exportMapImage } from '../../utils/mapImageExport';
+import { aggregateGeoJSON } from '../../utils/aggregation';
+import { buildAttributeRows, getAttributeColumns, toCsv, rowsToSheet, createXlsxWorkbook, buildMetadataSheet } from '../../utils/tableExport';
+import { GEO_FORMATS, exportGeoLayer } from '../../utils/geoExport';
+import { downloadBlob, buildFilename } from '../../utils/download';
+import { SCENARIOS, PERIODS, EXPORT_CONFIG, DATA_CITATION, formatScenario, formatPeriod } from '../../utils/constants';
+import BatchReportExport from './BatchReportExport';
+
+const IMAGE_FORMATS = [
+  { value: 'png', label: 'PNG', extension: 'png' },
+  { value: 'jpeg', label: 'JPEG', extension: 'jpg' },
+  { value: 'svg', label: 'SVG (vector)', extension: 'svg' },
+];
+
+/**
+ * MapExport - Export the map view as a high-resolution PNG or JPEG, or as SVG
+ * The image is drawn from the data (see utils/mapImageExport.js): title, every pane,
+ * legend, north arrow, scale bar and attribution at the chosen DPI. SVG keeps every
+ * municipality as a vector group named by its code, for restyling in Illustrator/Inkscape.
+ *
+ * The data behind the panes can be downloaded as CSV (one row per feature and pane)
+ * or Excel, which adds a sheet per scenario/period of the selected index and a metadata sheet.
+ * A pane's layer can also be saved for GIS (GeoJSON, TopoJSON, KML, zipped Shapefile),
+ * optionally with other indices for the same scenario/period as extra attribute columns.
+ * In the single map view, PDF profiles of a whole district or province can be downloaded as a ZIP.
+ *
+ * Without panes, exports the main map from ClimateContext as shown: the district or province
+ * layer when one is selected (image, table and GIS alike), the threshold exceedance map
+ * (categorical fills and legend) while a threshold rule is shown. Comparison views pass their
+ * panes ({map, geojson, colorScale, indexMetadata, label, unit}) and title lines.
+ *
+ * @param {Object} props
+ * @param {Object} props.map - Main Leaflet map (single map view)
+ * @param {Array<Object>} props.panes - Panes to export instead of the main map
+ * @param {Array<string>} props.titleLines - Title lines for the panes
+ * @param {Array<string>} props.filenameParts - File name parts for the panes
+ */
+const MapExport = ({ map = null, panes = null, titleLines = null, filenameParts = null }) => {
+  const { index, geojsonData, geographyLevel, getColorScaleOptions, thresholdRule, thresholdResult } = useClimate();
+  const { indices, getIndexByCode } = useIndices();
+
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState(EXPORT_CONFIG.imageFormat);
+  const [dpi, setDpi] = useState(EXPORT_CONFIG.imageDpi);
+  // What is being exported: 'image', 'xlsx', 'geo' or null
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+  const [geoFormat, setGeoFormat] = useState('geojson');
+  const [geoPane, setGeoPane] = useState(0);
+  const [extraCodes, setExtraCodes] = useState([]);
+
+  // Main map pane (single map view)
+  const mainExport = useMemo(() => {
+    if (panes || !geojsonData) return null;
+
+    const metadata = extractMetadataFromGeoJSON(geojsonData);
+    const indexMetadata = getIndexByCode(metadata?.indexCode);
+    if (!indexMetadata) return null;
+
+    // Same layer as ClimateLayer: municipalities for threshold maps
+    const level = thresholdResult ? 'municipality' : geographyLevel;
+    const pane = {
+      map,
+      geojson: aggregateGeoJSON(geojsonData, level),
+      level,
+      colorScale: getColorScale(
+        indexMetadata,
+        extractValuesFromGeoJSON(geojsonData),
+        getColorScaleOptions(indexMetadata.code, metadata.valueMode)
+      ),
+      indexMetadata,
+      unit: getValueUnit(metadata.valueMode, indexMetadata.unit),
+    };
+    const periodLine = `${formatScenario(metadata.scenario).fullLabel} · ${formatPeriod(metadata.period).label}`;
+
+    // Threshold exceedance map: the categories shown on screen instead of the values
+    if (thresholdResult) {
+      const rule = formatThresholdRule(thresholdRule, indexMetadata.unit);
+      return {
+        panes: [{
+          ...pane,
+          fillFor: (feature) => THRESHOLD_COLORS[thresholdResult.classes.get(feature.properties.id) || 'nodata'],
+          legendTitle: thresholdRule.label || rule,
+          legendCategories: THRESHOLD_CATEGORIES
+            .filter(c => c.key !== 'nodata' || thresholdResult.counts.nodata > 0)
+            .map(c => ({ color: THRESHOLD_COLORS[c.key], label: `${c.label} (${thresholdResult.counts[c.key]})` })),
+        }],
+        titleLines: [
+          `${indexMetadata.code?.toUpperCase()} - ${indexMetadata.name}`,
+          `${periodLine} · Threshold: ${rule}`,
+        ],
+        filenameParts: [indexMetadata.code, metadata.scenario, metadata.period, 'threshold'],
+      };
+    }
+
+    const isAggregated = level !== 'municipality';
+    return {
+      panes: [pane],
+      titleLines: [
+        `${indexMetadata.code?.toUpperCase()} - ${indexMetadata.name}`,
+        `${periodLine} · ${getValueModeCaption(metadata.valueMode)}${isAggregated ? ` · ${level} means` : ''}`,
+      ],
+      filenameParts: [indexMetadata.code, metadata.scenario, metadata.period, isAggregated && level],
+    };
+  }, [panes, map, geojsonData, geographyLevel, getIndexByCode, getColorScaleOptions, thresholdRule, thresholdResult]);
+
+  const exportPanes = panes || mainExport?.panes || [];
+  const ready = exportPanes.length > 0 && exportPanes.every(pane => pane.map && pane.geojson && pane.colorScale);
+
+  const exportTitleLines = titleLines || mainExport?.titleLines || [];
+  const exportFilenameParts = filenameParts || mainExport?.filenameParts || [];
+
+  const handleExport = async () => {
+    if (!ready) return;
+
+    setExporting('image');
+    setError(null);
+
+    try {
+      const blob = await exportMapImage({
+        panes: exportPanes,
+        titleLines: exportTitleLines,
+        dpi,
+        format,
+      });
+      const { extension } = IMAGE_FORMATS.find(f => f.value === format);
+      const parts = format === 'svg' ? exportFilenameParts : [...exportFilenameParts, `${dpi}dpi`];
+      downloadBlob(blob, buildFilename(parts, extension));
+    } catch (err) {
+      console.error('Error exporting map image:', err);
+      setError(err.message || 'Failed to export image');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Attribute rows of every pane, with the columns of their geography level
+  const viewColumns = getAttributeColumns(exportPanes[0]?.level);
+  const buildViewRows = () => exportPanes.flatMap(pane => (
+    buildAttributeRows(pane.geojson, pane.indexMetadata, { unit: pane.unit })
+  ));
+
+  const handleCsvExport = () => {
+    const csv = toCsv(buildViewRows(), viewColumns);
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), buildFilename(exportFilenameParts, 'csv'));
+  };
+
+  /**
+   * Workbook: current view, one sheet per scenario/period of the selected index, metadata
+   */
+  const handleXlsxExport = async () => {
+    const indexMetadata = getIndexByCode(index);
+    if (!indexMetadata) return;
+
+    setExporting('xlsx');
+    setError(null);
+
+    try {
+      const results = await getClimateGeoJSONForIndex(
+        index,
+        SCENARIOS.map(s => s.value),
+        PERIODS.map(p => p.value)
+      );
+
+      const sheets = [
+        { name: 'Current view', rows: rowsToSheet(buildViewRows(), viewColumns) },
+        ...results.map(({ scenario, period, geojson }) => ({
+          name: `${formatScenario(scenario).label} ${formatPeriod(period).shortLabel}`,
+          rows: rowsToSheet(buildAttributeRows(geojson, indexMetadata)),
+        })),
+        {
+          name: 'Metadata',
+          rows: buildMetadataSheet(indexMetadata, [
+            ['Current view', exportTitleLines.join(' · ')],
+            ['Data source', DATA_CITATION.description],
+            ['Citation', DATA_CITATION.reference],
+            ['Exported', new Date().toISOString()],
+          ]),
+        },
+      ];
+
+      downloadBlob(createXlsxWorkbook(sheets), buildFilename(exportFilenameParts, 'xlsx'));
+    } catch (err) {
+      console.error('Error exporting workbook:', err);
+      setError(err.message || 'Failed to export workbook');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const toggleExtraCode = (code) => {
+    setExtraCodes(prev => (prev.includes(code) ? prev.filter(c => c !== code) : [...prev, code]));
+  };
+
+  /**
+   * GIS layer of one pane, with the selected extra indices for its scenario/period
+   */
+  const handleGeoExport = async () => {
+    const pane = exportPanes[geoPane] || exportPanes[0];
+    if (!pane) return;
+
+    setExporting('geo');
+    setError(null);
+
+    try {
+      const metadata = extractMetadataFromGeoJSON(pane.geojson);
+      const extraLayers = await Promise.all(
+        extraCodes
+          .filter(code => code !== pane.indexMetadata?.code)
+          .map(async code => {
+            const [result] = await getClimateGeoJSONForIndex(code, [metadata.scenario], [metadata.period]);
+            return { code, geojson: aggregateGeoJSON(result?.geojson, pane.level || 'municipality') };
+          })
+      );
+
+      const parts = exportPanes.length > 1
+        ? [...exportFilenameParts, pane.label?.charAt(0)]
+        : exportFilenameParts;
+      const { extension } = GEO_FORMATS.find(f => f.value === geoFormat);
+      const filename = buildFilename(parts, extension);
+
+      const blob = exportGeoLayer({
+        format: geoFormat,
+        geojson: pane.geojson,
+        extraLayers,
+        colorScale: pane.colorScale,
+        fillFor: pane.fillFor,
+        name: filename.slice(0, -(extension.length + 1)),
+        unit: pane.unit ?? pane.indexMetadata?.unit,
+      });
+      downloadBlob(blob, filename);
+    } catch (err) {
+      console.error('Error exporting GIS layer:', err);
+      setError(err.message || 'Failed to export layer');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="absolute top-24 left-3 z-1000 bg-white rounded-lg shadow-sm border border-gray-300 px-2 py-1.5 text-xs font-medium text-gray-700 hover:bg-gray-50"
+      >
+        ⤓ Export
+      </button>
+    );
+  }
+
+  return (
+    <div className="absolute top-24 left-3 z-1000 bg-white rounded-lg shadow-sm border border-gray-300 p-3 w-[220px] max-h-[calc(100%-7rem)] overflow-y-auto">
+      {/* Header */}
+      <div className="flex items-start justify-between mb-2">
+        <h3 className="text-xs font-semibold text-gray-700">Export Map</h3>
+        <button
+          onClick={() => setOpen(false)}
+          className="text-gray-400 hover:text-gray-600 transition-colors ml-2"
+          aria-label="Close"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="flex flex-col gap-1.5">
+        <label htmlFor="export-format" className="text-xs font-medium" style={{ color: '#475569' }}>
+          Format
+        </label>
+        <select
+          id="export-format"
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="nice-select"
+        >
+          {IMAGE_FORMATS.map(f => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+
+        {format !== 'svg' && (
+          <>
+            <label htmlFor="export-dpi" className="text-xs font-medium" style={{ color: '#475569' }}>
+              Resolution
+            </label>
+            <select
+              id="export-dpi"
+              value={dpi}
+              onChange={(e) => setDpi(Number(e.target.value))}
+              className="nice-select"
+            >
+              {EXPORT_CONFIG.imageDpiOptions.map(option => (
+                <option key={option} value={option}>
+                  {option} dpi{option === 96 ? ' (screen)' : ''}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+
+        <button
+          onClick={handleExport}
+          disabled={!ready || exporting !== null}
+          className="mt-1 px-2 py-1.5 rounded bg-primary-500 hover:bg-primary-600 text-white text-[11px] font-medium disabled:opacity-50"
+        >
+          {exporting === 'image' ? 'Exporting…' : 'Download image'}
+        </button>
+        <p className="text-[10px] text-gray-500">
+          Includes title, legend, north arrow, scale bar and data attribution. Basemap tiles are not included.
+        </p>
+
+        {/* Attribute data */}
+        <div className="flex items-center gap-1.5 pt-2 mt-1 border-t border-gray-200">
+          <span className="text-[10px] text-gray-600">Data:</span>
+          <button
+            onClick={handleCsvExport}
+            disabled={!ready || exporting !== null}
+            className="px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium disabled:opacity-50"
+          >
+            CSV
+          </button>
+          <button
+            onClick={handleXlsxExport}
+            disabled={!ready || exporting !== null}
+            className="px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium disabled:opacity-50"
+          >
+            {exporting === 'xlsx' ? 'Exporting…' : 'Excel'}
+          </button>
+        </div>
+
+        {/* GIS layer */}
+        <div className="flex flex-col gap-1.5 pt-2 mt-1 border-t border-gray-200">
+          <label htmlFor="export-geo-format" className="text-xs font-medium" style={{ color: '#475569' }}>
+            GIS layer
+          </label>
+          <select
+            id="export-geo-format"
+            value={geoFormat}
+            onChange={(e) => setGeoFormat(e.target.value)}
+            className="nice-select"
+          >
+            {GEO_FORMATS.map(f => (
+              <option key={f.value} value={f.value}>{f.label}</option>
+            ))}
+          </select>
+
+          {exportPanes.length > 1 && (
+            <select
+              aria-label="Layer"
+              value={geoPane}
+              onChange={(e) => setGeoPane(Number(e.target.value))}
+              className="nice-select"
+            >
+              {exportPanes.map((pane, i) => (
+                <option key={i} value={i}>{pane.label}</option>
+              ))}
+            </select>
+          )}
+
+          <span className="text-[10px] text-gray-600">Extra index columns:</span>
+          <div className="max-h-24 overflow-y-auto border border-gray-200 rounded px-1.5 py-1">
+            {indices
+              .filter(i => i.code !== exportPanes[geoPane]?.indexMetadata?.code)
+              .map(i => (
+                <label key={i.code} className="flex items-center gap-1.5 text-[10px] text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={extraCodes.includes(i.code)}
+                    onChange={() => toggleExtraCode(i.code)}
+                  />
+                  {i.code.toUpperCase()}
+                </label>
+              ))}
+          </div>
+
+          <button
+            onClick={handleGeoExport}
+            disabled={!ready || exporting !== null}
+            className="px-2 py-1.5 rounded bg-gray-100 hover:bg-gray-200 text-[11px] font-medium disabled:opacity-50"
+          >
+            {exporting === 'geo' ? 'Exporting…' : 'Download layer'}
+          </button>
+        </div>
+
+        {/* PDF profiles of a whole district/province (single map view) */}
+        {!panes && <BatchReportExport />}
+
+        {error && (
+          <p className="text-[10px]" style={{ color: '#dc2626' }}>{error}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MapExport;
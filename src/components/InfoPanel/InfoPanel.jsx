@@ -1,20 +1,75 @@
-import { useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { useClimate } from '../../context/ClimateContext';
 import { useIndices } from '../../context/IndicesContext';
+import { getClimateDataByMunicipality } from '../../api/climateData';
+import { buildClimateProfile, getProfileValue } from '../../utils/climateProfile';
+import { getColorScale, extractValuesFromGeoJSON, extractMetadataFromGeoJSON } from '../../utils/colorMapping';
+import { buildMunicipalityReport, getReportFilename } from '../../utils/reportExport';
+import { downloadBlob } from '../../utils/download';
+import { getRobustnessLabel } from '../../utils/robustness';
+import { ENSEMBLE_STATISTICS, LOW_CONFIDENCE_AGREEMENT } from '../../utils/ensemble';
+import { VALUE_MODES, isAbsoluteValueMode, formatPercent } from '../../utils/baseline';
 import { formatScenario, formatPeriod } from '../../utils/constants';
 import SectorTags from '../Common/SectorTags';
+import ScenarioPeriodChart from './ScenarioPeriodChart';
 
 /**
  * InfoPanel - Displays selected municipality details with enhanced index information
  * Uses ClimateContext for selected municipality data
  * Shows plain language descriptions and optional technical definitions
  * Displays sector relevance tags
+ * Fetches the municipality's full climate profile (getClimateDataByMunicipality) for a
+ * chart of the index across all scenarios/periods and a table of every index
+ * "Generate report" downloads a PDF profile (map, sector tables, data citation)
+ * Shows the model spread (P10–P90 range bar) when the data carries ensemble statistics
+ * Shows baseline, projected and change side by side when the data carries baseline values
+ * Municipalities picked on the robustness map also list the per-scenario values behind
+ * their agreement class
  */
 const InfoPanel = () => {
-  const { selectedMunicipality, setSelectedMunicipality } = useClimate();
-  const { getIndexByCode } = useIndices();
+  const { selectedMunicipality, setSelectedMunicipality, geojsonData, getColorScaleOptions } = useClimate();
+  const { indices, getIndexByCode } = useIndices();
   const [showTechnical, setShowTechnical] = useState(false);
 
+  // Climate profile of the selected municipality (all scenarios, periods, indices)
+  const [profileResponse, setProfileResponse] = useState(null);
+  const [profileLoading, setProfileLoading] = useState(false);
+  const [profileError, setProfileError] = useState(null);
+
+  const [reportGenerating, setReportGenerating] = useState(false);
+  const [reportError, setReportError] = useState(null);
+
+  const municipalityId = selectedMunicipality?.id;
+
+  useEffect(() => {
+    if (!municipalityId) return;
+
+    let cancelled = false;
+
+    (async () => {
+      setProfileLoading(true);
+      setProfileError(null);
+      setProfileResponse(null);
+
+      try {
+        const response = await getClimateDataByMunicipality(municipalityId);
+        if (!cancelled) setProfileResponse(response);
+      } catch (err) {
+        console.error('Error fetching municipality climate profile:', err);
+        if (!cancelled) setProfileError(err.message || 'Failed to fetch climate profile');
+      } finally {
+        if (!cancelled) setProfileLoading(false);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [municipalityId]);
+
+  const profile = useMemo(() => {
+    if (!profileResponse) return null;
+    return buildClimateProfile(profileResponse, indices.map(idx => idx.code));
+  }, [profileResponse, indices]);
+
   if (!selectedMunicipality) {
     return null;
   }
@@ -26,13 +81,54 @@ const InfoPanel = () => {
     selectedMunicipality.periodStart,
     selectedMunicipality.periodEnd
   );
+  const isPercent = selectedMunicipality.valueMode === 'percent';
 
   const handleClose = () => {
     setSelectedMunicipality(null);
   };
 
+  /**
+   * Build the PDF report for the map currently shown (index, scenario, period, colours)
+   */
+  const handleGenerateReport = async () => {
+    const metadata = extractMetadataFromGeoJSON(geojsonData);
+    const mapIndexMetadata = getIndexByCode(metadata?.indexCode);
+    if (!profile || !mapIndexMetadata) return;
+
+    setReportGenerating(true);
+    setReportError(null);
+
+    try {
+      // Let the button show its busy state before the synchronous PDF work
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const colorScale = getColorScale(
+        mapIndexMetadata,
+        extractValuesFromGeoJSON(geojsonData),
+        getColorScaleOptions(mapIndexMetadata.code, metadata.valueMode)
+      );
+      const doc = buildMunicipalityReport({
+        municipality: selectedMunicipality,
+        geojson: geojsonData,
+        colorScale,
+        indexMetadata: mapIndexMetadata,
+        indices,
+        profile,
+        scenario: metadata.scenario,
+        period: metadata.period,
+      });
+
+      downloadBlob(doc.output('blob'), getReportFilename(selectedMunicipality));
+    } catch (err) {
+      console.error('Error generating report:', err);
+      setReportError(err.message || 'Failed to generate report');
+    } finally {
+      setReportGenerating(false);
+    }
+  };
+
   return (
-    <div className="absolute top-4 right-4 bg-white rounded-lg shadow-sm border border-gray-300 p-3 z-1000 max-w-[280px]">
+    <div className="absolute top-4 right-4 bg-white rounded-lg shadow-sm border border-gray-300 p-3 z-1000 max-w-[280px] max-h-[calc(100%-2rem)] overflow-y-auto">
       {/* Header with close button */}
       <div className="flex items-start justify-between mb-2">
         <h3 className="text-sm font-bold text-gray-800">
@@ -166,28 +262,277 @@ const InfoPanel = () => {
 
         {/* Climate Value - Highlighted */}
         <div className="bg-primary-50 rounded-lg p-2">
-          <div className="text-[10px] text-gray-600 mb-0.5">Climate Anomaly</div>
+          <div className="text-[10px] text-gray-600 mb-0.5">
+            {selectedMunicipality.valueMode && selectedMunicipality.valueMode !== 'anomaly'
+              ? VALUE_MODES.find(m => m.value === selectedMunicipality.valueMode)?.fullLabel
+              : 'Climate Anomaly'}
+            {selectedMunicipality.ensembleStatistic && selectedMunicipality.ensembleStatistic !== 'mean' && (
+              <> · {ENSEMBLE_STATISTICS.find(s => s.value === selectedMunicipality.ensembleStatistic)?.fullLabel}</>
+            )}
+          </div>
           <div className="text-lg font-bold text-primary-600">
             {selectedMunicipality.value !== null && selectedMunicipality.value !== undefined
-              ? selectedMunicipality.value.toFixed(2)
+              ? (isPercent ? formatPercent(selectedMunicipality.value) : selectedMunicipality.value.toFixed(2))
               : 'N/A'}
-            {indexMetadata?.unit && (
+            {indexMetadata?.unit && !isPercent && (
               <span className="text-xs ml-1.5 text-gray-600">
                 {indexMetadata.unit}
               </span>
             )}
           </div>
-          {indexMetadata && (
+          {indexMetadata && !isAbsoluteValueMode(selectedMunicipality.valueMode) && (
             <div className="text-[10px] text-gray-500 mt-0.5 italic">
-              vs 1995-2014 baseline
+              {isPercent && selectedMunicipality.value === null
+                ? 'Baseline near zero: relative change not shown'
+                : 'vs 1995-2014 baseline'}
             </div>
           )}
         </div>
+
+        {/* Baseline vs Projected - when the data carries baseline values */}
+        {selectedMunicipality.absolute && (
+          <div className="pb-2 border-b border-gray-200">
+            <h4 className="text-xs font-semibold text-gray-700 mb-1">
+              Baseline vs Projected
+            </h4>
+            <AbsoluteValues absolute={selectedMunicipality.absolute} unit={indexMetadata?.unit} />
+          </div>
+        )}
+
+        {/* Model Spread - when the data carries ensemble statistics */}
+        {selectedMunicipality.ensemble && (
+          <div className="pb-2 border-b border-gray-200">
+            <h4 className="text-xs font-semibold text-gray-700 mb-1">
+              Model Spread
+            </h4>
+            <EnsembleRange ensemble={selectedMunicipality.ensemble} unit={indexMetadata?.unit} />
+          </div>
+        )}
+
+        {/* Scenario Agreement - robustness map only */}
+        {selectedMunicipality.robustness && (
+          <div className="pb-2 border-b border-gray-200">
+            <h4 className="text-xs font-semibold text-gray-700 mb-1">
+              Scenario Agreement
+              <span className="font-normal text-gray-500">
+                {' '}· {formatPeriod(selectedMunicipality.period).shortLabel}
+              </span>
+            </h4>
+            <RobustnessTable robustness={selectedMunicipality.robustness} unit={indexMetadata?.unit} />
+          </div>
+        )}
+
+        {/* Climate Profile - All Scenarios & Periods */}
+        <div className="pt-1">
+          <h4 className="text-xs font-semibold text-gray-700 mb-1">
+            {selectedMunicipality.indexCode?.toUpperCase()} Across Scenarios &amp; Periods
+          </h4>
+          {profileLoading && (
+            <p className="text-[10px] italic text-gray-500">Loading climate profile…</p>
+          )}
+          {profileError && (
+            <p className="text-[10px]" style={{ color: '#dc2626' }}>{profileError}</p>
+          )}
+          {profile && (
+            <ScenarioPeriodChart
+              profile={profile}
+              indexCode={selectedMunicipality.indexCode}
+              unit={indexMetadata?.unit}
+              scenario={selectedMunicipality.scenario}
+              period={selectedMunicipality.period}
+            />
+          )}
+        </div>
+
+        {/* PDF Report */}
+        <div className="pt-2 border-t border-gray-200">
+          <button
+            onClick={handleGenerateReport}
+            disabled={!profile || !geojsonData || reportGenerating}
+            className="w-full px-2 py-1.5 rounded bg-primary-500 hover:bg-primary-600 text-white text-[11px] font-medium disabled:opacity-50"
+          >
+            {reportGenerating ? 'Generating report…' : 'Generate report (PDF)'}
+          </button>
+          {reportError && (
+            <p className="text-[10px] mt-1" style={{ color: '#dc2626' }}>{reportError}</p>
+          )}
+        </div>
+
+        {/* All Indices - Current Scenario & Period */}
+        {profile && (
+          <div className="pt-2 border-t border-gray-200">
+            <h4 className="text-xs font-semibold text-gray-700 mb-1">
+              All Indices
+              <span className="font-normal text-gray-500">
+                {' '}· {scenarioInfo.label} · {formatPeriod(selectedMunicipality.period).shortLabel}
+              </span>
+            </h4>
+            <IndexTable
+              indices={indices}
+              profile={profile}
+              scenario={selectedMunicipality.scenario}
+              period={selectedMunicipality.period}
+              currentIndexCode={selectedMunicipality.indexCode}
+            />
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
+/**
+ * Compact table of every index for one scenario/period
+ */
+const IndexTable = ({ indices, profile, scenario, period, currentIndexCode }) => (
+  <div className="max-h-48 overflow-y-auto">
+    <table className="w-full text-[10px]">
+      <tbody>
+        {indices.map(idx => {
+          const value = getProfileValue(profile, idx.code, scenario, period);
+          const isCurrent = idx.code === currentIndexCode;
+
+          return (
+            <tr key={idx.code} className={isCurrent ? 'bg-primary-50 font-semibold' : ''}>
+              <td className="py-0.5 pr-1 text-gray-700 font-mono">{idx.code?.toUpperCase()}</td>
+              <td className="py-0.5 pr-1 text-gray-500 truncate max-w-[120px]" title={idx.name}>
+                {idx.name}
+              </td>
+              <td className="py-0.5 text-right text-gray-800 font-mono whitespace-nowrap">
+                {value !== null ? value.toFixed(2) : 'N/A'}
+                {value !== null && idx.unit && (
+                  <span className="text-gray-500 ml-0.5">{idx.unit}</span>
+                )}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * P10–P90 range bar with median and mean markers, and the models' agreement on the sign
+ */
+const EnsembleRange = ({ ensemble, unit }) => {
+  const { mean, p10, p50, p90, modelCount, modelAgreement } = ensemble;
+  const hasRange = p10 !== null && p90 !== null;
+
+  // Pad the range so markers at the ends stay visible
+  const span = hasRange ? (p90 - p10 || 1) : 1;
+  const min = hasRange ? p10 - span * 0.1 : 0;
+  const max = hasRange ? p90 + span * 0.1 : 1;
+  const position = (v) => `${((v - min) / (max - min)) * 100}%`;
+  const format = (v) => (v !== null ? v.toFixed(2) : 'N/A');
+
+  return (
+    <div>
+      {hasRange && (
+        <>
+          <div className="relative h-3.5 my-1 rounded" style={{ background: '#f1f5f9' }}>
+            <div
+              className="absolute top-1 h-1.5 rounded"
+              style={{ left: position(p10), right: `calc(100% - ${position(p90)})`, background: '#94a3b8' }}
+            />
+            {min < 0 && max > 0 && (
+              <div className="absolute top-0 bottom-0 border-l border-dashed" style={{ left: position(0), borderColor: '#64748b' }} />
+            )}
+            {p50 !== null && (
+              <div className="absolute top-px h-3 w-0.5" style={{ left: position(p50), background: '#1e293b' }} title="Median" />
+            )}
+            {mean !== null && (
+              <div
+                className="absolute top-1 w-1.5 h-1.5 -ml-[3px] rounded-full"
+                style={{ left: position(mean), background: '#2563eb' }}
+                title="Mean"
+              />
+            )}
+          </div>
+          <div className="flex justify-between text-[10px] font-mono text-gray-600">
+            <span>P10 {format(p10)}</span>
+            <span>P50 {format(p50)}</span>
+            <span>P90 {format(p90)}</span>
+          </div>
+        </>
+      )}
+      <InfoRow label="Ensemble mean" value={`${format(mean)}${unit ? ` ${unit}` : ''}`} />
+      {modelAgreement !== null && (
+        <InfoRow
+          label="Models agreeing on sign"
+          value={`${Math.round(modelAgreement * 100)}%${modelCount !== null ? ` of ${modelCount}` : ''}`}
+        />
+      )}
+      {modelAgreement !== null && modelAgreement < LOW_CONFIDENCE_AGREEMENT && (
+        <p className="text-[10px] mt-0.5" style={{ color: '#92400e' }}>
+          Low confidence: the models disagree on the direction of change
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Baseline climatology, projected value and change side by side
+ */
+const AbsoluteValues = ({ absolute, unit }) => {
+  const format = (v, signed = false) => (
+    v !== null ? `${signed && v > 0 ? '+' : ''}${v.toFixed(2)}` : 'N/A'
+  );
+
+  return (
+    <div>
+      <div className="flex gap-1">
+        {[
+          ['Baseline', format(absolute.baseline)],
+          ['Projected', format(absolute.projected)],
+          ['Change', format(absolute.anomaly, true)],
+        ].map(([label, value]) => (
+          <div key={label} className="flex-1 text-center rounded py-1" style={{ background: '#f1f5f9' }}>
+            <div className="text-[10px]" style={{ color: '#64748b' }}>{label}</div>
+            <div className="text-xs font-bold font-mono text-gray-800">{value}</div>
+          </div>
+        ))}
+      </div>
+      <p className="text-[10px] text-gray-500 mt-1">
+        Baseline 1995-2014{unit ? ` · ${unit}` : ''}
+      </p>
+    </div>
+  );
+};
+
+/**
+ * Per-scenario values behind a robustness class, with the sign each projects
+ */
+const RobustnessTable = ({ robustness, unit }) => (
+  <div>
+    <p className="text-[11px] font-semibold mb-1" style={{ color: robustness.robust ? '#166534' : '#92400e' }}>
+      {getRobustnessLabel(robustness)}
+      <span className="font-normal">
+        {robustness.robust ? ' · all scenarios agree' : ' · scenarios disagree'}
+      </span>
+    </p>
+    <table className="w-full text-[10px]">
+      <tbody>
+        {Object.entries(robustness.values).map(([scenario, value]) => (
+          <tr key={scenario}>
+            <td className="py-0.5 pr-1 text-gray-700">{formatScenario(scenario).label}</td>
+            <td className="py-0.5 pr-1 text-center text-gray-500">
+              {value === null ? '' : value > 0 ? '▲' : value < 0 ? '▼' : '–'}
+            </td>
+            <td className="py-0.5 text-right text-gray-800 font-mono whitespace-nowrap">
+              {value !== null ? value.toFixed(2) : 'N/A'}
+              {value !== null && unit && (
+                <span className="text-gray-500 ml-0.5">{unit}</span>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
 /**
  * Helper component for consistent info rows
  */
@@ -0,0 +1,138 @@
+import { SCENARIOS, PERIODS, SCENARIO_COLORS, formatScenario, formatPeriod } from '../../utils/constants';
+import { getProfileValue } from '../../utils/climateProfile';
+
+const WIDTH = 256;
+const HEIGHT = 150;
+const MARGIN = { top: 8, right: 4, bottom: 20, left: 34 };
+
+/**
+ * ScenarioPeriodChart - Grouped bar chart of one index across all scenarios and periods
+ * Groups are PERIODS, bars within a group are SCENARIOS (SCENARIO_COLORS).
+ * Values are anomalies, so bars grow up or down from the zero (baseline) line.
+ *
+ * @param {Object} props
+ * @param {Object} props.profile - Result of buildClimateProfile
+ * @param {string} props.indexCode - Index to chart
+ * @param {string} props.unit - Unit for the axis label
+ * @param {string} props.scenario - Currently selected scenario (highlighted)
+ * @param {string} props.period - Currently selected period (highlighted)
+ */
+const ScenarioPeriodChart = ({ profile, indexCode, unit, scenario, period }) => {
+  const values = PERIODS.flatMap(p =>
+    SCENARIOS.map(s => getProfileValue(profile, indexCode, s.value, p.value))
+  ).filter(v => v !== null);
+
+  if (values.length === 0) {
+    return (
+      <p className="text-[10px] italic text-gray-500">No data for this index</p>
+    );
+  }
+
+  // Y range always includes the baseline (0)
+  const yMin = Math.min(0, ...values);
+  const yMax = Math.max(0, ...values);
+  const ySpan = yMax - yMin || 1;
+
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const y = (value) => MARGIN.top + ((yMax - value) / ySpan) * plotHeight;
+
+  const groupWidth = plotWidth / PERIODS.length;
+  const barWidth = (groupWidth * 0.8) / SCENARIOS.length;
+
+  return (
+    <div>
+      <svg
+        width={WIDTH}
+        height={HEIGHT}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`${indexCode?.toUpperCase()} by scenario and period`}
+      >
+        {/* Y axis labels */}
+        <text x={MARGIN.left - 4} y={y(yMax)} textAnchor="end" dominantBaseline="hanging" fontSize="9" fill="#64748b">
+          {yMax.toFixed(1)}
+        </text>
+        <text x={MARGIN.left - 4} y={y(yMin)} textAnchor="end" fontSize="9" fill="#64748b">
+          {yMin.toFixed(1)}
+        </text>
+        {yMin < 0 && yMax > 0 && (
+          <text x={MARGIN.left - 4} y={y(0)} textAnchor="end" dominantBaseline="middle" fontSize="9" fill="#64748b">
+            0
+          </text>
+        )}
+
+        {/* Bars */}
+        {PERIODS.map((p, periodIdx) => {
+          const groupX = MARGIN.left + periodIdx * groupWidth + groupWidth * 0.1;
+
+          return (
+            <g key={p.value}>
+              {SCENARIOS.map((s, scenarioIdx) => {
+                const value = getProfileValue(profile, indexCode, s.value, p.value);
+                if (value === null) return null;
+
+                const isCurrent = s.value === scenario && p.value === period;
+                const top = y(Math.max(0, value));
+                const height = Math.max(1, Math.abs(y(value) - y(0)));
+
+                return (
+                  <rect
+                    key={s.value}
+                    x={groupX + scenarioIdx * barWidth}
+                    y={top}
+                    width={barWidth - 1}
+                    height={height}
+                    fill={SCENARIO_COLORS[s.value]}
+                    stroke={isCurrent ? '#0f172a' : 'none'}
+                    strokeWidth={isCurrent ? 1.5 : 0}
+                  >
+                    <title>
+                      {`${formatScenario(s.value).label} · ${formatPeriod(p.value).shortLabel}: ${value.toFixed(2)}${unit ? ` ${unit}` : ''}`}
+                    </title>
+                  </rect>
+                );
+              })}
+              <text
+                x={MARGIN.left + periodIdx * groupWidth + groupWidth / 2}
+                y={HEIGHT - 6}
+                textAnchor="middle"
+                fontSize="9"
+                fill="#475569"
+              >
+                {formatPeriod(p.value).shortLabel}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* Baseline (1995-2014) */}
+        <line
+          x1={MARGIN.left}
+          x2={WIDTH - MARGIN.right}
+          y1={y(0)}
+          y2={y(0)}
+          stroke="#334155"
+          strokeWidth="1"
+        />
+      </svg>
+
+      {/* Scenario key */}
+      <div className="flex flex-wrap gap-x-2 gap-y-0.5 mt-1">
+        {SCENARIOS.map(s => (
+          <div key={s.value} className="flex items-center gap-1 text-[9px] text-gray-600">
+            <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: SCENARIO_COLORS[s.value] }} />
+            {formatScenario(s.value).label}
+          </div>
+        ))}
+      </div>
+      {unit && (
+        <p className="text-[9px] text-gray-500 mt-0.5">
+          Anomaly in {unit} vs 1995-2014 baseline (0 line)
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioPeriodChart;
@@ -0,0 +1,110 @@
+import { useEffect, useState } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+import { CLASSIFICATION_SCHEMES, CLASSIFICATION_CONFIG } from '../../utils/constants';
+
+/**
+ * ClassificationControls - Choropleth classification options shown inside legends
+ * Uses ClimateContext (classification, updateClassification)
+ *
+ * Schemes: continuous ramp, equal interval, quantile, natural breaks (Jenks),
+ * standard deviation, or manual breaks entered as a comma-separated list
+ */
+const ClassificationControls = () => {
+  const { classification, updateClassification } = useClimate();
+  const { scheme, classCount, manualBreaks } = classification;
+
+  const [breaksInput, setBreaksInput] = useState(manualBreaks.join(', '));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setBreaksInput(manualBreaks.join(', '));
+    setError(null);
+  }, [manualBreaks]);
+
+  const classCountOptions = [];
+  for (let n = CLASSIFICATION_CONFIG.minClasses; n <= CLASSIFICATION_CONFIG.maxClasses; n++) {
+    classCountOptions.push(n);
+  }
+
+  const handleApplyBreaks = () => {
+    const parts = breaksInput.split(',').map(part => part.trim()).filter(Boolean);
+    const breaks = parts.map(Number);
+
+    if (breaks.length === 0 || breaks.some(b => !Number.isFinite(b))) {
+      setError('Enter numeric breaks, e.g. -1, 0, 1');
+      return;
+    }
+
+    updateClassification({ manualBreaks: [...new Set(breaks)].sort((a, b) => a - b) });
+  };
+
+  return (
+    <div className="pt-2 mt-2 border-t border-gray-200 text-[10px]">
+      <label htmlFor="classification-scheme-select" className="block text-gray-500 mb-1">
+        Classification
+      </label>
+      <div className="flex items-center gap-1.5">
+        <select
+          id="classification-scheme-select"
+          value={scheme}
+          onChange={(e) => updateClassification({ scheme: e.target.value })}
+          className="nice-select"
+          style={{ fontSize: 11, padding: '4px 28px 4px 8px' }}
+        >
+          {CLASSIFICATION_SCHEMES.map(s => (
+            <option key={s.value} value={s.value}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+
+        {scheme !== 'continuous' && scheme !== 'manual' && (
+          <select
+            value={classCount}
+            onChange={(e) => updateClassification({ classCount: Number(e.target.value) })}
+            className="nice-select"
+            style={{ fontSize: 11, padding: '4px 28px 4px 8px', width: 'auto' }}
+            aria-label="Number of classes"
+          >
+            {classCountOptions.map(n => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {scheme === 'manual' && (
+        <div className="mt-1">
+          <div className="flex items-center gap-1">
+            <input
+              type="text"
+              value={breaksInput}
+              onChange={(e) => setBreaksInput(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleApplyBreaks();
+              }}
+              placeholder="e.g. -1, 0, 1"
+              aria-label="Manual class breaks"
+              className="flex-1 min-w-0 px-1 py-0.5 border border-gray-300 rounded font-mono"
+            />
+            <button
+              onClick={handleApplyBreaks}
+              className="px-1.5 py-0.5 rounded bg-primary-500 hover:bg-primary-600 text-white font-medium"
+            >
+              Apply
+            </button>
+          </div>
+          {error ? (
+            <p className="mt-0.5" style={{ color: '#dc2626' }}>{error}</p>
+          ) : (
+            <p className="mt-0.5 text-gray-400">Inner breaks; the data range sets the outer bounds</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClassificationControls;
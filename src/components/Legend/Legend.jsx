@@ -7,17 +7,30 @@ import {
   extractValuesFromGeoJSON,
   getInterpretationLabels,
   calculateStatistics,
+  extractMetadataFromGeoJSON,
 } from '../../utils/colorMapping';
+import { getValueModeCaption, getValueUnit, isAbsoluteValueMode, formatPercent } from '../../utils/baseline';
+import { ENSEMBLE_STATISTICS, LOW_CONFIDENCE_AGREEMENT, isLowConfidence } from '../../utils/ensemble';
 import SectorTags from '../Common/SectorTags';
+import { HATCH_BACKGROUND } from '../Map/HatchOverlay';
+import ScaleControls from './ScaleControls';
+import ClassificationControls from './ClassificationControls';
+
+const formatValue = (v) => v.toFixed(2);
 
 /**
  * Legend - Dynamic color scale legend with enhanced metadata display
  * Uses API response metadata (color_scheme, anomaly_direction, plain_language_description)
  * Shows plain language descriptions for accessibility
  * Displays sector relevance tags
+ * Includes the classification scheme (class ranges with municipality counts)
+ * and the scale lock / custom min/max range (ScaleControls)
+ * With ensemble statistics, names the statistic shown and explains the low-confidence hatching
+ * Absolute values (baseline/projected) use a sequential ramp instead of the diverging anomaly ramp;
+ * relative change is labelled in % and lists municipalities masked for a near-zero baseline
  */
 const Legend = () => {
-  const { geojsonData, index } = useClimate();
+  const { geojsonData, index, geographyLevel, getColorScaleOptions } = useClimate();
   const { getIndexByCode } = useIndices();
 
   // Get index metadata from API
@@ -25,6 +38,12 @@ const Legend = () => {
     return getIndexByCode(index);
   }, [index, getIndexByCode]);
 
+  // Statistic and values shown (utils/ensemble.js, utils/baseline.js)
+  const { ensembleStatistic: statistic, valueMode } = extractMetadataFromGeoJSON(geojsonData)
+    || { ensembleStatistic: 'mean', valueMode: 'anomaly' };
+  const isAbsolute = isAbsoluteValueMode(valueMode);
+  const format = valueMode === 'percent' ? formatPercent : formatValue;
+
   // Extract values and create color scale from API response
   const { colorScale, values, stats } = useMemo(() => {
     if (!geojsonData || !indexMetadata) {
@@ -32,7 +51,7 @@ const Legend = () => {
     }
 
     const vals = extractValuesFromGeoJSON(geojsonData);
-    const scale = getColorScale(indexMetadata, vals);
+    const scale = getColorScale(indexMetadata, vals, getColorScaleOptions(index, valueMode));
     const statistics = calculateStatistics(vals);
 
     return {
@@ -40,13 +59,13 @@ const Legend = () => {
       values: vals,
       stats: statistics,
     };
-  }, [geojsonData, indexMetadata]);
+  }, [geojsonData, indexMetadata, index, valueMode, getColorScaleOptions]);
 
   // Generate legend items
   const legendItems = useMemo(() => {
     if (!colorScale) return [];
-    return generateLegendItems(colorScale, 7);
-  }, [colorScale]);
+    return generateLegendItems(colorScale, 7, values, format);
+  }, [colorScale, values, format]);
 
   // Get interpretation labels based on anomaly_direction from API
   const interpretationLabels = useMemo(() => {
@@ -54,6 +73,18 @@ const Legend = () => {
     return getInterpretationLabels(indexMetadata.anomaly_direction);
   }, [indexMetadata]);
 
+  // Municipalities hatched by ClimateLayer as low confidence
+  const lowConfidenceCount = useMemo(() => (
+    geographyLevel === 'municipality'
+      ? (geojsonData?.features || []).filter(f => isLowConfidence(f.properties)).length
+      : 0
+  ), [geojsonData, geographyLevel]);
+
+  // Municipalities without a relative change because their baseline is near zero
+  const maskedCount = useMemo(() => (
+    (geojsonData?.features || []).filter(f => f.properties.percent_masked).length
+  ), [geojsonData]);
+
   if (!indexMetadata || !colorScale || legendItems.length === 0) {
     return null;
   }
@@ -65,6 +96,16 @@ const Legend = () => {
         <h3 className="text-xs font-semibold text-gray-700">
           {indexMetadata.code?.toUpperCase()} - {indexMetadata.name}
         </h3>
+        {statistic !== 'mean' && (
+          <p className="text-[10px] text-gray-500">
+            {ENSEMBLE_STATISTICS.find(s => s.value === statistic)?.fullLabel} of the model ensemble
+          </p>
+        )}
+        {valueMode !== 'anomaly' && (
+          <p className="text-[10px] text-gray-500">
+            Shown: {getValueModeCaption(valueMode)}
+          </p>
+        )}
 
         {/* Plain Language Description */}
         {indexMetadata.plain_language_description && (
@@ -79,9 +120,9 @@ const Legend = () => {
         )}
 
         {/* Unit */}
-        {indexMetadata.unit && (
+        {getValueUnit(valueMode, indexMetadata.unit) && (
           <p className="text-[11px] text-gray-500 mt-1">
-            Unit: {indexMetadata.unit}
+            Unit: {getValueUnit(valueMode, indexMetadata.unit)}
           </p>
         )}
 
@@ -108,13 +149,38 @@ const Legend = () => {
               <span className="text-[10px] text-gray-600 font-mono">
                 {item.label}
               </span>
+              {item.count !== undefined && (
+                <span className="text-[10px] text-gray-400 ml-auto pl-1">
+                  ({item.count})
+                </span>
+              )}
             </div>
           ))}
         </div>
       </div>
 
+      {/* Low-confidence hatching */}
+      {lowConfidenceCount > 0 && (
+        <div className="mb-2 flex items-center gap-1.5">
+          <div className="w-6 h-3 rounded border border-gray-300 shrink-0" style={{ backgroundImage: HATCH_BACKGROUND }} />
+          <span className="text-[10px] text-gray-600">
+            &lt;{Math.round(LOW_CONFIDENCE_AGREEMENT * 100)}% of models agree on sign ({lowConfidenceCount})
+          </span>
+        </div>
+      )}
+
+      {/* Relative change masked where the baseline is near zero */}
+      {maskedCount > 0 && (
+        <div className="mb-2 flex items-center gap-1.5">
+          <div className="w-6 h-3 rounded border border-gray-300 shrink-0" style={{ backgroundColor: '#cccccc' }} />
+          <span className="text-[10px] text-gray-600">
+            Baseline near zero, % not shown ({maskedCount})
+          </span>
+        </div>
+      )}
+
       {/* Interpretation Labels (from risk_direction) */}
-      {interpretationLabels && (
+      {interpretationLabels && !isAbsolute && (
         <div className="mb-2 pt-2 border-t border-gray-200">
           <div className="text-[11px] space-y-0.5">
             <div className="flex items-center gap-1.5">
@@ -138,20 +204,24 @@ const Legend = () => {
         <div className="pt-2 border-t border-gray-200">
           <div className="grid grid-cols-2 gap-x-2 gap-y-0.5 text-[10px]">
             <div className="text-gray-500">
-              Min: <span className="font-mono text-gray-700">{stats.min.toFixed(2)}</span>
+              Min: <span className="font-mono text-gray-700">{format(stats.min)}</span>
             </div>
             <div className="text-gray-500">
-              Max: <span className="font-mono text-gray-700">{stats.max.toFixed(2)}</span>
+              Max: <span className="font-mono text-gray-700">{format(stats.max)}</span>
             </div>
             <div className="text-gray-500">
-              Mean: <span className="font-mono text-gray-700">{stats.mean.toFixed(2)}</span>
+              Mean: <span className="font-mono text-gray-700">{format(stats.mean)}</span>
             </div>
             <div className="text-gray-500">
-              Median: <span className="font-mono text-gray-700">{stats.median.toFixed(2)}</span>
+              Median: <span className="font-mono text-gray-700">{format(stats.median)}</span>
             </div>
           </div>
         </div>
       )}
+
+      {/* Classification, scale lock and custom range */}
+      <ClassificationControls />
+      <ScaleControls indexCode={index} valueMode={valueMode} />
     </div>
   );
 };
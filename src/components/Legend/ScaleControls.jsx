@@ -0,0 +1,172 @@
+import { useEffect, useState } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+
+const SOURCE_LABELS = {
+  manual: 'Custom range',
+  locked: 'Locked across all scenarios & periods',
+  animation: 'Fixed across animation frames',
+  data: 'Fitted to the values shown',
+  absolute: 'Fitted to the absolute values shown',
+  percent: 'Fitted to the relative change shown',
+};
+
+// Sources always fitted to the values shown (the lock and custom range are in anomaly units)
+const FITTED_SOURCES = ['absolute', 'percent'];
+
+/**
+ * ScaleControls - Colour scale options shown inside legends
+ * Uses ClimateContext (scaleLock, manualDomains, getColorScaleOptions)
+ *
+ * - Lock: the domain spans every scenario and period of the index, so the same
+ *   colour means the same value in every map, pane and period
+ * - Custom range: manual min/max for the index, overriding the lock
+ * Both apply to anomalies; absolute values and relative change (valueMode) are always fitted
+ */
+const ScaleControls = ({ indexCode, showLock = true, valueMode = 'anomaly' }) => {
+  const {
+    scaleLock,
+    setScaleLock,
+    scaleLockLoading,
+    scaleLockError,
+    manualDomains,
+    setManualDomain,
+    getColorScaleOptions,
+  } = useClimate();
+
+  const manualDomain = manualDomains[indexCode];
+  const { source } = getColorScaleOptions(indexCode, valueMode);
+
+  const [editing, setEditing] = useState(false);
+  const [minInput, setMinInput] = useState('');
+  const [maxInput, setMaxInput] = useState('');
+  const [error, setError] = useState(null);
+
+  // Start the inputs from the current custom range (or empty) for this index
+  useEffect(() => {
+    setMinInput(manualDomain ? String(manualDomain[0]) : '');
+    setMaxInput(manualDomain ? String(manualDomain[1]) : '');
+    setError(null);
+  }, [manualDomain, indexCode]);
+
+  const handleApply = () => {
+    const min = parseFloat(minInput);
+    const max = parseFloat(maxInput);
+
+    if (!Number.isFinite(min) || !Number.isFinite(max)) {
+      setError('Enter numeric min and max');
+      return;
+    }
+    if (min >= max) {
+      setError('Min must be less than max');
+      return;
+    }
+
+    setManualDomain(indexCode, [min, max]);
+    setEditing(false);
+  };
+
+  const handleReset = () => {
+    setManualDomain(indexCode, null);
+    setEditing(false);
+  };
+
+  return (
+    <div className="pt-2 mt-2 border-t border-gray-200 text-[10px]">
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <span className="text-gray-500">
+          Scale: <span className="text-gray-700 font-medium">{SOURCE_LABELS[source]}</span>
+        </span>
+        {scaleLockLoading && (
+          <svg
+            className="animate-spin h-3 w-3 text-primary-500 shrink-0"
+            xmlns="http://www.w3.org/2000/svg"
+            fill="none"
+            viewBox="0 0 24 24"
+          >
+            <circle
+              className="opacity-25"
+              cx="12"
+              cy="12"
+              r="10"
+              stroke="currentColor"
+              strokeWidth="4"
+            />
+            <path
+              className="opacity-75"
+              fill="currentColor"
+              d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+            />
+          </svg>
+        )}
+      </div>
+
+      {showLock && !FITTED_SOURCES.includes(source) && (
+        <label className="flex items-center gap-1.5 cursor-pointer text-gray-600 mb-1">
+          <input
+            type="checkbox"
+            checked={scaleLock}
+            onChange={(e) => setScaleLock(e.target.checked)}
+          />
+          Lock scale across scenarios &amp; periods
+        </label>
+      )}
+      {showLock && scaleLock && scaleLockError && (
+        <p className="mb-1" style={{ color: '#dc2626' }}>
+          {scaleLockError}; switch the lock off and on to retry
+        </p>
+      )}
+
+      {FITTED_SOURCES.includes(source) ? null : editing ? (
+        <div>
+          <div className="flex items-center gap-1">
+            <input
+              type="number"
+              value={minInput}
+              onChange={(e) => setMinInput(e.target.value)}
+              placeholder="Min"
+              aria-label="Scale minimum"
+              className="w-16 px-1 py-0.5 border border-gray-300 rounded font-mono"
+            />
+            <span className="text-gray-400">–</span>
+            <input
+              type="number"
+              value={maxInput}
+              onChange={(e) => setMaxInput(e.target.value)}
+              placeholder="Max"
+              aria-label="Scale maximum"
+              className="w-16 px-1 py-0.5 border border-gray-300 rounded font-mono"
+            />
+            <button
+              onClick={handleApply}
+              className="px-1.5 py-0.5 rounded bg-primary-500 hover:bg-primary-600 text-white font-medium"
+            >
+              Apply
+            </button>
+          </div>
+          {error && (
+            <p className="mt-0.5" style={{ color: '#dc2626' }}>{error}</p>
+          )}
+        </div>
+      ) : (
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setEditing(true)}
+            className="text-primary-600 hover:underline"
+          >
+            {manualDomain ? 'Edit custom range' : 'Set custom range…'}
+          </button>
+          {manualDomain && (
+            <button
+              onClick={handleReset}
+              className="text-gray-500 hover:underline"
+            >
+              Reset
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScaleControls;
@@ -1,5 +1,5 @@
-import { useEffect, useMemo, useState } from 'react';
-import { GeoJSON, Popup } from 'react-leaflet';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { GeoJSON } from 'react-leaflet';
 import { useClimate } from '../../context/ClimateContext';
 import { useIndices } from '../../context/IndicesContext';
 import {
@@ -7,18 +7,62 @@ import {
   getColorForValue,
   extractValuesFromGeoJSON,
   extractMetadataFromGeoJSON,
+  extractMunicipalityFromFeature,
 } from '../../utils/colorMapping';
-import { formatScenario, formatPeriod } from '../../utils/constants';
-import { DEFAULT_STYLE, HOVER_STYLE, SELECTED_STYLE } from '../../utils/constants';
+import { aggregateGeoJSON } from '../../utils/aggregation';
+import { ENSEMBLE_STATISTICS, getEnsembleStatistics, isLowConfidence, buildEnsembleRangeHtml } from '../../utils/ensemble';
+import { VALUE_MODES, getAbsoluteValues, buildAbsoluteValuesHtml, getValueUnit, formatPercent } from '../../utils/baseline';
+import { THRESHOLD_COLORS, formatThresholdRule } from '../../utils/threshold';
+import { formatScenario } from '../../utils/constants';
+import { DEFAULT_STYLE, HOVER_STYLE, SELECTED_STYLE, ANIMATION_CONFIG } from '../../utils/constants';
+import HatchOverlay from './HatchOverlay';
+
+/**
+ * Whether a feature lies outside the drill-down focus (province/district above the current level)
+ * @param {Object} feature - Municipality, district or province feature
+ * @param {Object} drillFocus - {province, districtCode} from ClimateContext
+ * @returns {boolean}
+ */
+const isOutsideFocus = (feature, drillFocus) => {
+  const props = feature.properties;
+  if (props.level === 'province') return false;
+
+  const districtCode = props.level === 'district' ? props.code : props.district_code;
+  if (!props.level && drillFocus.districtCode) return districtCode !== drillFocus.districtCode;
+  return Boolean(drillFocus.province) && props.province !== drillFocus.province;
+};
 
 /**
  * ClimateLayer - Renders GeoJSON municipality polygons with climate data styling
  * Leverages API response properties for dynamic coloring and popups
+ * When only the scenario or period changes, polygons are restyled in place so
+ * fill colours transition smoothly (ANIMATION_CONFIG.transitionDuration)
+ * Hover is shared with the data table: highlightedMunicipalityId (a hovered table row)
+ * is highlighted on the map, and onHoverChange reports polygons hovered on the map
+ * At the district/province geography level, polygons are dissolved from the municipalities
+ * (utils/aggregation.js) and coloured by their area-weighted mean on the municipality scale
+ * When the data carries ensemble statistics (utils/ensemble.js), popups show the model spread
+ * and municipalities where the models disagree on the sign of change are hatched
+ * Popups show baseline, projected and change side by side when the data has baseline values
+ * (utils/baseline.js), which the map can also show instead of the anomaly
+ * With a threshold rule (utils/threshold.js), municipalities are coloured by whether they
+ * exceed it instead of by value, always at the municipality level
  */
-const ClimateLayer = ({ searchHighlightedMunicipalityId = null }) => {
-  const { geojsonData, selectedMunicipality, setSelectedMunicipality } = useClimate();
+const ClimateLayer = ({ searchHighlightedMunicipalityId = null, highlightedMunicipalityId = null, onHoverChange }) => {
+  const {
+    geojsonData,
+    geographyLevel,
+    drillFocus,
+    drillDown,
+    selectedMunicipality,
+    setSelectedMunicipality,
+    getColorScaleOptions,
+    thresholdRule,
+    thresholdResult,
+  } = useClimate();
   const { getIndexByCode } = useIndices();
   const [hoveredMunicipalityId, setHoveredMunicipalityId] = useState(null);
+  const geojsonLayerRef = useRef(null);
 
   // Extract metadata from GeoJSON response
   const metadata = useMemo(() => {
@@ -35,21 +79,51 @@ const ClimateLayer = ({ searchHighlightedMunicipalityId = null }) => {
   const colorScale = useMemo(() => {
     if (!geojsonData || !indexMetadata) return null;
     const values = extractValuesFromGeoJSON(geojsonData);
-    return getColorScale(indexMetadata, values);
-  }, [geojsonData, indexMetadata]);
+    return getColorScale(indexMetadata, values, getColorScaleOptions(indexMetadata.code, metadata.valueMode));
+  }, [geojsonData, metadata, indexMetadata, getColorScaleOptions]);
+
+  // Municipalities, or districts/provinces dissolved from them (municipalities for threshold maps)
+  const level = thresholdResult ? 'municipality' : geographyLevel;
+  const isAggregated = level !== 'municipality';
+  const layerData = useMemo(() => {
+    return aggregateGeoJSON(geojsonData, level);
+  }, [geojsonData, level]);
+
+  // Whether a feature is (or, for districts/provinces, contains) a municipality
+  const containsMunicipality = (feature, municipalityId) => (
+    feature.properties.municipality_ids
+      ? feature.properties.municipality_ids.includes(municipalityId)
+      : feature.properties.id === municipalityId
+  );
+
+  // Low-confidence municipalities to hatch (not at district/province level or where faded)
+  const lowConfidenceData = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: isAggregated || thresholdResult || !geojsonData?.features
+      ? []
+      : geojsonData.features.filter(f => (
+        isLowConfidence(f.properties)
+          && !isOutsideFocus(f, drillFocus)
+          && (!searchHighlightedMunicipalityId || f.properties.id === searchHighlightedMunicipalityId)
+      )),
+  }), [geojsonData, isAggregated, thresholdResult, drillFocus, searchHighlightedMunicipalityId]);
 
   // Style function for each municipality feature
   const styleFeature = (feature) => {
     const value = feature.properties.value;
     const municipalityId = feature.properties.id;
 
-    // Determine if this municipality should be grayed out (search highlight active but not this one)
-    const isGrayedOut = searchHighlightedMunicipalityId && searchHighlightedMunicipalityId !== municipalityId;
+    // Determine if this municipality should be grayed out (search highlight active but not this one,
+    // or outside the drill-down focus)
+    const isGrayedOut = (searchHighlightedMunicipalityId && !containsMunicipality(feature, searchHighlightedMunicipalityId))
+      || isOutsideFocus(feature, drillFocus);
 
-    // Determine fill color based on climate value
-    const fillColor = colorScale
-      ? getColorForValue(value, colorScale)
-      : DEFAULT_STYLE.fillColor;
+    // Determine fill color based on climate value, or on the threshold rule
+    const fillColor = thresholdResult
+      ? THRESHOLD_COLORS[thresholdResult.classes.get(municipalityId) || 'nodata']
+      : colorScale
+        ? getColorForValue(value, colorScale)
+        : DEFAULT_STYLE.fillColor;
 
     // If grayed out, use gray color
     if (isGrayedOut) {
@@ -63,7 +137,7 @@ const ClimateLayer = ({ searchHighlightedMunicipalityId = null }) => {
     }
 
     // Apply different styles based on state
-    if (selectedMunicipality?.id === municipalityId) {
+    if (selectedMunicipality && containsMunicipality(feature, selectedMunicipality.id)) {
       return {
         ...SELECTED_STYLE,
         fillColor,
@@ -83,12 +157,30 @@ const ClimateLayer = ({ searchHighlightedMunicipalityId = null }) => {
     };
   };
 
-  // Event handlers
-  const onEachFeature = (feature, layer) => {
-    const props = feature.properties;
+  // Latest style function for event handlers bound before the data changed
+  const styleFeatureRef = useRef(styleFeature);
+  styleFeatureRef.current = styleFeature;
+
+  // Label of the value shown: absolute/anomaly and ensemble statistic
+  const getValueLabel = (props) => [
+    props.value_mode && props.value_mode !== 'anomaly' ? VALUE_MODES.find(m => m.value === props.value_mode)?.fullLabel : null,
+    props.ensemble_statistic ? ENSEMBLE_STATISTICS.find(s => s.value === props.ensemble_statistic)?.fullLabel : null,
+  ].filter(Boolean).join(', ') || 'Value';
+
+  // Whether the municipality exceeds the threshold rule
+  const buildThresholdHtml = (municipalityId) => {
+    const category = thresholdResult.classes.get(municipalityId) || 'nodata';
+    const labels = { exceeds: 'exceeded', below: 'not exceeded', nodata: 'no data' };
+    return `
+      <p style="margin: 4px 0; font-size: 12px;">
+        <span style="display: inline-block; width: 10px; height: 10px; border-radius: 2px; border: 1px solid #94a3b8; background: ${THRESHOLD_COLORS[category]};"></span>
+        <strong>${formatThresholdRule(thresholdRule, indexMetadata?.unit)}:</strong> ${labels[category]}
+      </p>
+    `;
+  };
 
-    // Create popup content using API response properties
-    const popupContent = `
+  // Create popup content using API response properties
+  const buildPopupContent = (props) => `
       <div style="min-width: 200px;">
         <h3 style="margin: 0 0 8px 0; font-size: 16px; font-weight: bold;">
           ${props.municipality_name}
@@ -102,12 +194,22 @@ const ClimateLayer = ({ searchHighlightedMunicipalityId = null }) => {
           <p style="margin: 4px 0;"><strong>Scenario:</strong> ${formatScenario(props.scenario).fullLabel}</p>
           <p style="margin: 4px 0;"><strong>Period:</strong> ${props.period_start}-${props.period_end}</p>
           <p style="margin: 8px 0 4px 0; font-size: 14px;">
-            <strong>Value:</strong>
+            <strong>${getValueLabel(props)}:</strong>
             <span style="color: ${colorScale ? getColorForValue(props.value, colorScale) : '#000'}; font-weight: bold;">
-              ${props.value !== null && props.value !== undefined ? props.value.toFixed(3) : 'N/A'}
+              ${props.value !== null && props.value !== undefined
+                ? (props.value_mode === 'percent' ? formatPercent(props.value) : props.value.toFixed(3))
+                : 'N/A'}
             </span>
-            ${indexMetadata?.unit ? ` ${indexMetadata.unit}` : ''}
+            ${indexMetadata?.unit && props.value_mode !== 'percent' ? ` ${indexMetadata.unit}` : ''}
           </p>
+          ${thresholdResult ? buildThresholdHtml(props.id) : ''}
+          ${props.percent_masked ? `
+            <p style="margin: 4px 0; font-size: 11px; color: #64748b;">
+              Baseline near zero: relative change not shown
+            </p>
+          ` : ''}
+          ${buildAbsoluteValuesHtml(getAbsoluteValues(props), indexMetadata?.unit)}
+          ${buildEnsembleRangeHtml(getEnsembleStatistics(props), indexMetadata?.unit)}
           ${indexMetadata?.interpretation ? `
             <p style="margin: 4px 0; font-size: 12px; font-style: italic; color: #555;">
               ${indexMetadata.interpretation}
@@ -124,62 +226,162 @@ const ClimateLayer = ({ searchHighlightedMunicipalityId = null }) => {
       </div>
     `;
 
-    // Bind popup
-    layer.bindPopup(popupContent);
+  // Popup of a district/province: area-weighted mean and the spread of its municipalities
+  const buildAggregatePopupContent = (props) => {
+    const format = (v) => (v !== null && v !== undefined ? v.toFixed(3) : 'N/A');
+    const valueUnit = getValueUnit(metadata?.valueMode, indexMetadata?.unit);
+    const unit = valueUnit ? ` ${valueUnit}` : '';
+
+    return `
+      <div style="min-width: 200px;">
+        <h3 style="margin: 0 0 8px 0; font-size: 16px; font-weight: bold;">
+          ${props.name}
+        </h3>
+        <div style="font-size: 13px; color: #666;">
+          ${props.level === 'district' ? `
+            <p style="margin: 4px 0;"><strong>District code:</strong> ${props.code}</p>
+            <p style="margin: 4px 0;"><strong>Province:</strong> ${props.province}</p>
+          ` : ''}
+          <p style="margin: 4px 0;"><strong>Municipalities:</strong> ${props.municipality_count}</p>
+          <hr style="margin: 8px 0; border: none; border-top: 1px solid #ddd;" />
+          <p style="margin: 4px 0;"><strong>Index:</strong> ${props.index_code?.toUpperCase()}</p>
+          <p style="margin: 4px 0;"><strong>Scenario:</strong> ${formatScenario(props.scenario).fullLabel}</p>
+          <p style="margin: 4px 0;"><strong>Period:</strong> ${props.period_start}-${props.period_end}</p>
+          <p style="margin: 8px 0 4px 0; font-size: 14px;">
+            <strong>Area-weighted mean:</strong>
+            <span style="color: ${colorScale ? getColorForValue(props.value, colorScale) : '#000'}; font-weight: bold;">
+              ${format(props.value)}
+            </span>
+            ${unit}
+          </p>
+          <p style="margin: 4px 0; font-size: 12px;">
+            <strong>Min / max:</strong> ${format(props.min)} / ${format(props.max)}${unit}
+          </p>
+          <p style="margin: 4px 0; font-size: 12px;">
+            <strong>Spread:</strong> ${format(props.spread)}${unit}
+          </p>
+          <hr style="margin: 8px 0; border: none; border-top: 1px solid #ddd;" />
+          <p style="margin: 4px 0; font-size: 12px;">
+            <strong>Area:</strong> ${props.area_km2?.toFixed(0)} km²
+          </p>
+        </div>
+      </div>
+    `;
+  };
+
+  const buildPopupContentRef = useRef(buildPopupContent);
+  buildPopupContentRef.current = buildPopupContent;
+  const buildAggregatePopupContentRef = useRef(buildAggregatePopupContent);
+  buildAggregatePopupContentRef.current = buildAggregatePopupContent;
+
+  const onHoverChangeRef = useRef(onHoverChange);
+  onHoverChangeRef.current = onHoverChange;
+
+  // Event handlers
+  // Handlers read layer.feature so they stay correct after in-place data updates
+  const onEachFeature = (feature, layer) => {
+    // Bind popup (content built when opened, from the current data)
+    // Districts/provinces show their statistics on hover instead, as a click drills down
+    if (feature.properties.level) {
+      layer.bindTooltip(() => buildAggregatePopupContentRef.current(layer.feature.properties), { sticky: true });
+    } else {
+      layer.bindPopup(() => buildPopupContentRef.current(layer.feature.properties));
+    }
+
+    // Fade fill colour changes between scenarios/periods
+    layer.on('add', () => {
+      const path = layer.getElement?.();
+      if (path) {
+        path.style.transition = `fill ${ANIMATION_CONFIG.transitionDuration}ms ease`;
+      }
+    });
 
     // Mouse events
     layer.on({
-      mouseover: (e) => {
-        setHoveredMunicipalityId(props.id);
+      mouseover: () => {
+        setHoveredMunicipalityId(layer.feature.properties.id);
+        if (!layer.feature.properties.level) onHoverChangeRef.current?.(layer.feature.properties.id);
         layer.setStyle(HOVER_STYLE);
       },
-      mouseout: (e) => {
+      mouseout: () => {
         setHoveredMunicipalityId(null);
+        if (!layer.feature.properties.level) onHoverChangeRef.current?.(null);
         // Reset style based on selection state
-        if (selectedMunicipality?.id !== props.id) {
-          layer.setStyle(styleFeature(feature));
+        if (!selectedMunicipality || !containsMunicipality(layer.feature, selectedMunicipality.id)) {
+          layer.setStyle(styleFeatureRef.current(layer.feature));
         }
       },
-      click: (e) => {
+      click: () => {
+        // Drill down: province → its districts, district → its municipalities
+        const props = layer.feature.properties;
+        if (props.level === 'province') {
+          drillDown({ province: props.id });
+          return;
+        }
+        if (props.level === 'district') {
+          drillDown({ province: props.province, districtCode: props.code });
+          return;
+        }
         // Set selected municipality using all available properties from API
-        setSelectedMunicipality({
-          id: props.id,
-          name: props.municipality_name,
-          code: props.municipality_code,
-          province: props.province,
-          districtCode: props.district_code,
-          districtName: props.district_name,
-          centroidLat: props.centroid_lat,
-          centroidLon: props.centroid_lon,
-          areaKm2: props.area_km2,
-          value: props.value,
-          scenario: props.scenario,
-          period: props.period,
-          periodStart: props.period_start,
-          periodEnd: props.period_end,
-          indexCode: props.index_code,
-        });
+        setSelectedMunicipality(extractMunicipalityFromFeature(layer.feature));
       },
     });
   };
 
-  // Force re-render when data or styles change
+  // Force re-render when the index or styles change
+  // Scenario/period changes keep the same polygons and are restyled in place below
   const key = useMemo(() => {
     if (!geojsonData) return 'empty';
-    return `${metadata?.scenario}-${metadata?.period}-${metadata?.indexCode}-${selectedMunicipality?.id || 'none'}-${searchHighlightedMunicipalityId || 'none'}`;
-  }, [geojsonData, metadata, selectedMunicipality, searchHighlightedMunicipalityId]);
+    const focus = `${drillFocus.province || 'all'}:${drillFocus.districtCode || 'all'}`;
+    return `${metadata?.indexCode}-${level}-${focus}-${geojsonData.features?.length}-${selectedMunicipality?.id || 'none'}-${searchHighlightedMunicipalityId || 'none'}`;
+  }, [geojsonData, level, drillFocus, metadata, selectedMunicipality, searchHighlightedMunicipalityId]);
+
+  // Swap in new feature data and restyle existing polygons when the data or scale changes
+  useEffect(() => {
+    const geojsonLayer = geojsonLayerRef.current;
+    if (!geojsonLayer || !layerData?.features) return;
+
+    const featuresById = new Map(layerData.features.map(f => [f.properties.id, f]));
+    geojsonLayer.eachLayer((layer) => {
+      const feature = featuresById.get(layer.feature?.properties.id);
+      if (feature) {
+        layer.feature = feature;
+      }
+      layer.setStyle(styleFeatureRef.current(layer.feature));
+    });
+  }, [layerData, colorScale, thresholdResult]);
+
+  // Highlight the municipality hovered in the data table
+  useEffect(() => {
+    const geojsonLayer = geojsonLayerRef.current;
+    if (!geojsonLayer || highlightedMunicipalityId === null || isAggregated) return;
+
+    const layer = geojsonLayer.getLayers().find(l => l.feature?.properties.id === highlightedMunicipalityId);
+    if (!layer) return;
+
+    layer.setStyle(HOVER_STYLE);
+    layer.bringToFront();
+
+    return () => {
+      layer.setStyle(styleFeatureRef.current(layer.feature));
+    };
+  }, [highlightedMunicipalityId, isAggregated, key]);
 
   if (!geojsonData || !geojsonData.features || geojsonData.features.length === 0) {
     return null;
   }
 
   return (
-    <GeoJSON
-      key={key}
-      data={geojsonData}
-      style={styleFeature}
-      onEachFeature={onEachFeature}
-    />
+    <>
+      <GeoJSON
+        key={key}
+        ref={geojsonLayerRef}
+        data={layerData}
+        style={styleFeature}
+        onEachFeature={onEachFeature}
+      />
+      {lowConfidenceData.features.length > 0 && <HatchOverlay data={lowConfidenceData} />}
+    </>
   );
 };
 
@@ -0,0 +1,91 @@
+import { useEffect, useRef } from 'react';
+import { useClimate } from '../../context/ClimateContext';
+import { getFeatureBounds } from '../../utils/mapRenderer';
+import { SA_BOUNDS } from '../../utils/constants';
+
+/**
+ * DrillDownBreadcrumb - Where the map is focused: South Africa › province › district
+ * Clicking a province on the map shows its districts, clicking a district shows its
+ * local municipalities (see ClimateLayer); the breadcrumb steps back up. The map zooms
+ * to the focused area whenever the focus changes.
+ *
+ * @param {Object} props
+ * @param {Object} props.map - Leaflet map to zoom
+ */
+const DrillDownBreadcrumb = ({ map = null }) => {
+  const { geojsonData, geographyLevel, drillFocus, drillDown } = useClimate();
+  const previousFocusRef = useRef(drillFocus);
+
+  // Zoom to the focused province/district (not on load, where the URL extent applies)
+  useEffect(() => {
+    if (previousFocusRef.current === drillFocus) return;
+    previousFocusRef.current = drillFocus;
+    if (!map || !geojsonData?.features) return;
+
+    const features = geojsonData.features.filter(({ properties }) => (
+      drillFocus.districtCode
+        ? properties.district_code === drillFocus.districtCode
+        : properties.province === drillFocus.province
+    ));
+    const bounds = drillFocus.province ? getFeatureBounds(features) : SA_BOUNDS;
+    if (bounds) {
+      map.fitBounds(bounds, { padding: [32, 32], duration: 0.6 });
+    }
+  }, [drillFocus, map, geojsonData]);
+
+  const districtName = drillFocus.districtCode
+    ? geojsonData?.features.find(f => f.properties.district_code === drillFocus.districtCode)?.properties.district_name
+    : null;
+
+  const crumbs = [
+    { label: 'South Africa', focus: {}, current: !drillFocus.province && geographyLevel === 'province' },
+    drillFocus.province && {
+      label: drillFocus.province,
+      focus: { province: drillFocus.province },
+      current: !drillFocus.districtCode,
+    },
+    drillFocus.districtCode && {
+      label: districtName || drillFocus.districtCode,
+      focus: drillFocus,
+      current: true,
+    },
+  ].filter(Boolean);
+
+  const handleUp = () => {
+    drillDown(drillFocus.districtCode ? { province: drillFocus.province } : {});
+  };
+
+  return (
+    <nav
+      aria-label="Drill-down"
+      className="absolute top-4 left-1/2 -translate-x-1/2 z-1000 bg-white rounded-lg shadow-sm border border-gray-300 px-3 py-1.5 flex items-center gap-1.5 text-xs"
+    >
+      {crumbs.map((crumb, i) => (
+        <span key={crumb.label} className="flex items-center gap-1.5">
+          {i > 0 && <span className="text-gray-400">›</span>}
+          {crumb.current ? (
+            <span className="font-semibold text-gray-800" aria-current="location">{crumb.label}</span>
+          ) : (
+            <button
+              onClick={() => drillDown(crumb.focus)}
+              className="font-medium text-primary-600 hover:underline"
+            >
+              {crumb.label}
+            </button>
+          )}
+        </span>
+      ))}
+      {drillFocus.province && (
+        <button
+          onClick={handleUp}
+          className="ml-1 px-2 py-0.5 rounded bg-gray-100 hover:bg-gray-200 text-[10px] font-medium"
+          aria-label="Up one level"
+        >
+          ▲ Up
+        </button>
+      )}
+    </nav>
+  );
+};
+
+export default DrillDownBreadcrumb;
@@ -0,0 +1,72 @@
+import { useEffect } from 'react';
+import { GeoJSON, Pane, useMap } from 'react-leaflet';
+
+// SVG pattern and map pane used for hatching
+const HATCH_PATTERN_ID = 'map-hatch';
+const HATCH_PANE = 'hatchPane';
+
+// CSS equivalent of the map's hatch pattern, for legend swatches
+export const HATCH_BACKGROUND = 'repeating-linear-gradient(45deg, rgba(51, 65, 85, 0.7) 0 1px, transparent 1px 4px)';
+
+const HATCH_STYLE = {
+  fillColor: `url(#${HATCH_PATTERN_ID})`,
+  fillOpacity: 1,
+  stroke: false,
+};
+
+/**
+ * Adds the hatch <pattern> to the pane's SVG (Leaflet's renderer has no <defs> of its own)
+ * Rendered after the GeoJSON so its SVG exists
+ */
+const HatchPattern = () => {
+  const map = useMap();
+
+  useEffect(() => {
+    const svg = map.getPane(HATCH_PANE)?.querySelector('svg');
+    if (!svg || svg.querySelector(`#${HATCH_PATTERN_ID}`)) return;
+
+    const ns = 'http://www.w3.org/2000/svg';
+    const defs = document.createElementNS(ns, 'defs');
+    const pattern = document.createElementNS(ns, 'pattern');
+    pattern.setAttribute('id', HATCH_PATTERN_ID);
+    pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+    pattern.setAttribute('width', '6');
+    pattern.setAttribute('height', '6');
+    pattern.setAttribute('patternTransform', 'rotate(45)');
+    const line = document.createElementNS(ns, 'line');
+    line.setAttribute('x1', '0');
+    line.setAttribute('y1', '0');
+    line.setAttribute('x2', '0');
+    line.setAttribute('y2', '6');
+    line.setAttribute('stroke', '#334155');
+    line.setAttribute('stroke-width', '1.2');
+    line.setAttribute('stroke-opacity', '0.7');
+    pattern.appendChild(line);
+    defs.appendChild(pattern);
+    svg.insertBefore(defs, svg.firstChild);
+  });
+
+  return null;
+};
+
+/**
+ * HatchOverlay - Diagonal hatching over polygons (e.g. where scenarios or models disagree)
+ * Drawn in its own pane above the choropleth, so it stays on top when that layer is re-created,
+ * and lets clicks and hover through to the polygons below.
+ *
+ * @param {Object} props
+ * @param {Object} props.data - GeoJSON FeatureCollection of the polygons to hatch
+ */
+const HatchOverlay = ({ data }) => {
+  // Re-create when the set of hatched polygons changes
+  const key = data.features.map(f => f.properties.id).join(',');
+
+  return (
+    <Pane name={HATCH_PANE} style={{ zIndex: 450, pointerEvents: 'none' }}>
+      <GeoJSON key={key} data={data} style={HATCH_STYLE} interactive={false} />
+      <HatchPattern />
+    </Pane>
+  );
+};
+
+export default HatchOverlay;
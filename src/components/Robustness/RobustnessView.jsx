@@ -0,0 +1,226 @@
+import { useEffect, useMemo, useState } from 'react';
+import { GeoJSON } from 'react-leaflet';
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { getClimateGeoJSONForIndex } from '../../api/climateData';
+import {
+  getColorScale,
+  getColorForValue,
+  getInterpretationLabels,
+  extractMunicipalityFromFeature,
+} from '../../utils/colorMapping';
+import {
+  computeRobustnessGeoJSON,
+  getRobustnessClasses,
+  getRobustnessLabel,
+} from '../../utils/robustness';
+import { SCENARIOS, DEFAULT_STYLE, HOVER_STYLE, SELECTED_STYLE, formatPeriod } from '../../utils/constants';
+import Map from '../Map/Map';
+import HatchOverlay, { HATCH_BACKGROUND } from '../Map/HatchOverlay';
+import InfoPanel from '../InfoPanel/InfoPanel';
+
+/**
+ * RobustnessView - Do the emissions scenarios agree on the sign of change?
+ * Fetches the current index and period for all SCENARIOS and colours each municipality by
+ * how many project an increase vs a decrease (utils/robustness.js), on the index's palette.
+ * Municipalities where the scenarios disagree are hatched. Clicking one opens the InfoPanel
+ * with the per-scenario values behind its class.
+ *
+ * @param {Object} props
+ * @param {Function} props.onMapReady - Receives the Leaflet map instance
+ * @param {number} props.searchHighlightedMunicipalityId - Municipality highlighted by search
+ */
+const RobustnessView = ({ onMapReady, searchHighlightedMunicipalityId = null }) => {
+  const { scenario, period, index, getColorScaleOptions } = useClimate();
+  const { getIndexByCode } = useIndices();
+  const [layers, setLayers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Current index and period under every scenario (cached by the API layer)
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const results = await getClimateGeoJSONForIndex(index, SCENARIOS.map(s => s.value), [period]);
+        if (!cancelled) setLayers(results);
+      } catch (err) {
+        console.error('Error fetching scenarios for robustness map:', err);
+        if (!cancelled) setError(err.message || 'Failed to fetch scenarios');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [index, period]);
+
+  const robustnessGeojson = useMemo(() => (
+    computeRobustnessGeoJSON(layers, scenario)
+  ), [layers, scenario]);
+
+  const indexMetadata = getIndexByCode(index);
+
+  // Agreement in [-1, 1] on the index's diverging palette (increase = positive anomaly colour)
+  const colorScale = useMemo(() => (
+    getColorScale(indexMetadata, [], { domain: [-1, 1], palette: getColorScaleOptions(index).palette })
+  ), [indexMetadata, index, getColorScaleOptions]);
+
+  return (
+    <>
+      {/* Title */}
+      <div className="absolute top-4 left-16 z-1000 bg-white rounded-lg shadow-md px-3 py-2">
+        <h3 className="text-sm font-bold text-gray-800">
+          Scenario agreement · {index.toUpperCase()}
+        </h3>
+        <p className="text-[10px] text-gray-500">
+          {SCENARIOS.length} scenarios · {formatPeriod(period).shortLabel}
+          {loading && ' · loading…'}
+        </p>
+        {error && (
+          <p className="text-[10px]" style={{ color: '#dc2626' }}>{error}</p>
+        )}
+      </div>
+
+      <Map onMapReady={onMapReady}>
+        {robustnessGeojson && (
+          <RobustnessLayer
+            geojsonData={robustnessGeojson}
+            colorScale={colorScale}
+            searchHighlightedMunicipalityId={searchHighlightedMunicipalityId}
+          />
+        )}
+      </Map>
+
+      <RobustnessLegend
+        geojsonData={robustnessGeojson}
+        colorScale={colorScale}
+        indexMetadata={indexMetadata}
+      />
+      <InfoPanel />
+    </>
+  );
+};
+
+/**
+ * RobustnessLayer - Municipalities coloured by agreement, with a hatched overlay where scenarios disagree
+ */
+const RobustnessLayer = ({ geojsonData, colorScale, searchHighlightedMunicipalityId = null }) => {
+  const { selectedMunicipality, setSelectedMunicipality } = useClimate();
+
+  const disagreeing = useMemo(() => ({
+    ...geojsonData,
+    features: geojsonData.features.filter(f => f.properties.robustness.total > 0 && !f.properties.robustness.robust),
+  }), [geojsonData]);
+
+  const styleFeature = (feature) => {
+    const { id, robustness } = feature.properties;
+
+    if (searchHighlightedMunicipalityId && searchHighlightedMunicipalityId !== id) {
+      return {
+        ...DEFAULT_STYLE,
+        fillColor: '#e5e7eb',
+        fillOpacity: 0.4,
+        color: '#d1d5db',
+        weight: 1,
+      };
+    }
+
+    return {
+      ...DEFAULT_STYLE,
+      ...(selectedMunicipality?.id === id ? SELECTED_STYLE : {}),
+      fillColor: getColorForValue(robustness.agreement, colorScale),
+    };
+  };
+
+  const onEachFeature = (feature, layer) => {
+    const { municipality_name: name, robustness } = feature.properties;
+
+    layer.bindTooltip(`${name}: ${getRobustnessLabel(robustness)}${robustness.robust ? '' : ' (scenarios disagree)'}`, {
+      sticky: true,
+    });
+
+    layer.on({
+      mouseover: () => {
+        layer.setStyle(HOVER_STYLE);
+      },
+      mouseout: () => {
+        layer.setStyle(styleFeature(feature));
+      },
+      click: () => {
+        setSelectedMunicipality({ ...extractMunicipalityFromFeature(feature), robustness });
+      },
+    });
+  };
+
+  // Force re-render when the data (or reference scenario), highlight or selection changes
+  const key = useMemo(() => {
+    const checksum = geojsonData.features.reduce((sum, f, i) => sum + (f.properties.value ?? 0) * (i + 1), 0);
+    return `${geojsonData.features.length}-${checksum.toFixed(6)}-${searchHighlightedMunicipalityId || 'none'}-${selectedMunicipality?.id || 'none'}`;
+  }, [geojsonData, searchHighlightedMunicipalityId, selectedMunicipality?.id]);
+
+  return (
+    <>
+      <GeoJSON
+        key={key}
+        data={geojsonData}
+        style={styleFeature}
+        onEachFeature={onEachFeature}
+      />
+      <HatchOverlay data={disagreeing} />
+    </>
+  );
+};
+
+/**
+ * RobustnessLegend - Agreement classes with municipality counts, and the hatching key
+ */
+const RobustnessLegend = ({ geojsonData, colorScale, indexMetadata }) => {
+  const labels = getInterpretationLabels(indexMetadata?.anomaly_direction);
+
+  const classes = useMemo(() => {
+    const counts = {};
+    (geojsonData?.features || []).forEach(({ properties: { robustness } }) => {
+      const label = getRobustnessLabel(robustness);
+      counts[label] = (counts[label] || 0) + 1;
+    });
+    return getRobustnessClasses(SCENARIOS.length).map(c => ({ ...c, count: counts[c.label] || 0 }));
+  }, [geojsonData]);
+
+  return (
+    <div className="absolute bottom-4 right-4 bg-white rounded-lg shadow-sm border border-gray-300 p-3 z-1000 max-w-[240px]">
+      <h3 className="text-xs font-bold text-gray-800 mb-1">
+        Direction of change
+      </h3>
+      <p className="text-[10px] text-gray-500 mb-1.5">
+        Scenarios projecting an increase (+: {labels.positive}) or a decrease (−: {labels.negative})
+      </p>
+
+      <div className="flex flex-col gap-0.5 mb-2">
+        {classes.map(c => (
+          <div key={c.label} className="flex items-center gap-1.5">
+            <div
+              className="w-6 h-3 rounded border border-gray-300"
+              style={{
+                backgroundColor: getColorForValue(c.agreement, colorScale),
+                backgroundImage: c.robust ? undefined : HATCH_BACKGROUND,
+              }}
+            />
+            <span className="text-[10px] text-gray-600">{c.label}</span>
+            <span className="text-[10px] text-gray-400 ml-auto pl-1">({c.count})</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="pt-2 border-t border-gray-200 flex items-center gap-1.5">
+        <div className="w-6 h-3 rounded border border-gray-300" style={{ backgroundImage: HATCH_BACKGROUND }} />
+        <span className="text-[10px] text-gray-600">Hatched: scenarios disagree on the sign</span>
+      </div>
+    </div>
+  );
+};
+
+export default RobustnessView;
@@ -0,0 +1,101 @@
+import { useClimate } from '../../context/ClimateContext';
+import { useIndices } from '../../context/IndicesContext';
+import { extractMunicipalityFromFeature } from '../../utils/colorMapping';
+import { getFeatureBounds } from '../../utils/mapRenderer';
+import { getValueUnit, formatPercent } from '../../utils/baseline';
+import { THRESHOLD_COLORS, THRESHOLD_CATEGORIES, formatThresholdRule } from '../../utils/threshold';
+import { formatScenario, formatPeriod } from '../../utils/constants';
+
+/**
+ * ThresholdSummary - Legend of the threshold exceedance map
+ * Counts and total area of the municipalities exceeding the rule, and a list of them
+ * (most extreme first); clicking one selects it and zooms to it.
+ * Renders nothing while the rule cannot be evaluated (see ThresholdBuilder).
+ *
+ * @param {Object} props
+ * @param {Object} props.map - Leaflet map to zoom on list click
+ */
+const ThresholdSummary = ({ map = null }) => {
+  const { geojsonData, scenario, period, thresholdRule, thresholdResult, setSelectedMunicipality } = useClimate();
+  const { getIndexByCode } = useIndices();
+
+  if (!thresholdResult) return null;
+
+  const unit = getIndexByCode(thresholdRule.code)?.unit;
+  const valueUnit = getValueUnit(thresholdRule.measure, unit);
+  const { exceeding, counts, area } = thresholdResult;
+  const areaShare = area.total > 0 ? (area.exceeds / area.total) * 100 : 0;
+
+  const format = (v) => (thresholdRule.measure === 'percent' ? formatPercent(v) : v.toFixed(2));
+
+  const handleClick = (id) => {
+    const feature = geojsonData?.features?.find(f => f.properties.id === id);
+    if (!feature) return;
+    setSelectedMunicipality(extractMunicipalityFromFeature(feature));
+
+    const bounds = getFeatureBounds([feature]);
+    if (map && bounds) {
+      map.fitBounds(bounds, { padding: [32, 32], duration: 0.6 });
+    }
+  };
+
+  return (
+    <div className="absolute bottom-4 right-4 bg-white rounded-lg shadow-md border border-gray-300 p-3 z-1000 w-[250px] max-h-[calc(100%-2rem)] flex flex-col">
+      <h3 className="text-xs font-bold text-gray-800">
+        {thresholdRule.label || formatThresholdRule(thresholdRule, unit)}
+      </h3>
+      {thresholdRule.label && (
+        <p className="text-[10px] font-mono text-gray-600">{formatThresholdRule(thresholdRule, unit)}</p>
+      )}
+      <p className="text-[10px] text-gray-500 mb-1.5">
+        {formatScenario(scenario).fullLabel} · {formatPeriod(period).shortLabel}
+      </p>
+
+      <div className="flex flex-col gap-0.5 mb-2">
+        {THRESHOLD_CATEGORIES.filter(c => c.key !== 'nodata' || counts.nodata > 0).map(c => (
+          <div key={c.key} className="flex items-center gap-1.5">
+            <div className="w-6 h-3 rounded border border-gray-300" style={{ backgroundColor: THRESHOLD_COLORS[c.key] }} />
+            <span className="text-[10px] text-gray-600">{c.label}</span>
+            <span className="text-[10px] text-gray-400 ml-auto pl-1">({counts[c.key]})</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="pt-2 border-t border-gray-200 text-[10px] text-gray-600 mb-2">
+        <div>
+          <span className="font-semibold text-gray-800">{counts.exceeds}</span> of {counts.exceeds + counts.below} municipalities
+        </div>
+        <div>
+          <span className="font-semibold text-gray-800">
+            {Math.round(area.exceeds).toLocaleString()} km²
+          </span>{' '}
+          ({areaShare.toFixed(1)}% of the area with data)
+        </div>
+      </div>
+
+      {exceeding.length > 0 && (
+        <div className="pt-2 border-t border-gray-200 flex flex-col min-h-0">
+          <h4 className="text-[11px] font-semibold text-gray-700 mb-0.5">
+            Exceeding{valueUnit ? ` (${valueUnit})` : ''}
+          </h4>
+          <ul className="text-[10px] text-gray-700 overflow-y-auto max-h-48">
+            {exceeding.map(props => (
+              <li key={props.id}>
+                <button
+                  onClick={() => handleClick(props.id)}
+                  className="w-full flex items-center gap-1 text-left hover:bg-gray-100 rounded px-0.5"
+                  title={`${props.municipality_name} (${props.province})`}
+                >
+                  <span className="flex-1 truncate">{props.municipality_name}</span>
+                  <span className="font-mono text-gray-500">{format(props.value)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThresholdSummary;
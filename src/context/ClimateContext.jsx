@@ -1,13 +1,26 @@
-import { createContext, useContext, useState, useCallback } from 'react';
-import { getClimateGeoJSON } from '../api/climateData';
+import { createContext, useContext, useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { getClimateGeoJSONCached, getClimateGeoJSONForIndexSettled } from '../api/climateData';
+import { extractValuesFromGeoJSON } from '../utils/colorMapping';
+import { PALETTES, resolvePaletteColors, isSequentialPalette, loadCustomPalettes, saveCustomPalettes } from '../utils/palettes';
+import { parseViewState } from '../utils/urlState';
+import { loadSavedComposites, saveSavedComposites } from '../utils/composite';
+import { selectEnsembleStatistic } from '../utils/ensemble';
+import { selectValueMode, isAbsoluteValueMode } from '../utils/baseline';
+import { evaluateThreshold, loadSavedThresholds, saveSavedThresholds } from '../utils/threshold';
+import { SCENARIOS, PERIODS, CLASSIFICATION_CONFIG } from '../utils/constants';
 
 const ClimateContext = createContext(null);
 
 export const ClimateProvider = ({ children }) => {
+  // View shared in the URL (see utils/urlState.js); indices are checked once loaded (UrlStateSync)
+  const [initialView] = useState(() => parseViewState(window.location.search, {
+    paletteIds: [...Object.keys(PALETTES), ...loadCustomPalettes().map(p => p.id)],
+  }));
+
   // Map configuration state
-  const [scenario, setScenario] = useState('ssp245');
-  const [period, setPeriod] = useState('near-term_2021-2040');
-  const [index, setIndexState] = useState('cdd');
+  const [scenario, setScenario] = useState(initialView.scenario);
+  const [period, setPeriod] = useState(initialView.period);
+  const [index, setIndexState] = useState(initialView.index);
 
   // Wrapper to validate index before setting
   const setIndex = useCallback((newIndex) => {
@@ -19,17 +32,101 @@ export const ClimateProvider = ({ children }) => {
     }
   }, []);
 
+  // Geography level of the single map: 'municipality', 'district' or 'province'
+  const [geographyLevel, setGeographyLevel] = useState(initialView.geographyLevel);
+
+  // Drill-down focus (province → district → municipality); areas outside it are faded
+  const [drillFocus, setDrillFocus] = useState(initialView.drillFocus);
+
+  /**
+   * Focus a province or district and show the level below it
+   * @param {Object} focus - {province, districtCode}; both null for the whole country
+   */
+  const drillDown = useCallback(({ province = null, districtCode = null } = {}) => {
+    setDrillFocus({ province, districtCode: province ? districtCode : null });
+    setGeographyLevel(districtCode ? 'municipality' : province ? 'district' : 'province');
+  }, []);
+
   // Data state
-  const [geojsonData, setGeojsonData] = useState(null);
+  const [sourceGeojson, setGeojsonData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Ensemble statistic shown on the single map: 'mean', 'p10', 'p50' or 'p90' (see utils/ensemble.js)
+  // Falls back to the mean when the data has no such statistic
+  const [ensembleStatistic, setEnsembleStatistic] = useState(initialView.ensembleStatistic);
+
+  // Values shown on the single map: 'anomaly', 'percent', 'projected' or 'baseline' (see utils/baseline.js)
+  // Relative change and absolute values need baseline_value in the data; anomalies are shown otherwise
+  const [valueMode, setValueMode] = useState(initialView.valueMode);
+
+  const geojsonData = useMemo(() => (
+    selectValueMode(selectEnsembleStatistic(sourceGeojson, ensembleStatistic), valueMode)
+  ), [sourceGeojson, ensembleStatistic, valueMode]);
+
+  // Fixed colour domain [min, max] overriding the data-derived one (null = derive from current data)
+  // Set by the period animation so colours stay comparable across frames
+  const [colorDomain, setColorDomain] = useState(null);
+
+  // Scale lock: colour domain spans every scenario and period of the index
+  const [scaleLock, setScaleLock] = useState(initialView.scaleLock);
+  const [lockedDomains, setLockedDomains] = useState({}); // { ['indexCode/statistic']: [min, max] or null }
+  // Lock fetches in flight: batches for different indices can overlap
+  const [scaleLockRequests, setScaleLockRequests] = useState(0);
+  const scaleLockLoading = scaleLockRequests > 0;
+  const [scaleLockError, setScaleLockError] = useState(null);
+  // Lock keys already fetched or being fetched, so each is requested once
+  const lockRequestsRef = useRef(new Set());
+
+  // Manual colour range per index, entered in the Legend: { [indexCode]: [min, max] }
+  const [manualDomains, setManualDomains] = useState({});
+
+  // Choropleth classification, selected in the Legend ('continuous' = unclassed ramp)
+  const [classification, setClassification] = useState(initialView.classification);
+
+  // Palette override (null = the index's API color_scheme) and user-defined palettes
+  const [paletteId, setPaletteId] = useState(initialView.paletteId);
+  const [customPalettes, setCustomPalettes] = useState(() => loadCustomPalettes());
+
+  // Colour vision deficiency simulation applied to the map area ('none' = off)
+  const [cvdSimulation, setCvdSimulation] = useState('none');
+
   // Selected municipality for info panel
   const [selectedMunicipality, setSelectedMunicipality] = useState(null);
 
   // Comparison mode (for side-by-side comparison)
-  const [comparisonMode, setComparisonMode] = useState(false);
-  const [comparisonScenario, setComparisonScenario] = useState('ssp585');
+  // Pane A uses the main scenario/period/index; pane B has its own configuration
+  const [comparisonMode, setComparisonMode] = useState(initialView.comparisonMode);
+  const [comparisonConfig, setComparisonConfig] = useState(initialView.comparisonConfig);
+  // Comparison layout: 'side-by-side' (two maps), 'swipe' (one map with a divider)
+  // or 'difference' (single B − A map)
+  const [comparisonLayout, setComparisonLayout] = useState(initialView.comparisonLayout);
+  // Difference type for the difference layout: 'absolute' or 'percent'
+  const [differenceType, setDifferenceType] = useState(initialView.differenceType);
+
+  // Matrix mode (small multiples: all scenarios × all periods for the current index)
+  const [matrixMode, setMatrixMode] = useState(initialView.matrixMode);
+
+  // Robustness mode: how many scenarios agree on the sign of change (see utils/robustness.js)
+  const [robustnessMode, setRobustnessMode] = useState(initialView.robustnessMode);
+
+  // Composite risk score mode: weighted indices combined into one score (see utils/composite.js)
+  const [compositeMode, setCompositeMode] = useState(false);
+  const [compositeConfig, setCompositeConfig] = useState({ label: '', components: [], method: 'minmax' });
+  const [savedComposites, setSavedComposites] = useState(() => loadSavedComposites());
+
+  // Threshold exceedance map: municipalities exceeding a rule for the current index (see utils/threshold.js)
+  // Re-evaluated for every scenario/period; null result while the rule is for another index
+  // or needs baseline values the data does not have
+  const [thresholdMode, setThresholdMode] = useState(false);
+  const [thresholdRule, setThresholdRule] = useState(null);
+  const [savedThresholds, setSavedThresholds] = useState(() => loadSavedThresholds());
+
+  const thresholdResult = useMemo(() => {
+    if (!thresholdMode || !thresholdRule || thresholdRule.code !== index) return null;
+    const values = selectValueMode(selectEnsembleStatistic(sourceGeojson, ensembleStatistic), thresholdRule.measure);
+    return evaluateThreshold(values, thresholdRule);
+  }, [thresholdMode, thresholdRule, index, sourceGeojson, ensembleStatistic]);
 
   /**
    * Fetch GeoJSON data for current configuration
@@ -39,7 +136,7 @@ export const ClimateProvider = ({ children }) => {
     setError(null);
 
     try {
-      const data = await getClimateGeoJSON(scenario, period, index);
+      const data = await getClimateGeoJSONCached(scenario, period, index);
       setGeojsonData(data);
     } catch (err) {
       setError(err.message || 'Failed to fetch climate data');
@@ -49,6 +146,205 @@ export const ClimateProvider = ({ children }) => {
     }
   }, [scenario, period, index]);
 
+  // Ensemble statistic coloured by the lock: the single map's, the mean in the multi-map views
+  const lockStatistic = comparisonMode || matrixMode || robustnessMode || compositeMode ? 'mean' : ensembleStatistic;
+
+  /**
+   * Fetch every scenario/period for the indices on screen and store the value range of the
+   * statistic shown while the scale lock is on
+   * The range covers the combinations that loaded; keys with failed combinations are forgotten,
+   * so switching the lock off and on again retries them
+   */
+  useEffect(() => {
+    if (!scaleLock) return;
+
+    const keys = [...new Set([index, comparisonMode ? comparisonConfig.index : null])]
+      .filter(Boolean)
+      .map(code => [code, `${code}/${lockStatistic}`])
+      .filter(([, key]) => !lockRequestsRef.current.has(key));
+    if (keys.length === 0) return;
+
+    keys.forEach(([, key]) => lockRequestsRef.current.add(key));
+
+    (async () => {
+      setScaleLockRequests(n => n + 1);
+      setScaleLockError(null);
+      try {
+        const batches = await Promise.all(keys.map(async ([code, key]) => {
+          const results = await getClimateGeoJSONForIndexSettled(
+            code,
+            SCENARIOS.map(s => s.value),
+            PERIODS.map(p => p.value)
+          );
+          const values = results
+            .filter(({ geojson }) => geojson)
+            .flatMap(({ geojson }) => extractValuesFromGeoJSON(selectEnsembleStatistic(geojson, lockStatistic)));
+          return {
+            key,
+            domain: values.length > 0 ? [Math.min(...values), Math.max(...values)] : null,
+            failed: results.filter(({ error }) => error).length,
+            total: results.length,
+          };
+        }));
+
+        setLockedDomains(prev => ({
+          ...prev,
+          ...Object.fromEntries(batches.map(({ key, domain }) => [key, domain])),
+        }));
+
+        const incomplete = batches.filter(({ failed }) => failed > 0);
+        if (incomplete.length > 0) {
+          incomplete.forEach(({ key }) => lockRequestsRef.current.delete(key));
+          const failed = incomplete.reduce((sum, b) => sum + b.failed, 0);
+          const total = batches.reduce((sum, b) => sum + b.total, 0);
+          setScaleLockError(`${failed} of ${total} scenario/period maps could not be loaded, so the locked scale covers the others`);
+        }
+      } finally {
+        setScaleLockRequests(n => n - 1);
+      }
+    })();
+  }, [scaleLock, index, comparisonMode, comparisonConfig.index, lockStatistic]);
+
+  /**
+   * Set (or clear with null) the manual colour range for an index
+   */
+  const setManualDomain = useCallback((indexCode, domain) => {
+    setManualDomains(prev => {
+      const next = { ...prev };
+      if (domain) {
+        next[indexCode] = domain;
+      } else {
+        delete next[indexCode];
+      }
+      return next;
+    });
+  }, []);
+
+  /**
+   * Add or replace a user-defined palette (persisted to localStorage)
+   * @param {Object} palette - {id, label, colors}
+   */
+  const saveCustomPalette = useCallback((palette) => {
+    setCustomPalettes(prev => {
+      const next = prev.some(p => p.id === palette.id)
+        ? prev.map(p => (p.id === palette.id ? palette : p))
+        : [...prev, palette];
+      saveCustomPalettes(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Delete a user-defined palette
+   * @param {string} id - Palette id
+   */
+  const deleteCustomPalette = useCallback((id) => {
+    setCustomPalettes(prev => {
+      const next = prev.filter(p => p.id !== id);
+      saveCustomPalettes(next);
+      return next;
+    });
+    setPaletteId(prev => (prev === id ? null : prev));
+  }, []);
+
+  /**
+   * Save (add or replace) a composite for later sessions
+   * @param {Object} composite - {id, label, components, method}
+   */
+  const saveComposite = useCallback((composite) => {
+    setSavedComposites(prev => {
+      const next = prev.some(c => c.id === composite.id)
+        ? prev.map(c => (c.id === composite.id ? composite : c))
+        : [...prev, composite];
+      saveSavedComposites(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Delete a saved composite
+   * @param {string} id - Composite id
+   */
+  const deleteComposite = useCallback((id) => {
+    setSavedComposites(prev => {
+      const next = prev.filter(c => c.id !== id);
+      saveSavedComposites(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Save (add or replace) a threshold rule for later sessions
+   * @param {Object} rule - {id, label, code, measure, operator, value}
+   */
+  const saveThreshold = useCallback((rule) => {
+    setSavedThresholds(prev => {
+      const next = prev.some(r => r.id === rule.id)
+        ? prev.map(r => (r.id === rule.id ? rule : r))
+        : [...prev, rule];
+      saveSavedThresholds(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Delete a saved threshold rule
+   * @param {string} id - Rule id
+   */
+  const deleteThreshold = useCallback((id) => {
+    setSavedThresholds(prev => {
+      const next = prev.filter(r => r.id !== id);
+      saveSavedThresholds(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Update classification settings (scheme, classCount, manualBreaks)
+   */
+  const updateClassification = useCallback((updates) => {
+    setClassification(prev => ({ ...prev, ...updates }));
+  }, []);
+
+  /**
+   * Resolve getColorScale options for an index
+   * Domain priority: manual range > scale lock (all scenarios/periods) > animation domain (main index)
+   * Absolute values use a sequential scale, and relative change a diverging scale, fitted to the
+   * values shown (these domains are anomalies)
+   * @param {string} indexCode - Climate index code
+   * @param {string} mode - Value mode of the data being coloured (default: 'anomaly')
+   * @returns {Object} Options for getColorScale ({domain, symmetric, classification, palette}) plus source label
+   */
+  const getColorScaleOptions = useCallback((indexCode, mode = 'anomaly') => {
+    const palette = resolvePaletteColors(paletteId, customPalettes);
+
+    if (isAbsoluteValueMode(mode)) {
+      return {
+        domain: null,
+        sequential: true,
+        sequentialPalette: isSequentialPalette(paletteId),
+        classification,
+        palette,
+        source: 'absolute',
+      };
+    }
+    if (mode === 'percent') {
+      return { domain: null, classification, palette, source: 'percent' };
+    }
+
+    if (manualDomains[indexCode]) {
+      return { domain: manualDomains[indexCode], symmetric: false, classification, palette, source: 'manual' };
+    }
+    const lockedDomain = lockedDomains[`${indexCode}/${lockStatistic}`];
+    if (scaleLock && lockedDomain) {
+      return { domain: lockedDomain, classification, palette, source: 'locked' };
+    }
+    if (indexCode === index && colorDomain) {
+      return { domain: colorDomain, classification, palette, source: 'animation' };
+    }
+    return { domain: null, classification, palette, source: 'data' };
+  }, [manualDomains, scaleLock, lockedDomains, lockStatistic, index, colorDomain, classification, paletteId, customPalettes]);
+
   /**
    * Update map configuration (scenario, period, or index)
    */
@@ -56,6 +352,37 @@ export const ClimateProvider = ({ children }) => {
     if (updates.scenario !== undefined) setScenario(updates.scenario);
     if (updates.period !== undefined) setPeriod(updates.period);
     if (updates.index !== undefined) setIndex(updates.index);
+  }, [setIndex]);
+
+  /**
+   * Update comparison pane B configuration (scenario, period, or index)
+   */
+  const updateComparisonConfig = useCallback((updates) => {
+    setComparisonConfig(prev => ({ ...prev, ...updates }));
+  }, []);
+
+  /**
+   * Apply a parsed view state (browser back/forward, shared links)
+   * The selected municipality and map extent are restored by UrlStateSync
+   * @param {Object} view - View state from parseViewState
+   */
+  const applyViewState = useCallback((view) => {
+    setScenario(view.scenario);
+    setPeriod(view.period);
+    setIndexState(view.index);
+    setGeographyLevel(view.geographyLevel);
+    setDrillFocus(view.drillFocus);
+    setEnsembleStatistic(view.ensembleStatistic);
+    setValueMode(view.valueMode);
+    setComparisonMode(view.comparisonMode);
+    setComparisonConfig(view.comparisonConfig);
+    setComparisonLayout(view.comparisonLayout);
+    setDifferenceType(view.differenceType);
+    setMatrixMode(view.matrixMode);
+    setRobustnessMode(view.robustnessMode);
+    setPaletteId(view.paletteId);
+    setClassification(view.classification);
+    setScaleLock(view.scaleLock);
   }, []);
 
   /**
@@ -65,9 +392,28 @@ export const ClimateProvider = ({ children }) => {
     setScenario('ssp245');
     setPeriod('near-term_2021-2040');
     setIndex('cdd');
+    setGeographyLevel('municipality');
+    setDrillFocus({ province: null, districtCode: null });
+    setEnsembleStatistic('mean');
+    setValueMode('anomaly');
     setSelectedMunicipality(null);
     setComparisonMode(false);
-  }, []);
+    setComparisonLayout('side-by-side');
+    setDifferenceType('absolute');
+    setMatrixMode(false);
+    setRobustnessMode(false);
+    setCompositeMode(false);
+    setThresholdMode(false);
+    setScaleLock(false);
+    setManualDomains({});
+    setClassification({
+      scheme: 'continuous',
+      classCount: CLASSIFICATION_CONFIG.defaultClassCount,
+      manualBreaks: [],
+    });
+    setPaletteId(null);
+    setCvdSimulation('none');
+  }, [setIndex]);
 
   const value = {
     // Configuration
@@ -79,13 +425,44 @@ export const ClimateProvider = ({ children }) => {
     setIndex,
     updateConfig,
     resetConfig,
+    applyViewState,
+    geographyLevel,
+    setGeographyLevel,
+    drillFocus,
+    drillDown,
 
     // Data
     geojsonData,
+    ensembleStatistic,
+    setEnsembleStatistic,
+    valueMode,
+    setValueMode,
     loading,
     error,
     fetchClimateData,
 
+    // Colour domain
+    colorDomain,
+    setColorDomain,
+    scaleLock,
+    setScaleLock,
+    scaleLockLoading,
+    scaleLockError,
+    manualDomains,
+    setManualDomain,
+    getColorScaleOptions,
+    classification,
+    updateClassification,
+
+    // Palettes
+    paletteId,
+    setPaletteId,
+    customPalettes,
+    saveCustomPalette,
+    deleteCustomPalette,
+    cvdSimulation,
+    setCvdSimulation,
+
     // Selected municipality
     selectedMunicipality,
     setSelectedMunicipality,
@@ -93,8 +470,40 @@ export const ClimateProvider = ({ children }) => {
     // Comparison mode
     comparisonMode,
     setComparisonMode,
-    comparisonScenario,
-    setComparisonScenario,
+    comparisonConfig,
+    setComparisonConfig,
+    updateComparisonConfig,
+    comparisonLayout,
+    setComparisonLayout,
+    differenceType,
+    setDifferenceType,
+
+    // Matrix mode
+    matrixMode,
+    setMatrixMode,
+
+    // Robustness mode
+    robustnessMode,
+    setRobustnessMode,
+
+    // Composite risk score
+    compositeMode,
+    setCompositeMode,
+    compositeConfig,
+    setCompositeConfig,
+    savedComposites,
+    saveComposite,
+    deleteComposite,
+
+    // Threshold exceedance
+    thresholdMode,
+    setThresholdMode,
+    thresholdRule,
+    setThresholdRule,
+    thresholdResult,
+    savedThresholds,
+    saveThreshold,
+    deleteThreshold,
   };
 
   return (
@@ -1,4 +1,4 @@
-import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { getAllIndices, getSectors } from '../api/indices';
 import { parseSectors } from '../utils/sectors';
 
@@ -38,13 +38,6 @@ export const IndicesProvider = ({ children }) => {
     fetchSectorsData();
   }, []);
 
-  /**
-   * Fetch all climate indices on mount
-   */
-  useEffect(() => {
-    fetchAllIndices();
-  }, []);
-
   /**
    * Fetch all indices from API
    */
@@ -85,6 +78,13 @@ export const IndicesProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Fetch all climate indices on mount
+   */
+  useEffect(() => {
+    fetchAllIndices();
+  }, [fetchAllIndices]);
+
   /**
    * Get index metadata by code
    */
@@ -0,0 +1,119 @@
+import { topology } from 'topojson-server';
+import { merge } from 'topojson-client';
+import { groupByDistrict, groupByProvince } from './colorMapping';
+
+/**
+ * Geography Aggregation
+ * Builds district and province layers from a municipality GeoJSON: member polygons are
+ * dissolved client-side (shared boundaries removed via a TopoJSON topology) and each
+ * aggregate is valued by the area-weighted mean of its municipalities, with their
+ * min/max/spread for popups. This is the only aggregation path (the API's per-district
+ * endpoint is not used), so aggregates follow the statistic and values shown on the map.
+ */
+
+// Dissolved geometries by level and members (boundaries do not change between scenarios/periods)
+const geometryCache = new Map();
+
+/**
+ * Area-weighted statistics of member municipalities
+ * @param {Array<Object>} members - {value, areaKm2} (from groupByDistrict/groupByProvince)
+ * @returns {Object} {mean, min, max, spread, count, areaKm2}; values null when no member has data
+ *
+ * @example
+ * aggregateValues([{ value: 2, areaKm2: 100 }, { value: 4, areaKm2: 300 }])
+ * // { mean: 3.5, min: 2, max: 4, spread: 2, count: 2, areaKm2: 400 }
+ */
+export const aggregateValues = (members) => {
+  const areaKm2 = members.reduce((sum, m) => sum + (m.areaKm2 || 0), 0);
+  const withData = members.filter(m => m.value !== null && m.value !== undefined && !isNaN(m.value));
+
+  if (withData.length === 0) {
+    return { mean: null, min: null, max: null, spread: null, count: members.length, areaKm2 };
+  }
+
+  // Equal weights if any member lacks an area
+  const weight = (m) => (withData.every(d => d.areaKm2 > 0) ? m.areaKm2 : 1);
+  const totalWeight = withData.reduce((sum, m) => sum + weight(m), 0);
+  const mean = withData.reduce((sum, m) => sum + m.value * weight(m), 0) / totalWeight;
+  const values = withData.map(m => m.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  return { mean, min, max, spread: max - min, count: members.length, areaKm2 };
+};
+
+/**
+ * Aggregate a municipality layer to districts or provinces
+ * Feature properties follow the municipality layer where they apply (id, value, index_code,
+ * scenario, period, province, area_km2, and district_code/district_name for districts) plus
+ * level, name, code, min, max, spread, municipality_count and municipality_ids.
+ * Municipalities without a district code are not part of any district.
+ *
+ * @param {Object} geojson - Municipality GeoJSON FeatureCollection
+ * @param {string} level - 'district' or 'province' ('municipality' returns the input)
+ * @returns {Object} Aggregated FeatureCollection
+ *
+ * @example
+ * const provinces = aggregateGeoJSON(geojsonData, 'province');
+ * provinces.features[0].properties // { id: 'Western Cape', value: 2.7, min: 0.4, max: 5.1, ... }
+ */
+export const aggregateGeoJSON = (geojson, level) => {
+  if (!geojson?.features || level === 'municipality') return geojson;
+
+  const groups = level === 'district'
+    ? Object.values(groupByDistrict(geojson))
+    : Object.entries(groupByProvince(geojson)).map(([name, municipalities]) => ({ code: name, name, municipalities }));
+
+  const featuresById = new Map(geojson.features.map(f => [f.properties.id, f]));
+  let topo = null;
+
+  const dissolve = (group) => {
+    const ids = group.municipalities.map(m => m.id);
+    const cacheKey = `${level}:${group.code}:${ids.join(',')}`;
+
+    if (!geometryCache.has(cacheKey)) {
+      // One topology of all municipalities, built on the first cache miss
+      if (!topo) {
+        topo = topology({ municipalities: geojson }, 1e6);
+      }
+      const geometries = topo.objects.municipalities.geometries
+        .filter(g => ids.includes(g.properties.id));
+      geometryCache.set(cacheKey, merge(topo, geometries));
+    }
+
+    return geometryCache.get(cacheKey);
+  };
+
+  return {
+    type: 'FeatureCollection',
+    features: groups.map(group => {
+      const stats = aggregateValues(group.municipalities);
+      const sample = featuresById.get(group.municipalities[0].id).properties;
+
+      return {
+        type: 'Feature',
+        geometry: dissolve(group),
+        properties: {
+          id: group.code,
+          level,
+          name: group.name || group.code,
+          code: group.code,
+          province: sample.province,
+          ...(level === 'district' && { district_code: group.code, district_name: group.name }),
+          index_code: sample.index_code,
+          scenario: sample.scenario,
+          period: sample.period,
+          period_start: sample.period_start,
+          period_end: sample.period_end,
+          value: stats.mean,
+          min: stats.min,
+          max: stats.max,
+          spread: stats.spread,
+          municipality_count: stats.count,
+          municipality_ids: group.municipalities.map(m => m.id),
+          area_km2: stats.areaKm2,
+        },
+      };
+    }),
+  };
+};
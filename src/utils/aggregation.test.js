@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { aggregateValues, aggregateGeoJSON } from './aggregation';
+import { featureCollection, layerValues } from './testFixtures';
+
+// Unit square with its lower-left corner at (x, 0)
+const square = (x) => ({
+  type: 'Polygon',
+  coordinates: [[[x, 0], [x + 1, 0], [x + 1, 1], [x, 1], [x, 0]]],
+});
+
+// Four municipalities in a row: two in DC1, one in DC2 and one without a district
+const municipalities = featureCollection([
+  { id: 1, municipality_name: 'A', district_code: 'DC1', district_name: 'West', province: 'Western Cape', area_km2: 100, index_code: 'cdd', value: 2 },
+  { id: 2, municipality_name: 'B', district_code: 'DC1', district_name: 'West', province: 'Western Cape', area_km2: 300, index_code: 'cdd', value: 4 },
+  { id: 3, municipality_name: 'C', district_code: 'DC2', district_name: 'East', province: 'Western Cape', area_km2: 50, index_code: 'cdd', value: null },
+  { id: 4, municipality_name: 'D', province: 'Northern Cape', area_km2: 200, index_code: 'cdd', value: 7 },
+], [square(0), square(1), square(2), square(3)]);
+
+const bounds = (geometry) => {
+  const points = geometry.coordinates.flat(2);
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+describe('aggregateValues', () => {
+  it('weights the mean by area', () => {
+    expect(aggregateValues([{ value: 2, areaKm2: 100 }, { value: 4, areaKm2: 300 }]))
+      .toEqual({ mean: 3.5, min: 2, max: 4, spread: 2, count: 2, areaKm2: 400 });
+  });
+
+  it('leaves members without data out of the statistics but not the area', () => {
+    expect(aggregateValues([{ value: null, areaKm2: 50 }, { value: 6, areaKm2: 10 }]))
+      .toMatchObject({ mean: 6, spread: 0, count: 2, areaKm2: 60 });
+    expect(aggregateValues([{ value: null, areaKm2: 50 }]).mean).toBeNull();
+  });
+
+  it('falls back to equal weights when an area is missing', () => {
+    expect(aggregateValues([{ value: 2, areaKm2: 100 }, { value: 4 }]).mean).toBe(3);
+  });
+});
+
+describe('aggregateGeoJSON', () => {
+  it('returns municipalities unchanged', () => {
+    expect(aggregateGeoJSON(municipalities, 'municipality')).toBe(municipalities);
+  });
+
+  it('dissolves districts into one polygon valued by the area-weighted mean', () => {
+    const districts = aggregateGeoJSON(municipalities, 'district');
+
+    expect(districts.features.map(f => f.properties.id)).toEqual(['DC1', 'DC2']);
+    expect(layerValues(districts)).toEqual([3.5, null]);
+    expect(districts.features[0].properties).toMatchObject({
+      level: 'district',
+      name: 'West',
+      district_code: 'DC1',
+      province: 'Western Cape',
+      index_code: 'cdd',
+      min: 2,
+      max: 4,
+      municipality_count: 2,
+      municipality_ids: [1, 2],
+      area_km2: 400,
+    });
+
+    // The shared edge is gone: one ring around both squares
+    const { geometry } = districts.features[0];
+    expect(geometry.coordinates).toHaveLength(1);
+    expect(geometry.coordinates[0]).toHaveLength(1);
+    bounds(geometry).forEach((v, i) => expect(v).toBeCloseTo([0, 0, 2, 1][i], 5));
+  });
+
+  it('dissolves provinces, including municipalities without a district', () => {
+    const provinces = aggregateGeoJSON(municipalities, 'province');
+
+    expect(provinces.features.map(f => f.properties.name)).toEqual(['Western Cape', 'Northern Cape']);
+    expect(layerValues(provinces)).toEqual([3.5, 7]);
+    expect(provinces.features[0].properties.district_code).toBeUndefined();
+    bounds(provinces.features[0].geometry).forEach((v, i) => expect(v).toBeCloseTo([0, 0, 3, 1][i], 5));
+  });
+});
@@ -0,0 +1,125 @@
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+import { createMapProjection, drawGeoJSON, drawTitle, drawColorBar } from './mapRenderer';
+import { getColorForValue } from './colorMapping';
+
+/**
+ * Animation Export Utilities
+ * Renders animation frames to canvas and encodes them as animated GIF or WebM
+ */
+
+/**
+ * Render one animation frame of the current map view
+ * @param {Object} options
+ * @param {Object} options.map - Leaflet map instance (defines the view and size)
+ * @param {Object} options.geojson - Frame GeoJSON FeatureCollection
+ * @param {Function} options.colorScale - Chroma color scale shared by all frames
+ * @param {Array<string>} options.titleLines - Title lines drawn top-left
+ * @param {string} options.unit - Unit shown next to the colour bar
+ * @param {string} options.attribution - Attribution text drawn bottom-right
+ * @returns {HTMLCanvasElement} Rendered frame
+ */
+export function renderAnimationFrame({ map, geojson, colorScale, titleLines = [], unit = '', attribution = '' }) {
+  const size = map.getSize();
+  const canvas = document.createElement('canvas');
+  canvas.width = size.x;
+  canvas.height = size.y;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#f0f4f8';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  drawGeoJSON(ctx, geojson, createMapProjection(map), {
+    fillFor: (feature) => getColorForValue(feature.properties.value, colorScale),
+    lineWidth: 0.75,
+  });
+
+  // Title panel
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(8, 8, Math.min(420, canvas.width - 16), 56);
+  drawTitle(ctx, titleLines, { x: 16, y: 14 });
+
+  // Colour bar panel
+  const barWidth = Math.min(240, canvas.width - 48);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(8, canvas.height - 52, barWidth + 24, 44);
+  drawColorBar(ctx, colorScale, { x: 20, y: canvas.height - 44, width: barWidth, height: 12, unit });
+
+  if (attribution) {
+    ctx.font = "10px system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+    ctx.fillStyle = '#475569';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(attribution, canvas.width - 8, canvas.height - 6);
+    ctx.textAlign = 'left';
+  }
+
+  return canvas;
+}
+
+/**
+ * Encode canvas frames as an animated GIF
+ * @param {Array<HTMLCanvasElement>} frames - Frames of equal size
+ * @param {number} delayMs - Time each frame is shown
+ * @returns {Blob} GIF file
+ */
+export function encodeGif(frames, delayMs) {
+  const gif = GIFEncoder();
+
+  frames.forEach(frame => {
+    const { width, height } = frame;
+    const { data } = frame.getContext('2d').getImageData(0, 0, width, height);
+    const palette = quantize(data, 256);
+    const index = applyPalette(data, palette);
+    gif.writeFrame(index, width, height, { palette, delay: delayMs });
+  });
+
+  gif.finish();
+  return new Blob([gif.bytes()], { type: 'image/gif' });
+}
+
+/**
+ * Record canvas frames as a WebM video using MediaRecorder
+ * Frames are played back in real time, so recording takes frames × delayMs
+ * @param {Array<HTMLCanvasElement>} frames - Frames of equal size
+ * @param {number} delayMs - Time each frame is shown
+ * @returns {Promise<Blob>} WebM file
+ */
+export async function recordWebM(frames, delayMs) {
+  if (typeof MediaRecorder === 'undefined' || frames.length === 0) {
+    throw new Error('WebM recording is not supported in this browser');
+  }
+
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) {
+    throw new Error('WebM recording is not supported in this browser');
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = frames[0].width;
+  canvas.height = frames[0].height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(frames[0], 0, 0);
+
+  const stream = canvas.captureStream(30);
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+
+  recorder.start();
+  for (const frame of frames) {
+    ctx.drawImage(frame, 0, 0);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+  recorder.stop();
+  await stopped;
+
+  stream.getTracks().forEach(track => track.stop());
+  return new Blob(chunks, { type: 'video/webm' });
+}
@@ -0,0 +1,207 @@
+/**
+ * Baseline & Absolute Values
+ * Index values are anomalies from the 1995-2014 baseline (baseline_period in the index
+ * metadata). When features also carry the baseline climatology in `baseline_value`
+ * (see docs/BASELINE_VALUES.md), the map can show absolute values instead:
+ *
+ * - baseline: baseline_value (1995-2014 climatology)
+ * - projected: baseline_value + anomaly (e.g. 120 dry days instead of +8 days)
+ * - percent: anomaly / |baseline_value| × 100 (relative change, e.g. -12% PRCPTOT)
+ */
+
+export const VALUE_MODES = [
+  { value: 'anomaly', label: 'Change', fullLabel: 'Change vs baseline' },
+  { value: 'percent', label: '% Change', fullLabel: 'Relative change (%)' },
+  { value: 'projected', label: 'Projected', fullLabel: 'Projected value' },
+  { value: 'baseline', label: 'Baseline', fullLabel: 'Baseline climatology' },
+];
+
+// Relative change is masked where |baseline| is at most this much, in the index unit:
+// near-zero climatologies (e.g. R95p in arid municipalities) turn small absolute changes
+// into extreme percentages. A fixed minimum, so whether a municipality is masked does not
+// depend on the other municipalities on the map
+export const MIN_PERCENT_BASELINE = 1;
+
+// Indices whose near-zero climatologies are larger than MIN_PERCENT_BASELINE (e.g. annual totals in mm)
+const MIN_PERCENT_BASELINE_BY_INDEX = {
+  prcptot: 10,
+};
+
+const isNumber = (v) => v !== null && v !== undefined && !isNaN(v);
+
+/**
+ * Whether a value mode shows absolute values (baseline/projected) rather than a change
+ * @param {string} mode - VALUE_MODES value
+ * @returns {boolean}
+ */
+export const isAbsoluteValueMode = (mode) => mode === 'projected' || mode === 'baseline';
+
+/**
+ * Unit of the values shown in a value mode
+ * @param {string} mode - VALUE_MODES value
+ * @param {string} unit - Index unit
+ * @returns {string} '%' for relative change, otherwise the index unit
+ */
+export const getValueUnit = (mode, unit = '') => (mode === 'percent' ? '%' : unit);
+
+/**
+ * Smallest |baseline| with a relative change for an index
+ * @param {string} indexCode - Index code
+ * @returns {number} Minimum in the index unit
+ *
+ * @example
+ * getMinPercentBaseline('prcptot') // 10 (mm)
+ */
+export const getMinPercentBaseline = (indexCode) => (
+  MIN_PERCENT_BASELINE_BY_INDEX[indexCode] ?? MIN_PERCENT_BASELINE
+);
+
+/**
+ * Format a relative change
+ * @param {number} value - Percent change
+ * @returns {string}
+ *
+ * @example
+ * formatPercent(12.34) // '+12.3%'
+ */
+export const formatPercent = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+/**
+ * Relative change against the baseline
+ * @param {number} anomaly - Change vs baseline
+ * @param {number} baseline - Baseline climatology
+ * @param {number} minBaseline - Smallest |baseline| with a meaningful percentage
+ * @returns {number|null} Percent change, or null when a value is missing or the baseline is too small
+ *
+ * @example
+ * getPercentChange(-60, 500) // -12
+ * getPercentChange(2, 0.5, 10) // null (baseline near zero)
+ */
+export const getPercentChange = (anomaly, baseline, minBaseline = 0) => {
+  if (!isNumber(anomaly) || !isNumber(baseline)) return null;
+  if (Math.abs(baseline) <= minBaseline) return null;
+  return (anomaly / Math.abs(baseline)) * 100;
+};
+
+/**
+ * Short caption of the values shown, for map titles and legends
+ * @param {string} mode - VALUE_MODES value
+ * @returns {string}
+ *
+ * @example
+ * getValueModeCaption('projected') // 'projected value (baseline 1995-2014 + change)'
+ */
+export const getValueModeCaption = (mode) => {
+  if (mode === 'percent') return 'relative change vs 1995-2014 (%)';
+  if (mode === 'projected') return 'projected value (baseline 1995-2014 + change)';
+  if (mode === 'baseline') return 'baseline climatology 1995-2014';
+  return 'anomaly vs 1995-2014';
+};
+
+/**
+ * Baseline, projected and anomaly values of a feature
+ * @param {Object} props - Feature properties
+ * @returns {Object|null} {baseline, projected, anomaly}, or null without a baseline value
+ *
+ * @example
+ * getAbsoluteValues({ value: 8, baseline_value: 112 })
+ * // { baseline: 112, projected: 120, anomaly: 8 }
+ */
+export const getAbsoluteValues = (props) => {
+  if (!isNumber(props.baseline_value)) return null;
+
+  // The anomaly is kept in `anomaly` while an absolute value is shown
+  const anomaly = props.value_mode && props.value_mode !== 'anomaly' ? props.anomaly : props.value;
+  return {
+    baseline: props.baseline_value,
+    projected: isNumber(anomaly) ? props.baseline_value + anomaly : null,
+    anomaly: isNumber(anomaly) ? anomaly : null,
+  };
+};
+
+/**
+ * Whether any feature carries a baseline value
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @returns {boolean}
+ */
+export const hasBaselineValues = (geojson) => (
+  Boolean(geojson?.features?.some(f => isNumber(f.properties.baseline_value)))
+);
+
+/**
+ * Show baseline or projected absolute values, or the relative change, as the feature value
+ * The anomaly moves to `anomaly`; features without a baseline get a null value.
+ * For relative change, features whose baseline is near zero (getMinPercentBaseline of their
+ * index) get a null value and `percent_masked: true`.
+ * Returns the input unchanged for anomalies or when no feature has a baseline.
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {string} mode - VALUE_MODES value
+ * @returns {Object} GeoJSON FeatureCollection
+ *
+ * @example
+ * selectValueMode(geojson, 'projected').features[0].properties.value // baseline_value + value
+ */
+export const selectValueMode = (geojson, mode) => {
+  if (!geojson?.features || mode === 'anomaly' || !hasBaselineValues(geojson)) return geojson;
+
+  return {
+    ...geojson,
+    features: geojson.features.map(feature => {
+      const absolute = getAbsoluteValues(feature.properties);
+      if (mode !== 'percent') {
+        return {
+          ...feature,
+          properties: {
+            ...feature.properties,
+            value: absolute ? absolute[mode] : null,
+            anomaly: feature.properties.value,
+            value_mode: mode,
+          },
+        };
+      }
+
+      const minBaseline = getMinPercentBaseline(feature.properties.index_code);
+      const percent = absolute ? getPercentChange(absolute.anomaly, absolute.baseline, minBaseline) : null;
+      return {
+        ...feature,
+        properties: {
+          ...feature.properties,
+          value: percent,
+          anomaly: feature.properties.value,
+          value_mode: mode,
+          percent_masked: Boolean(absolute) && absolute.anomaly !== null && percent === null,
+        },
+      };
+    }),
+  };
+};
+
+/**
+ * HTML strip of baseline, projected and change values side by side, for Leaflet popups
+ * @param {Object} absolute - From getAbsoluteValues
+ * @param {string} unit - Index unit
+ * @returns {string} HTML ('' without absolute values)
+ */
+export const buildAbsoluteValuesHtml = (absolute, unit = '') => {
+  if (!absolute) return '';
+
+  const format = (v, signed = false) => (
+    v === null ? 'N/A' : `${signed && v > 0 ? '+' : ''}${v.toFixed(2)}`
+  );
+  const cell = (label, value) => `
+    <div style="flex: 1; text-align: center; background: #f1f5f9; border-radius: 4px; padding: 3px 2px;">
+      <div style="font-size: 10px; color: #64748b;">${label}</div>
+      <div style="font-size: 13px; font-weight: bold; color: #1e293b;">${value}</div>
+    </div>
+  `;
+
+  return `
+    <div style="display: flex; gap: 4px; margin: 6px 0 2px 0;">
+      ${cell('Baseline', format(absolute.baseline))}
+      ${cell('Projected', format(absolute.projected))}
+      ${cell('Change', format(absolute.anomaly, true))}
+    </div>
+    ${unit ? `<div style="font-size: 10px; color: #64748b; text-align: right;">${unit}</div>` : ''}
+  `;
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getValueUnit,
+  formatPercent,
+  getMinPercentBaseline,
+  getPercentChange,
+  getAbsoluteValues,
+  hasBaselineValues,
+  selectValueMode,
+} from './baseline';
+import { valueLayer, layerValues } from './testFixtures';
+
+describe('value formatting', () => {
+  it('shows relative changes in percent', () => {
+    expect(getValueUnit('percent', 'mm')).toBe('%');
+    expect(getValueUnit('projected', 'mm')).toBe('mm');
+    expect(formatPercent(12.34)).toBe('+12.3%');
+    expect(formatPercent(-4)).toBe('-4.0%');
+  });
+});
+
+describe('getPercentChange', () => {
+  it('divides by the absolute baseline', () => {
+    expect(getPercentChange(-60, 500)).toBe(-12);
+    expect(getPercentChange(2, -4)).toBe(50);
+  });
+
+  it('returns null for missing values or a baseline too close to zero', () => {
+    expect(getPercentChange(null, 500)).toBeNull();
+    expect(getPercentChange(2, undefined)).toBeNull();
+    expect(getPercentChange(2, 0)).toBeNull();
+    expect(getPercentChange(2, 0.5, 10)).toBeNull();
+  });
+});
+
+describe('getAbsoluteValues', () => {
+  it('adds the change to the baseline', () => {
+    expect(getAbsoluteValues({ value: 8, baseline_value: 112 })).toEqual({ baseline: 112, projected: 120, anomaly: 8 });
+    expect(getAbsoluteValues({ value: null, baseline_value: 112 })).toEqual({ baseline: 112, projected: null, anomaly: null });
+    expect(getAbsoluteValues({ value: 8 })).toBeNull();
+  });
+
+  it('reads the kept anomaly once a value mode is applied', () => {
+    expect(getAbsoluteValues({ value: 120, anomaly: 8, baseline_value: 112, value_mode: 'projected' }).anomaly).toBe(8);
+  });
+});
+
+describe('selectValueMode', () => {
+  const geojson = valueLayer([8, -60, 2, 5], { baseline_value: [112, 500, 10] });
+
+  it('leaves anomalies and data without baselines unchanged', () => {
+    expect(selectValueMode(geojson, 'anomaly')).toBe(geojson);
+    const noBaseline = valueLayer([3]);
+    expect(hasBaselineValues(noBaseline)).toBe(false);
+    expect(selectValueMode(noBaseline, 'projected')).toBe(noBaseline);
+  });
+
+  it('shows projected and baseline values and keeps the anomaly', () => {
+    const projected = selectValueMode(geojson, 'projected');
+    expect(layerValues(projected)).toEqual([120, 440, 12, null]);
+    expect(projected.features[0].properties).toMatchObject({ anomaly: 8, value_mode: 'projected' });
+    expect(layerValues(selectValueMode(geojson, 'baseline'))).toEqual([112, 500, 10, null]);
+    expect(geojson.features[0].properties.value).toBe(8);
+  });
+
+  it('masks relative changes where the baseline is near zero', () => {
+    const percent = selectValueMode(valueLayer([8, 0.5, 2, 5], { baseline_value: [112, 0.8, 10] }), 'percent');
+    expect(layerValues(percent)[0]).toBeCloseTo(7.142857);
+    expect(layerValues(percent).slice(1)).toEqual([null, 20, null]);
+    expect(percent.features.map(f => f.properties.percent_masked)).toEqual([false, true, false, false]);
+  });
+
+  it('keeps the relative change of an arid municipality next to much wetter ones', () => {
+    const prcptot = valueLayer([-10, -120, 1], { baseline_value: [50, 1200, 4], index_code: 'prcptot' });
+    const percent = selectValueMode(prcptot, 'percent');
+
+    expect(getMinPercentBaseline('prcptot')).toBe(10);
+    expect(layerValues(percent)).toEqual([-20, -10, null]);
+    expect(layerValues(selectValueMode({ ...prcptot, features: prcptot.features.slice(0, 1) }, 'percent'))).toEqual([-20]);
+  });
+});
@@ -0,0 +1,225 @@
+import chroma from 'chroma-js';
+
+/**
+ * Choropleth Classification Utilities
+ * Class breaks for equal-interval, quantile, natural-breaks (Jenks), standard-deviation
+ * and manual schemes, and classed colour scales built on the continuous diverging ramp.
+ *
+ * Breaks are always returned as an ascending array [lower, ..., upper] of length
+ * classCount + 1 (or fewer when the data has too few distinct values).
+ */
+
+/**
+ * Sort breaks and drop duplicates (ties in the data can produce empty classes)
+ * @param {Array<number>} breaks - Class breaks
+ * @returns {Array<number>} Ascending, unique breaks
+ */
+const normaliseBreaks = (breaks) => {
+  return [...new Set(breaks.filter(b => Number.isFinite(b)))].sort((a, b) => a - b);
+};
+
+/**
+ * Equal-interval breaks: classes of equal width between min and max
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @param {number} classCount - Number of classes
+ * @returns {Array<number>} Breaks
+ */
+export const equalIntervalBreaks = (min, max, classCount) => {
+  const width = (max - min) / classCount;
+  return Array.from({ length: classCount + 1 }, (_, i) => (i === classCount ? max : min + width * i));
+};
+
+/**
+ * Quantile breaks: each class holds (about) the same number of municipalities
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} classCount - Number of classes
+ * @returns {Array<number>} Breaks
+ */
+export const quantileBreaks = (sorted, classCount) => {
+  const breaks = [sorted[0]];
+  for (let i = 1; i < classCount; i++) {
+    // Linear interpolation between closest ranks
+    const position = (sorted.length - 1) * (i / classCount);
+    const lower = Math.floor(position);
+    const fraction = position - lower;
+    const upper = Math.min(lower + 1, sorted.length - 1);
+    breaks.push(sorted[lower] + (sorted[upper] - sorted[lower]) * fraction);
+  }
+  breaks.push(sorted[sorted.length - 1]);
+  return breaks;
+};
+
+/**
+ * Natural breaks (Jenks): minimise within-class variance (Fisher-Jenks dynamic programme)
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} classCount - Number of classes
+ * @returns {Array<number>} Breaks
+ */
+export const jenksBreaks = (sorted, classCount) => {
+  const count = sorted.length;
+  if (count <= classCount) return [...sorted];
+
+  // lowerClassLimits[l][j]: index (1-based) where the last of j classes starts for the first l values
+  const lowerClassLimits = Array.from({ length: count + 1 }, () => new Array(classCount + 1).fill(0));
+  const variances = Array.from({ length: count + 1 }, () => new Array(classCount + 1).fill(0));
+
+  for (let j = 1; j <= classCount; j++) {
+    lowerClassLimits[1][j] = 1;
+    for (let l = 2; l <= count; l++) {
+      variances[l][j] = Infinity;
+    }
+  }
+
+  for (let l = 2; l <= count; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+
+    for (let m = 1; m <= l; m++) {
+      const lowerIndex = l - m + 1;
+      const value = sorted[lowerIndex - 1];
+
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+
+      const previous = lowerIndex - 1;
+      if (previous !== 0) {
+        for (let j = 2; j <= classCount; j++) {
+          if (variances[l][j] >= variance + variances[previous][j - 1]) {
+            lowerClassLimits[l][j] = lowerIndex;
+            variances[l][j] = variance + variances[previous][j - 1];
+          }
+        }
+      }
+    }
+
+    lowerClassLimits[l][1] = 1;
+    variances[l][1] = variance;
+  }
+
+  const breaks = new Array(classCount + 1);
+  breaks[0] = sorted[0];
+  breaks[classCount] = sorted[count - 1];
+
+  // Walk back through the class limits; each break is the last value of the class below
+  let k = count;
+  for (let j = classCount; j >= 2; j--) {
+    const start = lowerClassLimits[k][j];
+    breaks[j - 1] = sorted[start - 2];
+    k = start - 1;
+  }
+
+  return breaks;
+};
+
+/**
+ * Standard-deviation breaks: classes one standard deviation wide, centred on the mean
+ * The outer classes extend to the data range.
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} classCount - Number of classes
+ * @returns {Array<number>} Breaks
+ */
+export const stdDevBreaks = (sorted, classCount) => {
+  const mean = sorted.reduce((acc, v) => acc + v, 0) / sorted.length;
+  const sd = Math.sqrt(sorted.reduce((acc, v) => acc + (v - mean) ** 2, 0) / sorted.length);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+
+  if (sd === 0) return [min, max];
+
+  // Inner breaks at mean + k·sd, symmetric around the mean (odd counts put the mean inside a class)
+  const inner = [];
+  for (let i = 1; i < classCount; i++) {
+    inner.push(mean + (i - classCount / 2) * sd);
+  }
+
+  return [min, ...inner.filter(b => b > min && b < max), max];
+};
+
+/**
+ * Compute class breaks for a classification scheme
+ * @param {Array<number>} values - Values to classify (nulls are ignored)
+ * @param {Object} classification - {scheme, classCount, manualBreaks}
+ * @param {Array<number>} range - Optional [min, max] bounds (e.g., a locked or custom domain)
+ * @returns {Array<number>|null} Ascending breaks, or null for 'continuous' / no data
+ *
+ * @example
+ * computeClassBreaks([1, 2, 3, 4], { scheme: 'equal-interval', classCount: 3 })
+ * // Returns: [1, 2, 3, 4]
+ */
+export const computeClassBreaks = (values, classification, range = null) => {
+  const { scheme, classCount, manualBreaks = [] } = classification || {};
+  if (!scheme || scheme === 'continuous') return null;
+
+  const sorted = values
+    .filter(v => v !== null && v !== undefined && !isNaN(v))
+    .sort((a, b) => a - b);
+  if (sorted.length === 0 && !range) return null;
+
+  const min = range ? range[0] : sorted[0];
+  const max = range ? range[1] : sorted[sorted.length - 1];
+  if (min === max) return [min, max];
+
+  let breaks;
+  switch (scheme) {
+    case 'equal-interval':
+      breaks = equalIntervalBreaks(min, max, classCount);
+      break;
+    case 'quantile':
+      breaks = sorted.length > 0 ? quantileBreaks(sorted, classCount) : [min, max];
+      break;
+    case 'jenks':
+      breaks = sorted.length > 0 ? jenksBreaks(sorted, classCount) : [min, max];
+      break;
+    case 'std-dev':
+      breaks = sorted.length > 0 ? stdDevBreaks(sorted, classCount) : [min, max];
+      break;
+    case 'manual':
+      breaks = [min, ...manualBreaks, max];
+      break;
+    default:
+      return null;
+  }
+
+  // Keep the outer bounds at the requested range so locked/custom domains still apply
+  const inner = breaks.slice(1, -1).filter(b => b > min && b < max);
+  return normaliseBreaks([min, ...inner, max]);
+};
+
+/**
+ * Get the class a value falls into (upper bounds inclusive, values outside are clamped)
+ * @param {number} value - Value to classify
+ * @param {Array<number>} breaks - Ascending class breaks
+ * @returns {number} Class index (0-based)
+ */
+export const getClassIndex = (value, breaks) => {
+  const classCount = breaks.length - 1;
+  for (let i = 0; i < classCount - 1; i++) {
+    if (value <= breaks[i + 1]) return i;
+  }
+  return classCount - 1;
+};
+
+/**
+ * Build a classed colour scale from a continuous one
+ * Each class takes the continuous colour at its midpoint, so the neutral colour stays at
+ * zero and the index's color_scheme keeps its meaning. The returned function is
+ * call-compatible with a chroma scale (scale(value).hex(), scale.domain()).
+ * @param {Function} continuousScale - Chroma color scale function
+ * @param {Array<number>} breaks - Ascending class breaks
+ * @returns {Function} Classed colour scale with a `breaks` property
+ */
+export const createClassedColorScale = (continuousScale, breaks) => {
+  const classColors = breaks.slice(0, -1).map((lower, i) => {
+    return chroma(continuousScale((lower + breaks[i + 1]) / 2).hex());
+  });
+
+  const scale = (value) => classColors[getClassIndex(value, breaks)];
+  scale.domain = () => [breaks[0], breaks[breaks.length - 1]];
+  scale.breaks = breaks;
+  scale.classColors = classColors;
+
+  return scale;
+};
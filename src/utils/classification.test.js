@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import chroma from 'chroma-js';
+import {
+  equalIntervalBreaks,
+  quantileBreaks,
+  jenksBreaks,
+  stdDevBreaks,
+  computeClassBreaks,
+  getClassIndex,
+  createClassedColorScale,
+} from './classification';
+
+describe('jenksBreaks', () => {
+  it('splits clearly separated groups at their gaps', () => {
+    expect(jenksBreaks([1, 2, 3, 10, 11, 12, 20, 21, 22], 3)).toEqual([1, 3, 12, 22]);
+  });
+
+  it('puts an outlier in a class of its own', () => {
+    expect(jenksBreaks([1, 1.5, 2, 2.5, 3, 100], 2)).toEqual([1, 3, 100]);
+  });
+
+  it('returns the values when there are no more values than classes', () => {
+    expect(jenksBreaks([1, 5, 9], 5)).toEqual([1, 5, 9]);
+  });
+});
+
+describe('other schemes', () => {
+  it('equalIntervalBreaks ends exactly at max', () => {
+    expect(equalIntervalBreaks(0, 1, 3)).toEqual([0, 1 / 3, 2 / 3, 1]);
+  });
+
+  it('quantileBreaks interpolates between ranks', () => {
+    expect(quantileBreaks([0, 1, 2, 3, 4], 4)).toEqual([0, 1, 2, 3, 4]);
+    expect(quantileBreaks([0, 10], 2)).toEqual([0, 5, 10]);
+  });
+
+  it('stdDevBreaks centres the classes on the mean', () => {
+    // mean 0, standard deviation 2
+    expect(stdDevBreaks([-2, -2, 2, 2], 2)).toEqual([-2, 0, 2]);
+    expect(stdDevBreaks([3, 3, 3], 4)).toEqual([3, 3]);
+  });
+});
+
+describe('computeClassBreaks', () => {
+  it('returns null for the continuous scheme', () => {
+    expect(computeClassBreaks([1, 2, 3], { scheme: 'continuous', classCount: 5 })).toBeNull();
+  });
+
+  it('ignores missing values', () => {
+    expect(computeClassBreaks([1, null, 2, NaN, 3, 4], { scheme: 'equal-interval', classCount: 3 }))
+      .toEqual([1, 2, 3, 4]);
+  });
+
+  it('keeps the outer bounds at a locked range', () => {
+    expect(computeClassBreaks([1, 2, 3, 10, 11, 12, 20, 21, 22], { scheme: 'jenks', classCount: 3 }, [-30, 30]))
+      .toEqual([-30, 3, 12, 30]);
+  });
+
+  it('drops manual breaks outside the range and sorts the rest', () => {
+    expect(computeClassBreaks([0, 10], { scheme: 'manual', classCount: 4, manualBreaks: [8, -5, 2, 15] }))
+      .toEqual([0, 2, 8, 10]);
+  });
+});
+
+describe('classed colour scale', () => {
+  const breaks = [-10, -2, 2, 10];
+
+  it('getClassIndex uses inclusive upper bounds and clamps outliers', () => {
+    expect(getClassIndex(-50, breaks)).toBe(0);
+    expect(getClassIndex(-2, breaks)).toBe(0);
+    expect(getClassIndex(0, breaks)).toBe(1);
+    expect(getClassIndex(2.1, breaks)).toBe(2);
+    expect(getClassIndex(50, breaks)).toBe(2);
+  });
+
+  it('colours each class at its midpoint', () => {
+    const continuous = chroma.scale(['#0000ff', '#ffffff', '#ff0000']).domain([-10, 0, 10]);
+    const scale = createClassedColorScale(continuous, breaks);
+
+    expect(scale.domain()).toEqual([-10, 10]);
+    expect(scale.breaks).toBe(breaks);
+    expect(scale(0).hex()).toBe('#ffffff');
+    expect(scale(9).hex()).toBe(continuous(6).hex());
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Municipality Climate Profile Utilities
+ * Normalises the /climate-data/:municipalityId response into a lookup of
+ * index → scenario → period → value for the InfoPanel chart and table.
+ */
+
+/**
+ * Build a profile lookup from getClimateDataByMunicipality
+ *
+ * Accepts the API envelope ({success, data: [...]}) or a bare array, with records either
+ * in long form ({scenario, period, index_code, value}) or wide form
+ * ({scenario, period, cdd: 1.2, prcptot: -4.5, ...}; keys matched against indexCodes).
+ *
+ * @param {Object|Array} response - API response
+ * @param {Array<string>} indexCodes - Known index codes (for wide records)
+ * @returns {Object} { [indexCode]: { [scenario]: { [period]: value } } }
+ *
+ * @example
+ * buildClimateProfile({ data: [{ scenario: 'ssp245', period: 'near-term_2021-2040', index_code: 'cdd', value: 3.1 }] }, ['cdd'])
+ * // Returns: { cdd: { ssp245: { 'near-term_2021-2040': 3.1 } } }
+ */
+export const buildClimateProfile = (response, indexCodes = []) => {
+  const records = Array.isArray(response) ? response : (response?.data || []);
+  const profile = {};
+
+  const setValue = (indexCode, scenario, period, value) => {
+    if (!indexCode || !scenario || !period) return;
+    const numeric = value === null || value === undefined ? null : Number(value);
+
+    profile[indexCode] = profile[indexCode] || {};
+    profile[indexCode][scenario] = profile[indexCode][scenario] || {};
+    profile[indexCode][scenario][period] = Number.isFinite(numeric) ? numeric : null;
+  };
+
+  records.forEach(record => {
+    const indexCode = record.index_code || record.index;
+
+    if (indexCode) {
+      setValue(indexCode.toLowerCase(), record.scenario, record.period, record.value);
+    } else {
+      indexCodes.forEach(code => {
+        if (code in record) {
+          setValue(code, record.scenario, record.period, record[code]);
+        }
+      });
+    }
+  });
+
+  return profile;
+};
+
+/**
+ * Get one value from a profile
+ * @param {Object} profile - Result of buildClimateProfile
+ * @param {string} indexCode - Climate index code
+ * @param {string} scenario - SSP scenario
+ * @param {string} period - Time period
+ * @returns {number|null} Value, or null if missing
+ */
+export const getProfileValue = (profile, indexCode, scenario, period) => {
+  const value = profile?.[indexCode]?.[scenario]?.[period];
+  return value === undefined ? null : value;
+};
@@ -1,17 +1,19 @@
 import chroma from 'chroma-js';
+import { DIFFERENCE_CONFIG } from './constants';
+import { computeClassBreaks, createClassedColorScale, getClassIndex } from './classification';
+import { getSchemeColors, orientPalette } from './palettes';
+import { getEnsembleStatistics } from './ensemble';
+import { getAbsoluteValues } from './baseline';
 
 /**
- * ColorBrewer palette definitions
+ * ColorBrewer palette definitions live in the palette registry (utils/palettes.js)
  * Based on SAEON authoritative guidance for climate anomaly visualization
  *
- * These are the SPECIFIC color palettes defined by ColorBrewer.
- * The API's color_scheme field tells us which one to use.
+ * The API's color_scheme field tells us which one to use:
+ * - RdBu_r: Blue → White → Red (for heat/drought)
+ * - BuRd:   Red → White → Blue (for precipitation)
+ * - RdBu:   Blue → White → Red (for cold indices)
  */
-const COLOR_SCHEMES = {
-  'RdBu_r': ['#2166ac', '#f7f7f7', '#b2182b'], // Blue → White → Red (for heat/drought)
-  'BuRd':   ['#b2182b', '#f7f7f7', '#2166ac'], // Red → White → Blue (for precipitation)
-  'RdBu':   ['#2166ac', '#f7f7f7', '#b2182b'], // Blue → White → Red (for cold indices)
-};
 
 /**
  * Generate color scale based on climate index metadata
@@ -23,41 +25,95 @@ const COLOR_SCHEMES = {
  *
  * @param {Object} indexMetadata - Climate index metadata from API
  * @param {Array} values - Array of climate values for the index
+ * @param {Object} options - Optional settings
+ * @param {Array<number>} options.domain - Fixed [min, max] used instead of the values' range
+ * @param {boolean} options.symmetric - Make the domain symmetric around zero (default: true).
+ *   Set to false to honour an exact (e.g., user-entered) [min, max] range.
+ * @param {Array<string>} options.palette - Override colours from the palette registry (RdBu_r
+ *   orientation); flipped for indices whose color_scheme is flipped
+ * @param {Object} options.classification - {scheme, classCount, manualBreaks}; any scheme other
+ *   than 'continuous' returns a classed scale (see utils/classification.js)
+ * @param {boolean} options.sequential - Sequential ramp over [min, max] for absolute values
+ *   instead of the diverging anomaly ramp
+ * @param {boolean} options.sequentialPalette - options.palette is a sequential ramp, spread over
+ *   the whole sequential domain (see isSequentialPalette in utils/palettes.js)
  * @returns {Function} Chroma color scale function
  */
-export const getColorScale = (indexMetadata, values = []) => {
+export const getColorScale = (indexMetadata, values = [], options = {}) => {
   if (!indexMetadata) {
     return chroma.scale(['#3388ff']).domain([0, 1]);
   }
 
-  // Extract the three color-related fields from API
-  const { color_palette_type, color_scheme, anomaly_direction } = indexMetadata;
+  // Extract the color-related fields from API (anomaly_direction only affects labels)
+  const { color_palette_type, color_scheme } = indexMetadata;
 
-  // Calculate min and max from values
+  // Calculate min and max from values (or use the fixed domain, e.g. across animation frames)
   const validValues = values.filter(v => v !== null && v !== undefined && !isNaN(v));
-  const min = validValues.length > 0 ? Math.min(...validValues) : -1;
-  const max = validValues.length > 0 ? Math.max(...validValues) : 1;
+  const min = options.domain ? options.domain[0] : (validValues.length > 0 ? Math.min(...validValues) : -1);
+  const max = options.domain ? options.domain[1] : (validValues.length > 0 ? Math.max(...validValues) : 1);
 
   // Get absolute max for symmetric diverging scales
   const absMax = Math.max(Math.abs(min), Math.abs(max));
 
+  // Exact range: keep zero as the neutral midpoint when the range spans it
+  const symmetric = options.symmetric !== false;
+  const exactDomain = min < 0 && max > 0 ? [min, 0, max] : [min, (min + max) / 2, max];
+
+  // Absolute values (utils/baseline.js): a sequential palette spans [min, max] whole; a diverging
+  // one from its neutral midpoint to the colour of positive anomalies, so high values keep the
+  // index's "more" colour
+  if (options.sequential) {
+    const colors = options.palette
+      ? orientPalette(options.palette, color_scheme)
+      : getSchemeColors(color_scheme);
+    const ramp = options.palette && options.sequentialPalette
+      ? colors
+      : colors.slice(Math.floor((colors.length - 1) / 2));
+
+    return classifyColorScale(chroma.scale(ramp).domain([min, max]).mode('lab'), validValues, options);
+  }
+
   // Step 1: Check color_palette_type to know HOW to apply colors
   if (color_palette_type === 'diverging') {
     // Step 2: Use color_scheme to know WHICH specific colors to use
-    // The backend has already chosen the appropriate scheme for this index
-    const colors = COLOR_SCHEMES[color_scheme] || COLOR_SCHEMES['RdBu_r'];
+    // The backend has already chosen the appropriate scheme for this index,
+    // unless the user picked another palette (kept in the scheme's orientation)
+    const colors = options.palette
+      ? orientPalette(options.palette, color_scheme)
+      : getSchemeColors(color_scheme);
 
     // Step 3: Create diverging scale with symmetric domain centered at zero
-    const domain = [-absMax, 0, absMax];
+    const domain = symmetric ? [-absMax, 0, absMax] : exactDomain;
 
     // Step 4: anomaly_direction is NOT used here!
     // It's only for interpretation (labels/tooltips) - see getInterpretationLabels()
 
-    return chroma.scale(colors).domain(domain).mode('lab');
+    return classifyColorScale(chroma.scale(colors).domain(domain).mode('lab'), validValues, options);
   }
 
   // Fallback for non-diverging scales (currently all indices use diverging)
-  return chroma.scale(['#2166ac', '#f7f7f7', '#b2182b']).domain([-absMax, 0, absMax]).mode('lab');
+  return classifyColorScale(
+    chroma.scale(options.palette || getSchemeColors('RdBu_r'))
+      .domain(symmetric ? [-absMax, 0, absMax] : exactDomain)
+      .mode('lab'),
+    validValues,
+    options
+  );
+};
+
+/**
+ * Apply options.classification to a continuous scale (unchanged when continuous)
+ * @param {Function} colorScale - Continuous chroma color scale
+ * @param {Array<number>} values - Valid values being mapped
+ * @param {Object} options - getColorScale options
+ * @returns {Function} Continuous or classed color scale
+ */
+const classifyColorScale = (colorScale, values, options) => {
+  const breaks = computeClassBreaks(values, options.classification, options.domain || null);
+  if (!breaks || breaks.length < 2) {
+    return colorScale;
+  }
+  return createClassedColorScale(colorScale, breaks);
 };
 
 /**
@@ -75,11 +131,32 @@ export const getColorForValue = (value, colorScale) => {
 
 /**
  * Generate legend items for a color scale
+ * Classed scales produce one item per class with its range and, when values are
+ * given, the number of municipalities in it.
  * @param {Function} colorScale - Chroma color scale function
- * @param {number} steps - Number of legend steps (default: 7)
- * @returns {Array} Array of {value, color} objects
+ * @param {number} steps - Number of legend steps (default: 7, ignored for classed scales)
+ * @param {Array<number>} values - Optional values to count per class
+ * @param {Function} format - Label format of a value (default: 2 decimals)
+ * @returns {Array} Array of {value, color, label} objects (plus min, max, count for classes)
  */
-export const generateLegendItems = (colorScale, steps = 7) => {
+export const generateLegendItems = (colorScale, steps = 7, values = null, format = (v) => v.toFixed(2)) => {
+  if (colorScale.breaks) {
+    const { breaks, classColors } = colorScale;
+    const counts = new Array(classColors.length).fill(0);
+    (values || []).forEach(value => {
+      counts[getClassIndex(value, breaks)] += 1;
+    });
+
+    return classColors.map((color, i) => ({
+      value: breaks[i],
+      min: breaks[i],
+      max: breaks[i + 1],
+      color: color.hex(),
+      label: `${format(breaks[i])} – ${format(breaks[i + 1])}`,
+      count: values ? counts[i] : undefined,
+    }));
+  }
+
   const domain = colorScale.domain();
   const min = domain[0];
   const max = domain[domain.length - 1];
@@ -91,7 +168,7 @@ export const generateLegendItems = (colorScale, steps = 7) => {
     items.push({
       value: value,
       color: colorScale(value).hex(),
-      label: value.toFixed(2)
+      label: format(value)
     });
   }
 
@@ -153,7 +230,7 @@ export const extractValuesFromGeoJSON = (geojson) => {
  * Extract metadata from GeoJSON response
  * Uses the first feature's properties to get scenario, period, and index info
  * @param {Object} geojson - GeoJSON FeatureCollection from API
- * @returns {Object} Metadata {scenario, period, periodStart, periodEnd, indexCode}
+ * @returns {Object} Metadata {scenario, period, periodStart, periodEnd, indexCode, ensembleStatistic, valueMode}
  */
 export const extractMetadataFromGeoJSON = (geojson) => {
   if (!geojson || !geojson.features || geojson.features.length === 0) {
@@ -169,6 +246,40 @@ export const extractMetadataFromGeoJSON = (geojson) => {
     periodStart: props.period_start,
     periodEnd: props.period_end,
     indexCode: props.index_code,
+    ensembleStatistic: props.ensemble_statistic || 'mean',
+    valueMode: props.value_mode || 'anomaly',
+  };
+};
+
+/**
+ * Build the selected-municipality object (InfoPanel) from a GeoJSON feature
+ * @param {Object} feature - GeoJSON feature from the climate-data GeoJSON endpoint
+ * @returns {Object} Municipality with its climate value, scenario, period and index, plus
+ *   ensemble statistics and baseline/projected values when available (utils/ensemble.js, utils/baseline.js)
+ */
+export const extractMunicipalityFromFeature = (feature) => {
+  const props = feature.properties;
+
+  return {
+    id: props.id,
+    name: props.municipality_name,
+    code: props.municipality_code,
+    province: props.province,
+    districtCode: props.district_code,
+    districtName: props.district_name,
+    centroidLat: props.centroid_lat,
+    centroidLon: props.centroid_lon,
+    areaKm2: props.area_km2,
+    value: props.value,
+    scenario: props.scenario,
+    period: props.period,
+    periodStart: props.period_start,
+    periodEnd: props.period_end,
+    indexCode: props.index_code,
+    ensembleStatistic: props.ensemble_statistic || 'mean',
+    ensemble: getEnsembleStatistics(props),
+    valueMode: props.value_mode || 'anomaly',
+    absolute: getAbsoluteValues(props),
   };
 };
 
@@ -198,6 +309,7 @@ export const extractMunicipalitiesFromGeoJSON = (geojson) => {
 
 /**
  * Group municipalities by district from GeoJSON
+ * Municipalities without a district code are left out.
  * @param {Object} geojson - GeoJSON FeatureCollection
  * @returns {Object} Object with district codes as keys
  */
@@ -210,6 +322,8 @@ export const groupByDistrict = (geojson) => {
 
   geojson.features.forEach(feature => {
     const districtCode = feature.properties.district_code;
+    if (!districtCode) return;
+
     if (!districts[districtCode]) {
       districts[districtCode] = {
         code: districtCode,
@@ -223,6 +337,7 @@ export const groupByDistrict = (geojson) => {
       name: feature.properties.municipality_name,
       code: feature.properties.municipality_code,
       value: feature.properties.value,
+      areaKm2: feature.properties.area_km2,
     });
   });
 
@@ -252,6 +367,7 @@ export const groupByProvince = (geojson) => {
       name: feature.properties.municipality_name,
       code: feature.properties.municipality_code,
       value: feature.properties.value,
+      areaKm2: feature.properties.area_km2,
     });
   });
 
@@ -279,3 +395,70 @@ export const calculateStatistics = (values) => {
 
   return { min, max, mean, median };
 };
+
+/**
+ * Calculate the difference between two values (B - A)
+ * @param {number} valueA - Reference value (subtracted)
+ * @param {number} valueB - Comparison value
+ * @param {string} type - 'absolute' (B - A) or 'percent' ((B - A) / |A| * 100)
+ * @returns {number|null} Difference, or null if either value is missing or A is ~0 for percent
+ */
+export const calculateDifference = (valueA, valueB, type = 'absolute') => {
+  const isValid = (v) => v !== null && v !== undefined && !isNaN(v);
+  if (!isValid(valueA) || !isValid(valueB)) {
+    return null;
+  }
+
+  const difference = valueB - valueA;
+
+  if (type === 'percent') {
+    // Percent change is undefined when the reference is (close to) zero
+    if (Math.abs(valueA) < DIFFERENCE_CONFIG.minReferenceMagnitude) {
+      return null;
+    }
+    return (difference / Math.abs(valueA)) * 100;
+  }
+
+  return difference;
+};
+
+/**
+ * Build a difference GeoJSON (B - A) from two FeatureCollections
+ * Geometry and municipality properties come from A; features are matched by municipality id.
+ * Each feature gets value_a, value_b and value (the difference) properties.
+ * @param {Object} geojsonA - Reference GeoJSON FeatureCollection
+ * @param {Object} geojsonB - Comparison GeoJSON FeatureCollection
+ * @param {string} type - 'absolute' or 'percent'
+ * @returns {Object|null} GeoJSON FeatureCollection with difference values
+ */
+export const computeDifferenceGeoJSON = (geojsonA, geojsonB, type = 'absolute') => {
+  if (!geojsonA?.features || !geojsonB?.features) {
+    return null;
+  }
+
+  const valuesB = new Map(
+    geojsonB.features.map(feature => [feature.properties.id, feature.properties])
+  );
+
+  return {
+    type: 'FeatureCollection',
+    features: geojsonA.features.map(feature => {
+      const propsB = valuesB.get(feature.properties.id);
+      const valueA = feature.properties.value;
+      const valueB = propsB ? propsB.value : null;
+
+      return {
+        ...feature,
+        properties: {
+          ...feature.properties,
+          scenario_b: propsB?.scenario,
+          period_b: propsB?.period,
+          value_a: valueA,
+          value_b: valueB,
+          value: calculateDifference(valueA, valueB, type),
+          difference_type: type,
+        },
+      };
+    }),
+  };
+};
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { getColorScale } from './colorMapping';
+import { PALETTES, isSequentialPalette } from './palettes';
+
+const CDD = { code: 'cdd', color_palette_type: 'diverging', color_scheme: 'RdBu_r' };
+const PRCPTOT = { code: 'prcptot', color_palette_type: 'diverging', color_scheme: 'BuRd' };
+
+describe('isSequentialPalette', () => {
+  it('recognises the viridis family and its reverses', () => {
+    expect(isSequentialPalette('viridis')).toBe(true);
+    expect(isSequentialPalette('magma_r')).toBe(true);
+    expect(isSequentialPalette('RdBu_r')).toBe(false);
+    expect(isSequentialPalette('custom-1700000000000')).toBe(false);
+    expect(isSequentialPalette(null)).toBe(false);
+  });
+});
+
+describe('getColorScale for absolute values', () => {
+  const values = [20, 60, 120];
+
+  it('spreads a sequential palette over the whole range', () => {
+    const scale = getColorScale(CDD, values, { sequential: true, palette: PALETTES.viridis.colors, sequentialPalette: true });
+
+    expect(scale(20).hex()).toBe('#440154');
+    expect(scale(70).hex()).toBe('#21918c');
+    expect(scale(120).hex()).toBe('#fde725');
+  });
+
+  it('keeps the index orientation of a sequential palette', () => {
+    const scale = getColorScale(PRCPTOT, values, { sequential: true, palette: PALETTES.viridis.colors, sequentialPalette: true });
+    expect(scale(20).hex()).toBe('#fde725');
+  });
+
+  it('uses a diverging palette from its neutral midpoint', () => {
+    expect(getColorScale(CDD, values, { sequential: true })(20).hex()).toBe('#f7f7f7');
+    expect(getColorScale(CDD, values, { sequential: true })(120).hex()).toBe('#b2182b');
+  });
+});
@@ -0,0 +1,221 @@
+import chroma from 'chroma-js';
+import { filterBySector, SECTOR_MAP } from './sectors';
+
+/**
+ * Composite Risk Score
+ * Combines several indices into one score per municipality: each index is oriented so
+ * that higher means worse (from its anomaly_direction, or flipped by the user),
+ * normalised across municipalities, and averaged with user weights.
+ */
+
+export const NORMALISATION_METHODS = [
+  { value: 'minmax', label: 'Min-max (0–1)', unit: '0–1' },
+  { value: 'zscore', label: 'Z-score', unit: 'σ' },
+  { value: 'percentile', label: 'Percentile rank', unit: 'percentile' },
+];
+
+// localStorage key for saved composites
+const COMPOSITES_STORAGE_KEY = 'climate-risk-tool.composites';
+
+/**
+ * Direction in which an index gets worse
+ * Warming counts as worse; neutral indices default to "higher is worse"
+ * @param {string} anomalyDirection - Index anomaly_direction
+ * @returns {number} 1 if higher anomalies are worse, -1 if lower anomalies are worse
+ *
+ * @example
+ * getWorseDirection('positive_good') // -1 (less rainfall is worse)
+ */
+export const getWorseDirection = (anomalyDirection) => (
+  anomalyDirection === 'positive_good' || anomalyDirection === 'negative_warming' ? -1 : 1
+);
+
+/**
+ * Composite component for an index with its default weight and direction
+ * @param {Object} indexMetadata - Index record
+ * @returns {Object} {code, weight, direction}
+ */
+export const createComponent = (indexMetadata) => ({
+  code: indexMetadata.code,
+  weight: 1,
+  direction: getWorseDirection(indexMetadata.anomaly_direction),
+});
+
+/**
+ * Normalise values across municipalities (nulls are kept)
+ * @param {Array<number|null>} values - Values oriented so higher is worse
+ * @param {string} method - 'minmax', 'zscore' or 'percentile'
+ * @returns {Array<number|null>} Normalised values
+ *
+ * @example
+ * normaliseValues([2, 4, null, 6], 'minmax') // [0, 0.5, null, 1]
+ */
+export const normaliseValues = (values, method) => {
+  const valid = values.filter(v => v !== null && v !== undefined && !isNaN(v));
+  if (valid.length === 0) return values.map(() => null);
+
+  if (method === 'zscore') {
+    const mean = valid.reduce((sum, v) => sum + v, 0) / valid.length;
+    const sd = Math.sqrt(valid.reduce((sum, v) => sum + (v - mean) ** 2, 0) / valid.length);
+    return values.map(v => (v === null || v === undefined || isNaN(v) ? null : sd > 0 ? (v - mean) / sd : 0));
+  }
+
+  if (method === 'percentile') {
+    // Mean rank of ties, scaled to 0-100
+    const sorted = [...valid].sort((a, b) => a - b);
+    const rankOf = (v) => {
+      const first = sorted.indexOf(v);
+      const last = sorted.lastIndexOf(v);
+      return (first + last) / 2;
+    };
+    return values.map(v => (
+      v === null || v === undefined || isNaN(v)
+        ? null
+        : sorted.length > 1 ? (rankOf(v) / (sorted.length - 1)) * 100 : 50
+    ));
+  }
+
+  const min = Math.min(...valid);
+  const max = Math.max(...valid);
+  return values.map(v => (v === null || v === undefined || isNaN(v) ? null : max > min ? (v - min) / (max - min) : 0.5));
+};
+
+/**
+ * Compute the composite score layer
+ * Municipalities missing an index are scored on the indices they have (weights renormalised).
+ *
+ * @param {Object} layers - GeoJSON per index code, same scenario/period ({ [code]: geojson })
+ * @param {Array<Object>} components - {code, weight, direction}
+ * @param {string} method - Normalisation method (NORMALISATION_METHODS)
+ * @returns {Object|null} FeatureCollection with value = score and components = {code: {value, score}}
+ *
+ * @example
+ * computeCompositeGeoJSON({ cdd: cddGeojson, prcptot: prcptotGeojson },
+ *   [{ code: 'cdd', weight: 2, direction: 1 }, { code: 'prcptot', weight: 1, direction: -1 }], 'minmax')
+ */
+export const computeCompositeGeoJSON = (layers, components, method) => {
+  const active = components.filter(c => c.weight > 0 && layers[c.code]?.features);
+  if (active.length === 0) return null;
+
+  const base = layers[active[0].code];
+  const ids = base.features.map(f => f.properties.id);
+
+  // Normalised score of each component, aligned with the base features
+  const normalised = active.map(component => {
+    const valuesById = new Map(layers[component.code].features.map(f => [f.properties.id, f.properties.value]));
+    const raw = ids.map(id => valuesById.get(id) ?? null);
+    const oriented = raw.map(v => (v === null || isNaN(v) ? null : v * component.direction));
+    return { component, raw, scores: normaliseValues(oriented, method) };
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features: base.features.map((feature, i) => {
+      let weighted = 0;
+      let totalWeight = 0;
+      const details = {};
+
+      normalised.forEach(({ component, raw, scores }) => {
+        details[component.code] = { value: raw[i], score: scores[i] };
+        if (scores[i] !== null) {
+          weighted += scores[i] * component.weight;
+          totalWeight += component.weight;
+        }
+      });
+
+      return {
+        ...feature,
+        properties: {
+          ...feature.properties,
+          index_code: 'composite',
+          value: totalWeight > 0 ? weighted / totalWeight : null,
+          components: details,
+        },
+      };
+    }),
+  };
+};
+
+/**
+ * Colour scale for composite scores (higher = more at risk)
+ * Z-scores use a diverging ramp centred on the mean; other methods a sequential ramp
+ * @param {Array<number>} values - Scores
+ * @param {string} method - Normalisation method
+ * @returns {Function} Chroma color scale
+ */
+export const getCompositeColorScale = (values, method) => {
+  const valid = values.filter(v => v !== null && v !== undefined && !isNaN(v));
+
+  if (method === 'zscore') {
+    const absMax = Math.max(1, ...valid.map(Math.abs));
+    return chroma.scale(['#2166ac', '#f7f7f7', '#b2182b']).domain([-absMax, 0, absMax]).mode('lab');
+  }
+
+  const domain = method === 'percentile' ? [0, 100] : [0, 1];
+  return chroma.scale('YlOrRd').domain(domain).mode('lab');
+};
+
+/**
+ * Preset composites from the sector tags
+ * One preset per sector (all its indices), plus "Agriculture drought-heat": the AFS
+ * temperature and duration indices that worsen as they increase.
+ *
+ * @param {Array} indices - All index records
+ * @returns {Array<Object>} Presets {id, label, components, method}
+ */
+export const getSectorPresets = (indices) => {
+  const presets = [];
+
+  const droughtHeat = filterBySector(indices, 'AFS').filter(idx => (
+    ['temperature', 'duration'].includes(idx.category) && getWorseDirection(idx.anomaly_direction) === 1
+  ));
+  if (droughtHeat.length > 0) {
+    presets.push({
+      id: 'preset-afs-drought-heat',
+      label: 'Agriculture drought-heat',
+      components: droughtHeat.map(createComponent),
+      method: 'minmax',
+    });
+  }
+
+  ['AFS', 'H', 'WRH'].forEach(sector => {
+    const sectorIndices = filterBySector(indices, sector);
+    if (sectorIndices.length === 0) return;
+    presets.push({
+      id: `preset-${sector.toLowerCase()}`,
+      label: SECTOR_MAP[sector].name,
+      components: sectorIndices.map(createComponent),
+      method: 'minmax',
+    });
+  });
+
+  return presets;
+};
+
+/**
+ * Load saved composites from localStorage
+ * @returns {Array} Composites [{id, label, components, method}]
+ */
+export const loadSavedComposites = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COMPOSITES_STORAGE_KEY) || '[]');
+    return Array.isArray(stored)
+      ? stored.filter(c => c?.id && Array.isArray(c.components) && NORMALISATION_METHODS.some(m => m.value === c.method))
+      : [];
+  } catch (error) {
+    console.error('Error loading saved composites:', error);
+    return [];
+  }
+};
+
+/**
+ * Save composites to localStorage
+ * @param {Array} composites - Composites [{id, label, components, method}]
+ */
+export const saveSavedComposites = (composites) => {
+  try {
+    localStorage.setItem(COMPOSITES_STORAGE_KEY, JSON.stringify(composites));
+  } catch (error) {
+    console.error('Error saving composites:', error);
+  }
+};
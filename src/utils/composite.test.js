@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getWorseDirection,
+  createComponent,
+  normaliseValues,
+  computeCompositeGeoJSON,
+  getSectorPresets,
+} from './composite';
+import { valueLayer, layerValues } from './testFixtures';
+
+describe('getWorseDirection', () => {
+  it('treats less rainfall and fewer cold extremes as worse', () => {
+    expect(getWorseDirection('positive_good')).toBe(-1);
+    expect(getWorseDirection('negative_warming')).toBe(-1);
+    expect(getWorseDirection('positive_warming')).toBe(1);
+    expect(getWorseDirection(undefined)).toBe(1);
+  });
+
+  it('sets the default component direction', () => {
+    expect(createComponent({ code: 'prcptot', anomaly_direction: 'positive_good' }))
+      .toEqual({ code: 'prcptot', weight: 1, direction: -1 });
+  });
+});
+
+describe('normaliseValues', () => {
+  it('scales min-max to 0-1 and keeps nulls', () => {
+    expect(normaliseValues([2, 4, null, 6], 'minmax')).toEqual([0, 0.5, null, 1]);
+    expect(normaliseValues([3, 3], 'minmax')).toEqual([0.5, 0.5]);
+  });
+
+  it('computes z-scores with the population standard deviation', () => {
+    expect(normaliseValues([1, 3, null], 'zscore')).toEqual([-1, 1, null]);
+    expect(normaliseValues([5, 5], 'zscore')).toEqual([0, 0]);
+  });
+
+  it('ranks percentiles with the mean rank of ties', () => {
+    expect(normaliseValues([10, 20, 20, 30, null], 'percentile')).toEqual([0, 50, 50, 100, null]);
+    expect(normaliseValues([7], 'percentile')).toEqual([50]);
+  });
+
+  it('returns nulls when no value is valid', () => {
+    expect(normaliseValues([null, NaN], 'minmax')).toEqual([null, null]);
+  });
+});
+
+describe('computeCompositeGeoJSON', () => {
+  it('averages the oriented scores with the component weights', () => {
+    const layers = { cdd: valueLayer([0, 5, 10]), prcptot: valueLayer([100, 50, 0]) };
+    const result = computeCompositeGeoJSON(layers, [
+      { code: 'cdd', weight: 3, direction: 1 },
+      { code: 'prcptot', weight: 1, direction: -1 },
+    ], 'minmax');
+
+    expect(layerValues(result)).toEqual([0, 0.5, 1]);
+    expect(result.features[0].properties).toMatchObject({
+      index_code: 'composite',
+      id: 1,
+      components: { cdd: { value: 0, score: 0 }, prcptot: { value: 100, score: 0 } },
+    });
+  });
+
+  it('renormalises the weights over the indices a municipality has', () => {
+    const layers = { a: valueLayer([0, 10]), b: valueLayer([10, null]) };
+    const result = computeCompositeGeoJSON(layers, [
+      { code: 'a', weight: 1, direction: 1 },
+      { code: 'b', weight: 1, direction: -1 },
+    ], 'minmax');
+
+    expect(result.features[1].properties.value).toBe(1);
+    expect(result.features[1].properties.components.b).toEqual({ value: null, score: null });
+  });
+
+  it('skips zero-weight and unloaded components', () => {
+    const layers = { a: valueLayer([1, 2]), b: valueLayer([2, 1]) };
+    const result = computeCompositeGeoJSON(layers, [
+      { code: 'a', weight: 0, direction: 1 },
+      { code: 'b', weight: 1, direction: 1 },
+      { code: 'c', weight: 1, direction: 1 },
+    ], 'minmax');
+
+    expect(Object.keys(result.features[0].properties.components)).toEqual(['b']);
+    expect(computeCompositeGeoJSON(layers, [{ code: 'c', weight: 1, direction: 1 }], 'minmax')).toBeNull();
+  });
+});
+
+describe('getSectorPresets', () => {
+  it('builds the drought-heat preset and one preset per sector', () => {
+    const indices = [
+      { code: 'txge30', sector: 'AFS, H', category: 'temperature', anomaly_direction: 'positive_warming' },
+      { code: 'cdd', sector: 'AFS', category: 'duration', anomaly_direction: 'positive_warming' },
+      { code: 'prcptot', sector: 'AFS, WRH', category: 'precipitation', anomaly_direction: 'positive_good' },
+    ];
+    const presets = getSectorPresets(indices);
+
+    expect(presets.map(p => p.id)).toEqual(['preset-afs-drought-heat', 'preset-afs', 'preset-h', 'preset-wrh']);
+    expect(presets[0].components.map(c => c.code)).toEqual(['txge30', 'cdd']);
+    expect(presets[1].components.map(c => c.direction)).toEqual([1, 1, -1]);
+  });
+});
@@ -1,6 +1,12 @@
 // API Configuration
 export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/climate-tool/api';
 
+// Synthetic ensemble statistics until the API provides them (api/fixtures/ensembleFixture.js)
+export const USE_ENSEMBLE_FIXTURE = import.meta.env.VITE_ENSEMBLE_FIXTURE === 'true';
+
+// Synthetic baseline climatology until the API provides it (api/fixtures/baselineFixture.js)
+export const USE_BASELINE_FIXTURE = import.meta.env.VITE_BASELINE_FIXTURE === 'true';
+
 // Map Configuration (matching climate-tool-web defaults)
 export const MAP_CONFIG = {
   center: [
@@ -26,6 +32,14 @@ export const SCENARIOS = [
   { value: 'ssp585', label: 'SSP5-8.5 (Very High Emissions)', description: 'Fossil-fueled development' }
 ];
 
+// Scenario colours for charts (IPCC AR6 SSP colours)
+export const SCENARIO_COLORS = {
+  'ssp126': '#173c66',
+  'ssp245': '#f79420',
+  'ssp370': '#e71d1d',
+  'ssp585': '#951b1e',
+};
+
 // Time Periods (fallback - these can be fetched from /climate-data/periods)
 export const PERIODS = [
   {
@@ -113,6 +127,20 @@ export const formatPeriod = (period, periodStart, periodEnd) => {
   return periodMap[period] || { label: period, shortLabel: period };
 };
 
+/**
+ * Format a comparison pane configuration as a short label
+ * @param {Object} pane - Pane configuration {scenario, period, index}
+ * @returns {string} Label such as "SSP2-4.5 · 2021-2040 · CDD"
+ */
+export const formatComparisonPane = (pane) => {
+  if (!pane) return '';
+  return [
+    formatScenario(pane.scenario).label,
+    formatPeriod(pane.period).shortLabel,
+    pane.index?.toUpperCase(),
+  ].filter(Boolean).join(' · ');
+};
+
 // Climate Index Categories
 export const CATEGORIES = [
   { value: 'precipitation', label: 'Precipitation', icon: '💧' },
@@ -143,16 +171,55 @@ export const SELECTED_STYLE = {
   fillOpacity: 0.9
 };
 
+// Comparison difference settings
+export const DIFFERENCE_CONFIG = {
+  // Percent change is masked when |A| is below this magnitude (avoids division by ~0)
+  minReferenceMagnitude: 0.001,
+};
+
+// Choropleth classification schemes ('continuous' = unclassed diverging ramp)
+export const CLASSIFICATION_SCHEMES = [
+  { value: 'continuous', label: 'Continuous' },
+  { value: 'equal-interval', label: 'Equal interval' },
+  { value: 'quantile', label: 'Quantile' },
+  { value: 'jenks', label: 'Natural breaks (Jenks)' },
+  { value: 'std-dev', label: 'Standard deviation' },
+  { value: 'manual', label: 'Manual breaks' },
+];
+
+// Classification settings
+export const CLASSIFICATION_CONFIG = {
+  defaultClassCount: 5,
+  minClasses: 3,
+  maxClasses: 9,
+};
+
+// Geography levels of the single map (district/province polygons are dissolved from municipalities)
+export const GEOGRAPHY_LEVELS = [
+  { value: 'municipality', label: 'Local municipality' },
+  { value: 'district', label: 'District' },
+  { value: 'province', label: 'Province' },
+];
+
 // Animation settings
 export const ANIMATION_CONFIG = {
   intervalMs: 2000, // Time between frames in milliseconds
   transitionDuration: 500 // Transition duration in milliseconds
 };
 
+// Data source citation (shown by DataAttribution, printed on exports)
+export const DATA_CITATION = {
+  short: 'Data: NASA NEX-GDDP-CMIP6 (downscaled ~25 km) · baseline 1995-2014',
+  description: 'Downscaled climate projections from the NASA NEX-GDDP-CMIP6 dataset, bias-corrected and statistically downscaled to ~25 km resolution. Changes are relative to the 1995-2014 baseline.',
+  reference: 'Thrasher, B., Wang, W., Michaelis, A., Melton, F., Lee, T. & Nemani, R. (2022). NASA Global Daily Downscaled Projections, CMIP6. Scientific Data, 9, 262. https://doi.org/10.1038/s41597-022-01393-4',
+};
+
 // Export settings
 export const EXPORT_CONFIG = {
   imageFormat: 'png',
   imageQuality: 1.0,
+  imageDpiOptions: [96, 150, 300], // 96 = screen resolution
+  imageDpi: 150,
   pdfOrientation: 'landscape',
   pdfUnit: 'mm',
   pdfFormat: 'a4'
@@ -0,0 +1,97 @@
+/**
+ * Data Table Utilities
+ * Rows, ranking, filtering and sorting for the municipality table (DataTable)
+ */
+
+/**
+ * Build one row per municipality with its rank and percentile
+ * Rank 1 is the most affected municipality: the highest value, or the lowest for indices
+ * that get worse as they decrease (direction -1, see getWorseDirection in utils/composite.js).
+ * The percentile is the share of municipalities affected as much or less. Municipalities
+ * without data have no rank.
+ *
+ * @param {Object} geojson - Climate GeoJSON FeatureCollection
+ * @param {number} direction - 1 if higher values are worse, -1 if lower values are worse
+ * @returns {Array<Object>} Rows {id, name, code, province, districtCode, districtName, value, rank, percentile, feature}
+ *
+ * @example
+ * buildTableRows(geojson, getWorseDirection(indexMetadata.anomaly_direction))[0]
+ * // { id: 12, name: 'Matzikama', province: 'Western Cape', value: 4.2, rank: 3, percentile: 98.6, ... }
+ */
+export const buildTableRows = (geojson, direction = 1) => {
+  const features = geojson?.features || [];
+  // Values oriented so that higher is worse
+  const values = features
+    .map(f => f.properties.value)
+    .filter(v => v !== null && v !== undefined && !isNaN(v))
+    .map(v => v * direction)
+    .sort((a, b) => a - b);
+
+  // Number of values <= v (binary search over the sorted values)
+  const countAtOrBelow = (v) => {
+    let low = 0;
+    let high = values.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[mid] <= v) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  return features.map(feature => {
+    const props = feature.properties;
+    const hasValue = props.value !== null && props.value !== undefined && !isNaN(props.value);
+    const atOrBelow = hasValue ? countAtOrBelow(props.value * direction) : 0;
+
+    return {
+      id: props.id,
+      name: props.municipality_name,
+      code: props.municipality_code,
+      province: props.province,
+      districtCode: props.district_code,
+      districtName: props.district_name,
+      value: hasValue ? props.value : null,
+      // 1 + number of worse values, so ties share the best rank
+      rank: hasValue ? values.length - atOrBelow + 1 : null,
+      percentile: hasValue ? (atOrBelow / values.length) * 100 : null,
+      feature,
+    };
+  });
+};
+
+/**
+ * Filter rows by province, district and value range
+ * @param {Array<Object>} rows - Rows from buildTableRows
+ * @param {Object} filters - {province, districtCode, min, max} (empty values are ignored)
+ * @returns {Array<Object>} Matching rows
+ */
+export const filterTableRows = (rows, { province = '', districtCode = '', min = null, max = null } = {}) => (
+  rows.filter(row => {
+    if (province && row.province !== province) return false;
+    if (districtCode && row.districtCode !== districtCode) return false;
+    if (min !== null && (row.value === null || row.value < min)) return false;
+    if (max !== null && (row.value === null || row.value > max)) return false;
+    return true;
+  })
+);
+
+/**
+ * Sort rows by a column; rows without a value always sort last
+ * @param {Array<Object>} rows - Rows from buildTableRows
+ * @param {string} key - Column key (name, province, districtName, value, rank, percentile)
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array<Object>} New sorted array
+ */
+export const sortTableRows = (rows, key, direction = 'asc') => {
+  const sign = direction === 'asc' ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    const va = a[key];
+    const vb = b[key];
+    if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : 1;
+    if (vb === null || vb === undefined) return -1;
+    if (typeof va === 'string') return sign * va.localeCompare(vb);
+    return sign * (va - vb);
+  });
+};
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { buildTableRows, filterTableRows, sortTableRows } from './dataTable';
+import { valueLayer } from './testFixtures';
+
+const municipalities = valueLayer([4, -2, null, 10, 4], {
+  municipality_name: ['Matzikama', 'Cederberg', 'Bergrivier', 'Saldanha Bay', 'Swartland'],
+  province: ['Western Cape', 'Western Cape', 'Western Cape', 'Western Cape', 'Northern Cape'],
+  district_code: ['DC1', 'DC1', 'DC1', 'DC2', 'DC2'],
+});
+
+const ranks = (rows) => rows.map(r => r.rank);
+
+describe('buildTableRows', () => {
+  it('ranks the highest value first when higher values are worse', () => {
+    const rows = buildTableRows(municipalities, 1);
+
+    expect(ranks(rows)).toEqual([2, 4, null, 1, 2]);
+    expect(rows.map(r => r.percentile)).toEqual([75, 25, null, 100, 75]);
+    expect(rows[0]).toMatchObject({ id: 1, name: 'Matzikama', districtCode: 'DC1', value: 4 });
+  });
+
+  it('ranks the lowest value first when lower values are worse', () => {
+    const rows = buildTableRows(municipalities, -1);
+
+    expect(ranks(rows)).toEqual([2, 1, null, 4, 2]);
+    expect(rows.map(r => r.percentile)).toEqual([75, 100, null, 25, 75]);
+    expect(sortTableRows(rows, 'rank').slice(0, 2).map(r => r.name)).toEqual(['Cederberg', 'Matzikama']);
+  });
+
+  it('defaults to higher is worse', () => {
+    expect(ranks(buildTableRows(municipalities))).toEqual(ranks(buildTableRows(municipalities, 1)));
+    expect(buildTableRows(null)).toEqual([]);
+  });
+});
+
+describe('filterTableRows', () => {
+  it('filters by province, district and value range', () => {
+    const rows = buildTableRows(municipalities);
+
+    expect(filterTableRows(rows, { province: 'Western Cape' }).map(r => r.id)).toEqual([1, 2, 3, 4]);
+    expect(filterTableRows(rows, { districtCode: 'DC2' }).map(r => r.id)).toEqual([4, 5]);
+    expect(filterTableRows(rows, { min: 0, max: 5 }).map(r => r.id)).toEqual([1, 5]);
+  });
+});
+
+describe('sortTableRows', () => {
+  it('sorts rows without a value last in both directions', () => {
+    const rows = buildTableRows(municipalities);
+
+    expect(sortTableRows(rows, 'value', 'desc').map(r => r.id)).toEqual([4, 1, 5, 2, 3]);
+    expect(sortTableRows(rows, 'value', 'asc').map(r => r.id)).toEqual([2, 1, 5, 4, 3]);
+    expect(sortTableRows(rows, 'name').map(r => r.name)[0]).toBe('Bergrivier');
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Download Utilities
+ * Helpers for saving generated files (images, animations, documents) in the browser
+ */
+
+/**
+ * Trigger a browser download for a Blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser time to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build a file-system friendly name from parts
+ * @param {Array<string>} parts - Name parts (e.g., ['cdd', 'ssp245', 'near-term_2021-2040'])
+ * @param {string} extension - File extension without dot
+ * @returns {string} File name such as "cdd_ssp245_near-term_2021-2040.png"
+ *
+ * @example
+ * buildFilename(['CDD', 'ssp245'], 'gif') // 'cdd_ssp245.gif'
+ */
+export function buildFilename(parts, extension) {
+  const base = parts
+    .filter(Boolean)
+    .map(part => String(part).toLowerCase().replace(/[^a-z0-9._-]+/g, '-'))
+    .join('_');
+  return `${base}.${extension}`;
+}
@@ -0,0 +1,132 @@
+/**
+ * Ensemble Statistics
+ * Optional model-spread properties of the climate-data GeoJSON features, alongside the
+ * ensemble mean in `value` (see docs/ENSEMBLE_STATISTICS.md for the property contract):
+ *
+ * - value_p10, value_p50, value_p90: 10th/50th/90th percentile across models (index unit)
+ * - model_count: number of models in the ensemble
+ * - model_agreement: fraction (0–1) of models agreeing with the sign of the ensemble mean
+ *
+ * Every property may be missing or null; the map falls back to the ensemble mean.
+ */
+
+export const ENSEMBLE_STATISTICS = [
+  { value: 'mean', label: 'Mean', fullLabel: 'Ensemble mean', property: 'value' },
+  { value: 'p10', label: 'P10', fullLabel: '10th percentile', property: 'value_p10' },
+  { value: 'p50', label: 'Median', fullLabel: 'Ensemble median', property: 'value_p50' },
+  { value: 'p90', label: 'P90', fullLabel: '90th percentile', property: 'value_p90' },
+];
+
+// Below this model agreement on the sign of change, a municipality is low confidence
+// (IPCC AR6 uses 80% agreement for robust change)
+export const LOW_CONFIDENCE_AGREEMENT = 0.8;
+
+const isNumber = (v) => v !== null && v !== undefined && !isNaN(v);
+
+/**
+ * Ensemble statistics of a feature
+ * @param {Object} props - Feature properties
+ * @returns {Object|null} {mean, p10, p50, p90, modelCount, modelAgreement}, or null without any spread data
+ *
+ * @example
+ * getEnsembleStatistics({ value: 12.4, value_p10: 8.1, value_p50: 12.0, value_p90: 17.3, model_count: 26, model_agreement: 0.92 })
+ * // { mean: 12.4, p10: 8.1, p50: 12.0, p90: 17.3, modelCount: 26, modelAgreement: 0.92 }
+ */
+export const getEnsembleStatistics = (props) => {
+  const statistics = {
+    // The mean anomaly is kept in value_mean while another statistic is shown, and in
+    // anomaly while an absolute value is shown (utils/baseline.js)
+    mean: [props.value_mean, props.anomaly, props.value].find(isNumber) ?? null,
+    p10: isNumber(props.value_p10) ? props.value_p10 : null,
+    p50: isNumber(props.value_p50) ? props.value_p50 : null,
+    p90: isNumber(props.value_p90) ? props.value_p90 : null,
+    modelCount: isNumber(props.model_count) ? props.model_count : null,
+    modelAgreement: isNumber(props.model_agreement) ? props.model_agreement : null,
+  };
+
+  const hasSpread = [statistics.p10, statistics.p50, statistics.p90, statistics.modelAgreement].some(v => v !== null);
+  return hasSpread ? statistics : null;
+};
+
+/**
+ * Whether any feature carries ensemble statistics
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @returns {boolean}
+ */
+export const hasEnsembleStatistics = (geojson) => (
+  Boolean(geojson?.features?.some(f => getEnsembleStatistics(f.properties)))
+);
+
+/**
+ * Whether a feature's models disagree on the sign of change
+ * @param {Object} props - Feature properties
+ * @returns {boolean} False when model agreement is unknown
+ */
+export const isLowConfidence = (props) => (
+  isNumber(props.model_agreement) && props.model_agreement < LOW_CONFIDENCE_AGREEMENT
+);
+
+/**
+ * Show another ensemble statistic as the feature value
+ * The mean moves to value_mean; features without the statistic get a null value.
+ * Returns the input unchanged for the mean or when no feature has the statistic.
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {string} statistic - ENSEMBLE_STATISTICS value
+ * @returns {Object} GeoJSON FeatureCollection
+ *
+ * @example
+ * selectEnsembleStatistic(geojson, 'p90').features[0].properties.value // value_p90
+ */
+export const selectEnsembleStatistic = (geojson, statistic) => {
+  const { property } = ENSEMBLE_STATISTICS.find(s => s.value === statistic) || ENSEMBLE_STATISTICS[0];
+  if (!geojson?.features || property === 'value') return geojson;
+  if (!geojson.features.some(f => isNumber(f.properties[property]))) return geojson;
+
+  return {
+    ...geojson,
+    features: geojson.features.map(feature => ({
+      ...feature,
+      properties: {
+        ...feature.properties,
+        value: isNumber(feature.properties[property]) ? feature.properties[property] : null,
+        value_mean: feature.properties.value,
+        ensemble_statistic: statistic,
+      },
+    })),
+  };
+};
+
+/**
+ * HTML range bar (p10–p90 with median and mean markers) for Leaflet popups
+ * @param {Object} statistics - From getEnsembleStatistics
+ * @param {string} unit - Index unit
+ * @returns {string} HTML ('' without a p10–p90 range)
+ */
+export const buildEnsembleRangeHtml = (statistics, unit = '') => {
+  if (!statistics || statistics.p10 === null || statistics.p90 === null) return '';
+
+  const { p10, p50, p90, mean, modelCount, modelAgreement } = statistics;
+  // Pad the range so markers at the ends stay visible
+  const span = p90 - p10 || 1;
+  const min = p10 - span * 0.1;
+  const max = p90 + span * 0.1;
+  const position = (v) => `${(((v - min) / (max - min)) * 100).toFixed(1)}%`;
+  const zeroInRange = min < 0 && max > 0;
+
+  return `
+    <div style="margin: 6px 0 4px 0; font-size: 12px;">
+      <strong>Model spread (P10–P90):</strong> ${p10.toFixed(2)} – ${p90.toFixed(2)}${unit ? ` ${unit}` : ''}
+      <div style="position: relative; height: 14px; margin: 4px 0; background: #f1f5f9; border-radius: 3px;">
+        <div style="position: absolute; top: 4px; height: 6px; left: ${position(p10)}; right: calc(100% - ${position(p90)}); background: #94a3b8; border-radius: 3px;"></div>
+        ${zeroInRange ? `<div style="position: absolute; top: 0; bottom: 0; left: ${position(0)}; border-left: 1px dashed #64748b;"></div>` : ''}
+        ${p50 !== null ? `<div style="position: absolute; top: 1px; height: 12px; width: 2px; left: ${position(p50)}; background: #1e293b;" title="Median"></div>` : ''}
+        ${mean !== null ? `<div style="position: absolute; top: 4px; width: 6px; height: 6px; margin-left: -3px; left: ${position(mean)}; background: #2563eb; border-radius: 50%;" title="Mean"></div>` : ''}
+      </div>
+      <span style="color: #64748b;">
+        ▮ median${p50 !== null ? ` ${p50.toFixed(2)}` : ''} · ● mean
+        ${modelAgreement !== null ? ` · ${Math.round(modelAgreement * 100)}% of${modelCount !== null ? ` ${modelCount}` : ''} models agree on sign` : ''}
+      </span>
+    </div>
+  `;
+};
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { getEnsembleStatistics, hasEnsembleStatistics, isLowConfidence, selectEnsembleStatistic, buildEnsembleRangeHtml } from './ensemble';
+import { valueLayer, layerValues } from './testFixtures';
+
+const spread = { value: 12.4, value_p10: 8.1, value_p50: 12.0, value_p90: 17.3, model_count: 26, model_agreement: 0.92 };
+
+describe('getEnsembleStatistics', () => {
+  it('reads the model spread of a feature', () => {
+    expect(getEnsembleStatistics(spread)).toEqual({
+      mean: 12.4, p10: 8.1, p50: 12.0, p90: 17.3, modelCount: 26, modelAgreement: 0.92,
+    });
+  });
+
+  it('keeps the mean anomaly while another statistic or an absolute value is shown', () => {
+    expect(getEnsembleStatistics({ ...spread, value: 17.3, value_mean: 12.4 }).mean).toBe(12.4);
+    expect(getEnsembleStatistics({ ...spread, value: 30.1, anomaly: 12.4 }).mean).toBe(12.4);
+  });
+
+  it('is null without spread data', () => {
+    expect(getEnsembleStatistics({ value: 12.4, model_count: 26, value_p90: null })).toBeNull();
+  });
+});
+
+describe('hasEnsembleStatistics', () => {
+  it('looks for spread data in any feature', () => {
+    expect(hasEnsembleStatistics(valueLayer([1, 2], { value_p90: [null, 3] }))).toBe(true);
+    expect(hasEnsembleStatistics(valueLayer([1, 2]))).toBe(false);
+    expect(hasEnsembleStatistics(null)).toBe(false);
+  });
+});
+
+describe('isLowConfidence', () => {
+  it('flags model agreement below 80%', () => {
+    expect(isLowConfidence({ model_agreement: 0.6 })).toBe(true);
+    expect(isLowConfidence({ model_agreement: 0.8 })).toBe(false);
+    expect(isLowConfidence({ model_agreement: null })).toBe(false);
+  });
+});
+
+describe('selectEnsembleStatistic', () => {
+  const layer = valueLayer([1, 2, 3], { value_p90: [4, null, 6] });
+
+  it('shows the statistic as the value and keeps the mean', () => {
+    const result = selectEnsembleStatistic(layer, 'p90');
+
+    expect(layerValues(result)).toEqual([4, null, 6]);
+    expect(result.features.map(f => f.properties.value_mean)).toEqual([1, 2, 3]);
+    expect(result.features[0].properties.ensemble_statistic).toBe('p90');
+  });
+
+  it('returns the layer unchanged for the mean or a statistic no feature has', () => {
+    expect(selectEnsembleStatistic(layer, 'mean')).toBe(layer);
+    expect(selectEnsembleStatistic(layer, 'p10')).toBe(layer);
+  });
+});
+
+describe('buildEnsembleRangeHtml', () => {
+  it('shows the P10–P90 range and model agreement', () => {
+    const html = buildEnsembleRangeHtml(getEnsembleStatistics(spread), 'mm');
+
+    expect(html).toContain('8.10 – 17.30 mm');
+    expect(html).toContain('92% of 26 models agree on sign');
+  });
+
+  it('is empty without a range', () => {
+    expect(buildEnsembleRangeHtml(getEnsembleStatistics({ value: 1, model_agreement: 0.9 }))).toBe('');
+    expect(buildEnsembleRangeHtml(null)).toBe('');
+  });
+});
@@ -0,0 +1,384 @@
+import { topology } from 'topojson-server';
+import { zipSync, strToU8 } from 'fflate';
+import { getPolygons } from './mapRenderer';
+import { getColorForValue } from './colorMapping';
+
+/**
+ * Geospatial Export Utilities
+ * Writes a climate layer (GeoJSON FeatureCollection) as GeoJSON, TopoJSON,
+ * KML with the map's fill colours (Google Earth) or a zipped ESRI Shapefile (.shp,
+ * .shx, .dbf, .prj, .cpg) for QGIS/ArcGIS. All coordinates are WGS84 longitude/latitude.
+ */
+
+export const GEO_FORMATS = [
+  { value: 'geojson', label: 'GeoJSON', extension: 'geojson' },
+  { value: 'topojson', label: 'TopoJSON', extension: 'topojson' },
+  { value: 'kml', label: 'KML (Google Earth)', extension: 'kml' },
+  { value: 'shapefile', label: 'Shapefile (zip)', extension: 'zip' },
+];
+
+// WGS84 geographic coordinate system for the .prj file
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+/**
+ * Add other indices' values as extra properties (named by index code)
+ * @param {Object} geojson - Layer FeatureCollection
+ * @param {Array<Object>} extraLayers - {code, geojson} for each extra index (same scenario/period)
+ * @returns {Object} New FeatureCollection
+ *
+ * @example
+ * addIndexColumns(cddGeojson, [{ code: 'prcptot', geojson: prcptotGeojson }])
+ * // features[i].properties.prcptot = value of PRCPTOT for that municipality
+ */
+export const addIndexColumns = (geojson, extraLayers = []) => {
+  const lookups = extraLayers.map(({ code, geojson: layer }) => ({
+    code,
+    values: new Map((layer?.features || []).map(f => [f.properties.id, f.properties.value])),
+  }));
+
+  return {
+    ...geojson,
+    features: geojson.features.map(feature => {
+      const properties = { ...feature.properties };
+      lookups.forEach(({ code, values }) => {
+        properties[code] = values.get(feature.properties.id) ?? null;
+      });
+      return { ...feature, properties };
+    }),
+  };
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * KML colour (aabbggrr) from a CSS hex colour
+ */
+const toKmlColor = (hex, alpha = 'd9') => {
+  const [, r, g, b] = hex.match(/^#?(..)(..)(..)/);
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+};
+
+/**
+ * Write a layer as KML, each municipality styled with its map colour
+ * @param {Object} geojson - Layer FeatureCollection
+ * @param {Object} options
+ * @param {Function} options.colorScale - Color scale used on the map
+ * @param {Function} options.fillFor - Map colour of a feature, used instead of the colour scale (categorical maps)
+ * @param {string} options.name - Document name
+ * @param {string} options.unit - Unit shown in placemark descriptions
+ * @returns {string} KML document
+ */
+export const toKml = (geojson, { colorScale, fillFor = null, name = 'Climate layer', unit = '' }) => {
+  const styles = new Map();
+
+  const placemarks = geojson.features.map(feature => {
+    const props = feature.properties;
+    const fill = fillFor ? fillFor(feature) : getColorForValue(props.value, colorScale);
+    const styleId = `fill-${fill.replace('#', '')}`;
+    styles.set(styleId, fill);
+
+    const polygons = getPolygons(feature.geometry).map(polygon => {
+      const [outer, ...holes] = polygon.map(ring => ring.map(([lng, lat]) => `${lng},${lat}`).join(' '));
+      return '<Polygon>' +
+        `<outerBoundaryIs><LinearRing><coordinates>${outer}</coordinates></LinearRing></outerBoundaryIs>` +
+        holes.map(hole => `<innerBoundaryIs><LinearRing><coordinates>${hole}</coordinates></LinearRing></innerBoundaryIs>`).join('') +
+        '</Polygon>';
+    });
+
+    const value = props.value === null || props.value === undefined ? 'N/A' : `${props.value.toFixed(2)}${unit ? ` ${unit}` : ''}`;
+    const data = Object.entries(props)
+      .filter(([, v]) => v === null || typeof v !== 'object')
+      .map(([key, v]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(v ?? '')}</value></Data>`)
+      .join('');
+
+    return '<Placemark>' +
+      `<name>${escapeXml(props.municipality_name ?? props.name)}</name>` +
+      `<description>${escapeXml(`${props.municipality_code ?? props.code} · ${props.index_code?.toUpperCase()}: ${value}`)}</description>` +
+      `<styleUrl>#${styleId}</styleUrl>` +
+      `<ExtendedData>${data}</ExtendedData>` +
+      `<MultiGeometry>${polygons.join('')}</MultiGeometry>` +
+      '</Placemark>';
+  });
+
+  const styleXml = [...styles].map(([id, fill]) => (
+    `<Style id="${id}"><LineStyle><color>ffffffff</color><width>1</width></LineStyle>` +
+    `<PolyStyle><color>${toKmlColor(fill)}</color></PolyStyle></Style>`
+  ));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    `<Document><name>${escapeXml(name)}</name>`,
+    ...styleXml,
+    ...placemarks,
+    '</Document>',
+    '</kml>',
+  ].join('\n');
+};
+
+// Signed ring area (positive = counter-clockwise with y up)
+const ringArea = (ring) => {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return area / 2;
+};
+
+// DBF fields that do not apply to district and province layers (utils/aggregation.js)
+const AGGREGATE_OMITTED_FIELDS = {
+  district: ['ID', 'MUN_CODE', 'MUN_NAME'],
+  province: ['ID', 'MUN_CODE', 'MUN_NAME', 'DIST_CODE', 'DIST_NAME'],
+};
+
+/**
+ * Shapefile DBF fields: fixed municipality/index attributes (those of the level for
+ * district/province layers), difference values when present, then one numeric column
+ * per extra index (names up to 10 characters)
+ */
+const shapefileFields = (geojson, extraCodes) => {
+  const omitted = AGGREGATE_OMITTED_FIELDS[geojson.features[0]?.properties.level] || [];
+  const fields = [
+    { name: 'ID', type: 'N', length: 10, decimals: 0, get: p => p.id },
+    { name: 'MUN_CODE', type: 'C', length: 16, get: p => p.municipality_code },
+    { name: 'MUN_NAME', type: 'C', length: 80, get: p => p.municipality_name },
+    { name: 'DIST_CODE', type: 'C', length: 16, get: p => p.district_code },
+    { name: 'DIST_NAME', type: 'C', length: 80, get: p => p.district_name },
+    { name: 'PROVINCE', type: 'C', length: 40, get: p => p.province },
+    { name: 'AREA_KM2', type: 'N', length: 18, decimals: 3, get: p => p.area_km2 },
+    { name: 'INDEX', type: 'C', length: 20, get: p => p.index_code },
+    { name: 'SCENARIO', type: 'C', length: 10, get: p => p.scenario },
+    { name: 'PERIOD', type: 'C', length: 24, get: p => p.period },
+    { name: 'VALUE', type: 'N', length: 18, decimals: 6, get: p => p.value },
+  ].filter(field => !omitted.includes(field.name));
+
+  if (geojson.features.some(f => 'value_a' in f.properties)) {
+    fields.push(
+      { name: 'VALUE_A', type: 'N', length: 18, decimals: 6, get: p => p.value_a },
+      { name: 'VALUE_B', type: 'N', length: 18, decimals: 6, get: p => p.value_b },
+    );
+  }
+
+  const used = new Set(fields.map(f => f.name));
+  extraCodes.forEach(code => {
+    let name = code.toUpperCase().slice(0, 10);
+    for (let i = 2; used.has(name); i++) {
+      name = `${code.toUpperCase().slice(0, 10 - String(i).length)}${i}`;
+    }
+    used.add(name);
+    fields.push({ name, type: 'N', length: 18, decimals: 6, get: p => p[code] });
+  });
+
+  return fields;
+};
+
+/**
+ * Encode text to at most maxBytes of UTF-8 without splitting a character
+ */
+const encodeFitting = (text, maxBytes) => {
+  const encoder = new TextEncoder();
+  let chars = [...text];
+  let bytes = encoder.encode(text);
+  while (bytes.length > maxBytes) {
+    chars = chars.slice(0, -1);
+    bytes = encoder.encode(chars.join(''));
+  }
+  return bytes;
+};
+
+/**
+ * Write the DBF attribute table
+ */
+const writeDbf = (features, fields) => {
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, f) => sum + f.length, 0);
+  const buffer = new ArrayBuffer(headerLength + features.length * recordLength + 1);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const today = new Date();
+
+  view.setUint8(0, 0x03);
+  view.setUint8(1, today.getFullYear() - 1900);
+  view.setUint8(2, today.getMonth() + 1);
+  view.setUint8(3, today.getDate());
+  view.setUint32(4, features.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+
+  fields.forEach((field, i) => {
+    const offset = 32 + i * 32;
+    bytes.set(strToU8(field.name), offset);
+    bytes[offset + 11] = field.type.charCodeAt(0);
+    bytes[offset + 16] = field.length;
+    bytes[offset + 17] = field.decimals || 0;
+  });
+  bytes[headerLength - 1] = 0x0d;
+
+  bytes.fill(0x20, headerLength, headerLength + features.length * recordLength);
+  features.forEach((feature, r) => {
+    let offset = headerLength + r * recordLength + 1;
+
+    fields.forEach(field => {
+      const value = field.get(feature.properties);
+      if (value !== null && value !== undefined && value !== '') {
+        if (field.type === 'N') {
+          const text = Number(value).toFixed(field.decimals || 0).slice(0, field.length);
+          bytes.set(strToU8(text), offset + field.length - text.length);
+        } else {
+          bytes.set(encodeFitting(String(value), field.length), offset);
+        }
+      }
+      offset += field.length;
+    });
+  });
+  bytes[bytes.length - 1] = 0x1a;
+
+  return bytes;
+};
+
+/**
+ * Write the .shp and .shx files (polygon shape type 5)
+ */
+const writeShp = (features) => {
+  // Parts in shapefile orientation: outer rings clockwise, holes counter-clockwise
+  const shapes = features.map(feature => {
+    const parts = getPolygons(feature.geometry).flatMap(polygon => polygon.map((ring, i) => {
+      const clockwise = ringArea(ring) < 0;
+      return (i === 0) === clockwise ? ring : [...ring].reverse();
+    }));
+    const points = parts.flat();
+    return {
+      parts,
+      points,
+      bbox: points.length > 0
+        ? [
+          Math.min(...points.map(p => p[0])),
+          Math.min(...points.map(p => p[1])),
+          Math.max(...points.map(p => p[0])),
+          Math.max(...points.map(p => p[1])),
+        ]
+        : [0, 0, 0, 0],
+    };
+  });
+
+  const contentLengths = shapes.map(shape => (
+    shape.points.length > 0 ? 44 + 4 * shape.parts.length + 16 * shape.points.length : 4
+  ));
+  const shpLength = 100 + contentLengths.reduce((sum, length) => sum + 8 + length, 0);
+  const shxLength = 100 + 8 * shapes.length;
+
+  const shp = new DataView(new ArrayBuffer(shpLength));
+  const shx = new DataView(new ArrayBuffer(shxLength));
+
+  const nonEmpty = shapes.filter(shape => shape.points.length > 0);
+  const bbox = nonEmpty.length > 0
+    ? [
+      Math.min(...nonEmpty.map(s => s.bbox[0])),
+      Math.min(...nonEmpty.map(s => s.bbox[1])),
+      Math.max(...nonEmpty.map(s => s.bbox[2])),
+      Math.max(...nonEmpty.map(s => s.bbox[3])),
+    ]
+    : [0, 0, 0, 0];
+
+  [[shp, shpLength], [shx, shxLength]].forEach(([view, length]) => {
+    view.setInt32(0, 9994);
+    view.setInt32(24, length / 2);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, 5, true);
+    bbox.forEach((value, i) => view.setFloat64(36 + i * 8, value, true));
+  });
+
+  let offset = 100;
+  shapes.forEach((shape, i) => {
+    shx.setInt32(100 + i * 8, offset / 2);
+    shx.setInt32(104 + i * 8, contentLengths[i] / 2);
+
+    shp.setInt32(offset, i + 1);
+    shp.setInt32(offset + 4, contentLengths[i] / 2);
+    let cursor = offset + 8;
+
+    if (shape.points.length === 0) {
+      shp.setInt32(cursor, 0, true);
+    } else {
+      shp.setInt32(cursor, 5, true);
+      shape.bbox.forEach((value, b) => shp.setFloat64(cursor + 4 + b * 8, value, true));
+      shp.setInt32(cursor + 36, shape.parts.length, true);
+      shp.setInt32(cursor + 40, shape.points.length, true);
+      cursor += 44;
+
+      let start = 0;
+      shape.parts.forEach(part => {
+        shp.setInt32(cursor, start, true);
+        cursor += 4;
+        start += part.length;
+      });
+      shape.points.forEach(([x, y]) => {
+        shp.setFloat64(cursor, x, true);
+        shp.setFloat64(cursor + 8, y, true);
+        cursor += 16;
+      });
+    }
+
+    offset += 8 + contentLengths[i];
+  });
+
+  return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) };
+};
+
+/**
+ * Write a layer as a zipped ESRI Shapefile
+ * @param {Object} geojson - Layer FeatureCollection (Polygon/MultiPolygon)
+ * @param {Object} options
+ * @param {string} options.name - Base name of the files in the archive
+ * @param {Array<string>} options.extraCodes - Extra index properties to write as columns
+ * @returns {Uint8Array} ZIP archive
+ */
+export const toShapefileZip = (geojson, { name = 'climate_layer', extraCodes = [] } = {}) => {
+  const { shp, shx } = writeShp(geojson.features);
+  const dbf = writeDbf(geojson.features, shapefileFields(geojson, extraCodes));
+
+  return zipSync({
+    [`${name}.shp`]: shp,
+    [`${name}.shx`]: shx,
+    [`${name}.dbf`]: dbf,
+    [`${name}.prj`]: strToU8(WGS84_PRJ),
+    [`${name}.cpg`]: strToU8('UTF-8'),
+  });
+};
+
+/**
+ * Export a layer in one of GEO_FORMATS
+ *
+ * @param {Object} options
+ * @param {string} options.format - 'geojson', 'topojson', 'kml' or 'shapefile'
+ * @param {Object} options.geojson - Layer FeatureCollection
+ * @param {Array<Object>} options.extraLayers - {code, geojson} of indices to add as columns
+ * @param {Function} options.colorScale - Map colour scale (KML fills)
+ * @param {Function} options.fillFor - Map colour of a feature, instead of the colour scale (KML fills)
+ * @param {string} options.name - Layer name (TopoJSON object, KML document, Shapefile base name)
+ * @param {string} options.unit - Unit (KML descriptions)
+ * @returns {Blob} File contents
+ *
+ * @example
+ * const blob = exportGeoLayer({ format: 'shapefile', geojson, extraLayers, name: 'cdd_ssp245' });
+ * downloadBlob(blob, 'cdd_ssp245.zip');
+ */
+export const exportGeoLayer = ({ format, geojson, extraLayers = [], colorScale, fillFor = null, name, unit }) => {
+  const layer = addIndexColumns(geojson, extraLayers);
+
+  switch (format) {
+    case 'topojson':
+      return new Blob([JSON.stringify(topology({ [name]: layer }))], { type: 'application/json' });
+    case 'kml':
+      return new Blob([toKml(layer, { colorScale, fillFor, name, unit })], { type: 'application/vnd.google-earth.kml+xml' });
+    case 'shapefile':
+      return new Blob([toShapefileZip(layer, { name, extraCodes: extraLayers.map(l => l.code) })], { type: 'application/zip' });
+    default:
+      return new Blob([JSON.stringify(layer)], { type: 'application/geo+json' });
+  }
+};
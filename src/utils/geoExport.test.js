@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+import { unzipSync, strFromU8 } from 'fflate';
+import chroma from 'chroma-js';
+import { addIndexColumns, toKml, toShapefileZip, exportGeoLayer } from './geoExport';
+
+// Counter-clockwise square with a clockwise hole (GeoJSON orientation)
+const square = {
+  type: 'Polygon',
+  coordinates: [
+    [[18, -34], [19, -34], [19, -33], [18, -33], [18, -34]],
+    [[18.25, -33.75], [18.25, -33.25], [18.75, -33.25], [18.75, -33.75], [18.25, -33.75]],
+  ],
+};
+
+const municipalities = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      geometry: square,
+      properties: {
+        id: 1,
+        municipality_code: 'WC011',
+        municipality_name: 'Matzikama & Co',
+        district_code: 'DC1',
+        district_name: 'West Coast',
+        province: 'Western Cape',
+        area_km2: 12981.4,
+        index_code: 'cdd',
+        scenario: 'ssp245',
+        period: 'near-term_2021-2040',
+        value: 4.5,
+      },
+    },
+    {
+      type: 'Feature',
+      geometry: null,
+      properties: { id: 2, municipality_code: 'WC012', municipality_name: 'Cederberg', index_code: 'cdd', value: null },
+    },
+  ],
+};
+
+/**
+ * Read a DBF table: field names and records as trimmed strings
+ */
+const readDbf = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const recordCount = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+
+  const fields = [];
+  for (let offset = 32; bytes[offset] !== 0x0d; offset += 32) {
+    fields.push({
+      name: strFromU8(bytes.subarray(offset, offset + 11)).replace(/\0+$/, ''),
+      type: String.fromCharCode(bytes[offset + 11]),
+      length: bytes[offset + 16],
+    });
+  }
+
+  const records = Array.from({ length: recordCount }, (_, r) => {
+    let offset = headerLength + r * recordLength + 1;
+    return Object.fromEntries(fields.map(field => {
+      const text = strFromU8(bytes.subarray(offset, offset + field.length)).trim();
+      offset += field.length;
+      return [field.name, text];
+    }));
+  });
+
+  return { fields, records, recordLength, lastByte: bytes[bytes.length - 1] };
+};
+
+describe('addIndexColumns', () => {
+  it('adds the value of each extra index by municipality id', () => {
+    const prcptot = { features: [{ properties: { id: 1, value: -12.5 } }] };
+    const layer = addIndexColumns(municipalities, [{ code: 'prcptot', geojson: prcptot }]);
+
+    expect(layer.features.map(f => f.properties.prcptot)).toEqual([-12.5, null]);
+    expect(municipalities.features[0].properties.prcptot).toBeUndefined();
+  });
+});
+
+describe('toKml', () => {
+  it('styles each placemark with its map colour in aabbggrr order', () => {
+    const colorScale = chroma.scale(['#0000ff', '#ff0000']).domain([0, 9]);
+    const kml = toKml(municipalities, { colorScale, name: 'CDD <test>', unit: 'days' });
+
+    expect(kml).toContain('<Document><name>CDD &lt;test&gt;</name>');
+    expect(kml).toContain(`<Style id="fill-${colorScale(4.5).hex().slice(1)}">`);
+    expect(kml).toContain('<PolyStyle><color>d9cccccc</color></PolyStyle>');
+    expect(kml).toContain('<name>Matzikama &amp; Co</name>');
+    expect(kml).toContain('<description>WC011 · CDD: 4.50 days</description>');
+    expect(kml).toContain('<innerBoundaryIs>');
+  });
+
+  it('uses a categorical fill when given', () => {
+    const kml = toKml(municipalities, { fillFor: () => '#dc2626' });
+    expect(kml).toContain('<Style id="fill-dc2626"><LineStyle><color>ffffffff</color><width>1</width></LineStyle><PolyStyle><color>d92626dc</color></PolyStyle></Style>');
+  });
+});
+
+describe('toShapefileZip', () => {
+  const files = unzipSync(toShapefileZip(municipalities, { name: 'cdd' }));
+
+  it('packages the five shapefile components', () => {
+    expect(Object.keys(files).sort()).toEqual(['cdd.cpg', 'cdd.dbf', 'cdd.prj', 'cdd.shp', 'cdd.shx']);
+    expect(strFromU8(files['cdd.cpg'])).toBe('UTF-8');
+    expect(strFromU8(files['cdd.prj'])).toMatch(/^GEOGCS\["GCS_WGS_1984"/);
+  });
+
+  it('writes the attribute table', () => {
+    const { fields, records, recordLength, lastByte } = readDbf(files['cdd.dbf']);
+
+    expect(fields.map(f => f.name)).toEqual([
+      'ID', 'MUN_CODE', 'MUN_NAME', 'DIST_CODE', 'DIST_NAME', 'PROVINCE',
+      'AREA_KM2', 'INDEX', 'SCENARIO', 'PERIOD', 'VALUE',
+    ]);
+    expect(recordLength).toBe(1 + fields.reduce((sum, f) => sum + f.length, 0));
+    expect(records[0]).toMatchObject({ ID: '1', MUN_CODE: 'WC011', MUN_NAME: 'Matzikama & Co', AREA_KM2: '12981.400', VALUE: '4.500000' });
+    expect(records[1]).toMatchObject({ ID: '2', MUN_CODE: 'WC012', VALUE: '' });
+    expect(lastByte).toBe(0x1a);
+  });
+
+  it('writes polygons with clockwise outer rings and counter-clockwise holes', () => {
+    const shp = new DataView(files['cdd.shp'].buffer, files['cdd.shp'].byteOffset, files['cdd.shp'].byteLength);
+
+    expect(shp.getInt32(0)).toBe(9994);
+    expect(shp.getInt32(24) * 2).toBe(files['cdd.shp'].byteLength);
+    expect(shp.getInt32(32, true)).toBe(5);
+    expect([36, 44, 52, 60].map(offset => shp.getFloat64(offset, true))).toEqual([18, -34, 19, -33]);
+
+    // First record: two parts of five points each
+    expect(shp.getInt32(108, true)).toBe(5);
+    expect(shp.getInt32(144, true)).toBe(2);
+    expect(shp.getInt32(148, true)).toBe(10);
+    const point = (i) => [shp.getFloat64(160 + i * 16, true), shp.getFloat64(168 + i * 16, true)];
+    expect([point(0), point(1)]).toEqual([[18, -34], [18, -33]]);
+    expect([point(5), point(6)]).toEqual([[18.25, -33.75], [18.75, -33.75]]);
+
+    // Second record: null shape
+    expect(shp.getInt32(160 + 10 * 16 + 8, true)).toBe(0);
+    expect(files['cdd.shx'].byteLength).toBe(100 + 8 * 2);
+  });
+
+  it('leaves out the municipality fields of a district layer and adds extra index columns', () => {
+    const districts = {
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        geometry: square,
+        properties: { id: 'DC1', level: 'district', district_code: 'DC1', district_name: 'West Coast', value: 2, prcptot: -4 },
+      }],
+    };
+    const { fields, records } = readDbf(unzipSync(toShapefileZip(districts, { name: 'd', extraCodes: ['prcptot'] }))['d.dbf']);
+
+    expect(fields.map(f => f.name)).not.toContain('ID');
+    expect(fields.map(f => f.name)).not.toContain('MUN_CODE');
+    expect(records[0]).toMatchObject({ DIST_CODE: 'DC1', VALUE: '2.000000', PRCPTOT: '-4.000000' });
+  });
+});
+
+describe('exportGeoLayer', () => {
+  it('writes GeoJSON and TopoJSON with the extra columns', async () => {
+    const extraLayers = [{ code: 'tnn', geojson: { features: [{ properties: { id: 1, value: 0.8 } }] } }];
+
+    const geojson = JSON.parse(await exportGeoLayer({ format: 'geojson', geojson: municipalities, extraLayers, name: 'x' }).text());
+    expect(geojson.features[0].properties.tnn).toBe(0.8);
+
+    const topojson = JSON.parse(await exportGeoLayer({ format: 'topojson', geojson: municipalities, extraLayers, name: 'cdd_layer' }).text());
+    expect(topojson.type).toBe('Topology');
+    expect(topojson.objects.cdd_layer.geometries[0].properties.tnn).toBe(0.8);
+  });
+});
@@ -0,0 +1,510 @@
+import {
+  createMapProjection,
+  getMapMetresPerPixel,
+  getPolygons,
+  getScaleBarLength,
+  drawGeoJSON,
+  drawTitle,
+  drawColorBar,
+  drawScaleBar,
+  drawNorthArrow,
+} from './mapRenderer';
+import { getColorForValue, generateLegendItems } from './colorMapping';
+import { EXPORT_CONFIG, DATA_CITATION } from './constants';
+
+/**
+ * Map Image Export
+ * Composes the current map view (one or more panes) with a title, legend, north arrow,
+ * scale bar and attribution, either on one canvas encoded as PNG or JPEG at a chosen DPI,
+ * or as an SVG document with the same layout for editing in Illustrator/Inkscape.
+ * Everything is drawn from the data and the map extent, so the same view always
+ * produces the same image.
+ */
+
+const SCREEN_DPI = 96;
+
+// SVG layer names of aggregated layers (utils/aggregation.js)
+const FEATURE_LAYER_LABELS = { district: 'Districts', province: 'Provinces' };
+
+// Layout in CSS pixels (multiplied by the DPI scale)
+const PADDING = 16;
+const HEADER_HEIGHT = 56;
+const PANE_GAP = 8;
+const LEGEND_HEIGHT = 64;
+const LEGEND_WIDTH = 360;
+const FOOTER_HEIGHT = 24;
+
+const FONT = "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+
+/**
+ * Fill colour of a feature in a pane: the pane's own fill for categorical maps, its colour scale otherwise
+ * @param {Object} pane - Pane ({colorScale} or {fillFor})
+ * @param {Object} feature - GeoJSON feature
+ * @returns {string} Hex colour
+ */
+const getPaneFill = (pane, feature) => (
+  pane.fillFor ? pane.fillFor(feature) : getColorForValue(feature.properties.value, pane.colorScale)
+);
+
+/**
+ * Draw a legend: category swatches with their labels, class swatches for classed scales,
+ * a colour bar otherwise
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Function} colorScale - Chroma color scale (or classed scale)
+ * @param {Object} box - {x, y, width, title, unit, scale, categories}; categories are {color, label}
+ */
+const drawLegend = (ctx, colorScale, { x, y, width, title, unit, scale, categories = null }) => {
+  ctx.fillStyle = '#0f172a';
+  ctx.font = `bold ${12 * scale}px ${FONT}`;
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  ctx.fillText(title, x, y);
+
+  const barY = y + 20 * scale;
+  const barHeight = 14 * scale;
+
+  if (categories) {
+    let itemX = x;
+    ctx.font = `${10 * scale}px ${FONT}`;
+    ctx.textBaseline = 'middle';
+    categories.forEach(item => {
+      ctx.fillStyle = item.color;
+      ctx.fillRect(itemX, barY, 24 * scale, barHeight);
+      ctx.strokeStyle = '#94a3b8';
+      ctx.lineWidth = scale;
+      ctx.strokeRect(itemX, barY, 24 * scale, barHeight);
+      ctx.fillStyle = '#334155';
+      ctx.fillText(item.label, itemX + 30 * scale, barY + barHeight / 2);
+      itemX += 30 * scale + ctx.measureText(item.label).width + 16 * scale;
+    });
+    ctx.textBaseline = 'top';
+    return;
+  }
+
+  if (!colorScale.breaks) {
+    drawColorBar(ctx, colorScale, { x, y: barY, width, height: barHeight, scale, unit });
+    return;
+  }
+
+  const items = generateLegendItems(colorScale);
+  const swatchWidth = width / items.length;
+
+  items.forEach((item, i) => {
+    ctx.fillStyle = item.color;
+    ctx.fillRect(x + i * swatchWidth, barY, swatchWidth, barHeight);
+  });
+  ctx.strokeStyle = '#94a3b8';
+  ctx.lineWidth = scale;
+  ctx.strokeRect(x, barY, width, barHeight);
+
+  // Class boundaries under the swatches
+  ctx.fillStyle = '#334155';
+  ctx.font = `${10 * scale}px ${FONT}`;
+  colorScale.breaks.forEach((value, i) => {
+    const isLast = i === colorScale.breaks.length - 1;
+    ctx.textAlign = i === 0 ? 'left' : isLast ? 'right' : 'center';
+    const label = `${value.toFixed(2)}${isLast && unit ? ` ${unit}` : ''}`;
+    ctx.fillText(label, x + i * swatchWidth, barY + barHeight + 4 * scale);
+  });
+  ctx.textAlign = 'left';
+};
+
+/**
+ * Render map panes with title, legend, north arrow, scale bar and attribution
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.panes - Panes drawn left to right:
+ *   {map, geojson, colorScale, indexMetadata, label, unit}; the map defines the extent and size,
+ *   unit overrides the index unit (e.g., '%' for percent differences). Categorical maps pass
+ *   fillFor (feature => colour), legendCategories ({color, label}) and legendTitle instead of a colour scale
+ * @param {Array<string>} options.titleLines - Title lines (first line bold)
+ * @param {number} options.dpi - Output resolution (96 = screen size)
+ * @param {string} options.attribution - Attribution text in the footer
+ * @returns {HTMLCanvasElement} Composed image
+ */
+export function renderMapImage({
+  panes,
+  titleLines = [],
+  dpi = EXPORT_CONFIG.imageDpi,
+  attribution = DATA_CITATION.short,
+}) {
+  const scale = dpi / SCREEN_DPI;
+  const sizes = panes.map(pane => pane.map.getSize());
+  const paneHeight = Math.max(...sizes.map(size => size.y));
+
+  // One legend when all panes share a scale, otherwise one under each pane
+  const sharedLegend = panes.every(pane => pane.colorScale === panes[0].colorScale);
+
+  const width = PADDING * 2 + sizes.reduce((sum, size) => sum + size.x, 0) + PANE_GAP * (panes.length - 1);
+  const height = PADDING + HEADER_HEIGHT + paneHeight + LEGEND_HEIGHT + FOOTER_HEIGHT;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  drawTitle(ctx, titleLines, { x: PADDING * scale, y: PADDING * scale, scale });
+
+  let offsetX = PADDING;
+  const offsetY = PADDING + HEADER_HEIGHT;
+
+  panes.forEach((pane, i) => {
+    const { x: paneWidth, y: paneHeightPx } = sizes[i];
+    const left = offsetX * scale;
+    const top = offsetY * scale;
+    const right = left + paneWidth * scale;
+    const bottom = top + paneHeightPx * scale;
+
+    // Map
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, paneWidth * scale, paneHeightPx * scale);
+    ctx.clip();
+    ctx.fillStyle = '#f0f4f8';
+    ctx.fillRect(left, top, paneWidth * scale, paneHeightPx * scale);
+
+    const project = createMapProjection(pane.map, scale);
+    drawGeoJSON(ctx, pane.geojson, (lng, lat) => {
+      const [x, y] = project(lng, lat);
+      return [x + left, y + top];
+    }, {
+      fillFor: (feature) => getPaneFill(pane, feature),
+      lineWidth: 0.75 * scale,
+    });
+    ctx.restore();
+
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.lineWidth = scale;
+    ctx.strokeRect(left, top, paneWidth * scale, paneHeightPx * scale);
+
+    // Pane label
+    if (pane.label) {
+      ctx.font = `bold ${12 * scale}px ${FONT}`;
+      const labelWidth = ctx.measureText(pane.label).width;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.fillRect(left + 8 * scale, top + 8 * scale, labelWidth + 16 * scale, 24 * scale);
+      ctx.fillStyle = '#0f172a';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(pane.label, left + 16 * scale, top + 20 * scale);
+    }
+
+    // North arrow and scale bar
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect(right - 40 * scale, top + 8 * scale, 32 * scale, 52 * scale);
+    drawNorthArrow(ctx, { x: right - 24 * scale, y: top + 12 * scale, size: 28, scale });
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect(left + 8 * scale, bottom - 36 * scale, 136 * scale, 28 * scale);
+    drawScaleBar(ctx, getMapMetresPerPixel(pane.map, scale), {
+      x: left + 16 * scale,
+      y: bottom - 14 * scale,
+      maxWidth: 120 * scale,
+      scale,
+    });
+
+    // Legend
+    if (!sharedLegend || i === 0) {
+      const unit = pane.unit ?? pane.indexMetadata?.unit;
+      drawLegend(ctx, pane.colorScale, {
+        x: left,
+        y: bottom + 10 * scale,
+        width: Math.min(LEGEND_WIDTH, paneWidth) * scale,
+        title: pane.legendTitle || `${pane.indexMetadata?.code?.toUpperCase() || ''}${unit ? ` (${unit})` : ''}`,
+        unit,
+        scale,
+        categories: pane.legendCategories,
+      });
+    }
+
+    offsetX += paneWidth + PANE_GAP;
+  });
+
+  // Footer
+  ctx.font = `${10 * scale}px ${FONT}`;
+  ctx.fillStyle = '#475569';
+  ctx.textBaseline = 'bottom';
+  ctx.textAlign = 'left';
+  ctx.fillText(attribution, PADDING * scale, canvas.height - 8 * scale);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${dpi} dpi · ${new Date().toISOString().slice(0, 10)}`, canvas.width - PADDING * scale, canvas.height - 8 * scale);
+  ctx.textAlign = 'left';
+
+  return canvas;
+}
+
+// CRC-32 table for PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  bytes.forEach(byte => {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Record the DPI in the image header (PNG pHYs chunk, JPEG JFIF density),
+ * so print and layout software place the image at its intended size
+ * @param {Blob} blob - PNG or JPEG produced by canvas.toBlob
+ * @param {number} dpi - Resolution in dots per inch
+ * @returns {Promise<Blob>} Image with resolution metadata
+ */
+export async function setImageResolution(blob, dpi) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+
+  if (blob.type === 'image/png') {
+    // pHYs goes right after the IHDR chunk (8-byte signature + 25-byte IHDR)
+    const pixelsPerMetre = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+    view.setUint32(8, pixelsPerMetre);
+    view.setUint32(12, pixelsPerMetre);
+    chunk[16] = 1; // unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+    return new Blob([bytes.subarray(0, 33), chunk, bytes.subarray(33)], { type: blob.type });
+  }
+
+  const isJfif = bytes[2] === 0xff && bytes[3] === 0xe0 &&
+    String.fromCharCode(...bytes.subarray(6, 10)) === 'JFIF';
+  if (blob.type === 'image/jpeg' && isJfif) {
+    const view = new DataView(bytes.buffer);
+    bytes[13] = 1; // density unit: dots per inch
+    view.setUint16(14, dpi);
+    view.setUint16(16, dpi);
+    return new Blob([bytes], { type: blob.type });
+  }
+
+  return blob;
+}
+
+/**
+ * Escape text for SVG content and attributes
+ * @param {*} value - Text
+ * @returns {string}
+ */
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build an XML id from text (ids must start with a letter)
+ * @param {string} value - Text such as a municipality code
+ * @returns {string}
+ */
+const toSvgId = (value) => {
+  const id = String(value ?? '').replace(/[^A-Za-z0-9_-]+/g, '_');
+  return /^[A-Za-z_]/.test(id) ? id : `_${id}`;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * SVG path data of a GeoJSON geometry
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @param {Function} project - (lng, lat) => [x, y]
+ * @returns {string} Path data
+ */
+const geometryToPath = (geometry, project) => getPolygons(geometry)
+  .flatMap(polygon => polygon.map(ring => {
+    const points = ring.map(([lng, lat]) => project(lng, lat).map(round).join(','));
+    return `M${points.join('L')}Z`;
+  }))
+  .join('');
+
+/**
+ * SVG legend: category swatches, class swatches for classed scales, a gradient bar otherwise
+ * @returns {string} SVG group
+ */
+const svgLegend = (colorScale, { id, x, y, width, title, unit, categories = null }) => {
+  const barY = y + 20;
+  const barHeight = 14;
+  const labelY = barY + barHeight + 14;
+  const parts = [`<text x="${x}" y="${y + 12}" font-size="12" font-weight="bold" fill="#0f172a">${escapeXml(title)}</text>`];
+
+  if (categories) {
+    let itemX = x;
+    categories.forEach(item => {
+      parts.push(`<rect x="${itemX}" y="${barY}" width="24" height="${barHeight}" fill="${item.color}" stroke="#94a3b8"/>`);
+      parts.push(`<text x="${itemX + 30}" y="${barY + 11}" font-size="10" fill="#334155">${escapeXml(item.label)}</text>`);
+      // Label width estimated at 6px per character
+      itemX += 30 + item.label.length * 6 + 16;
+    });
+    return `<g id="${id}" inkscape:groupmode="layer" inkscape:label="Legend">${parts.join('')}</g>`;
+  }
+
+  if (colorScale.breaks) {
+    const items = generateLegendItems(colorScale);
+    const swatchWidth = width / items.length;
+
+    items.forEach((item, i) => {
+      parts.push(`<rect x="${round(x + i * swatchWidth)}" y="${barY}" width="${round(swatchWidth)}" height="${barHeight}" fill="${item.color}"><title>${escapeXml(item.label)}</title></rect>`);
+    });
+    colorScale.breaks.forEach((value, i) => {
+      const isLast = i === colorScale.breaks.length - 1;
+      const anchor = i === 0 ? 'start' : isLast ? 'end' : 'middle';
+      const label = `${value.toFixed(2)}${isLast && unit ? ` ${unit}` : ''}`;
+      parts.push(`<text x="${round(x + i * swatchWidth)}" y="${labelY}" font-size="10" text-anchor="${anchor}" fill="#334155">${escapeXml(label)}</text>`);
+    });
+  } else {
+    const domain = colorScale.domain();
+    const min = domain[0];
+    const max = domain[domain.length - 1];
+    const stops = Array.from({ length: 21 }, (_, i) => (
+      `<stop offset="${i * 5}%" stop-color="${colorScale(min + ((max - min) * i) / 20).hex()}"/>`
+    ));
+
+    parts.push(`<defs><linearGradient id="${id}-gradient">${stops.join('')}</linearGradient></defs>`);
+    parts.push(`<rect x="${x}" y="${barY}" width="${width}" height="${barHeight}" fill="url(#${id}-gradient)"/>`);
+    parts.push(`<text x="${x}" y="${labelY}" font-size="10" fill="#334155">${min.toFixed(2)}</text>`);
+    parts.push(`<text x="${x + width / 2}" y="${labelY}" font-size="10" text-anchor="middle" fill="#334155">${((min + max) / 2).toFixed(2)}</text>`);
+    parts.push(`<text x="${x + width}" y="${labelY}" font-size="10" text-anchor="end" fill="#334155">${escapeXml(`${max.toFixed(2)}${unit ? ` ${unit}` : ''}`)}</text>`);
+  }
+
+  parts.push(`<rect x="${x}" y="${barY}" width="${width}" height="${barHeight}" fill="none" stroke="#94a3b8"/>`);
+  return `<g id="${id}" inkscape:groupmode="layer" inkscape:label="Legend">${parts.join('')}</g>`;
+};
+
+/**
+ * Render map panes as an SVG document (vector version of renderMapImage)
+ *
+ * Each municipality (district, province) is a group whose id and layer label are its code,
+ * holding a path filled with getColorForValue. Legends, north arrows and scale bars are vector too.
+ * With several panes, municipality ids are prefixed with the pane letter (A_, B_, ...).
+ *
+ * @param {Object} options - Same as renderMapImage (without dpi)
+ * @returns {string} SVG document
+ *
+ * @example
+ * const svg = renderMapSvg({ panes: [{ map, geojson, colorScale, indexMetadata }], titleLines: ['CDD'] });
+ * downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'cdd.svg');
+ */
+export function renderMapSvg({ panes, titleLines = [], attribution = DATA_CITATION.short }) {
+  const sizes = panes.map(pane => pane.map.getSize());
+  const paneHeight = Math.max(...sizes.map(size => size.y));
+  const sharedLegend = panes.every(pane => pane.colorScale === panes[0].colorScale);
+
+  const width = PADDING * 2 + sizes.reduce((sum, size) => sum + size.x, 0) + PANE_GAP * (panes.length - 1);
+  const height = PADDING + HEADER_HEIGHT + paneHeight + LEGEND_HEIGHT + FOOTER_HEIGHT;
+
+  const title = titleLines.filter(Boolean).map((line, i) => (
+    `<text x="${PADDING}" y="${PADDING + 16 + i * 22}" font-size="${i === 0 ? 18 : 13}"${i === 0 ? ' font-weight="bold"' : ''} fill="#0f172a">${escapeXml(line)}</text>`
+  ));
+
+  let offsetX = PADDING;
+  const top = PADDING + HEADER_HEIGHT;
+
+  const paneGroups = panes.map((pane, i) => {
+    const { x: paneWidth, y: paneHeightPx } = sizes[i];
+    const left = offsetX;
+    const right = left + paneWidth;
+    const bottom = top + paneHeightPx;
+    const prefix = panes.length > 1 ? `${String.fromCharCode(65 + i)}_` : '';
+    const paneId = `pane-${String.fromCharCode(97 + i)}`;
+
+    const project = createMapProjection(pane.map);
+    const offsetProject = (lng, lat) => {
+      const [x, y] = project(lng, lat);
+      return [x + left, y + top];
+    };
+
+    const municipalities = (pane.geojson?.features || []).map(feature => {
+      const props = feature.properties;
+      const code = props.municipality_code || props.id;
+      const value = props.value === null || props.value === undefined ? 'N/A' : props.value.toFixed(2);
+
+      return `<g id="${toSvgId(`${prefix}${code}`)}" inkscape:groupmode="layer" inkscape:label="${escapeXml(code)}">` +
+        `<title>${escapeXml(`${props.municipality_name || props.name || code}: ${value}`)}</title>` +
+        `<path d="${geometryToPath(feature.geometry, offsetProject)}" fill="${getPaneFill(pane, feature)}" fill-opacity="0.85" fill-rule="evenodd" stroke="#ffffff" stroke-width="0.75"/>` +
+        '</g>';
+    });
+
+    const scaleBar = getScaleBarLength(getMapMetresPerPixel(pane.map), 120);
+    const scaleX = left + 16;
+    const scaleY = bottom - 14;
+    const unit = pane.unit ?? pane.indexMetadata?.unit;
+
+    const furniture = [
+      pane.label && `<g id="${paneId}-label"><rect x="${left + 8}" y="${top + 8}" width="${pane.label.length * 7 + 16}" height="24" fill="#ffffff" fill-opacity="0.9"/>` +
+        `<text x="${left + 16}" y="${top + 24}" font-size="12" font-weight="bold" fill="#0f172a">${escapeXml(pane.label)}</text></g>`,
+      `<g id="${paneId}-north-arrow"><rect x="${right - 40}" y="${top + 8}" width="32" height="52" fill="#ffffff" fill-opacity="0.9"/>` +
+        `<text x="${right - 24}" y="${top + 23}" font-size="12" font-weight="bold" text-anchor="middle" fill="#0f172a">N</text>` +
+        `<path d="M${right - 24},${top + 26}L${right - 33.8},${top + 54}L${right - 24},${top + 47}Z" fill="#0f172a"/>` +
+        `<path d="M${right - 24},${top + 26}L${right - 14.2},${top + 54}L${right - 24},${top + 47}Z" fill="#ffffff" stroke="#0f172a"/></g>`,
+      `<g id="${paneId}-scale-bar"><rect x="${left + 8}" y="${bottom - 36}" width="136" height="28" fill="#ffffff" fill-opacity="0.9"/>` +
+        `<path d="M${scaleX},${scaleY - 6}V${scaleY}H${round(scaleX + scaleBar.width)}V${scaleY - 6}" fill="none" stroke="#0f172a" stroke-width="2"/>` +
+        `<text x="${round(scaleX + scaleBar.width / 2)}" y="${scaleY - 4}" font-size="11" text-anchor="middle" fill="#0f172a">${scaleBar.label}</text></g>`,
+      (!sharedLegend || i === 0) && svgLegend(pane.colorScale, {
+        id: `${paneId}-legend`,
+        x: left,
+        y: bottom + 10,
+        width: Math.min(LEGEND_WIDTH, paneWidth),
+        title: pane.legendTitle || `${pane.indexMetadata?.code?.toUpperCase() || ''}${unit ? ` (${unit})` : ''}`,
+        unit,
+        categories: pane.legendCategories,
+      }),
+    ].filter(Boolean);
+
+    offsetX += paneWidth + PANE_GAP;
+
+    return `<g id="${paneId}" inkscape:groupmode="layer" inkscape:label="${escapeXml(pane.label || 'Map')}">` +
+      `<defs><clipPath id="${paneId}-clip"><rect x="${left}" y="${top}" width="${paneWidth}" height="${paneHeightPx}"/></clipPath></defs>` +
+      `<rect x="${left}" y="${top}" width="${paneWidth}" height="${paneHeightPx}" fill="#f0f4f8" stroke="#cbd5e1"/>` +
+      `<g id="${paneId}-municipalities" inkscape:groupmode="layer" inkscape:label="${FEATURE_LAYER_LABELS[pane.geojson?.features?.[0]?.properties.level] || 'Municipalities'}" clip-path="url(#${paneId}-clip)">\n${municipalities.join('\n')}\n</g>` +
+      `${furniture.join('\n')}</g>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<g id="title" inkscape:groupmode="layer" inkscape:label="Title">${title.join('')}</g>`,
+    ...paneGroups,
+    `<g id="attribution" inkscape:groupmode="layer" inkscape:label="Attribution">` +
+      `<text x="${PADDING}" y="${height - 8}" font-size="10" fill="#475569">${escapeXml(attribution)}</text></g>`,
+    '</svg>',
+  ].join('\n');
+}
+
+/**
+ * Render and encode a map image
+ * @param {Object} options - See renderMapImage, plus:
+ * @param {string} options.format - 'png', 'jpeg' or 'svg' (vector, the DPI does not apply)
+ * @returns {Promise<Blob>} Encoded image
+ *
+ * @example
+ * const blob = await exportMapImage({ panes: [{ map, geojson, colorScale, indexMetadata }], dpi: 300, format: 'png' });
+ * downloadBlob(blob, buildFilename(['cdd', 'ssp245'], 'png'));
+ */
+export async function exportMapImage({ format = EXPORT_CONFIG.imageFormat, ...options }) {
+  if (format === 'svg') {
+    return new Blob([renderMapSvg(options)], { type: 'image/svg+xml' });
+  }
+
+  const canvas = renderMapImage(options);
+  const type = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      result => (result ? resolve(result) : reject(new Error('Image is too large for this browser'))),
+      type,
+      EXPORT_CONFIG.imageQuality
+    );
+  });
+
+  return setImageResolution(blob, options.dpi ?? EXPORT_CONFIG.imageDpi);
+}
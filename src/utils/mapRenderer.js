@@ -0,0 +1,302 @@
+/**
+ * Map Canvas Renderer
+ * Draws municipality GeoJSON and map furniture (titles, colour bars, scale bars, north arrows) onto a 2D canvas.
+ * Used for animation frames and exports, independently of the Leaflet DOM.
+ */
+
+/**
+ * Create a projection function from the current Leaflet map view
+ * @param {Object} map - Leaflet map instance
+ * @param {number} scale - Pixel scale factor (e.g., 2 for double resolution)
+ * @returns {Function} (lng, lat) => [x, y] in canvas pixels
+ */
+export function createMapProjection(map, scale = 1) {
+  return (lng, lat) => {
+    const point = map.latLngToContainerPoint([lat, lng]);
+    return [point.x * scale, point.y * scale];
+  };
+}
+
+const EARTH_RADIUS_M = 6378137;
+
+// Web Mercator y (radians) of a latitude in degrees
+const mercatorY = (lat) => Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI) / 360));
+
+/**
+ * Create a Web Mercator projection that fits bounds into a canvas (same projection as the map tiles)
+ * @param {Array} bounds - [[south, west], [north, east]]
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {number} padding - Empty margin in pixels
+ * @returns {Function} (lng, lat) => [x, y] in canvas pixels, with a metresPerPixel property
+ */
+export function createBoundsProjection(bounds, width, height, padding = 0) {
+  const [[south, west], [north, east]] = bounds;
+  const x0 = (west * Math.PI) / 180;
+  const x1 = (east * Math.PI) / 180;
+  const y0 = mercatorY(south);
+  const y1 = mercatorY(north);
+
+  const scale = Math.min(
+    (width - 2 * padding) / (x1 - x0 || 1e-6),
+    (height - 2 * padding) / (y1 - y0 || 1e-6)
+  );
+  const offsetX = (width - (x1 - x0) * scale) / 2;
+  const offsetY = (height - (y1 - y0) * scale) / 2;
+
+  const project = (lng, lat) => [
+    offsetX + ((lng * Math.PI) / 180 - x0) * scale,
+    offsetY + (y1 - mercatorY(lat)) * scale,
+  ];
+
+  // Ground resolution at the centre latitude
+  const centreLat = (south + north) / 2;
+  project.metresPerPixel = (EARTH_RADIUS_M * Math.cos((centreLat * Math.PI) / 180)) / scale;
+
+  return project;
+}
+
+/**
+ * Ground resolution of the current Leaflet map view at its centre
+ * @param {Object} map - Leaflet map instance
+ * @param {number} scale - Pixel scale factor used when rendering
+ * @returns {number} Metres per canvas pixel
+ */
+export function getMapMetresPerPixel(map, scale = 1) {
+  const lat = map.getCenter().lat;
+  const worldMetres = 2 * Math.PI * EARTH_RADIUS_M * Math.cos((lat * Math.PI) / 180);
+  return worldMetres / (256 * 2 ** map.getZoom()) / scale;
+}
+
+/**
+ * Get the bounding box of GeoJSON features
+ * @param {Array} features - GeoJSON features
+ * @returns {Array|null} [[south, west], [north, east]], or null without coordinates
+ */
+export function getFeatureBounds(features) {
+  let south = Infinity;
+  let west = Infinity;
+  let north = -Infinity;
+  let east = -Infinity;
+
+  features.forEach(feature => {
+    getPolygons(feature.geometry).forEach(polygon => {
+      polygon.forEach(ring => {
+        ring.forEach(([lng, lat]) => {
+          south = Math.min(south, lat);
+          north = Math.max(north, lat);
+          west = Math.min(west, lng);
+          east = Math.max(east, lng);
+        });
+      });
+    });
+  });
+
+  return Number.isFinite(south) ? [[south, west], [north, east]] : null;
+}
+
+/**
+ * Get the polygons (arrays of rings) of a GeoJSON geometry
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Array} Array of polygons, each an array of rings
+ */
+export function getPolygons(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+/**
+ * Trace a GeoJSON geometry as a canvas path
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @param {Function} project - (lng, lat) => [x, y]
+ */
+export function traceGeometry(ctx, geometry, project) {
+  getPolygons(geometry).forEach(polygon => {
+    polygon.forEach(ring => {
+      ring.forEach(([lng, lat], i) => {
+        const [x, y] = project(lng, lat);
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.closePath();
+    });
+  });
+}
+
+/**
+ * Draw every feature of a GeoJSON FeatureCollection
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {Function} project - (lng, lat) => [x, y]
+ * @param {Object} options - Drawing options
+ * @param {Function} options.fillFor - (feature) => fill colour
+ * @param {string} options.stroke - Outline colour (default: white, like DEFAULT_STYLE)
+ * @param {number} options.lineWidth - Outline width in pixels
+ * @param {number} options.fillOpacity - Fill opacity (0-1)
+ */
+export function drawGeoJSON(ctx, geojson, project, {
+  fillFor,
+  stroke = '#ffffff',
+  lineWidth = 1,
+  fillOpacity = 0.85,
+} = {}) {
+  if (!geojson?.features) return;
+
+  geojson.features.forEach(feature => {
+    ctx.beginPath();
+    traceGeometry(ctx, feature.geometry, project);
+
+    ctx.globalAlpha = fillOpacity;
+    ctx.fillStyle = fillFor ? fillFor(feature) : '#cccccc';
+    ctx.fill('evenodd');
+
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+  });
+}
+
+/**
+ * Draw a title block (first line bold, following lines regular)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<string>} lines - Text lines
+ * @param {Object} position - {x, y, scale}
+ */
+export function drawTitle(ctx, lines, { x, y, scale = 1 }) {
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#0f172a';
+
+  let offsetY = y;
+  lines.filter(Boolean).forEach((line, i) => {
+    const size = (i === 0 ? 18 : 13) * scale;
+    ctx.font = `${i === 0 ? 'bold ' : ''}${size}px system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif`;
+    ctx.fillText(line, x, offsetY);
+    offsetY += size * 1.35;
+  });
+}
+
+/**
+ * Draw a horizontal colour bar for a chroma scale with min/centre/max labels
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Function} colorScale - Chroma color scale function
+ * @param {Object} box - {x, y, width, height, scale, unit}
+ */
+export function drawColorBar(ctx, colorScale, { x, y, width, height, scale = 1, unit = '' }) {
+  const domain = colorScale.domain();
+  const min = domain[0];
+  const max = domain[domain.length - 1];
+
+  // Gradient sampled from the scale so non-linear modes (lab) are reproduced
+  const gradient = ctx.createLinearGradient(x, 0, x + width, 0);
+  const stops = 20;
+  for (let i = 0; i <= stops; i++) {
+    gradient.addColorStop(i / stops, colorScale(min + ((max - min) * i) / stops).hex());
+  }
+
+  ctx.fillStyle = gradient;
+  ctx.fillRect(x, y, width, height);
+  ctx.strokeStyle = '#94a3b8';
+  ctx.lineWidth = scale;
+  ctx.strokeRect(x, y, width, height);
+
+  ctx.fillStyle = '#334155';
+  ctx.font = `${11 * scale}px system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif`;
+  ctx.textBaseline = 'top';
+  const labelY = y + height + 4 * scale;
+
+  ctx.textAlign = 'left';
+  ctx.fillText(min.toFixed(2), x, labelY);
+  ctx.textAlign = 'center';
+  ctx.fillText(((min + max) / 2).toFixed(2), x + width / 2, labelY);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${max.toFixed(2)}${unit ? ` ${unit}` : ''}`, x + width, labelY);
+  ctx.textAlign = 'left';
+}
+
+/**
+ * Pick a round scale bar distance (1, 2 or 5 x 10^n metres or kilometres)
+ * @param {number} metresPerPixel - Ground resolution of the drawing
+ * @param {number} maxWidth - Longest allowed bar in pixels
+ * @returns {Object} {width, label} - Bar length in pixels and its label (e.g., "50 km")
+ */
+export function getScaleBarLength(metresPerPixel, maxWidth) {
+  const maxMetres = maxWidth * metresPerPixel;
+  const magnitude = 10 ** Math.floor(Math.log10(maxMetres));
+  const metres = [5, 2, 1].map(step => step * magnitude).find(d => d <= maxMetres);
+
+  return {
+    width: metres / metresPerPixel,
+    label: metres >= 1000 ? `${metres / 1000} km` : `${metres} m`,
+  };
+}
+
+/**
+ * Draw a scale bar with a round distance (see getScaleBarLength)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} metresPerPixel - Ground resolution of the drawing
+ * @param {Object} box - {x, y, maxWidth, scale}; (x, y) is the bottom-left of the bar
+ */
+export function drawScaleBar(ctx, metresPerPixel, { x, y, maxWidth = 120, scale = 1 }) {
+  const { width, label } = getScaleBarLength(metresPerPixel, maxWidth);
+
+  ctx.strokeStyle = '#0f172a';
+  ctx.lineWidth = 2 * scale;
+  ctx.beginPath();
+  ctx.moveTo(x, y - 6 * scale);
+  ctx.lineTo(x, y);
+  ctx.lineTo(x + width, y);
+  ctx.lineTo(x + width, y - 6 * scale);
+  ctx.stroke();
+
+  ctx.fillStyle = '#0f172a';
+  ctx.font = `${11 * scale}px system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(label, x + width / 2, y - 3 * scale);
+  ctx.textAlign = 'left';
+}
+
+/**
+ * Draw a north arrow (maps are north-up Web Mercator)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} position - {x, y, size, scale}; (x, y) is the arrow tip
+ */
+export function drawNorthArrow(ctx, { x, y, size = 28, scale = 1 }) {
+  const height = size * scale;
+  const halfWidth = height * 0.35;
+  const labelSize = 12 * scale;
+  const tipY = y + labelSize + 2 * scale;
+
+  ctx.fillStyle = '#0f172a';
+  ctx.font = `bold ${labelSize}px system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText('N', x, y);
+
+  // Left half dark, right half light
+  ctx.beginPath();
+  ctx.moveTo(x, tipY);
+  ctx.lineTo(x - halfWidth, tipY + height);
+  ctx.lineTo(x, tipY + height * 0.75);
+  ctx.closePath();
+  ctx.fill();
+
+  ctx.fillStyle = '#ffffff';
+  ctx.strokeStyle = '#0f172a';
+  ctx.lineWidth = scale;
+  ctx.beginPath();
+  ctx.moveTo(x, tipY);
+  ctx.lineTo(x + halfWidth, tipY + height);
+  ctx.lineTo(x, tipY + height * 0.75);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+  ctx.textAlign = 'left';
+}
@@ -0,0 +1,212 @@
+import chroma from 'chroma-js';
+
+/**
+ * Palette Registry
+ * Colour ramps for the choropleth: the API's ColorBrewer schemes, colour-blind-safe
+ * alternatives, viridis-family sequential ramps and user-defined palettes (saved locally),
+ * plus colour-vision-deficiency (CVD) simulation.
+ *
+ * Colours run from the negative end to the positive end of the anomaly range, in the
+ * orientation of RdBu_r (blue → red). For indices whose API scheme is flipped (BuRd),
+ * override palettes are flipped the same way so each end keeps its meaning.
+ */
+
+/**
+ * Palette definitions
+ * - group: 'api' (API color_scheme values), 'colorblind', 'diverging' or 'sequential'
+ * - colorBlindSafe: distinguishable with the common colour vision deficiencies (ColorBrewer / viridis)
+ */
+export const PALETTES = {
+  // API schemes (see getColorScale)
+  'RdBu_r': { label: 'Red-Blue (RdBu_r)', group: 'api', colors: ['#2166ac', '#f7f7f7', '#b2182b'] },
+  'BuRd': { label: 'Blue-Red (BuRd)', group: 'api', colors: ['#b2182b', '#f7f7f7', '#2166ac'], reversed: true },
+  'RdBu': { label: 'Red-Blue (RdBu)', group: 'api', colors: ['#2166ac', '#f7f7f7', '#b2182b'] },
+
+  // Colour-blind-safe diverging (ColorBrewer)
+  'PuOr': { label: 'Purple-Orange (PuOr)', group: 'colorblind', colorBlindSafe: true, colors: ['#5e3c99', '#b2abd2', '#f7f7f7', '#fdb863', '#e66101'] },
+  'BrBG': { label: 'Teal-Brown (BrBG)', group: 'colorblind', colorBlindSafe: true, colors: ['#018571', '#80cdc1', '#f5f5f5', '#dfc27d', '#a6611a'] },
+  'PiYG': { label: 'Green-Pink (PiYG)', group: 'colorblind', colorBlindSafe: true, colors: ['#4dac26', '#b8e186', '#f7f7f7', '#f1b6da', '#d01c8b'] },
+  'PRGn': { label: 'Green-Purple (PRGn)', group: 'colorblind', colorBlindSafe: true, colors: ['#008837', '#a6dba0', '#f7f7f7', '#c2a5cf', '#7b3294'] },
+  'RdYlBu': { label: 'Blue-Yellow-Red (RdYlBu)', group: 'colorblind', colorBlindSafe: true, colors: ['#2c7bb6', '#abd9e9', '#ffffbf', '#fdae61', '#d7191c'] },
+
+  // Other diverging
+  'Spectral': { label: 'Spectral', group: 'diverging', colors: ['#2b83ba', '#abdda4', '#ffffbf', '#fdae61', '#d7191c'] },
+  'RdYlGn': { label: 'Green-Yellow-Red (RdYlGn)', group: 'diverging', colors: ['#1a9641', '#a6d96a', '#ffffbf', '#fdae61', '#d7191c'] },
+
+  // Sequential (viridis family, perceptually uniform and colour-blind safe)
+  'viridis': { label: 'Viridis', group: 'sequential', colorBlindSafe: true, colors: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] },
+  'cividis': { label: 'Cividis', group: 'sequential', colorBlindSafe: true, colors: ['#00204d', '#414d6b', '#7c7b78', '#bcaf6f', '#ffea46'] },
+  'magma': { label: 'Magma', group: 'sequential', colorBlindSafe: true, colors: ['#000004', '#51127c', '#b73779', '#fc8961', '#fcfdbf'] },
+  'plasma': { label: 'Plasma', group: 'sequential', colorBlindSafe: true, colors: ['#0d0887', '#7e03a8', '#cc4778', '#f89540', '#f0f921'] },
+  'inferno': { label: 'Inferno', group: 'sequential', colorBlindSafe: true, colors: ['#000004', '#56106e', '#bb3754', '#f98e09', '#fcffa4'] },
+};
+
+// Palette groups in selector order
+export const PALETTE_GROUPS = [
+  { value: 'colorblind', label: 'Colour-blind safe (diverging)' },
+  { value: 'sequential', label: 'Sequential (viridis family)' },
+  { value: 'diverging', label: 'Other diverging' },
+  { value: 'api', label: 'API schemes' },
+];
+
+// Fallback when the API sends a scheme that is not in the registry
+export const DEFAULT_PALETTE = 'RdBu_r';
+
+// localStorage key for user-defined palettes
+const CUSTOM_PALETTES_STORAGE_KEY = 'climate-risk-tool.customPalettes';
+
+// Unknown API schemes already reported (warn once per scheme, not per render)
+const warnedSchemes = new Set();
+
+/**
+ * Resolve a palette name to its colours
+ * Accepts registry ids, custom palette ids and any registry id with a "_r" suffix (reversed)
+ * @param {string} name - Palette id (e.g., 'PuOr', 'viridis_r', 'custom-1700000000000')
+ * @param {Array} customPalettes - User-defined palettes [{id, label, colors}]
+ * @returns {Array<string>|null} Colours, or null if the palette is unknown
+ */
+export const resolvePaletteColors = (name, customPalettes = []) => {
+  if (!name) return null;
+  if (PALETTES[name]) return PALETTES[name].colors;
+
+  const custom = customPalettes.find(p => p.id === name);
+  if (custom) return custom.colors;
+
+  if (name.endsWith('_r') && PALETTES[name.slice(0, -2)]) {
+    return [...PALETTES[name.slice(0, -2)].colors].reverse();
+  }
+
+  return null;
+};
+
+/**
+ * Get the colours for an API color_scheme, warning (once) about unknown schemes
+ * @param {string} colorScheme - color_scheme from the index metadata
+ * @returns {Array<string>} Colours
+ */
+export const getSchemeColors = (colorScheme) => {
+  const colors = resolvePaletteColors(colorScheme);
+  if (colors) return colors;
+
+  if (colorScheme && !warnedSchemes.has(colorScheme)) {
+    warnedSchemes.add(colorScheme);
+    console.warn(`Unknown color_scheme "${colorScheme}", falling back to ${DEFAULT_PALETTE}`);
+  }
+  return PALETTES[DEFAULT_PALETTE].colors;
+};
+
+/**
+ * Whether a palette is a sequential ramp (viridis family), used whole for absolute values
+ * Diverging palettes only lend their half from the neutral midpoint (see getColorScale)
+ * @param {string} name - Palette id, with an optional "_r" suffix (reversed)
+ * @returns {boolean}
+ *
+ * @example
+ * isSequentialPalette('magma_r') // true
+ */
+export const isSequentialPalette = (name) => {
+  if (!name) return false;
+  const palette = PALETTES[name] || (name.endsWith('_r') ? PALETTES[name.slice(0, -2)] : null);
+  return palette?.group === 'sequential';
+};
+
+/**
+ * Orient an override palette for an index
+ * Flipped API schemes (BuRd: positive = better) flip the override too
+ * @param {Array<string>} colors - Palette colours (RdBu_r orientation)
+ * @param {string} colorScheme - color_scheme from the index metadata
+ * @returns {Array<string>} Colours in the index's orientation
+ */
+export const orientPalette = (colors, colorScheme) => {
+  return PALETTES[colorScheme]?.reversed ? [...colors].reverse() : colors;
+};
+
+/**
+ * Load user-defined palettes from localStorage
+ * @returns {Array} Palettes [{id, label, colors}]
+ */
+export const loadCustomPalettes = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_PALETTES_STORAGE_KEY) || '[]');
+    return Array.isArray(stored)
+      ? stored.filter(p => p?.id && Array.isArray(p.colors) && p.colors.every(c => chroma.valid(c)))
+      : [];
+  } catch (error) {
+    console.error('Error loading custom palettes:', error);
+    return [];
+  }
+};
+
+/**
+ * Save user-defined palettes to localStorage
+ * @param {Array} palettes - Palettes [{id, label, colors}]
+ */
+export const saveCustomPalettes = (palettes) => {
+  try {
+    localStorage.setItem(CUSTOM_PALETTES_STORAGE_KEY, JSON.stringify(palettes));
+  } catch (error) {
+    console.error('Error saving custom palettes:', error);
+  }
+};
+
+/**
+ * Colour vision deficiency simulations
+ * Matrices from Machado, Oliveira & Fernandes (2009), severity 1.0, applied in linear RGB
+ */
+export const CVD_SIMULATIONS = [
+  { value: 'none', label: 'Normal vision' },
+  {
+    value: 'protanopia',
+    label: 'Protanopia (red-blind)',
+    matrix: [0.152286, 1.052583, -0.204868, 0.114503, 0.786281, 0.099216, -0.003882, -0.048116, 1.051998],
+  },
+  {
+    value: 'deuteranopia',
+    label: 'Deuteranopia (green-blind)',
+    matrix: [0.367322, 0.860646, -0.227968, 0.280085, 0.672501, 0.047413, -0.011820, 0.042940, 0.968881],
+  },
+  {
+    value: 'tritanopia',
+    label: 'Tritanopia (blue-blind)',
+    matrix: [1.255528, -0.076749, -0.178779, -0.078411, 0.930809, 0.147602, 0.004733, 0.691367, 0.303900],
+  },
+];
+
+/**
+ * CSS filter value for a CVD simulation (SVG filters from components/Common/ColorVisionFilters)
+ * @param {string} type - CVD_SIMULATIONS value
+ * @returns {string|undefined} CSS filter, or undefined for normal vision
+ *
+ * @example
+ * getColorVisionFilter('protanopia') // 'url(#cvd-protanopia)'
+ */
+export const getColorVisionFilter = (type) => {
+  return type && type !== 'none' ? `url(#cvd-${type})` : undefined;
+};
+
+/**
+ * Simulate how a colour is seen with a colour vision deficiency
+ * @param {string} color - Any chroma-parsable colour
+ * @param {string} type - CVD_SIMULATIONS value
+ * @returns {string} Simulated hex colour
+ *
+ * @example
+ * simulateColorVision('#b2182b', 'deuteranopia')
+ */
+export const simulateColorVision = (color, type) => {
+  const simulation = CVD_SIMULATIONS.find(s => s.value === type);
+  if (!simulation?.matrix) return chroma(color).hex();
+
+  const toLinear = (c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+  const toSrgb = (c) => (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055);
+
+  const [r, g, b] = chroma(color).gl().slice(0, 3).map(toLinear);
+  const m = simulation.matrix;
+  const simulated = [
+    m[0] * r + m[1] * g + m[2] * b,
+    m[3] * r + m[4] * g + m[5] * b,
+    m[6] * r + m[7] * g + m[8] * b,
+  ].map(c => toSrgb(Math.min(1, Math.max(0, c))) * 255);
+
+  return chroma(simulated).hex();
+};
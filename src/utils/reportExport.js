@@ -0,0 +1,465 @@
+import { jsPDF } from 'jspdf';
+import { zipSync } from 'fflate';
+import { createBoundsProjection, getFeatureBounds, drawGeoJSON, traceGeometry, drawColorBar, drawScaleBar } from './mapRenderer';
+import { getColorForValue, extractMetadataFromGeoJSON } from './colorMapping';
+import { getProfileValue } from './climateProfile';
+import { filterBySector, SECTOR_MAP } from './sectors';
+import { SCENARIOS, PERIODS, EXPORT_CONFIG, DATA_CITATION, formatScenario, formatPeriod } from './constants';
+import { buildFilename } from './download';
+import { getValueUnit } from './baseline';
+
+/**
+ * Municipality Report Export
+ * Builds a print-ready PDF profile of one municipality (EXPORT_CONFIG page settings):
+ * a map page, one page per sector with every relevant index across scenarios and
+ * periods plus plain-language descriptions, and a data source page.
+ * Reports for several municipalities (district or province batches) are packaged as a ZIP.
+ */
+
+// Sectors with their own report page (order of the pages)
+export const REPORT_SECTORS = ['AFS', 'H', 'WRH'];
+
+const MARGIN = 12;
+const FOOTER_HEIGHT = 10;
+const MAP_CANVAS = { width: 1600, height: 860 };
+
+const TEXT_COLOR = [15, 23, 42];
+const MUTED_COLOR = [100, 116, 139];
+const RULE_COLOR = [203, 213, 225];
+const HIGHLIGHT_FILL = [224, 242, 254];
+
+/**
+ * Render the report map: the municipality's province with the municipality outlined,
+ * a colour bar, a scale bar and the data attribution
+ * @param {Object} options
+ * @param {Object} options.geojson - GeoJSON FeatureCollection of the mapped index
+ * @param {Function} options.colorScale - Chroma color scale used on the map
+ * @param {Object} options.municipality - Municipality (see extractMunicipalityFromFeature)
+ * @param {string} options.legendTitle - Text above the colour bar
+ * @param {string} options.unit - Unit shown next to the colour bar
+ * @returns {HTMLCanvasElement} Rendered map
+ */
+export function renderReportMap({ geojson, colorScale, municipality, legendTitle = '', unit = '' }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = MAP_CANVAS.width;
+  canvas.height = MAP_CANVAS.height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#f0f4f8';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const features = geojson?.features || [];
+  const selected = features.find(f => f.properties.id === municipality.id);
+  const provinceFeatures = features.filter(f => f.properties.province === municipality.province);
+  const bounds = getFeatureBounds(provinceFeatures.length > 0 ? provinceFeatures : features);
+
+  if (!bounds) return canvas;
+
+  const project = createBoundsProjection(bounds, canvas.width, canvas.height, 40);
+
+  drawGeoJSON(ctx, { features }, project, {
+    fillFor: (feature) => getColorForValue(feature.properties.value, colorScale),
+    lineWidth: 1.5,
+  });
+
+  // Selected municipality (SELECTED_STYLE outline)
+  if (selected) {
+    ctx.beginPath();
+    traceGeometry(ctx, selected.geometry, project);
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 5;
+    ctx.stroke();
+  }
+
+  // Legend panel
+  const barWidth = 420;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(16, canvas.height - 120, barWidth + 48, 104);
+  ctx.fillStyle = '#0f172a';
+  ctx.font = "bold 22px system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+  ctx.textBaseline = 'top';
+  ctx.fillText(legendTitle, 40, canvas.height - 108);
+  drawColorBar(ctx, colorScale, { x: 40, y: canvas.height - 74, width: barWidth, height: 22, scale: 2, unit });
+
+  // Scale bar and attribution
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(canvas.width - 336, canvas.height - 92, 320, 44);
+  drawScaleBar(ctx, project.metresPerPixel, { x: canvas.width - 320, y: canvas.height - 58, maxWidth: 280, scale: 2 });
+
+  ctx.font = "18px system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+  ctx.fillStyle = '#475569';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(DATA_CITATION.short, canvas.width - 16, canvas.height - 12);
+  ctx.textAlign = 'left';
+
+  return canvas;
+}
+
+/**
+ * Format a value for report tables
+ * @param {number|null} value - Value
+ * @returns {string} Value with two decimals, or "N/A"
+ */
+const formatValue = (value) => (value === null || value === undefined ? 'N/A' : value.toFixed(2));
+
+/**
+ * Draw the page header and return the y position below it
+ */
+const drawPageHeader = (doc, title, subtitle) => {
+  doc.setTextColor(...TEXT_COLOR);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(title, MARGIN, MARGIN + 4);
+
+  let y = MARGIN + 4;
+  if (subtitle) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(...MUTED_COLOR);
+    y += 6;
+    doc.text(subtitle, MARGIN, y);
+  }
+
+  doc.setDrawColor(...RULE_COLOR);
+  doc.setLineWidth(0.3);
+  doc.line(MARGIN, y + 3, doc.internal.pageSize.getWidth() - MARGIN, y + 3);
+
+  return y + 9;
+};
+
+/**
+ * Draw footers on every page (page numbers need the final page count)
+ */
+const drawFooters = (doc, municipalityName, generatedAt) => {
+  const pageCount = doc.getNumberOfPages();
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(`${municipalityName} · Climate risk profile · generated ${generatedAt}`, MARGIN, height - MARGIN / 2);
+    doc.text(`Page ${page} of ${pageCount}`, width - MARGIN, height - MARGIN / 2, { align: 'right' });
+  }
+};
+
+/**
+ * Draw the table of indices × (period, scenario) values
+ * Adds pages when the table runs past the page end (the header row is repeated)
+ * @returns {number} y position below the table
+ */
+const drawIndexTable = (doc, { indices, profile, scenario, period, startY, continuedTitle }) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const indexColumn = 72;
+  const unitColumn = 21;
+  const valueColumn = (pageWidth - 2 * MARGIN - indexColumn - unitColumn) / (PERIODS.length * SCENARIOS.length);
+  const rowHeight = 5.5;
+
+  const valueX = (periodIdx, scenarioIdx) =>
+    MARGIN + indexColumn + unitColumn + (periodIdx * SCENARIOS.length + scenarioIdx) * valueColumn;
+
+  const drawHeader = (y) => {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(7.5);
+    doc.setTextColor(...TEXT_COLOR);
+    doc.text('Index', MARGIN, y + 8);
+    doc.text('Unit', MARGIN + indexColumn, y + 8);
+
+    PERIODS.forEach((p, periodIdx) => {
+      const groupX = valueX(periodIdx, 0);
+      const groupWidth = valueColumn * SCENARIOS.length;
+      doc.setFont('helvetica', 'bold');
+      doc.text(formatPeriod(p.value).label, groupX + groupWidth / 2, y + 3, { align: 'center' });
+      doc.setDrawColor(...RULE_COLOR);
+      doc.line(groupX + 1, y + 4.5, groupX + groupWidth - 1, y + 4.5);
+
+      doc.setFont('helvetica', 'normal');
+      SCENARIOS.forEach((s, scenarioIdx) => {
+        doc.text(formatScenario(s.value).label, valueX(periodIdx, scenarioIdx) + valueColumn - 1, y + 8, { align: 'right' });
+      });
+    });
+
+    doc.setDrawColor(...MUTED_COLOR);
+    doc.line(MARGIN, y + 10, pageWidth - MARGIN, y + 10);
+    return y + 10;
+  };
+
+  let y = drawHeader(startY);
+
+  indices.forEach(idx => {
+    const nameLines = doc.splitTextToSize(`${idx.code?.toUpperCase()} - ${idx.name}`, indexColumn - 2);
+    const height = Math.max(rowHeight, nameLines.length * 3.2 + 2.3);
+
+    if (y + height > pageHeight - MARGIN - FOOTER_HEIGHT) {
+      doc.addPage();
+      y = drawHeader(drawPageHeader(doc, continuedTitle));
+    }
+
+    // Highlight the scenario/period shown on the map
+    const periodIdx = PERIODS.findIndex(p => p.value === period);
+    const scenarioIdx = SCENARIOS.findIndex(s => s.value === scenario);
+    if (periodIdx >= 0 && scenarioIdx >= 0) {
+      doc.setFillColor(...HIGHLIGHT_FILL);
+      doc.rect(valueX(periodIdx, scenarioIdx), y, valueColumn, height, 'F');
+    }
+
+    doc.setFontSize(7.5);
+    doc.setTextColor(...TEXT_COLOR);
+    doc.setFont('helvetica', 'normal');
+    doc.text(nameLines, MARGIN, y + 3.8);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(idx.unit || '-', MARGIN + indexColumn, y + 3.8);
+
+    doc.setTextColor(...TEXT_COLOR);
+    PERIODS.forEach((p, pIdx) => {
+      SCENARIOS.forEach((s, sIdx) => {
+        const value = getProfileValue(profile, idx.code, s.value, p.value);
+        doc.text(formatValue(value), valueX(pIdx, sIdx) + valueColumn - 1, y + 3.8, { align: 'right' });
+      });
+    });
+
+    y += height;
+    doc.setDrawColor(...RULE_COLOR);
+    doc.line(MARGIN, y, pageWidth - MARGIN, y);
+  });
+
+  return y;
+};
+
+/**
+ * Write plain-language descriptions of indices, adding pages as needed
+ * @returns {number} y position below the text
+ */
+const drawDescriptions = (doc, { indices, startY, continuedTitle }) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const textWidth = pageWidth - 2 * MARGIN;
+  const bottom = pageHeight - MARGIN - FOOTER_HEIGHT;
+
+  let y = startY;
+
+  const ensureSpace = (height) => {
+    if (y + height > bottom) {
+      doc.addPage();
+      y = drawPageHeader(doc, continuedTitle);
+    }
+  };
+
+  ensureSpace(12);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.setTextColor(...TEXT_COLOR);
+  doc.text('What these indices mean', MARGIN, y + 4);
+  y += 8;
+
+  indices.forEach(idx => {
+    const description = idx.plain_language_description || idx.description || 'No description available.';
+    doc.setFontSize(8);
+    const lines = doc.splitTextToSize(description, textWidth);
+
+    ensureSpace(4 + lines.length * 3.6);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...TEXT_COLOR);
+    doc.text(`${idx.code?.toUpperCase()} - ${idx.name}`, MARGIN, y + 3);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(51, 65, 85);
+    doc.text(lines, MARGIN, y + 6.6);
+    y += 5 + lines.length * 3.6;
+  });
+
+  return y;
+};
+
+/**
+ * Build the PDF report of one municipality
+ *
+ * @param {Object} options
+ * @param {Object} options.municipality - Municipality (see extractMunicipalityFromFeature)
+ * @param {Object} options.geojson - GeoJSON FeatureCollection of the mapped index (for the map page)
+ * @param {Function} options.colorScale - Chroma color scale used on the map
+ * @param {Object} options.indexMetadata - Mapped index record
+ * @param {Array} options.indices - All index records (filtered per sector)
+ * @param {Object} options.profile - Municipality climate profile (see buildClimateProfile)
+ * @param {string} options.scenario - Scenario shown on the map
+ * @param {string} options.period - Period shown on the map
+ * @returns {jsPDF} PDF document
+ *
+ * @example
+ * const doc = buildMunicipalityReport({ municipality, geojson, colorScale, indexMetadata, indices, profile, scenario, period });
+ * downloadBlob(doc.output('blob'), buildFilename([municipality.code, 'report'], 'pdf'));
+ */
+export function buildMunicipalityReport({
+  municipality,
+  geojson,
+  colorScale,
+  indexMetadata,
+  indices,
+  profile,
+  scenario,
+  period,
+}) {
+  const doc = new jsPDF({
+    orientation: EXPORT_CONFIG.pdfOrientation,
+    unit: EXPORT_CONFIG.pdfUnit,
+    format: EXPORT_CONFIG.pdfFormat,
+  });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  const title = `Climate Risk Profile: ${municipality.name}`;
+  const location = [
+    municipality.code,
+    municipality.districtName && `${municipality.districtName} District`,
+    municipality.province,
+  ].filter(Boolean).join(' · ');
+  const view = `${formatScenario(scenario).fullLabel} · ${formatPeriod(period).label}`;
+
+  doc.setProperties({ title, subject: location, creator: 'Climate Risk Tool' });
+
+  // Page 1: map
+  let y = drawPageHeader(doc, title, location);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(10);
+  doc.setTextColor(...TEXT_COLOR);
+  doc.text(`${indexMetadata.code?.toUpperCase()} - ${indexMetadata.name}`, MARGIN, y + 2);
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(...MUTED_COLOR);
+  doc.text(view, pageWidth - MARGIN, y + 2, { align: 'right' });
+  y += 5;
+
+  // Anomalies, relative change or baseline/projected absolute values, as on the map (utils/baseline.js)
+  const valueMode = extractMetadataFromGeoJSON(geojson)?.valueMode || 'anomaly';
+  const legendLabels = { anomaly: 'anomaly', percent: 'relative change' };
+  const mapCanvas = renderReportMap({
+    geojson,
+    colorScale,
+    municipality,
+    legendTitle: `${indexMetadata.code?.toUpperCase()} ${legendLabels[valueMode] || `${valueMode} value`}`,
+    unit: getValueUnit(valueMode, indexMetadata.unit),
+  });
+  const maxMapHeight = pageHeight - y - MARGIN - FOOTER_HEIGHT - 12;
+  const mapWidth = Math.min(pageWidth - 2 * MARGIN, (maxMapHeight * mapCanvas.width) / mapCanvas.height);
+  const mapHeight = (mapWidth * mapCanvas.height) / mapCanvas.width;
+  doc.addImage(
+    mapCanvas.toDataURL(`image/${EXPORT_CONFIG.imageFormat}`, EXPORT_CONFIG.imageQuality),
+    EXPORT_CONFIG.imageFormat.toUpperCase(),
+    (pageWidth - mapWidth) / 2,
+    y,
+    mapWidth,
+    mapHeight
+  );
+  y += mapHeight + 5;
+
+  const mapFeature = geojson?.features?.find(f => f.properties.id === municipality.id);
+  // The sentence reports the change: while the map shows relative change or absolute values,
+  // the feature keeps its anomaly in `anomaly`
+  const mapAnomaly = valueMode === 'anomaly' ? mapFeature?.properties.value : mapFeature?.properties.anomaly;
+  const value = getProfileValue(profile, indexMetadata.code, scenario, period) ?? mapAnomaly ?? null;
+  doc.setFontSize(9);
+  doc.setTextColor(...TEXT_COLOR);
+  doc.text(
+    `${municipality.name}: ${formatValue(value)}${indexMetadata.unit ? ` ${indexMetadata.unit}` : ''} change vs the 1995-2014 baseline (outlined in black).`,
+    MARGIN,
+    y
+  );
+  if (indexMetadata.plain_language_description) {
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(doc.splitTextToSize(indexMetadata.plain_language_description, pageWidth - 2 * MARGIN), MARGIN, y + 4.5);
+  }
+
+  // One page per sector
+  REPORT_SECTORS.forEach(sectorCode => {
+    const sector = SECTOR_MAP[sectorCode];
+    const sectorIndices = filterBySector(indices, sectorCode);
+
+    doc.addPage();
+    const sectorTitle = `${sector.fullName} (${sector.displayCode})`;
+    let sectorY = drawPageHeader(doc, sectorTitle, `${municipality.name} · ${sector.description}`);
+
+    if (sectorIndices.length === 0) {
+      doc.setFontSize(9);
+      doc.setTextColor(...MUTED_COLOR);
+      doc.text('No indices are tagged for this sector.', MARGIN, sectorY + 4);
+      return;
+    }
+
+    doc.setFontSize(8);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(
+      'Anomalies vs the 1995-2014 baseline for every scenario and period. The shaded column is the scenario and period on the map page.',
+      MARGIN,
+      sectorY + 1
+    );
+
+    const continuedTitle = `${sectorTitle} (continued)`;
+    sectorY = drawIndexTable(doc, {
+      indices: sectorIndices,
+      profile,
+      scenario,
+      period,
+      startY: sectorY + 4,
+      continuedTitle,
+    });
+    drawDescriptions(doc, { indices: sectorIndices, startY: sectorY + 6, continuedTitle });
+  });
+
+  // Data source and citation
+  doc.addPage();
+  y = drawPageHeader(doc, 'Data Source and Citation');
+  const textWidth = pageWidth - 2 * MARGIN;
+  const paragraph = (text, { bold = false, size = 9, gap = 3 } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(...TEXT_COLOR);
+    const lines = doc.splitTextToSize(text, textWidth);
+    doc.text(lines, MARGIN, y + 3);
+    y += lines.length * size * 0.42 + gap;
+  };
+
+  paragraph(DATA_CITATION.description);
+  paragraph('Please cite:', { bold: true, gap: 1 });
+  paragraph(DATA_CITATION.reference, { gap: 6 });
+  paragraph('Scenarios', { bold: true, gap: 1 });
+  SCENARIOS.forEach(s => {
+    const info = formatScenario(s.value);
+    paragraph(`${info.fullLabel}: ${info.description}`, { size: 8.5, gap: 1 });
+  });
+  y += 4;
+  paragraph('Periods', { bold: true, gap: 1 });
+  paragraph(PERIODS.map(p => formatPeriod(p.value).label).join(', '), { size: 8.5 });
+
+  drawFooters(doc, municipality.name, new Date().toISOString().slice(0, 10));
+
+  return doc;
+}
+
+/**
+ * File name of a municipality report
+ * @param {Object} municipality - Municipality (code, name)
+ * @returns {string} e.g. "wc011_matzikama_climate-profile.pdf"
+ */
+export const getReportFilename = (municipality) => (
+  buildFilename([municipality.code, municipality.name, 'climate-profile'], 'pdf')
+);
+
+/**
+ * Package generated reports in a ZIP archive
+ * @param {Array<Object>} reports - {municipality, doc} per report
+ * @returns {Blob} ZIP file with one PDF per municipality
+ *
+ * @example
+ * downloadBlob(buildReportArchive(reports), buildFilename(['DC1', 'climate-profiles'], 'zip'));
+ */
+export function buildReportArchive(reports) {
+  const files = Object.fromEntries(reports.map(({ municipality, doc }) => [
+    getReportFilename(municipality),
+    new Uint8Array(doc.output('arraybuffer')),
+  ]));
+
+  // PDFs are already compressed
+  return new Blob([zipSync(files, { level: 0 })], { type: 'application/zip' });
+}
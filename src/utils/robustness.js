@@ -0,0 +1,106 @@
+/**
+ * Scenario Robustness
+ * Whether the emissions scenarios agree on the sign of change of an index for a period:
+ * per municipality, how many SSPs project an increase and how many a decrease.
+ * The signal is robust where every scenario with data agrees.
+ */
+
+/**
+ * Count the scenarios projecting an increase or a decrease
+ * @param {Object} values - Value per scenario ({ [scenario]: number|null })
+ * @returns {Object} {values, increase, decrease, total, agreement, robust}; agreement is
+ *   (increase − decrease) / total in [-1, 1] (null without data), robust when all agree
+ *
+ * @example
+ * getRobustness({ ssp126: 1.2, ssp245: 2.1, ssp370: -0.3, ssp585: 3.4 })
+ * // { increase: 3, decrease: 1, total: 4, agreement: 0.5, robust: false, ... }
+ */
+export const getRobustness = (values) => {
+  const valid = Object.values(values).filter(v => v !== null && v !== undefined && !isNaN(v));
+  const increase = valid.filter(v => v > 0).length;
+  const decrease = valid.filter(v => v < 0).length;
+  const total = valid.length;
+
+  return {
+    values,
+    increase,
+    decrease,
+    total,
+    agreement: total > 0 ? (increase - decrease) / total : null,
+    robust: total > 1 && (increase === total || decrease === total),
+  };
+};
+
+/**
+ * Short label for a robustness class
+ * @param {Object} robustness - From getRobustness
+ * @returns {string} e.g. "4/4 increase", "3/4 decrease", "Split (2/4)"
+ */
+export const getRobustnessLabel = (robustness) => {
+  const { increase, decrease, total } = robustness;
+  if (total === 0) return 'No data';
+  if (increase > decrease) return `${increase}/${total} increase`;
+  if (decrease > increase) return `${decrease}/${total} decrease`;
+  return increase > 0 ? `Split (${increase}/${total})` : 'No change';
+};
+
+/**
+ * Legend classes for a number of scenarios, strongest increase first
+ * @param {number} scenarioCount - Number of scenarios (e.g. 4)
+ * @returns {Array<Object>} {agreement, label, robust}
+ *
+ * @example
+ * getRobustnessClasses(4).map(c => c.label)
+ * // ['4/4 increase', '3/4 increase', 'Split (2/4)', '3/4 decrease', '4/4 decrease']
+ */
+export const getRobustnessClasses = (scenarioCount) => {
+  const toClass = (increase) => {
+    const decrease = scenarioCount - increase;
+    return {
+      agreement: (increase - decrease) / scenarioCount,
+      label: getRobustnessLabel({ increase, decrease, total: scenarioCount }),
+      robust: increase === scenarioCount || decrease === scenarioCount,
+    };
+  };
+
+  // Every split of the scenarios between increase and decrease (zero change ignored)
+  return Array.from({ length: scenarioCount + 1 }, (_, i) => toClass(scenarioCount - i));
+};
+
+/**
+ * Compute the robustness layer
+ * Features come from the reference scenario's layer (its value is kept) with a
+ * robustness property from getRobustness.
+ *
+ * @param {Array} layers - {scenario, geojson} for each scenario, same index and period
+ * @param {string} referenceScenario - Scenario whose features are kept
+ * @returns {Object|null} FeatureCollection
+ *
+ * @example
+ * const layers = await getClimateGeoJSONForIndex('cdd', SCENARIOS.map(s => s.value), [period]);
+ * computeRobustnessGeoJSON(layers, 'ssp245');
+ */
+export const computeRobustnessGeoJSON = (layers, referenceScenario) => {
+  const available = layers.filter(({ geojson }) => geojson?.features);
+  if (available.length === 0) return null;
+
+  const base = (available.find(l => l.scenario === referenceScenario) || available[0]).geojson;
+  const valuesByScenario = available.map(({ scenario, geojson }) => ({
+    scenario,
+    valuesById: new Map(geojson.features.map(f => [f.properties.id, f.properties.value])),
+  }));
+
+  return {
+    ...base,
+    features: base.features.map(feature => {
+      const values = Object.fromEntries(valuesByScenario.map(({ scenario, valuesById }) => (
+        [scenario, valuesById.get(feature.properties.id) ?? null]
+      )));
+
+      return {
+        ...feature,
+        properties: { ...feature.properties, robustness: getRobustness(values) },
+      };
+    }),
+  };
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { getRobustness, getRobustnessLabel, getRobustnessClasses, computeRobustnessGeoJSON } from './robustness';
+import { valueLayer, layerValues } from './testFixtures';
+
+describe('getRobustness', () => {
+  it('counts the scenarios projecting an increase or a decrease', () => {
+    expect(getRobustness({ ssp126: 1.2, ssp245: 2.1, ssp370: -0.3, ssp585: 3.4 })).toMatchObject({
+      increase: 3, decrease: 1, total: 4, agreement: 0.5, robust: false,
+    });
+  });
+
+  it('is robust when every scenario with data agrees', () => {
+    expect(getRobustness({ ssp126: -1, ssp245: -2, ssp370: null })).toMatchObject({
+      decrease: 2, total: 2, agreement: -1, robust: true,
+    });
+    expect(getRobustness({ ssp126: 1, ssp245: null }).robust).toBe(false);
+  });
+
+  it('has no agreement without data', () => {
+    expect(getRobustness({ ssp126: null, ssp245: NaN })).toMatchObject({ total: 0, agreement: null, robust: false });
+  });
+});
+
+describe('getRobustnessLabel', () => {
+  it('names the majority, splits and missing data', () => {
+    expect(getRobustnessLabel({ increase: 4, decrease: 0, total: 4 })).toBe('4/4 increase');
+    expect(getRobustnessLabel({ increase: 1, decrease: 3, total: 4 })).toBe('3/4 decrease');
+    expect(getRobustnessLabel({ increase: 2, decrease: 2, total: 4 })).toBe('Split (2/4)');
+    expect(getRobustnessLabel({ increase: 0, decrease: 0, total: 2 })).toBe('No change');
+    expect(getRobustnessLabel({ increase: 0, decrease: 0, total: 0 })).toBe('No data');
+  });
+});
+
+describe('getRobustnessClasses', () => {
+  it('lists every split, strongest increase first', () => {
+    const classes = getRobustnessClasses(4);
+
+    expect(classes.map(c => c.label)).toEqual(['4/4 increase', '3/4 increase', 'Split (2/4)', '3/4 decrease', '4/4 decrease']);
+    expect(classes.map(c => c.agreement)).toEqual([1, 0.5, 0, -0.5, -1]);
+    expect(classes.map(c => c.robust)).toEqual([true, false, false, false, true]);
+  });
+});
+
+describe('computeRobustnessGeoJSON', () => {
+  const layers = [
+    { scenario: 'ssp126', geojson: valueLayer([1, -1, 2]) },
+    { scenario: 'ssp245', geojson: valueLayer([2, 1, null]) },
+    { scenario: 'ssp585', geojson: null },
+  ];
+
+  it('keeps the reference scenario features and adds their robustness', () => {
+    const result = computeRobustnessGeoJSON(layers, 'ssp245');
+
+    expect(layerValues(result)).toEqual([2, 1, null]);
+    expect(result.features[0].properties.robustness).toMatchObject({ increase: 2, robust: true });
+    expect(result.features[1].properties.robustness).toMatchObject({ increase: 1, decrease: 1, agreement: 0 });
+    expect(result.features[2].properties.robustness.values).toEqual({ ssp126: 2, ssp245: null });
+  });
+
+  it('falls back to the first scenario with data', () => {
+    expect(computeRobustnessGeoJSON(layers, 'ssp585').features[1].properties.value).toBe(-1);
+    expect(computeRobustnessGeoJSON([{ scenario: 'ssp126', geojson: null }], 'ssp126')).toBeNull();
+  });
+});
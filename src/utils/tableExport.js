@@ -0,0 +1,279 @@
+import { zipSync, strToU8 } from 'fflate';
+import { getInterpretationLabels } from './colorMapping';
+import { formatScenario, formatPeriod } from './constants';
+
+/**
+ * Table Export Utilities
+ * Turns climate GeoJSON into attribute rows (one per municipality) and writes them
+ * as CSV or as a multi-sheet Excel workbook (.xlsx, Office Open XML).
+ */
+
+// Columns of the attribute table, in file order
+export const ATTRIBUTE_COLUMNS = [
+  { key: 'code', label: 'Municipality code' },
+  { key: 'name', label: 'Municipality' },
+  { key: 'districtCode', label: 'District code' },
+  { key: 'districtName', label: 'District' },
+  { key: 'province', label: 'Province' },
+  { key: 'areaKm2', label: 'Area (km²)' },
+  { key: 'index', label: 'Index' },
+  { key: 'scenario', label: 'Scenario' },
+  { key: 'period', label: 'Period' },
+  { key: 'value', label: 'Value' },
+  { key: 'unit', label: 'Unit' },
+  { key: 'interpretation', label: 'Interpretation' },
+];
+
+// Columns that do not apply to district and province layers (utils/aggregation.js)
+const AGGREGATE_OMITTED_COLUMNS = {
+  district: ['code', 'name'],
+  province: ['code', 'name', 'districtCode', 'districtName'],
+};
+
+/**
+ * Attribute table columns of a geography level
+ * @param {string} level - 'municipality', 'district' or 'province'
+ * @returns {Array<Object>} {key, label}
+ *
+ * @example
+ * getAttributeColumns('province').map(c => c.key) // ['province', 'areaKm2', 'index', ...]
+ */
+export const getAttributeColumns = (level = 'municipality') => {
+  const omitted = AGGREGATE_OMITTED_COLUMNS[level] || [];
+  return ATTRIBUTE_COLUMNS.filter(col => !omitted.includes(col.key));
+};
+
+/**
+ * Interpretation label of an anomaly (e.g., "Worse" for a positive CDD anomaly)
+ * @param {number|null} value - Anomaly
+ * @param {string} direction - Index anomaly_direction
+ * @returns {string} Label, or '' for missing values
+ *
+ * @example
+ * getInterpretationForValue(2.5, 'positive_bad') // 'Worse'
+ */
+export const getInterpretationForValue = (value, direction) => {
+  if (value === null || value === undefined || isNaN(value)) return '';
+  const labels = getInterpretationLabels(direction);
+  if (value > 0) return labels.positive;
+  if (value < 0) return labels.negative;
+  return labels.neutral;
+};
+
+/**
+ * Build one attribute row per municipality (or per district/province of an aggregated layer,
+ * see getAttributeColumns)
+ * Difference layers (computeDifferenceGeoJSON) show both scenarios/periods, e.g. "SSP2-4.5 → SSP5-8.5"
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @param {Object} indexMetadata - Index record (unit, anomaly_direction)
+ * @param {Object} options
+ * @param {string} options.unit - Unit override (e.g., '%' for percent differences)
+ * @returns {Array<Object>} Rows keyed by ATTRIBUTE_COLUMNS keys, sorted by municipality (district, province) code
+ */
+export const buildAttributeRows = (geojson, indexMetadata, { unit } = {}) => {
+  if (!geojson?.features) return [];
+
+  const pair = (a, b, format) => (b && b !== a ? `${format(a)} → ${format(b)}` : format(a));
+
+  return geojson.features
+    .map(({ properties: props }) => ({
+      code: props.municipality_code,
+      name: props.municipality_name,
+      districtCode: props.district_code,
+      districtName: props.district_name,
+      province: props.province,
+      areaKm2: props.area_km2,
+      index: props.index_code?.toUpperCase(),
+      scenario: pair(props.scenario, props.scenario_b, s => formatScenario(s).label || s),
+      period: pair(props.period, props.period_b, p => formatPeriod(p).shortLabel),
+      value: props.value ?? null,
+      unit: unit ?? indexMetadata?.unit ?? '',
+      // Interpret the change, also when absolute values are shown (utils/baseline.js)
+      interpretation: getInterpretationForValue(
+        props.value_mode && props.value_mode !== 'anomaly' ? props.anomaly : props.value,
+        indexMetadata?.anomaly_direction
+      ),
+    }))
+    .sort((a, b) => (
+      String(a.code ?? a.districtCode ?? a.province).localeCompare(String(b.code ?? b.districtCode ?? b.province))
+    ));
+};
+
+/**
+ * Write rows as CSV (with a byte order mark so Excel reads UTF-8)
+ * @param {Array<Object>} rows - Rows keyed by column keys
+ * @param {Array<Object>} columns - {key, label} (default: ATTRIBUTE_COLUMNS)
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows, columns = ATTRIBUTE_COLUMNS) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [
+    columns.map(col => escape(col.label)).join(','),
+    ...rows.map(row => columns.map(col => escape(row[col.key])).join(',')),
+  ];
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Column letter(s) of a zero-based column index (0 → A, 26 → AA)
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Make sheet names valid and unique (max 31 characters, no []:*?/\)
+ */
+const sheetNames = (names) => {
+  const used = new Set();
+  return names.map(name => {
+    const base = String(name).replace(/[[\]:*?/\\]/g, '-').slice(0, 31) || 'Sheet';
+    let unique = base;
+    for (let i = 2; used.has(unique.toLowerCase()); i++) {
+      unique = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+};
+
+/**
+ * Worksheet XML: first row bold and frozen, numbers as numbers, text as inline strings
+ */
+const worksheetXml = (rows, columnWidths) => {
+  const cols = columnWidths
+    .map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`)
+    .join('');
+
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      const style = r === 0 ? ' s="1"' : '';
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      }
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<cols>${cols}</cols>` +
+    `<sheetData>${sheetRows.join('')}</sheetData>` +
+    '</worksheet>';
+};
+
+/**
+ * Create an Excel workbook
+ *
+ * @param {Array<Object>} sheets - {name, rows}; rows are arrays of cell values, the first row is the header
+ * @returns {Blob} .xlsx file
+ *
+ * @example
+ * const blob = createXlsxWorkbook([{ name: 'Data', rows: [['Code', 'Value'], ['WC011', 1.5]] }]);
+ * downloadBlob(blob, 'data.xlsx');
+ */
+export const createXlsxWorkbook = (sheets) => {
+  const names = sheetNames(sheets.map(sheet => sheet.name));
+
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map((_, i) => (
+        `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+      )).join('') +
+      '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets>${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+      '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets.map((_, i) => (
+        `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+      )).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>',
+    'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      '</styleSheet>',
+  };
+
+  sheets.forEach((sheet, i) => {
+    // Column width from the longest value (capped), like Excel's auto-fit
+    const columnCount = Math.max(...sheet.rows.map(row => row.length));
+    const widths = Array.from({ length: columnCount }, (_, c) => Math.min(
+      80,
+      Math.max(8, ...sheet.rows.map(row => String(row[c] ?? '').length + 2))
+    ));
+    files[`xl/worksheets/sheet${i + 1}.xml`] = worksheetXml(sheet.rows, widths);
+  });
+
+  const zipped = zipSync(
+    Object.fromEntries(Object.entries(files).map(([path, xml]) => [path, strToU8(xml)]))
+  );
+
+  return new Blob([zipped], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
+
+/**
+ * Rows as a sheet (header row of column labels, then values)
+ * @param {Array<Object>} rows - Rows keyed by column keys
+ * @param {Array<Object>} columns - {key, label} (default: ATTRIBUTE_COLUMNS)
+ * @returns {Array<Array>} Sheet rows for createXlsxWorkbook
+ */
+export const rowsToSheet = (rows, columns = ATTRIBUTE_COLUMNS) => [
+  columns.map(col => col.label),
+  ...rows.map(row => columns.map(col => row[col.key])),
+];
+
+/**
+ * Metadata sheet rows from an index record
+ * @param {Object} indexMetadata - Index record from the API
+ * @param {Array<Array>} details - Extra [field, value] rows (e.g., export date, data source)
+ * @returns {Array<Array>} Sheet rows for createXlsxWorkbook
+ */
+export const buildMetadataSheet = (indexMetadata, details = []) => [
+  ['Field', 'Value'],
+  ['Index code', indexMetadata?.code?.toUpperCase()],
+  ['Name', indexMetadata?.name],
+  ['Category', indexMetadata?.category],
+  ['Unit', indexMetadata?.unit],
+  ['Sector', indexMetadata?.sector],
+  ['Baseline period', indexMetadata?.baseline_period],
+  ['Anomaly direction', indexMetadata?.anomaly_direction],
+  ['Plain language description', indexMetadata?.plain_language_description],
+  ['Technical definition', indexMetadata?.technical_definition],
+  ...details,
+];
@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import { unzipSync, strFromU8 } from 'fflate';
+import {
+  getAttributeColumns,
+  getInterpretationForValue,
+  buildAttributeRows,
+  toCsv,
+  rowsToSheet,
+  createXlsxWorkbook,
+} from './tableExport';
+import { formatScenario, formatPeriod } from './constants';
+import { featureCollection } from './testFixtures';
+
+const CDD = { code: 'cdd', unit: 'days', anomaly_direction: 'positive_bad' };
+
+const municipalities = featureCollection([
+  {
+    id: 2,
+    municipality_code: 'WC012',
+    municipality_name: 'Cederberg',
+    district_code: 'DC1',
+    district_name: 'West Coast',
+    province: 'Western Cape',
+    area_km2: 8007.5,
+    index_code: 'cdd',
+    scenario: 'ssp245',
+    period: 'near-term_2021-2040',
+    value: -1.25,
+  },
+  {
+    id: 1,
+    municipality_code: 'WC011',
+    municipality_name: 'Matzikama, "West"',
+    district_code: 'DC1',
+    district_name: 'West Coast',
+    province: 'Western Cape',
+    area_km2: 12981.4,
+    index_code: 'cdd',
+    scenario: 'ssp245',
+    period: 'near-term_2021-2040',
+    value: 4.5,
+  },
+]);
+
+/**
+ * Files of an .xlsx Blob as text, by path
+ */
+const readXlsx = async (blob) => {
+  const files = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+  return Object.fromEntries(Object.entries(files).map(([path, bytes]) => [path, strFromU8(bytes)]));
+};
+
+describe('buildAttributeRows', () => {
+  it('builds one row per municipality, sorted by code', () => {
+    const rows = buildAttributeRows(municipalities, CDD);
+
+    expect(rows.map(r => r.code)).toEqual(['WC011', 'WC012']);
+    expect(rows[0]).toEqual({
+      code: 'WC011',
+      name: 'Matzikama, "West"',
+      districtCode: 'DC1',
+      districtName: 'West Coast',
+      province: 'Western Cape',
+      areaKm2: 12981.4,
+      index: 'CDD',
+      scenario: formatScenario('ssp245').label,
+      period: formatPeriod('near-term_2021-2040').shortLabel,
+      value: 4.5,
+      unit: 'days',
+      interpretation: 'Worse',
+    });
+  });
+
+  it('interprets the change when absolute values are shown', () => {
+    const projected = featureCollection([{ ...municipalities.features[1].properties, value: 120, anomaly: -3, value_mode: 'projected' }]);
+    expect(buildAttributeRows(projected, CDD)[0].interpretation).toBe('Better');
+  });
+
+  it('shows both sides of a difference layer', () => {
+    const difference = featureCollection([{ ...municipalities.features[0].properties, scenario_b: 'ssp585' }]);
+    expect(buildAttributeRows(difference, CDD, { unit: '%' })[0]).toMatchObject({
+      scenario: `${formatScenario('ssp245').label} → ${formatScenario('ssp585').label}`,
+      unit: '%',
+    });
+  });
+
+  it('sorts district rows by district code and leaves out the municipality columns', () => {
+    const districts = featureCollection([
+      { id: 'DC2', level: 'district', district_code: 'DC2', district_name: 'Cape Winelands', province: 'Western Cape', value: 1 },
+      { id: 'DC1', level: 'district', district_code: 'DC1', district_name: 'West Coast', province: 'Western Cape', value: 2 },
+    ]);
+
+    expect(buildAttributeRows(districts, CDD).map(r => r.districtCode)).toEqual(['DC1', 'DC2']);
+    expect(getAttributeColumns('district').map(c => c.key)).not.toContain('code');
+    expect(getAttributeColumns('province').map(c => c.key)).not.toContain('districtCode');
+    expect(getAttributeColumns()).toHaveLength(12);
+  });
+});
+
+describe('getInterpretationForValue', () => {
+  it('labels the direction of change for the index', () => {
+    expect(getInterpretationForValue(2.5, 'positive_bad')).toBe('Worse');
+    expect(getInterpretationForValue(2.5, 'positive_good')).toBe('Better');
+    expect(getInterpretationForValue(0, 'positive_bad')).toBe('No Change');
+    expect(getInterpretationForValue(null, 'positive_bad')).toBe('');
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a byte order mark, CRLF lines and quoted fields', () => {
+    const csv = toCsv(buildAttributeRows(municipalities, CDD));
+    const lines = csv.split('\r\n');
+
+    expect(csv.startsWith('\uFEFFMunicipality code,Municipality,')).toBe(true);
+    expect(lines[1]).toMatch(/^WC011,"Matzikama, ""West""",DC1,West Coast,Western Cape,12981.4,CDD,/);
+    expect(lines).toHaveLength(4);
+    expect(lines[3]).toBe('');
+  });
+
+  it('writes empty cells for missing values', () => {
+    expect(toCsv([{ a: null, b: 0 }], [{ key: 'a', label: 'A' }, { key: 'b', label: 'B' }])).toBe('\uFEFFA,B\r\n,0\r\n');
+  });
+});
+
+describe('createXlsxWorkbook', () => {
+  it('packages one worksheet per sheet with a bold header row', async () => {
+    const files = await readXlsx(createXlsxWorkbook([
+      { name: 'Current view', rows: rowsToSheet(buildAttributeRows(municipalities, CDD)) },
+      { name: 'Metadata', rows: [['Field', 'Value'], ['Unit', 'days']] },
+    ]));
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml',
+    ]));
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Current view" sheetId="1" r:id="rId1"/>');
+
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Municipality code</t></is></c>');
+    // Numbers stay numbers, text is escaped
+    expect(sheet).toContain('<c r="J2"><v>4.5</v></c>');
+    expect(sheet).toContain('Matzikama, &quot;West&quot;');
+    expect(sheet).toContain('state="frozen"');
+  });
+
+  it('makes sheet names valid and unique', async () => {
+    const files = await readXlsx(createXlsxWorkbook([
+      { name: 'SSP2-4.5 [2021/2040]', rows: [['A']] },
+      { name: 'ssp2-4.5 [2021/2040]', rows: [['A']] },
+      { name: 'A very long sheet name that Excel would reject', rows: [['A']] },
+    ]));
+    const names = [...files['xl/workbook.xml'].matchAll(/name="([^"]*)"/g)].map(m => m[1]);
+
+    expect(names).toEqual(['SSP2-4.5 -2021-2040-', 'ssp2-4.5 -2021-2040- 2', 'A very long sheet name that Exc']);
+  });
+});
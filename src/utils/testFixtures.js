@@ -0,0 +1,46 @@
+/**
+ * Test Fixtures
+ * Climate GeoJSON layers for the utility unit tests (*.test.js)
+ */
+
+/**
+ * FeatureCollection from feature properties
+ * @param {Array<Object>} properties - Properties of each feature
+ * @param {Object|Array<Object>} geometry - Geometry of every feature, or one per feature (none by default)
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export const featureCollection = (properties, geometry = null) => ({
+  type: 'FeatureCollection',
+  features: properties.map((props, i) => ({
+    type: 'Feature',
+    geometry: Array.isArray(geometry) ? geometry[i] : geometry,
+    properties: props,
+  })),
+});
+
+/**
+ * Layer of municipalities 1..n from their values
+ * Each column is a property: an array gives one value per feature, anything else the
+ * same value for every feature.
+ *
+ * @param {Array<number|null>} values - Feature values
+ * @param {Object} columns - Other properties ({ [key]: value or array of values })
+ * @returns {Object} GeoJSON FeatureCollection
+ *
+ * @example
+ * valueLayer([8, -60], { baseline_value: [112, 500], index_code: 'prcptot' })
+ */
+export const valueLayer = (values, columns = {}) => featureCollection(values.map((value, i) => ({
+  id: i + 1,
+  ...Object.fromEntries(Object.entries(columns).map(([key, column]) => (
+    [key, Array.isArray(column) ? column[i] : column]
+  ))),
+  value,
+})));
+
+/**
+ * Values of a layer, in feature order
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @returns {Array<number|null>}
+ */
+export const layerValues = (geojson) => geojson.features.map(f => f.properties.value);
@@ -0,0 +1,161 @@
+import { VALUE_MODES, getValueUnit } from './baseline';
+import { getWorseDirection } from './composite';
+
+/**
+ * Threshold Exceedance
+ * A threshold rule turns the current index into a categorical map of the municipalities
+ * that exceed a trigger value, e.g. "TXGE30 change > 20 days" or "PRCPTOT change < -10%".
+ * Rules are evaluated on the change, the relative change or the projected value
+ * (utils/baseline.js) of the ensemble statistic shown, for the current scenario and period.
+ */
+
+export const THRESHOLD_OPERATORS = [
+  { value: '>', label: '>' },
+  { value: '>=', label: '≥' },
+  { value: '<', label: '<' },
+  { value: '<=', label: '≤' },
+];
+
+// Values a rule can test (the baseline does not change with scenario or period)
+export const THRESHOLD_MEASURES = VALUE_MODES.filter(m => m.value !== 'baseline');
+
+export const THRESHOLD_COLORS = {
+  exceeds: '#dc2626',
+  below: '#e2e8f0',
+  nodata: '#cccccc',
+};
+
+// Map categories, in legend order
+export const THRESHOLD_CATEGORIES = [
+  { key: 'exceeds', label: 'Exceeds' },
+  { key: 'below', label: 'Does not exceed' },
+  { key: 'nodata', label: 'No data' },
+];
+
+// localStorage key for saved threshold rules
+const THRESHOLDS_STORAGE_KEY = 'climate-risk-tool.thresholds';
+
+const isNumber = (v) => v !== null && v !== undefined && !isNaN(v);
+
+/**
+ * Threshold rule for an index, testing for a change in its "worse" direction
+ * @param {Object} indexMetadata - Index record
+ * @returns {Object} {code, measure, operator, value}
+ */
+export const createThresholdRule = (indexMetadata) => ({
+  code: indexMetadata.code,
+  measure: 'anomaly',
+  operator: getWorseDirection(indexMetadata.anomaly_direction) > 0 ? '>' : '<',
+  value: 0,
+});
+
+/**
+ * Whether a value exceeds a rule
+ * @param {number} value - Value in the rule's measure
+ * @param {Object} rule - {operator, value}
+ * @returns {boolean|null} Null for missing values
+ *
+ * @example
+ * exceedsThreshold(24, { operator: '>', value: 20 }) // true
+ */
+export const exceedsThreshold = (value, rule) => {
+  if (!isNumber(value)) return null;
+  switch (rule.operator) {
+    case '>': return value > rule.value;
+    case '>=': return value >= rule.value;
+    case '<': return value < rule.value;
+    case '<=': return value <= rule.value;
+    default: return null;
+  }
+};
+
+/**
+ * Plain-text description of a rule
+ * @param {Object} rule - {code, measure, operator, value}
+ * @param {string} unit - Index unit
+ * @returns {string}
+ *
+ * @example
+ * formatThresholdRule({ code: 'prcptot', measure: 'percent', operator: '<', value: -10 }) // 'PRCPTOT change < -10%'
+ */
+export const formatThresholdRule = (rule, unit = '') => {
+  const measure = rule.measure === 'projected' ? 'projected' : 'change';
+  const operator = THRESHOLD_OPERATORS.find(o => o.value === rule.operator)?.label || rule.operator;
+  const valueUnit = getValueUnit(rule.measure, unit);
+  const suffix = valueUnit === '%' ? '%' : valueUnit ? ` ${valueUnit}` : '';
+  return `${rule.code?.toUpperCase()} ${measure} ${operator} ${rule.value}${suffix}`;
+};
+
+/**
+ * Evaluate a rule for every municipality
+ * The GeoJSON must show the rule's measure (selectValueMode); otherwise, e.g. for a relative
+ * change without baseline values, the rule cannot be evaluated.
+ *
+ * @param {Object} geojson - GeoJSON FeatureCollection in the rule's measure
+ * @param {Object} rule - {code, measure, operator, value}
+ * @returns {Object|null} {classes, exceeding, counts, area}, or null when the data cannot be tested:
+ *   classes maps municipality id → 'exceeds' | 'below' | 'nodata'; exceeding lists the
+ *   exceeding features' properties, most extreme first; area is {exceeds, total} in km²
+ *   (total of the municipalities with data)
+ */
+export const evaluateThreshold = (geojson, rule) => {
+  if (!geojson?.features?.length || !rule) return null;
+  if ((geojson.features[0].properties.value_mode || 'anomaly') !== rule.measure) return null;
+
+  const classes = new Map();
+  const exceeding = [];
+  const counts = { exceeds: 0, below: 0, nodata: 0 };
+  const area = { exceeds: 0, total: 0 };
+
+  geojson.features.forEach(({ properties: props }) => {
+    const exceeds = exceedsThreshold(props.value, rule);
+    const category = exceeds === null ? 'nodata' : exceeds ? 'exceeds' : 'below';
+    classes.set(props.id, category);
+    counts[category] += 1;
+
+    if (category !== 'nodata') area.total += props.area_km2 || 0;
+    if (exceeds) {
+      area.exceeds += props.area_km2 || 0;
+      exceeding.push(props);
+    }
+  });
+
+  const descending = rule.operator === '>' || rule.operator === '>=';
+  exceeding.sort((a, b) => (descending ? b.value - a.value : a.value - b.value));
+
+  return { classes, exceeding, counts, area };
+};
+
+/**
+ * Load saved threshold rules from localStorage
+ * @returns {Array} Rules [{id, label, code, measure, operator, value}]
+ */
+export const loadSavedThresholds = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(THRESHOLDS_STORAGE_KEY) || '[]');
+    return Array.isArray(stored)
+      ? stored.filter(r => (
+        r?.id
+          && typeof r.code === 'string'
+          && THRESHOLD_MEASURES.some(m => m.value === r.measure)
+          && THRESHOLD_OPERATORS.some(o => o.value === r.operator)
+          && Number.isFinite(r.value)
+      ))
+      : [];
+  } catch (error) {
+    console.error('Error loading saved thresholds:', error);
+    return [];
+  }
+};
+
+/**
+ * Save threshold rules to localStorage
+ * @param {Array} rules - Rules [{id, label, code, measure, operator, value}]
+ */
+export const saveSavedThresholds = (rules) => {
+  try {
+    localStorage.setItem(THRESHOLDS_STORAGE_KEY, JSON.stringify(rules));
+  } catch (error) {
+    console.error('Error saving thresholds:', error);
+  }
+};
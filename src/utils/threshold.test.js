@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  THRESHOLD_MEASURES,
+  createThresholdRule,
+  exceedsThreshold,
+  formatThresholdRule,
+  evaluateThreshold,
+} from './threshold';
+import { selectValueMode } from './baseline';
+import { valueLayer } from './testFixtures';
+
+describe('createThresholdRule', () => {
+  it('tests the change in the direction the index gets worse', () => {
+    expect(createThresholdRule({ code: 'txge30', anomaly_direction: 'positive_warming' }))
+      .toEqual({ code: 'txge30', measure: 'anomaly', operator: '>', value: 0 });
+    expect(createThresholdRule({ code: 'prcptot', anomaly_direction: 'positive_good' }).operator).toBe('<');
+  });
+
+  it('offers every value mode except the baseline', () => {
+    expect(THRESHOLD_MEASURES.map(m => m.value)).toEqual(['anomaly', 'percent', 'projected']);
+  });
+});
+
+describe('exceedsThreshold', () => {
+  it('compares with each operator', () => {
+    expect(exceedsThreshold(20, { operator: '>', value: 20 })).toBe(false);
+    expect(exceedsThreshold(20, { operator: '>=', value: 20 })).toBe(true);
+    expect(exceedsThreshold(-12, { operator: '<', value: -10 })).toBe(true);
+    expect(exceedsThreshold(-10, { operator: '<=', value: -10 })).toBe(true);
+  });
+
+  it('returns null for missing values and unknown operators', () => {
+    expect(exceedsThreshold(null, { operator: '>', value: 0 })).toBeNull();
+    expect(exceedsThreshold(NaN, { operator: '>', value: 0 })).toBeNull();
+    expect(exceedsThreshold(1, { operator: '==', value: 1 })).toBeNull();
+  });
+});
+
+describe('formatThresholdRule', () => {
+  it('describes the measure, operator and unit', () => {
+    expect(formatThresholdRule({ code: 'prcptot', measure: 'percent', operator: '<', value: -10 }, 'mm'))
+      .toBe('PRCPTOT change < -10%');
+    expect(formatThresholdRule({ code: 'txge30', measure: 'anomaly', operator: '>=', value: 20 }, 'days'))
+      .toBe('TXGE30 change ≥ 20 days');
+    expect(formatThresholdRule({ code: 'cdd', measure: 'projected', operator: '>', value: 120 }))
+      .toBe('CDD projected > 120');
+  });
+});
+
+describe('evaluateThreshold', () => {
+  const rule = { code: 'cdd', measure: 'anomaly', operator: '>', value: 5 };
+
+  it('classifies municipalities and sums the exceeding area', () => {
+    const result = evaluateThreshold(valueLayer([6, 2, null, 9], { area_km2: [100, 50, 80, 10] }), rule);
+
+    expect([...result.classes]).toEqual([[1, 'exceeds'], [2, 'below'], [3, 'nodata'], [4, 'exceeds']]);
+    expect(result.counts).toEqual({ exceeds: 2, below: 1, nodata: 1 });
+    expect(result.area).toEqual({ exceeds: 110, total: 160 });
+    expect(result.exceeding.map(p => p.id)).toEqual([4, 1]);
+  });
+
+  it('lists the lowest values first for "below" rules', () => {
+    const result = evaluateThreshold(valueLayer([-12, -30, 4], { area_km2: 1 }), { ...rule, operator: '<', value: -10 });
+    expect(result.exceeding.map(p => p.id)).toEqual([2, 1]);
+  });
+
+  it('tests the relative change of arid municipalities', () => {
+    const prcptot = valueLayer([-10, -60, 0.5], { baseline_value: [50, 1200, 3], index_code: 'prcptot', area_km2: 1 });
+    const result = evaluateThreshold(selectValueMode(prcptot, 'percent'), { code: 'prcptot', measure: 'percent', operator: '<', value: -10 });
+
+    expect([...result.classes.values()]).toEqual(['exceeds', 'below', 'nodata']);
+  });
+
+  it('cannot evaluate data shown in another measure', () => {
+    expect(evaluateThreshold(valueLayer([6]), { ...rule, measure: 'percent' })).toBeNull();
+    expect(evaluateThreshold(valueLayer([6], { value_mode: 'percent' }), { ...rule, measure: 'percent' }).counts.exceeds).toBe(1);
+    expect(evaluateThreshold(valueLayer([]), rule)).toBeNull();
+    expect(evaluateThreshold(valueLayer([6]), null)).toBeNull();
+  });
+});
@@ -0,0 +1,203 @@
+import { SCENARIOS, PERIODS, CLASSIFICATION_SCHEMES, CLASSIFICATION_CONFIG, GEOGRAPHY_LEVELS } from './constants';
+import { ENSEMBLE_STATISTICS } from './ensemble';
+import { VALUE_MODES } from './baseline';
+
+/**
+ * URL View State
+ * Serialises the view (scenario, period, index, geography level and drill-down focus,
+ * ensemble statistic, anomaly/relative/absolute values, selected municipality, comparison, matrix,
+ * robustness, colour settings and map extent) into the query string and parses it back with
+ * validation, so views can be shared as links and restored on reload.
+ *
+ * Example: ?scenario=ssp585&period=far-term_2081-2100&index=cdd&municipality=172&map=-28.78,31.9,9
+ */
+
+export const COMPARISON_LAYOUTS = ['side-by-side', 'swipe', 'difference'];
+export const DIFFERENCE_TYPES = ['absolute', 'percent'];
+
+// View shown when the URL does not say otherwise (matches ClimateContext defaults)
+export const DEFAULT_VIEW_STATE = {
+  scenario: 'ssp245',
+  period: 'near-term_2021-2040',
+  index: 'cdd',
+  geographyLevel: 'municipality',
+  drillFocus: { province: null, districtCode: null },
+  ensembleStatistic: 'mean',
+  valueMode: 'anomaly',
+  municipalityId: null,
+  comparisonMode: false,
+  comparisonConfig: {
+    scenario: 'ssp585',
+    period: 'near-term_2021-2040',
+    index: 'cdd',
+  },
+  comparisonLayout: 'side-by-side',
+  differenceType: 'absolute',
+  matrixMode: false,
+  robustnessMode: false,
+  paletteId: null,
+  classification: {
+    scheme: 'continuous',
+    classCount: CLASSIFICATION_CONFIG.defaultClassCount,
+    manualBreaks: [],
+  },
+  scaleLock: false,
+  mapView: null,
+};
+
+const isScenario = (value) => SCENARIOS.some(s => s.value === value);
+const isPeriod = (value) => PERIODS.some(p => p.value === value);
+
+/**
+ * Check an index code against the known indices (or its format while they load)
+ * @param {string} value - Index code
+ * @param {Array<string>|null} indexCodes - Known index codes, or null if not loaded yet
+ * @returns {boolean}
+ */
+const isIndex = (value, indexCodes) => {
+  if (!value) return false;
+  return indexCodes ? indexCodes.includes(value) : /^[a-z0-9_]{1,19}$/.test(value);
+};
+
+/**
+ * Parse "lat,lng,zoom"
+ * @param {string} value - Map parameter
+ * @returns {Object|null} {lat, lng, zoom}
+ */
+const parseMapView = (value) => {
+  const [lat, lng, zoom] = (value || '').split(',').map(Number);
+  if (![lat, lng, zoom].every(Number.isFinite)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180 || zoom < 0 || zoom > 22) return null;
+  return { lat, lng, zoom };
+};
+
+/**
+ * Parse a view state from a query string
+ * Missing or invalid parameters fall back to DEFAULT_VIEW_STATE
+ * @param {string} search - Query string (e.g., window.location.search)
+ * @param {Object} options - Validation lists
+ * @param {Array<string>} options.indexCodes - Known index codes (format check only when omitted)
+ * @param {Array<string>} options.paletteIds - Known palette ids (any id accepted when omitted)
+ * @returns {Object} Complete view state
+ */
+export const parseViewState = (search, { indexCodes = null, paletteIds = null } = {}) => {
+  const params = new URLSearchParams(search);
+  const defaults = DEFAULT_VIEW_STATE;
+  const pick = (key, isValid, fallback) => {
+    const value = params.get(key);
+    return value !== null && isValid(value) ? value : fallback;
+  };
+
+  const index = pick('index', v => isIndex(v, indexCodes), defaults.index);
+  const municipalityId = Number(params.get('municipality'));
+
+  const scheme = pick('classes', v => CLASSIFICATION_SCHEMES.some(s => s.value === v), defaults.classification.scheme);
+  const classCount = Number(params.get('class_count'));
+  const manualBreaks = (params.get('breaks') || '')
+    .split(',')
+    .filter(Boolean)
+    .map(Number)
+    .filter(Number.isFinite);
+
+  const matrixMode = params.get('matrix') === '1';
+
+  return {
+    scenario: pick('scenario', isScenario, defaults.scenario),
+    period: pick('period', isPeriod, defaults.period),
+    index,
+    geographyLevel: pick('level', v => GEOGRAPHY_LEVELS.some(l => l.value === v), defaults.geographyLevel),
+    drillFocus: {
+      province: params.get('focus_province') || null,
+      // A district is only focused within its province
+      districtCode: (params.get('focus_province') && params.get('focus_district')) || null,
+    },
+    ensembleStatistic: pick('stat', v => ENSEMBLE_STATISTICS.some(s => s.value === v), defaults.ensembleStatistic),
+    valueMode: pick('values', v => VALUE_MODES.some(m => m.value === v), defaults.valueMode),
+    municipalityId: Number.isInteger(municipalityId) && municipalityId > 0 ? municipalityId : null,
+    // Comparison and matrix are exclusive; the matrix wins
+    comparisonMode: params.get('compare') === '1' && !matrixMode,
+    comparisonConfig: {
+      scenario: pick('compare_scenario', isScenario, defaults.comparisonConfig.scenario),
+      period: pick('compare_period', isPeriod, defaults.comparisonConfig.period),
+      index: pick('compare_index', v => isIndex(v, indexCodes), index),
+    },
+    comparisonLayout: pick('layout', v => COMPARISON_LAYOUTS.includes(v), defaults.comparisonLayout),
+    differenceType: pick('difference', v => DIFFERENCE_TYPES.includes(v), defaults.differenceType),
+    matrixMode,
+    // The robustness map is a view of its own, like the matrix
+    robustnessMode: params.get('robustness') === '1' && !matrixMode && params.get('compare') !== '1',
+    paletteId: pick('palette', v => !paletteIds || paletteIds.includes(v), defaults.paletteId),
+    classification: {
+      scheme,
+      classCount: classCount >= CLASSIFICATION_CONFIG.minClasses && classCount <= CLASSIFICATION_CONFIG.maxClasses
+        ? classCount
+        : defaults.classification.classCount,
+      manualBreaks,
+    },
+    scaleLock: params.get('lock') === '1',
+    mapView: parseMapView(params.get('map')),
+  };
+};
+
+/**
+ * Serialise a view state to a query string
+ * Scenario, period and index are always written; other settings only when not default
+ * @param {Object} state - View state (see DEFAULT_VIEW_STATE)
+ * @param {Object} options
+ * @param {boolean} options.includeMapView - Write the map extent (default: true)
+ * @returns {string} Query string starting with "?"
+ */
+export const serializeViewState = (state, { includeMapView = true } = {}) => {
+  const params = new URLSearchParams();
+  const defaults = DEFAULT_VIEW_STATE;
+
+  params.set('scenario', state.scenario);
+  params.set('period', state.period);
+  params.set('index', state.index);
+
+  if (state.geographyLevel && state.geographyLevel !== defaults.geographyLevel) {
+    params.set('level', state.geographyLevel);
+  }
+  if (state.drillFocus?.province) {
+    params.set('focus_province', state.drillFocus.province);
+    if (state.drillFocus.districtCode) params.set('focus_district', state.drillFocus.districtCode);
+  }
+  if (state.ensembleStatistic && state.ensembleStatistic !== defaults.ensembleStatistic) {
+    params.set('stat', state.ensembleStatistic);
+  }
+  if (state.valueMode && state.valueMode !== defaults.valueMode) params.set('values', state.valueMode);
+  if (state.municipalityId) params.set('municipality', state.municipalityId);
+
+  if (state.comparisonMode) {
+    params.set('compare', '1');
+    params.set('compare_scenario', state.comparisonConfig.scenario);
+    params.set('compare_period', state.comparisonConfig.period);
+    params.set('compare_index', state.comparisonConfig.index);
+    if (state.comparisonLayout !== defaults.comparisonLayout) params.set('layout', state.comparisonLayout);
+    if (state.differenceType !== defaults.differenceType) params.set('difference', state.differenceType);
+  }
+
+  if (state.matrixMode) params.set('matrix', '1');
+  if (state.robustnessMode) params.set('robustness', '1');
+  if (state.paletteId) params.set('palette', state.paletteId);
+
+  const { scheme, classCount, manualBreaks } = state.classification;
+  if (scheme !== defaults.classification.scheme) {
+    params.set('classes', scheme);
+    if (scheme === 'manual') {
+      params.set('breaks', manualBreaks.join(','));
+    } else {
+      params.set('class_count', classCount);
+    }
+  }
+
+  if (state.scaleLock) params.set('lock', '1');
+
+  if (includeMapView && state.mapView) {
+    const { lat, lng, zoom } = state.mapView;
+    params.set('map', `${lat.toFixed(4)},${lng.toFixed(4)},${zoom}`);
+  }
+
+  // Keep commas and hyphens readable in shared links
+  return `?${params.toString().replace(/%2C/g, ',')}`;
+};
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_VIEW_STATE, parseViewState, serializeViewState } from './urlState';
+
+const SHARED_VIEW = {
+  ...DEFAULT_VIEW_STATE,
+  scenario: 'ssp585',
+  period: 'mid-term_2041-2060',
+  index: 'prcptot',
+  geographyLevel: 'district',
+  drillFocus: { province: 'Western Cape', districtCode: 'DC1' },
+  ensembleStatistic: 'p90',
+  valueMode: 'percent',
+  municipalityId: 172,
+  comparisonMode: true,
+  comparisonConfig: { scenario: 'ssp126', period: 'near-term_2021-2040', index: 'cdd' },
+  comparisonLayout: 'swipe',
+  differenceType: 'percent',
+  paletteId: 'PuOr',
+  classification: { scheme: 'quantile', classCount: 7, manualBreaks: [] },
+  scaleLock: true,
+  mapView: { lat: -33.9249, lng: 18.4241, zoom: 9 },
+};
+
+describe('view state round trip', () => {
+  it('writes only scenario, period and index for the default view', () => {
+    expect(serializeViewState(DEFAULT_VIEW_STATE)).toBe('?scenario=ssp245&period=near-term_2021-2040&index=cdd');
+    expect(parseViewState(serializeViewState(DEFAULT_VIEW_STATE))).toEqual(DEFAULT_VIEW_STATE);
+  });
+
+  it('restores every setting of a shared view', () => {
+    expect(parseViewState(serializeViewState(SHARED_VIEW))).toEqual(SHARED_VIEW);
+  });
+
+  it('restores manual class breaks', () => {
+    const view = {
+      ...DEFAULT_VIEW_STATE,
+      classification: { ...DEFAULT_VIEW_STATE.classification, scheme: 'manual', manualBreaks: [-2.5, 0, 4] },
+    };
+    const search = serializeViewState(view);
+
+    expect(search).toContain('breaks=-2.5,0,4');
+    expect(parseViewState(search)).toEqual(view);
+  });
+
+  it('leaves the map extent out of the settings query', () => {
+    const settings = serializeViewState(SHARED_VIEW, { includeMapView: false });
+
+    expect(settings).not.toContain('map=');
+    expect(parseViewState(settings)).toEqual({ ...SHARED_VIEW, mapView: null });
+  });
+});
+
+describe('parseViewState', () => {
+  it('falls back to the defaults for invalid parameters', () => {
+    const view = parseViewState('?scenario=ssp999&period=soon&index=CDD!&level=ward&stat=p99&class_count=42&map=100,0,5&municipality=-3');
+
+    expect(view).toEqual(DEFAULT_VIEW_STATE);
+  });
+
+  it('checks index codes and palettes against the known lists', () => {
+    const view = parseViewState('?index=txx&compare_index=tnn&palette=mine', {
+      indexCodes: ['cdd', 'tnn'],
+      paletteIds: ['RdBu_r'],
+    });
+
+    expect(view.index).toBe('cdd');
+    expect(view.comparisonConfig.index).toBe('tnn');
+    expect(view.paletteId).toBeNull();
+  });
+
+  it('keeps the matrix, comparison and robustness views exclusive', () => {
+    expect(parseViewState('?matrix=1&compare=1&robustness=1')).toMatchObject({
+      matrixMode: true,
+      comparisonMode: false,
+      robustnessMode: false,
+    });
+    expect(parseViewState('?compare=1&robustness=1')).toMatchObject({ comparisonMode: true, robustnessMode: false });
+  });
+
+  it('only focuses a district within its province', () => {
+    expect(parseViewState('?focus_district=DC1').drillFocus).toEqual({ province: null, districtCode: null });
+  });
+});